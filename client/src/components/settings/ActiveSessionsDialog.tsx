@@ -0,0 +1,140 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { authService } from '@/services/authService';
+import { useAuthStore } from '@/store/authStore';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+  DialogFooter,
+} from '@/components/ui/dialog';
+import { formatDateTime } from '@/lib/utils';
+import { Loader2, LogOut, Monitor } from 'lucide-react';
+import { toast } from 'sonner';
+import type { UserSession } from '@/types';
+
+interface ActiveSessionsDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+}
+
+export default function ActiveSessionsDialog({ open, onOpenChange }: ActiveSessionsDialogProps) {
+  const navigate = useNavigate();
+  const { logout } = useAuthStore();
+  const [sessions, setSessions] = useState<UserSession[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [revokingId, setRevokingId] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (open) loadSessions();
+  }, [open]);
+
+  const loadSessions = async () => {
+    setLoading(true);
+    try {
+      const response = await authService.getSessions();
+      if (response.success && response.data) {
+        setSessions(response.data);
+      }
+    } catch (error) {
+      console.error('Failed to load sessions:', error);
+      toast.error('Failed to load sessions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const signedOut = () => {
+    logout(false);
+    navigate('/login');
+  };
+
+  const handleRevoke = async (session: UserSession) => {
+    setRevokingId(session.id);
+    try {
+      await authService.revokeSession(session.id);
+      if (session.current) {
+        signedOut();
+        return;
+      }
+      toast.success(`Signed out ${session.device_name || 'device'}`);
+      setSessions((prev) => prev.filter((s) => s.id !== session.id));
+    } catch (error) {
+      console.error('Failed to revoke session:', error);
+      toast.error('Failed to sign out session');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    setRevokingId('all');
+    try {
+      await authService.logoutAll();
+      toast.success('Signed out of all devices');
+      signedOut();
+    } catch (error) {
+      console.error('Failed to sign out everywhere:', error);
+      toast.error('Failed to sign out of all devices');
+      setRevokingId(null);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-lg">
+        <DialogHeader>
+          <DialogTitle>Active Sessions</DialogTitle>
+          <DialogDescription>Devices signed in to your account. Sign out any you don't recognise.</DialogDescription>
+        </DialogHeader>
+
+        {loading ? (
+          <div className="flex justify-center py-8">
+            <Loader2 className="w-6 h-6 animate-spin text-gray-400" />
+          </div>
+        ) : (
+          <div className="space-y-3 max-h-96 overflow-y-auto">
+            {sessions.map((session) => (
+              <div key={session.id} className="flex items-center justify-between p-3 border rounded-lg">
+                <div className="flex items-center gap-3">
+                  <Monitor className="w-5 h-5 text-gray-500" />
+                  <div>
+                    <p className="font-medium flex items-center gap-2">
+                      {session.device_name || 'Unknown device'}
+                      {session.current && <Badge className="bg-green-100 text-green-700">This device</Badge>}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {session.ip_address || 'Unknown IP'} · Last active {formatDateTime(session.last_activity)}
+                    </p>
+                  </div>
+                </div>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  disabled={revokingId !== null}
+                  onClick={() => handleRevoke(session)}
+                >
+                  {revokingId === session.id ? <Loader2 className="w-4 h-4 animate-spin" /> : <LogOut className="w-4 h-4" />}
+                </Button>
+              </div>
+            ))}
+            {sessions.length === 0 && <p className="text-sm text-gray-500 text-center py-4">No active sessions</p>}
+          </div>
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Close
+          </Button>
+          <Button variant="destructive" disabled={revokingId !== null || loading} onClick={handleLogoutAll}>
+            Sign out everywhere
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,161 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { authService } from '@/services/authService';
+import { useAuthStore } from '@/store/authStore';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+  DialogFooter,
+} from '@/components/ui/dialog';
+import { AlertCircle, Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
+import type { PasswordPolicy } from '@/types';
+
+interface ChangePasswordDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  // The user cannot continue until the password is changed (forced reset or expiry)
+  required?: boolean;
+}
+
+function describePolicy(policy: PasswordPolicy): string {
+  const rules = [`at least ${policy.min_length} characters`];
+  if (policy.require_uppercase) rules.push('an uppercase letter');
+  if (policy.require_lowercase) rules.push('a lowercase letter');
+  if (policy.require_number) rules.push('a number');
+  if (policy.require_symbol) rules.push('a symbol');
+  return `Use ${rules.join(', ')}.`;
+}
+
+export default function ChangePasswordDialog({ open, onOpenChange, required = false }: ChangePasswordDialogProps) {
+  const navigate = useNavigate();
+  const { user, setUser, logout } = useAuthStore();
+  const [policy, setPolicy] = useState<PasswordPolicy | null>(null);
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    setCurrentPassword('');
+    setNewPassword('');
+    setConfirmPassword('');
+    setError('');
+    authService
+      .getPasswordPolicy()
+      .then((response) => response.success && response.data && setPolicy(response.data))
+      .catch(() => undefined);
+  }, [open]);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError('');
+
+    if (newPassword !== confirmPassword) {
+      setError('New passwords do not match');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await authService.changePassword(currentPassword, newPassword);
+      if (user) setUser({ ...user, mustChangePassword: false });
+      toast.success('Password changed. Other devices have been signed out.');
+      onOpenChange(false);
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to change password');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSignOut = () => {
+    logout();
+    navigate('/login');
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={required ? () => undefined : onOpenChange}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>{required ? 'Set a New Password' : 'Change Password'}</DialogTitle>
+          <DialogDescription>
+            {required
+              ? 'Your password has expired or was reset by an administrator. Choose a new one to continue.'
+              : 'Other devices signed in to your account will be signed out.'}
+          </DialogDescription>
+        </DialogHeader>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {error && (
+            <div className="flex items-center gap-2 p-3 rounded-lg bg-red-50 text-red-700 text-sm">
+              <AlertCircle className="w-4 h-4 flex-shrink-0" />
+              {error}
+            </div>
+          )}
+
+          <div className="space-y-2">
+            <Label htmlFor="currentPassword">Current Password</Label>
+            <Input
+              id="currentPassword"
+              type="password"
+              value={currentPassword}
+              onChange={(e) => setCurrentPassword(e.target.value)}
+              autoComplete="current-password"
+              required
+            />
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="newPassword">New Password</Label>
+            <Input
+              id="newPassword"
+              type="password"
+              value={newPassword}
+              onChange={(e) => setNewPassword(e.target.value)}
+              autoComplete="new-password"
+              required
+            />
+            {policy && <p className="text-xs text-gray-500">{describePolicy(policy)}</p>}
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="confirmPassword">Confirm New Password</Label>
+            <Input
+              id="confirmPassword"
+              type="password"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              autoComplete="new-password"
+              required
+            />
+          </div>
+
+          <DialogFooter>
+            {required ? (
+              <Button type="button" variant="outline" onClick={handleSignOut}>
+                Sign out
+              </Button>
+            ) : (
+              <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+                Cancel
+              </Button>
+            )}
+            <Button type="submit" disabled={saving}>
+              {saving && <Loader2 className="w-4 h-4 animate-spin mr-2" />}
+              Change Password
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
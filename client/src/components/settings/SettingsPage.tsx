@@ -1,3 +1,4 @@
+import { useState } from 'react';
 import { useAuthStore } from '@/store/authStore';
 import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
@@ -6,6 +7,9 @@ import { Label } from '@/components/ui/label';
 import { Input } from '@/components/ui/input';
 import { Separator } from '@/components/ui/separator';
 import { formatDate, getRoleBadgeColor } from '@/lib/utils';
+import ActiveSessionsDialog from './ActiveSessionsDialog';
+import ChangePasswordDialog from './ChangePasswordDialog';
+import TwoFactorDialog from './TwoFactorDialog';
 import {
   KeyRound,
   User,
@@ -16,6 +20,9 @@ import {
 
 export default function SettingsPage() {
   const { user } = useAuthStore();
+  const [sessionsOpen, setSessionsOpen] = useState(false);
+  const [passwordOpen, setPasswordOpen] = useState(false);
+  const [twoFactorOpen, setTwoFactorOpen] = useState(false);
 
   if (!user) return null;
 
@@ -133,7 +140,7 @@ export default function SettingsPage() {
                   <p className="font-medium">Password</p>
                   <p className="text-sm text-gray-500">Last changed: Unknown</p>
                 </div>
-                <Button variant="outline">Change Password</Button>
+                <Button variant="outline" onClick={() => setPasswordOpen(true)}>Change Password</Button>
               </div>
 
               <Separator />
@@ -141,9 +148,13 @@ export default function SettingsPage() {
               <div className="flex items-center justify-between">
                 <div>
                   <p className="font-medium">Two-Factor Authentication</p>
-                  <p className="text-sm text-gray-500">Add an extra layer of security</p>
+                  <p className="text-sm text-gray-500">
+                    {user.twoFactorEnabled ? 'Enabled with an authenticator app' : 'Add an extra layer of security'}
+                  </p>
                 </div>
-                <Button variant="outline">Enable 2FA</Button>
+                <Button variant="outline" onClick={() => setTwoFactorOpen(true)}>
+                  {user.twoFactorEnabled ? 'Manage 2FA' : 'Enable 2FA'}
+                </Button>
               </div>
 
               <Separator />
@@ -153,7 +164,7 @@ export default function SettingsPage() {
                   <p className="font-medium">Active Sessions</p>
                   <p className="text-sm text-gray-500">Manage your active sessions</p>
                 </div>
-                <Button variant="outline">View Sessions</Button>
+                <Button variant="outline" onClick={() => setSessionsOpen(true)}>View Sessions</Button>
               </div>
             </CardContent>
           </Card>
@@ -226,6 +237,10 @@ export default function SettingsPage() {
           </Card>
         </div>
       </div>
+
+      <ActiveSessionsDialog open={sessionsOpen} onOpenChange={setSessionsOpen} />
+      <ChangePasswordDialog open={passwordOpen} onOpenChange={setPasswordOpen} />
+      <TwoFactorDialog open={twoFactorOpen} onOpenChange={setTwoFactorOpen} />
     </div>
   );
 }
@@ -0,0 +1,283 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { authService } from '@/services/authService';
+import { useAuthStore } from '@/store/authStore';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+  DialogFooter,
+} from '@/components/ui/dialog';
+import { AlertCircle, Copy, Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
+import type { TwoFactorStatus, TwoFactorSetup } from '@/types';
+
+interface TwoFactorDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  // The organization requires 2FA for the user's role; setup cannot be skipped
+  required?: boolean;
+}
+
+type Step = 'status' | 'scan' | 'codes' | 'disable' | 'regenerate';
+
+export default function TwoFactorDialog({ open, onOpenChange, required = false }: TwoFactorDialogProps) {
+  const navigate = useNavigate();
+  const { user, setUser, logout } = useAuthStore();
+  const [status, setStatus] = useState<TwoFactorStatus | null>(null);
+  const [setup, setSetup] = useState<TwoFactorSetup | null>(null);
+  const [recoveryCodes, setRecoveryCodes] = useState<string[]>([]);
+  const [step, setStep] = useState<Step>('status');
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    setStep('status');
+    setSetup(null);
+    setRecoveryCodes([]);
+    resetInputs();
+    loadStatus();
+  }, [open]);
+
+  const resetInputs = () => {
+    setCode('');
+    setPassword('');
+    setError('');
+  };
+
+  const loadStatus = async () => {
+    try {
+      const response = await authService.getTwoFactorStatus();
+      if (response.success && response.data) setStatus(response.data);
+    } catch (err) {
+      console.error('Failed to load two-factor status:', err);
+    }
+  };
+
+  const run = async (action: () => Promise<void>, fallback: string) => {
+    setBusy(true);
+    setError('');
+    try {
+      await action();
+    } catch (err: any) {
+      setError(err?.response?.data?.error || fallback);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleStart = () =>
+    run(async () => {
+      const response = await authService.setupTwoFactor();
+      if (response.data) {
+        setSetup(response.data);
+        resetInputs();
+        setStep('scan');
+      }
+    }, 'Failed to start setup');
+
+  const handleEnable = () =>
+    run(async () => {
+      const response = await authService.enableTwoFactor(code);
+      setRecoveryCodes(response.data?.recoveryCodes || []);
+      toast.success('Two-factor authentication enabled');
+      setStep('codes');
+    }, 'Failed to enable two-factor authentication');
+
+  const handleRegenerate = () =>
+    run(async () => {
+      const response = await authService.regenerateRecoveryCodes('totp', code);
+      setRecoveryCodes(response.data?.recoveryCodes || []);
+      setStep('codes');
+    }, 'Failed to generate recovery codes');
+
+  const handleDisable = () =>
+    run(async () => {
+      await authService.disableTwoFactor(password, 'totp', code);
+      if (user) setUser({ ...user, twoFactorEnabled: false });
+      toast.success('Two-factor authentication turned off');
+      onOpenChange(false);
+    }, 'Failed to turn off two-factor authentication');
+
+  // The store is updated only now so a required-setup gate stays up while the codes are shown
+  const handleDone = () => {
+    if (user && !user.twoFactorEnabled) setUser({ ...user, twoFactorEnabled: true, twoFactorSetupRequired: false });
+    onOpenChange(false);
+  };
+
+  const copyCodes = async () => {
+    await navigator.clipboard.writeText(recoveryCodes.join('\n'));
+    toast.success('Recovery codes copied');
+  };
+
+  const handleSignOut = () => {
+    logout();
+    navigate('/login');
+  };
+
+  const codeInput = (
+    <div className="space-y-2">
+      <Label htmlFor="twoFactorCode">Code from your authenticator app</Label>
+      <Input
+        id="twoFactorCode"
+        inputMode="numeric"
+        maxLength={6}
+        value={code}
+        onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+        autoComplete="one-time-code"
+      />
+    </div>
+  );
+
+  return (
+    <Dialog open={open} onOpenChange={required ? () => undefined : onOpenChange}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>Two-Factor Authentication</DialogTitle>
+          <DialogDescription>
+            {required
+              ? 'Your organization requires two-factor authentication for your role. Set it up to continue.'
+              : 'Sign in with a code from an authenticator app as well as your password.'}
+          </DialogDescription>
+        </DialogHeader>
+
+        {error && (
+          <div className="flex items-center gap-2 p-3 rounded-lg bg-red-50 text-red-700 text-sm">
+            <AlertCircle className="w-4 h-4 flex-shrink-0" />
+            {error}
+          </div>
+        )}
+
+        {step === 'status' && status?.enabled && (
+          <div className="space-y-2 text-sm">
+            <p className="flex items-center gap-2">
+              Status <Badge className="bg-green-100 text-green-700">Enabled</Badge>
+              {status.required && <Badge variant="outline">Required by your organization</Badge>}
+            </p>
+            <p className="text-gray-500">{status.recoveryCodesRemaining} recovery codes left</p>
+          </div>
+        )}
+
+        {step === 'status' && status && !status.enabled && (
+          <p className="text-sm text-gray-600">
+            Use Google Authenticator, Microsoft Authenticator, Authy or any TOTP app. You will also get recovery
+            codes in case you lose your phone.
+          </p>
+        )}
+
+        {step === 'scan' && setup && (
+          <div className="space-y-4">
+            <div className="flex justify-center">
+              <img src={setup.qrCode} alt="Authenticator QR code" className="w-44 h-44" />
+            </div>
+            <p className="text-xs text-gray-500 text-center break-all">
+              Can't scan? Enter this key: <span className="font-mono">{setup.secret}</span>
+            </p>
+            {codeInput}
+          </div>
+        )}
+
+        {step === 'codes' && (
+          <div className="space-y-3">
+            <p className="text-sm text-gray-600">
+              Save these recovery codes somewhere safe. Each one signs you in once if you lose your phone. They will
+              not be shown again.
+            </p>
+            <div className="grid grid-cols-2 gap-2 p-3 bg-gray-50 rounded-lg font-mono text-sm">
+              {recoveryCodes.map((c) => (
+                <span key={c}>{c}</span>
+              ))}
+            </div>
+            <Button variant="outline" size="sm" onClick={copyCodes}>
+              <Copy className="w-4 h-4 mr-2" />
+              Copy codes
+            </Button>
+          </div>
+        )}
+
+        {step === 'regenerate' && (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600">Your current recovery codes will stop working.</p>
+            {codeInput}
+          </div>
+        )}
+
+        {step === 'disable' && (
+          <div className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="twoFactorPassword">Password</Label>
+              <Input
+                id="twoFactorPassword"
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                autoComplete="current-password"
+              />
+            </div>
+            {codeInput}
+          </div>
+        )}
+
+        <DialogFooter>
+          {step === 'status' && status?.enabled && (
+            <>
+              {!status.required && (
+                <Button variant="outline" onClick={() => { resetInputs(); setStep('disable'); }}>
+                  Turn off
+                </Button>
+              )}
+              <Button variant="outline" onClick={() => { resetInputs(); setStep('regenerate'); }}>
+                New recovery codes
+              </Button>
+            </>
+          )}
+          {step === 'status' && status && !status.enabled && (
+            <>
+              {required ? (
+                <Button variant="outline" onClick={handleSignOut}>
+                  Sign out
+                </Button>
+              ) : (
+                <Button variant="outline" onClick={() => onOpenChange(false)}>
+                  Cancel
+                </Button>
+              )}
+              <Button onClick={handleStart} disabled={busy}>
+                {busy && <Loader2 className="w-4 h-4 animate-spin mr-2" />}
+                Set up
+              </Button>
+            </>
+          )}
+          {step === 'scan' && (
+            <Button onClick={handleEnable} disabled={busy || code.length !== 6}>
+              {busy && <Loader2 className="w-4 h-4 animate-spin mr-2" />}
+              Verify and enable
+            </Button>
+          )}
+          {step === 'codes' && <Button onClick={handleDone}>Done</Button>}
+          {step === 'regenerate' && (
+            <Button onClick={handleRegenerate} disabled={busy || code.length !== 6}>
+              {busy && <Loader2 className="w-4 h-4 animate-spin mr-2" />}
+              Generate codes
+            </Button>
+          )}
+          {step === 'disable' && (
+            <Button variant="destructive" onClick={handleDisable} disabled={busy || !password || code.length !== 6}>
+              {busy && <Loader2 className="w-4 h-4 animate-spin mr-2" />}
+              Turn off 2FA
+            </Button>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -6,6 +6,7 @@ import { Badge } from '@/components/ui/badge';
 import { Button } from '@/components/ui/button';
 import { Textarea } from '@/components/ui/textarea';
 import { Label } from '@/components/ui/label';
+import { Checkbox } from '@/components/ui/checkbox';
 import {
   Dialog,
   DialogContent,
@@ -24,9 +25,26 @@ import {
   User,
   AlertCircle,
   RefreshCw,
+  ShieldAlert,
 } from 'lucide-react';
 import { toast } from 'sonner';
-import type { Voucher } from '@/types';
+import StepUpDialog from './StepUpDialog';
+import type { Voucher, VoucherRiskFlag } from '@/types';
+
+const RISK_BADGE_COLORS: Record<VoucherRiskFlag['severity'], string> = {
+  high: 'bg-red-100 text-red-700',
+  medium: 'bg-orange-100 text-orange-700',
+  low: 'bg-yellow-100 text-yellow-700',
+};
+
+const RISK_LABELS: Record<string, string> = {
+  DUPLICATE_PAYMENT: 'Possible Duplicate',
+  THRESHOLD_SPLIT: 'Threshold Split',
+  NEW_PAYEE_LARGE_PAYMENT: 'New Payee',
+  OFF_HOURS_CREATION: 'Off Hours',
+  PAYEE_BANK_CHANGED: 'Bank Changed',
+  BUDGET_EXCEEDED: 'Over Budget',
+};
 
 export default function ApprovalQueue() {
   const { user } = useAuthStore();
@@ -36,6 +54,9 @@ export default function ApprovalQueue() {
   const [approvalAction, setApprovalAction] = useState<'approve' | 'reject' | null>(null);
   const [comments, setComments] = useState('');
   const [processing, setProcessing] = useState(false);
+  const [selectedIds, setSelectedIds] = useState<string[]>([]);
+  const [bulkMode, setBulkMode] = useState(false);
+  const [stepUpOpen, setStepUpOpen] = useState(false);
 
   useEffect(() => {
     loadPendingApprovals();
@@ -48,6 +69,8 @@ export default function ApprovalQueue() {
       
       if (response.success && response.data) {
         setPendingVouchers(response.data);
+        const ids = response.data.map((v) => v.id);
+        setSelectedIds((prev) => prev.filter((id) => ids.includes(id)));
       }
     } catch (error) {
       console.error('Failed to load pending approvals:', error);
@@ -57,7 +80,76 @@ export default function ApprovalQueue() {
     }
   };
 
+  const closeDialog = () => {
+    setApprovalAction(null);
+    setBulkMode(false);
+    setComments('');
+  };
+
+  const toggleSelected = (id: string, checked: boolean) => {
+    setSelectedIds((prev) => (checked ? [...prev, id] : prev.filter((v) => v !== id)));
+  };
+
+  const handleBulkAction = async () => {
+    if (!approvalAction || selectedIds.length === 0) return;
+
+    if (approvalAction === 'reject' && !comments.trim()) {
+      toast.error('Please provide a reason for rejection');
+      return;
+    }
+
+    setProcessing(true);
+
+    try {
+      const response =
+        approvalAction === 'approve'
+          ? await voucherService.bulkApprove(selectedIds, comments)
+          : await voucherService.bulkReject(selectedIds, comments);
+
+      if (!response.data) {
+        toast.error(response.error || `Failed to ${approvalAction} vouchers`);
+        return;
+      }
+
+      const { succeeded, failed, results } = response.data;
+      if (succeeded > 0) {
+        toast.success(`${succeeded} voucher${succeeded === 1 ? '' : 's'} ${approvalAction}d`);
+      }
+
+      // High-value vouchers need a fresh re-authentication; retry the rest once it is done
+      if (results.some((r) => r.code === 'STEP_UP_REQUIRED')) {
+        setSelectedIds(results.filter((r) => !r.success).map((r) => r.voucher_id));
+        if (succeeded > 0) loadPendingApprovals();
+        setStepUpOpen(true);
+        return;
+      }
+
+      if (failed > 0) {
+        const firstFailure = results.find((r) => !r.success);
+        toast.error(
+          `${failed} voucher${failed === 1 ? '' : 's'} could not be ${approvalAction}d` +
+            (firstFailure?.error ? `: ${firstFailure.error}` : '')
+        );
+      }
+
+      // Keep failed vouchers selected so they can be retried or handled one by one
+      setSelectedIds(results.filter((r) => !r.success).map((r) => r.voucher_id));
+      closeDialog();
+      loadPendingApprovals();
+    } catch (error) {
+      console.error(`Failed to bulk ${approvalAction} vouchers:`, error);
+      toast.error(`Failed to ${approvalAction} vouchers`);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
   const handleApprovalAction = async () => {
+    if (bulkMode) {
+      await handleBulkAction();
+      return;
+    }
+
     if (!selectedVoucher || !approvalAction) return;
 
     if (approvalAction === 'reject' && !comments.trim()) {
@@ -84,15 +176,26 @@ export default function ApprovalQueue() {
       } else {
         toast.error(response.error || `Failed to ${approvalAction} voucher`);
       }
-    } catch (error) {
+    } catch (error: any) {
+      if (error?.response?.data?.code === 'STEP_UP_REQUIRED') {
+        setStepUpOpen(true);
+        return;
+      }
       console.error(`Failed to ${approvalAction} voucher:`, error);
-      toast.error(`Failed to ${approvalAction} voucher`);
+      toast.error(error?.response?.data?.error || `Failed to ${approvalAction} voucher`);
     } finally {
       setProcessing(false);
     }
   };
 
   const totalPendingAmount = pendingVouchers.reduce((sum, v) => sum + v.amount, 0);
+  const selectedVouchers = pendingVouchers.filter((v) => selectedIds.includes(v.id));
+  const selectedAmount = selectedVouchers.reduce((sum, v) => sum + v.amount, 0);
+  const selectionAboveLimit = selectedVouchers.some(
+    (v) => user?.approvalLimit && v.amount > user.approvalLimit
+  );
+  const allSelected = pendingVouchers.length > 0 && selectedIds.length === pendingVouchers.length;
+  const selectionFlagged = selectedVouchers.filter((v) => (v.riskFlags?.length || 0) > 0).length;
 
   return (
     <div className="space-y-6">
@@ -162,10 +265,51 @@ export default function ApprovalQueue() {
       {/* Pending Vouchers */}
       <Card>
         <CardHeader>
-          <CardTitle className="flex items-center gap-2">
-            <FileText className="w-5 h-5" />
-            Vouchers Awaiting Your Approval ({pendingVouchers.length})
-          </CardTitle>
+          <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+            <CardTitle className="flex items-center gap-2">
+              {pendingVouchers.length > 0 && (
+                <Checkbox
+                  checked={allSelected}
+                  onCheckedChange={(checked) =>
+                    setSelectedIds(checked === true ? pendingVouchers.map((v) => v.id) : [])
+                  }
+                  aria-label="Select all vouchers"
+                />
+              )}
+              <FileText className="w-5 h-5" />
+              Vouchers Awaiting Your Approval ({pendingVouchers.length})
+            </CardTitle>
+            {selectedIds.length > 0 && (
+              <div className="flex items-center gap-2">
+                <span className="text-sm text-gray-600">
+                  {selectedIds.length} selected · {formatCurrency(selectedAmount, 'HKD')}
+                </span>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => {
+                    setBulkMode(true);
+                    setApprovalAction('reject');
+                  }}
+                  className="text-red-600 hover:text-red-700 hover:bg-red-50"
+                >
+                  <XCircle className="w-4 h-4 mr-1" />
+                  Reject Selected
+                </Button>
+                <Button
+                  size="sm"
+                  onClick={() => {
+                    setBulkMode(true);
+                    setApprovalAction('approve');
+                  }}
+                  disabled={selectionAboveLimit}
+                >
+                  <CheckCircle2 className="w-4 h-4 mr-1" />
+                  Approve Selected
+                </Button>
+              </div>
+            )}
+          </div>
         </CardHeader>
         <CardContent>
           {loading ? (
@@ -189,6 +333,11 @@ export default function ApprovalQueue() {
                     className="p-4 border rounded-lg hover:shadow-md transition-shadow"
                   >
                     <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+                      <Checkbox
+                        checked={selectedIds.includes(voucher.id)}
+                        onCheckedChange={(checked) => toggleSelected(voucher.id, checked === true)}
+                        aria-label={`Select ${voucher.voucherNumber}`}
+                      />
                       <div className="flex-1">
                         <div className="flex items-center gap-3 mb-2">
                           <span className="font-mono text-sm font-medium text-cyan-600">
@@ -199,6 +348,17 @@ export default function ApprovalQueue() {
                               Above Limit
                             </Badge>
                           )}
+                          {voucher.riskFlags?.map((flag) => (
+                            <Badge
+                              key={flag.code}
+                              className={`${RISK_BADGE_COLORS[flag.severity]} gap-1`}
+                              variant="secondary"
+                              title={flag.message}
+                            >
+                              <ShieldAlert className="w-3 h-3" />
+                              {RISK_LABELS[flag.code] || flag.code}
+                            </Badge>
+                          ))}
                         </div>
                         <p className="text-gray-700 mb-2">
                           {voucher.description?.substring(0, 100)}
@@ -267,10 +427,7 @@ export default function ApprovalQueue() {
       {/* Approval Action Dialog */}
       <Dialog
         open={!!approvalAction}
-        onOpenChange={() => {
-          setApprovalAction(null);
-          setComments('');
-        }}
+        onOpenChange={closeDialog}
       >
         <DialogContent className="max-w-md">
           <DialogHeader>
@@ -278,17 +435,19 @@ export default function ApprovalQueue() {
               {approvalAction === 'approve' ? (
                 <>
                   <CheckCircle2 className="w-5 h-5 text-green-600" />
-                  Approve Voucher
+                  {bulkMode ? `Approve ${selectedIds.length} Vouchers` : 'Approve Voucher'}
                 </>
               ) : (
                 <>
                   <XCircle className="w-5 h-5 text-red-600" />
-                  Reject Voucher
+                  {bulkMode ? `Reject ${selectedIds.length} Vouchers` : 'Reject Voucher'}
                 </>
               )}
             </DialogTitle>
             <DialogDescription>
-              {selectedVoucher?.voucherNumber} - {formatCurrency(selectedVoucher?.amount || 0, selectedVoucher?.currency || 'HKD')}
+              {bulkMode
+                ? `${selectedIds.length} selected - ${formatCurrency(selectedAmount, 'HKD')}`
+                : `${selectedVoucher?.voucherNumber} - ${formatCurrency(selectedVoucher?.amount || 0, selectedVoucher?.currency || 'HKD')}`}
             </DialogDescription>
           </DialogHeader>
 
@@ -310,17 +469,42 @@ export default function ApprovalQueue() {
               />
             </div>
 
+            {approvalAction === 'approve' && !bulkMode && (selectedVoucher?.riskFlags?.length || 0) > 0 && (
+              <div className="space-y-1 p-3 bg-orange-50 rounded-lg text-orange-800 text-sm">
+                <div className="flex items-center gap-2 font-medium">
+                  <ShieldAlert className="w-4 h-4" />
+                  Review these warnings before approving
+                </div>
+                <ul className="list-disc pl-6">
+                  {selectedVoucher?.riskFlags?.map((flag) => (
+                    <li key={flag.code}>{flag.message}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {approvalAction === 'approve' && bulkMode && selectionFlagged > 0 && (
+              <div className="flex items-center gap-2 p-3 bg-orange-50 rounded-lg text-orange-800 text-sm">
+                <ShieldAlert className="w-4 h-4" />
+                {selectionFlagged} of the selected vouchers carry risk warnings.
+              </div>
+            )}
+
             {approvalAction === 'approve' && (
               <div className="flex items-center gap-2 p-3 bg-green-50 rounded-lg text-green-700 text-sm">
                 <AlertCircle className="w-4 h-4" />
-                This action will approve the payment voucher.
+                {bulkMode
+                  ? 'Each voucher is signature-checked and approved at its next level; any that fail are reported individually.'
+                  : 'This action will approve the payment voucher.'}
               </div>
             )}
 
             {approvalAction === 'reject' && (
               <div className="flex items-center gap-2 p-3 bg-red-50 rounded-lg text-red-700 text-sm">
                 <AlertCircle className="w-4 h-4" />
-                This action will reject the payment voucher.
+                {bulkMode
+                  ? 'This reason will be recorded against every selected voucher.'
+                  : 'This action will reject the payment voucher.'}
               </div>
             )}
           </div>
@@ -328,10 +512,7 @@ export default function ApprovalQueue() {
           <DialogFooter>
             <Button
               variant="outline"
-              onClick={() => {
-                setApprovalAction(null);
-                setComments('');
-              }}
+              onClick={closeDialog}
             >
               Cancel
             </Button>
@@ -354,6 +535,8 @@ export default function ApprovalQueue() {
           </DialogFooter>
         </DialogContent>
       </Dialog>
+
+      <StepUpDialog open={stepUpOpen} onOpenChange={setStepUpOpen} onConfirmed={handleApprovalAction} />
     </div>
   );
 }
@@ -0,0 +1,123 @@
+import { useState, useEffect } from 'react';
+import { authService } from '@/services/authService';
+import { useAuthStore } from '@/store/authStore';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+  DialogFooter,
+} from '@/components/ui/dialog';
+import { AlertCircle, Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
+
+interface StepUpDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  // Called once the server has accepted the re-authentication
+  onConfirmed: () => void;
+}
+
+// Re-authentication the server asks for (403 STEP_UP_REQUIRED) before high-value approvals
+export default function StepUpDialog({ open, onOpenChange, onConfirmed }: StepUpDialogProps) {
+  const { user } = useAuthStore();
+  const usesTwoFactor = Boolean(user?.twoFactorEnabled);
+  const [method, setMethod] = useState<'totp' | 'sms'>('totp');
+  const [value, setValue] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    setMethod('totp');
+    setValue('');
+    setError('');
+  }, [open]);
+
+  const handleSendSms = async () => {
+    setError('');
+    try {
+      const response = await authService.sendStepUpSms();
+      toast.success(response.message || 'Code sent');
+      setMethod('sms');
+      setValue('');
+    } catch (err: any) {
+      setError(err?.response?.data?.error || 'Failed to send code');
+    }
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setBusy(true);
+    setError('');
+    try {
+      await authService.stepUp(usesTwoFactor ? { method, code: value } : { password: value });
+      onOpenChange(false);
+      onConfirmed();
+    } catch (err: any) {
+      setError(err?.response?.data?.error || 'Verification failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-sm">
+        <DialogHeader>
+          <DialogTitle>Confirm It's You</DialogTitle>
+          <DialogDescription>
+            This approval is above your organization's step-up amount.{' '}
+            {usesTwoFactor
+              ? method === 'sms'
+                ? 'Enter the code we sent to your mobile.'
+                : 'Enter a code from your authenticator app.'
+              : 'Enter your password.'}
+          </DialogDescription>
+        </DialogHeader>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {error && (
+            <div className="flex items-center gap-2 p-3 rounded-lg bg-red-50 text-red-700 text-sm">
+              <AlertCircle className="w-4 h-4 flex-shrink-0" />
+              {error}
+            </div>
+          )}
+
+          <div className="space-y-2">
+            <Label htmlFor="stepUpValue">{usesTwoFactor ? 'Verification code' : 'Password'}</Label>
+            <Input
+              id="stepUpValue"
+              type={usesTwoFactor ? 'text' : 'password'}
+              inputMode={usesTwoFactor ? 'numeric' : undefined}
+              value={value}
+              onChange={(e) => setValue(e.target.value)}
+              autoComplete={usesTwoFactor ? 'one-time-code' : 'current-password'}
+              autoFocus
+              required
+            />
+            {usesTwoFactor && (
+              <button type="button" className="text-sm text-primary hover:underline" onClick={handleSendSms}>
+                {method === 'sms' ? 'Resend code' : 'Text me a code instead'}
+              </button>
+            )}
+          </div>
+
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={busy || !value}>
+              {busy && <Loader2 className="w-4 h-4 animate-spin mr-2" />}
+              Confirm
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
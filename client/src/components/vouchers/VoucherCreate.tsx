@@ -12,7 +12,7 @@ import {
   SelectTrigger,
   SelectValue,
 } from '@/components/ui/select';
-import { PlusCircle, DollarSign, Calendar, Building2, User, FileText, Upload, X } from 'lucide-react';
+import { PlusCircle, DollarSign, Calendar, Building2, User, FileText, Upload, X, Save } from 'lucide-react';
 import { toast } from 'sonner';
 import type { Company, Payee, PaymentMode, VoucherFormData } from '@/types';
 
@@ -77,10 +77,10 @@ export default function VoucherCreate({ onSuccess }: VoucherCreateProps) {
   const handleFileUpload = (e: React.ChangeEvent<HTMLInputElement>) => {
     const files = Array.from(e.target.files || []);
     const validFiles = files.filter(file => {
-      const maxSize = 10 * 1024 * 1024; // 10MB
-      const validTypes = ['image/jpeg', 'image/png', 'image/gif', 'application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'];
+      const maxSize = 25 * 1024 * 1024; // largest plan limit; the server applies the org's plan
+      const validTypes = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'];
       if (file.size > maxSize) {
-        toast.error(`${file.name} is too large. Maximum size is 10MB.`);
+        toast.error(`${file.name} is too large. Maximum size is 25MB.`);
         return false;
       }
       if (!validTypes.includes(file.type)) {
@@ -102,7 +102,7 @@ export default function VoucherCreate({ onSuccess }: VoucherCreateProps) {
     return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
   };
 
-  const handleSubmit = async (e: React.FormEvent) => {
+  const handleSubmit = async (e: React.FormEvent, submit: boolean = true) => {
     e.preventDefault();
     
     // Validation
@@ -119,10 +119,31 @@ export default function VoucherCreate({ onSuccess }: VoucherCreateProps) {
     setLoading(true);
 
     try {
-      const response = await voucherService.createVoucher(formData);
+      // Attachments can only be added to drafts and are covered by the
+      // signature, so upload them before submitting
+      let response = await voucherService.createVoucher(formData, submit && attachments.length === 0);
+
+      if (response.success && response.data && attachments.length > 0) {
+        const draft = response.data;
+        try {
+          await voucherService.uploadAttachments(draft.id, attachments);
+          if (submit) {
+            response = await voucherService.submitForApproval(draft.id);
+          }
+        } catch (error) {
+          console.error('Failed to upload attachments or submit voucher:', error);
+          toast.error('Voucher saved as draft, but the attachments could not be uploaded or the voucher could not be submitted');
+          onSuccess();
+          return;
+        }
+      }
 
       if (response.success) {
-        toast.success('Voucher created successfully!');
+        toast.success(submit ? 'Voucher submitted for approval!' : 'Voucher saved as draft');
+        onSuccess();
+      } else if (response.data) {
+        // Saved as a draft, but submission was refused
+        toast.error(response.error || 'Voucher saved as draft but could not be submitted');
         onSuccess();
       } else {
         toast.error(response.error || 'Failed to create voucher');
@@ -301,7 +322,7 @@ export default function VoucherCreate({ onSuccess }: VoucherCreateProps) {
                   id="file-upload"
                   className="hidden"
                   multiple
-                  accept=".jpg,.jpeg,.png,.gif,.pdf,.doc,.docx"
+                  accept=".jpg,.jpeg,.png,.webp,.pdf"
                   onChange={handleFileUpload}
                 />
                 <label htmlFor="file-upload" className="cursor-pointer">
@@ -310,7 +331,7 @@ export default function VoucherCreate({ onSuccess }: VoucherCreateProps) {
                     <span className="text-blue-600 font-medium">Click to upload</span> or drag and drop
                   </p>
                   <p className="text-xs text-gray-500 mt-1">
-                    PDF, DOC, DOCX, JPG, PNG, GIF (max 10MB each)
+                    PDF, JPG, PNG, WEBP (size limit depends on your plan)
                   </p>
                 </label>
               </div>
@@ -350,15 +371,24 @@ export default function VoucherCreate({ onSuccess }: VoucherCreateProps) {
                 {loading ? (
                   <>
                     <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin mr-2" />
-                    Creating...
+                    Submitting...
                   </>
                 ) : (
                   <>
                     <PlusCircle className="w-4 h-4 mr-2" />
-                    Create Voucher
+                    Submit for Approval
                   </>
                 )}
               </Button>
+              <Button
+                type="button"
+                variant="outline"
+                disabled={loading || !isFormValid()}
+                onClick={(e) => handleSubmit(e, false)}
+              >
+                <Save className="w-4 h-4 mr-2" />
+                Save as Draft
+              </Button>
               <Button type="button" variant="outline" onClick={onSuccess}>
                 Cancel
               </Button>
@@ -31,13 +31,24 @@ api.interceptors.request.use(
   (error) => Promise.reject(error)
 );
 
-// Response interceptor - handle errors
+// Response interceptor - refresh expired access tokens, handle errors
 api.interceptors.response.use(
   (response) => response,
-  (error: AxiosError) => {
+  async (error: AxiosError<{ code?: string }>) => {
+    const original = error.config as (InternalAxiosRequestConfig & { _retried?: boolean }) | undefined;
+
+    if (error.response?.status === 401 && error.response.data?.code === 'TOKEN_EXPIRED' && original && !original._retried) {
+      original._retried = true;
+      const token = await useAuthStore.getState().refreshSession();
+      if (token) {
+        original.headers.Authorization = `Bearer ${token}`;
+        return api(original);
+      }
+    }
+
     if (error.response?.status === 401) {
-      // Token expired or invalid - logout
-      useAuthStore.getState().logout();
+      // Session expired, signed out or invalid - logout
+      useAuthStore.getState().logout(false);
       window.location.href = '/login';
     }
     return Promise.reject(error);
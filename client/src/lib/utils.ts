@@ -49,6 +49,7 @@ export function getStatusColor(status: string): string {
     rejected: 'bg-red-100 text-red-700 border-red-200',
     cancelled: 'bg-gray-100 text-gray-700 border-gray-200',
     paid: 'bg-blue-100 text-blue-700 border-blue-200',
+    failed: 'bg-red-100 text-red-700 border-red-200',
     draft: 'bg-slate-100 text-slate-700 border-slate-200',
     active: 'bg-green-100 text-green-700 border-green-200',
     inactive: 'bg-gray-100 text-gray-700 border-gray-200',
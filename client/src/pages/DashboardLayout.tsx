@@ -7,6 +7,8 @@ import VoucherList from '@/components/vouchers/VoucherList';
 import VoucherCreate from '@/components/vouchers/VoucherCreate';
 import ApprovalQueue from '@/components/vouchers/ApprovalQueue';
 import SettingsPage from '@/components/settings/SettingsPage';
+import ChangePasswordDialog from '@/components/settings/ChangePasswordDialog';
+import TwoFactorDialog from '@/components/settings/TwoFactorDialog';
 import { cn } from '@/lib/utils';
 import { Shield, AlertTriangle, XCircle } from 'lucide-react';
 
@@ -109,7 +111,14 @@ export default function DashboardLayout() {
         )}
       >
         <LicenseBanner license={licenseInfo} />
-        {renderView()}
+        {/* The API refuses everything else until a required password change or 2FA setup is done */}
+        {user.mustChangePassword ? (
+          <ChangePasswordDialog open required onOpenChange={() => undefined} />
+        ) : user.twoFactorSetupRequired ? (
+          <TwoFactorDialog open required onOpenChange={() => undefined} />
+        ) : (
+          renderView()
+        )}
       </main>
     </div>
   );
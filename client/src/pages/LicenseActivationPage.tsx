@@ -74,9 +74,10 @@ export default function LicenseActivationPage() {
         if (data.alreadyActivated && data.token && data.user) {
           // License already activated — server logged us in directly
           const store = useAuthStore.getState();
-          store.setUser(data.user);
+          store.setUser({ ...data.user, mustChangePassword: Boolean(data.passwordChangeRequired) });
           useAuthStore.setState({
             token: data.token,
+            refreshToken: data.refreshToken || null,
             isAuthenticated: true,
             licenseInfo: data.license || null,
           });
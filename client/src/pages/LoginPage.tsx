@@ -1,19 +1,31 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { useAuthStore } from '@/store/authStore';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
-import { LogIn, User, Lock, AlertCircle } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+  DialogFooter,
+} from '@/components/ui/dialog';
+import { authService } from '@/services/authService';
+import { LogIn, User, Lock, AlertCircle, Loader2, ShieldCheck } from 'lucide-react';
 import { toast } from 'sonner';
+import type { TwoFactorChallenge, TwoFactorMethod } from '@/types';
 
 export default function LoginPage() {
   const navigate = useNavigate();
-  const { login, isLoading } = useAuthStore();
+  const { login, completeTwoFactor, isLoading } = useAuthStore();
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
+  const [forgotOpen, setForgotOpen] = useState(false);
+  const [challenge, setChallenge] = useState<TwoFactorChallenge | null>(null);
 
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
@@ -25,16 +37,27 @@ export default function LoginPage() {
     }
 
     try {
-      await login(username, password);
+      const twoFactor = await login(username, password);
+      if (twoFactor) {
+        setChallenge(twoFactor);
+        return;
+      }
       toast.success('Login successful!');
       navigate('/dashboard');
-    } catch (err) {
-      const message = err instanceof Error ? err.message : 'Login failed. Please try again.';
+    } catch (err: any) {
+      const message = err?.response?.data?.error || err?.message || 'Login failed. Please try again.';
       setError(message);
       toast.error(message);
     }
   };
 
+  const handleTwoFactor = async (method: TwoFactorMethod, code: string) => {
+    if (!challenge) return;
+    await completeTwoFactor(challenge.challengeToken, method, code);
+    toast.success('Login successful!');
+    navigate('/dashboard');
+  };
+
   return (
     <div className="min-h-screen flex items-center justify-center p-4 bg-gradient-to-br from-cyan-50 via-blue-50 to-indigo-50">
       <div className="w-full max-w-md">
@@ -56,59 +79,80 @@ export default function LoginPage() {
             </CardDescription>
           </CardHeader>
           <CardContent>
-            <form onSubmit={handleSubmit} className="space-y-4">
-              {error && (
-                <div className="flex items-center gap-2 p-3 rounded-lg bg-red-50 text-red-700 text-sm">
-                  <AlertCircle className="w-4 h-4 flex-shrink-0" />
-                  {error}
-                </div>
-              )}
+            {challenge ? (
+              <TwoFactorStep
+                challenge={challenge}
+                isLoading={isLoading}
+                onVerify={handleTwoFactor}
+                onCancel={() => {
+                  setChallenge(null);
+                  setPassword('');
+                }}
+              />
+            ) : (
+              <form onSubmit={handleSubmit} className="space-y-4">
+                {error && (
+                  <div className="flex items-center gap-2 p-3 rounded-lg bg-red-50 text-red-700 text-sm">
+                    <AlertCircle className="w-4 h-4 flex-shrink-0" />
+                    {error}
+                  </div>
+                )}
 
-              <div className="space-y-2">
-                <Label htmlFor="username">Username</Label>
-                <div className="relative">
-                  <User className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
-                  <Input
-                    id="username"
-                    type="text"
-                    placeholder="Enter username"
-                    value={username}
-                    onChange={(e) => setUsername(e.target.value)}
-                    className="pl-10"
-                    autoComplete="username"
-                    required
-                  />
+                <div className="space-y-2">
+                  <Label htmlFor="username">Username</Label>
+                  <div className="relative">
+                    <User className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
+                    <Input
+                      id="username"
+                      type="text"
+                      placeholder="Enter username"
+                      value={username}
+                      onChange={(e) => setUsername(e.target.value)}
+                      className="pl-10"
+                      autoComplete="username"
+                      required
+                    />
+                  </div>
                 </div>
-              </div>
 
-              <div className="space-y-2">
-                <Label htmlFor="password">Password</Label>
-                <div className="relative">
-                  <Lock className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
-                  <Input
-                    id="password"
-                    type="password"
-                    placeholder="Enter password"
-                    value={password}
-                    onChange={(e) => setPassword(e.target.value)}
-                    className="pl-10"
-                    autoComplete="current-password"
-                    required
-                  />
+                <div className="space-y-2">
+                  <div className="flex items-center justify-between">
+                    <Label htmlFor="password">Password</Label>
+                    <button
+                      type="button"
+                      className="text-sm text-primary hover:underline"
+                      onClick={() => setForgotOpen(true)}
+                    >
+                      Forgot password?
+                    </button>
+                  </div>
+                  <div className="relative">
+                    <Lock className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
+                    <Input
+                      id="password"
+                      type="password"
+                      placeholder="Enter password"
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                      className="pl-10"
+                      autoComplete="current-password"
+                      required
+                    />
+                  </div>
                 </div>
-              </div>
 
-              <Button type="submit" className="w-full" size="lg" disabled={isLoading}>
-                {isLoading ? (
-                  <>
-                    <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin mr-2" />
-                    Signing in...
-                  </>
-                ) : (
-                  'Sign In'
-                )}
-              </Button>
-            </form>
+                <Button type="submit" className="w-full" size="lg" disabled={isLoading}>
+                  {isLoading ? (
+                    <>
+                      <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin mr-2" />
+                      Signing in...
+                    </>
+                  ) : (
+                    'Sign In'
+                  )}
+                </Button>
+              </form>
+            )}
 
             <div className="mt-6 text-center space-y-4">
               <div className="relative">
@@ -141,6 +185,274 @@ export default function LoginPage() {
           © 2026 FoodStream Ltd. All rights reserved.
         </p>
       </div>
+
+      <ForgotPasswordDialog open={forgotOpen} onOpenChange={setForgotOpen} initialIdentifier={username} />
     </div>
   );
 }
+
+const METHOD_PROMPTS: Record<TwoFactorMethod, string> = {
+  totp: 'Enter the 6-digit code from your authenticator app.',
+  recovery: 'Enter one of your recovery codes. Each code works once.',
+  sms: 'Enter the code we sent to your registered mobile.',
+};
+
+// Second sign-in step for accounts with two-factor authentication
+function TwoFactorStep({
+  challenge,
+  isLoading,
+  onVerify,
+  onCancel,
+}: {
+  challenge: TwoFactorChallenge;
+  isLoading: boolean;
+  onVerify: (method: TwoFactorMethod, code: string) => Promise<void>;
+  onCancel: () => void;
+}) {
+  const [method, setMethod] = useState<TwoFactorMethod>('totp');
+  const [code, setCode] = useState('');
+  const [error, setError] = useState('');
+  const [sending, setSending] = useState(false);
+
+  const switchMethod = (next: TwoFactorMethod) => {
+    setMethod(next);
+    setCode('');
+    setError('');
+  };
+
+  const handleSendSms = async () => {
+    setSending(true);
+    setError('');
+    try {
+      const response = await authService.sendTwoFactorSms(challenge.challengeToken);
+      toast.success(response.message || 'Code sent');
+      switchMethod('sms');
+    } catch (err: any) {
+      setError(err?.response?.data?.error || 'Failed to send code');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError('');
+    try {
+      await onVerify(method, code);
+    } catch (err: any) {
+      const data = err?.response?.data;
+      if (data?.code === 'TWO_FACTOR_CHALLENGE_INVALID' || data?.code === 'ACCOUNT_LOCKED') {
+        toast.error(data.error);
+        onCancel();
+        return;
+      }
+      setError(data?.error || 'Verification failed');
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="flex items-center gap-2 text-gray-700">
+        <ShieldCheck className="w-5 h-5 text-primary" />
+        <p className="text-sm">{METHOD_PROMPTS[method]}</p>
+      </div>
+
+      {error && (
+        <div className="flex items-center gap-2 p-3 rounded-lg bg-red-50 text-red-700 text-sm">
+          <AlertCircle className="w-4 h-4 flex-shrink-0" />
+          {error}
+        </div>
+      )}
+
+      <Input
+        id="twoFactorCode"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        inputMode={method === 'recovery' ? 'text' : 'numeric'}
+        placeholder={method === 'recovery' ? 'xxxxx-xxxxx' : '123456'}
+        autoComplete="one-time-code"
+        autoFocus
+        required
+      />
+
+      <Button type="submit" className="w-full" size="lg" disabled={isLoading || !code}>
+        {isLoading && <Loader2 className="w-4 h-4 animate-spin mr-2" />}
+        Verify
+      </Button>
+
+      <div className="flex flex-wrap justify-center gap-x-4 gap-y-1 text-sm">
+        {method !== 'totp' && (
+          <button type="button" className="text-primary hover:underline" onClick={() => switchMethod('totp')}>
+            Use authenticator app
+          </button>
+        )}
+        {method !== 'recovery' && (
+          <button type="button" className="text-primary hover:underline" onClick={() => switchMethod('recovery')}>
+            Use a recovery code
+          </button>
+        )}
+        {challenge.methods.includes('sms') && (
+          <button type="button" className="text-primary hover:underline" disabled={sending} onClick={handleSendSms}>
+            {method === 'sms' ? 'Resend code' : 'Text me a code'}
+          </button>
+        )}
+        <button type="button" className="text-gray-500 hover:underline" onClick={onCancel}>
+          Back
+        </button>
+      </div>
+    </form>
+  );
+}
+
+// Forgot password: request a code by SMS or email, then set a new password with it
+function ForgotPasswordDialog({
+  open,
+  onOpenChange,
+  initialIdentifier,
+}: {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  initialIdentifier: string;
+}) {
+  const [step, setStep] = useState<'request' | 'reset'>('request');
+  const [identifier, setIdentifier] = useState('');
+  const [channel, setChannel] = useState<'sms' | 'email'>('sms');
+  const [otp, setOtp] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    setStep('request');
+    setIdentifier(initialIdentifier);
+    setOtp('');
+    setNewPassword('');
+    setError('');
+  }, [open]);
+
+  const handleRequest = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError('');
+    setBusy(true);
+    try {
+      const response = await authService.forgotPassword(identifier, channel);
+      toast.success(response.message || 'Reset code sent');
+      setStep('reset');
+    } catch (err: any) {
+      setError(err?.response?.data?.error || 'Failed to send reset code');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleReset = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError('');
+    setBusy(true);
+    try {
+      const response = await authService.resetPassword(identifier, otp, newPassword);
+      toast.success(response.message || 'Password reset');
+      onOpenChange(false);
+    } catch (err: any) {
+      setError(err?.response?.data?.error || 'Failed to reset password');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>Reset Password</DialogTitle>
+          <DialogDescription>
+            {step === 'request'
+              ? 'We will send a reset code to the mobile or email registered on your account.'
+              : 'Enter the code you received and choose a new password.'}
+          </DialogDescription>
+        </DialogHeader>
+
+        <form onSubmit={step === 'request' ? handleRequest : handleReset} className="space-y-4">
+          {error && (
+            <div className="flex items-center gap-2 p-3 rounded-lg bg-red-50 text-red-700 text-sm">
+              <AlertCircle className="w-4 h-4 flex-shrink-0" />
+              {error}
+            </div>
+          )}
+
+          {step === 'request' ? (
+            <>
+              <div className="space-y-2">
+                <Label htmlFor="identifier">Username, email or mobile</Label>
+                <Input
+                  id="identifier"
+                  value={identifier}
+                  onChange={(e) => setIdentifier(e.target.value)}
+                  autoComplete="username"
+                  required
+                />
+              </div>
+              <div className="flex gap-2">
+                <Button
+                  type="button"
+                  variant={channel === 'sms' ? 'default' : 'outline'}
+                  className="flex-1"
+                  onClick={() => setChannel('sms')}
+                >
+                  Send by SMS
+                </Button>
+                <Button
+                  type="button"
+                  variant={channel === 'email' ? 'default' : 'outline'}
+                  className="flex-1"
+                  onClick={() => setChannel('email')}
+                >
+                  Send by email
+                </Button>
+              </div>
+            </>
+          ) : (
+            <>
+              <div className="space-y-2">
+                <Label htmlFor="resetOtp">Reset code</Label>
+                <Input
+                  id="resetOtp"
+                  inputMode="numeric"
+                  maxLength={6}
+                  value={otp}
+                  onChange={(e) => setOtp(e.target.value.replace(/\D/g, ''))}
+                  autoComplete="one-time-code"
+                  required
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="resetPassword">New password</Label>
+                <Input
+                  id="resetPassword"
+                  type="password"
+                  value={newPassword}
+                  onChange={(e) => setNewPassword(e.target.value)}
+                  autoComplete="new-password"
+                  required
+                />
+              </div>
+            </>
+          )}
+
+          <DialogFooter>
+            {step === 'reset' && (
+              <Button type="button" variant="outline" onClick={() => setStep('request')}>
+                Send a new code
+              </Button>
+            )}
+            <Button type="submit" disabled={busy}>
+              {busy && <Loader2 className="w-4 h-4 animate-spin mr-2" />}
+              {step === 'request' ? 'Send Code' : 'Reset Password'}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
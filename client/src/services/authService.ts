@@ -6,6 +6,12 @@ import type {
   TrialSignupData,
   User,
   License,
+  AuthTokens,
+  UserSession,
+  PasswordPolicy,
+  TwoFactorMethod,
+  TwoFactorStatus,
+  TwoFactorSetup,
 } from '@/types';
 
 // =====================================================
@@ -27,6 +33,107 @@ export const authService = {
     await api.post('/auth/logout');
   },
 
+  // Sign out every device, including this one
+  logoutAll: async (): Promise<ApiResponse & { count?: number }> => {
+    const response = await api.post('/auth/logout-all');
+    return response.data;
+  },
+
+  refresh: async (refreshToken: string): Promise<ApiResponse & Partial<AuthTokens>> => {
+    const response = await api.post('/auth/refresh', { refreshToken });
+    return response.data;
+  },
+
+  // Devices the current user is signed in on
+  getSessions: async (): Promise<ApiResponse<UserSession[]>> => {
+    const response = await api.get('/auth/sessions');
+    return response.data;
+  },
+
+  revokeSession: async (id: string): Promise<ApiResponse> => {
+    const response = await api.delete(`/auth/sessions/${id}`);
+    return response.data;
+  },
+
+  getPasswordPolicy: async (): Promise<ApiResponse<PasswordPolicy>> => {
+    const response = await api.get('/auth/password/policy');
+    return response.data;
+  },
+
+  // Other devices are signed out; this one stays signed in
+  changePassword: async (currentPassword: string, newPassword: string): Promise<ApiResponse> => {
+    const response = await api.post('/auth/password/change', { currentPassword, newPassword });
+    return response.data;
+  },
+
+  // identifier is a username, email or mobile; the code goes to the account's mobile or email
+  forgotPassword: async (identifier: string, channel: 'sms' | 'email' = 'sms'): Promise<ApiResponse> => {
+    const response = await api.post('/auth/password/forgot', { identifier, channel });
+    return response.data;
+  },
+
+  resetPassword: async (identifier: string, otp: string, newPassword: string): Promise<ApiResponse> => {
+    const response = await api.post('/auth/password/reset', { identifier, otp, newPassword });
+    return response.data;
+  },
+
+  // Second step of a sign-in that returned twoFactorRequired
+  verifyTwoFactor: async (
+    challengeToken: string,
+    method: TwoFactorMethod,
+    code: string
+  ): Promise<ApiResponse<{ token: string; user: User }>> => {
+    const response = await api.post('/auth/2fa/verify', { challengeToken, method, code });
+    return response.data;
+  },
+
+  sendTwoFactorSms: async (challengeToken: string): Promise<ApiResponse> => {
+    const response = await api.post('/auth/2fa/sms', { challengeToken });
+    return response.data;
+  },
+
+  getTwoFactorStatus: async (): Promise<ApiResponse<TwoFactorStatus>> => {
+    const response = await api.get('/auth/2fa');
+    return response.data;
+  },
+
+  setupTwoFactor: async (): Promise<ApiResponse<TwoFactorSetup>> => {
+    const response = await api.post('/auth/2fa/setup');
+    return response.data;
+  },
+
+  // Recovery codes are only returned here and by regenerateRecoveryCodes
+  enableTwoFactor: async (code: string): Promise<ApiResponse<{ recoveryCodes: string[] }>> => {
+    const response = await api.post('/auth/2fa/enable', { code });
+    return response.data;
+  },
+
+  regenerateRecoveryCodes: async (
+    method: TwoFactorMethod,
+    code: string
+  ): Promise<ApiResponse<{ recoveryCodes: string[] }>> => {
+    const response = await api.post('/auth/2fa/recovery-codes', { method, code });
+    return response.data;
+  },
+
+  disableTwoFactor: async (password: string, method: TwoFactorMethod, code: string): Promise<ApiResponse> => {
+    const response = await api.post('/auth/2fa/disable', { password, method, code });
+    return response.data;
+  },
+
+  // Re-authenticate before approving high-value vouchers: a code with 2FA, otherwise the password
+  stepUp: async (
+    input: { method: TwoFactorMethod; code: string } | { password: string }
+  ): Promise<ApiResponse & { validUntil?: string }> => {
+    const response = await api.post('/auth/2fa/step-up', input);
+    return response.data;
+  },
+
+  sendStepUpSms: async (): Promise<ApiResponse> => {
+    const response = await api.post('/auth/2fa/step-up/sms');
+    return response.data;
+  },
+
   getMe: async (): Promise<ApiResponse<User>> => {
     const response = await api.get('/auth/me');
     return response.data;
@@ -37,8 +144,8 @@ export const authService = {
     return response.data;
   },
 
-  verifyOtp: async (mobile: string, otp: string): Promise<ApiResponse> => {
-    const response = await api.post('/auth/otp/verify', { mobile, otp });
+  verifyOtp: async (mobile: string, otp: string, otpType?: string): Promise<ApiResponse> => {
+    const response = await api.post('/auth/otp/verify', { mobile, otp, otpType });
     return response.data;
   },
 };
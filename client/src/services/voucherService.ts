@@ -5,9 +5,33 @@ import type {
   Voucher,
   VoucherFormData,
   VoucherFilters,
+  VoucherAttachment,
+  AttachmentLimits,
   Company,
   Payee,
+  PayeeBankChange,
+  PayeeBankChangeStatus,
+  PayeeBankDetails,
+  IfscLookup,
+  PayeeImportOptions,
+  PayeeImportResult,
   HeadOfAccount,
+  HeadOfAccountNode,
+  HeadOfAccountInput,
+  HeadOfAccountMergeResult,
+  HeadOfAccountBudget,
+  HeadOfAccountBudgetInput,
+  BudgetPeriodType,
+  BudgetStatus,
+  BudgetVsActualReport,
+  ApprovalChainStatus,
+  BulkActionResult,
+  Payout,
+  SmsDeliveryStatus,
+  VoucherRiskRules,
+  ExportDataset,
+  ExportFormat,
+  ExportRecord,
 } from '@/types';
 
 // =====================================================
@@ -36,8 +60,8 @@ export const voucherService = {
     return response.data;
   },
 
-  // Create new voucher
-  createVoucher: async (data: VoucherFormData): Promise<ApiResponse<Voucher>> => {
+  // Create new voucher; saved as a draft unless submit is true
+  createVoucher: async (data: VoucherFormData, submit: boolean = false): Promise<ApiResponse<Voucher>> => {
     const formData = {
       company_id: data.companyId,
       payee_id: data.payeeId,
@@ -47,6 +71,7 @@ export const voucherService = {
       head_of_account_id: data.headOfAccountId,
       description: data.description,
       due_date: data.dueDate,
+      submit,
     };
     const response = await api.post('/vouchers', formData);
     return response.data;
@@ -64,7 +89,7 @@ export const voucherService = {
     return response.data;
   },
 
-  // Submit voucher for approval
+  // Submit a draft for approval
   submitForApproval: async (id: string): Promise<ApiResponse<Voucher>> => {
     const response = await api.post(`/vouchers/${id}/submit`);
     return response.data;
@@ -82,6 +107,82 @@ export const voucherService = {
     return response.data;
   },
 
+  // Approve several vouchers (next approval level of each)
+  bulkApprove: async (voucherIds: string[], comments?: string): Promise<ApiResponse<BulkActionResult>> => {
+    const response = await api.post('/vouchers/bulk-approve', { voucher_ids: voucherIds, comments });
+    return response.data;
+  },
+
+  // Reject several vouchers with one reason
+  bulkReject: async (voucherIds: string[], reason: string): Promise<ApiResponse<BulkActionResult>> => {
+    const response = await api.post('/vouchers/bulk-reject', { voucher_ids: voucherIds, rejection_reason: reason });
+    return response.data;
+  },
+
+  // Get approval chain status (levels signed off and pending)
+  getApprovalChain: async (id: string): Promise<ApiResponse<ApprovalChainStatus>> => {
+    const response = await api.get(`/vouchers/${id}/approval-chain`);
+    return response.data;
+  },
+
+  // Download printable voucher PDF (with signature QR code)
+  getVoucherPdf: async (id: string): Promise<Blob> => {
+    const response = await api.get(`/vouchers/${id}/pdf`, { responseType: 'blob' });
+    return response.data;
+  },
+
+  // Attachments of a voucher, with the plan's limits
+  getAttachments: async (id: string): Promise<ApiResponse<VoucherAttachment[]> & { limits?: AttachmentLimits }> => {
+    const response = await api.get(`/vouchers/${id}/attachments`);
+    return response.data;
+  },
+
+  // Upload files to a draft voucher
+  uploadAttachments: async (id: string, files: File[]): Promise<ApiResponse<VoucherAttachment[]>> => {
+    const formData = new FormData();
+    files.forEach((file) => formData.append('files', file));
+    const response = await api.post(`/vouchers/${id}/attachments`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+    return response.data;
+  },
+
+  // Download an attachment
+  downloadAttachment: async (id: string, attachmentId: string): Promise<Blob> => {
+    const response = await api.get(`/vouchers/${id}/attachments/${attachmentId}/download`, { responseType: 'blob' });
+    return response.data;
+  },
+
+  // Remove an attachment from a draft voucher
+  deleteAttachment: async (id: string, attachmentId: string): Promise<ApiResponse> => {
+    const response = await api.delete(`/vouchers/${id}/attachments/${attachmentId}`);
+    return response.data;
+  },
+
+  // Whether the payee OTP SMS reached the handset
+  getSmsDelivery: async (id: string): Promise<ApiResponse<SmsDeliveryStatus>> => {
+    const response = await api.get(`/vouchers/${id}/sms-delivery`);
+    return response.data;
+  },
+
+  // Payout attempts of a voucher
+  getPayouts: async (id: string): Promise<ApiResponse<Payout[]>> => {
+    const response = await api.get(`/payouts/vouchers/${id}`);
+    return response.data;
+  },
+
+  // Pay a completed voucher through the payout API
+  payVoucher: async (id: string): Promise<ApiResponse<{ payout: Payout; voucher?: Voucher }>> => {
+    const response = await api.post(`/payouts/vouchers/${id}/pay`);
+    return response.data;
+  },
+
+  // Retry a voucher whose payment failed
+  retryPayout: async (id: string): Promise<ApiResponse<{ payout: Payout; voucher?: Voucher }>> => {
+    const response = await api.post(`/payouts/vouchers/${id}/retry`);
+    return response.data;
+  },
+
   // Get pending approvals for current user
   getPendingApprovals: async (): Promise<PaginatedResponse<Voucher>> => {
     const response = await api.get('/vouchers?status=pending&for_approval=true');
@@ -99,6 +200,18 @@ export const voucherService = {
     const response = await api.get(`/signatures/verify/${id}`);
     return response.data;
   },
+
+  // Effective anomaly rules for the organization
+  getRiskRules: async (): Promise<ApiResponse<VoucherRiskRules>> => {
+    const response = await api.get('/vouchers/risk-rules');
+    return response.data;
+  },
+
+  // Override anomaly rules (org admins)
+  updateRiskRules: async (rules: Partial<{ [K in keyof VoucherRiskRules]: Partial<VoucherRiskRules[K]> }>): Promise<ApiResponse<VoucherRiskRules>> => {
+    const response = await api.put('/vouchers/risk-rules', { rules });
+    return response.data;
+  },
 };
 
 // =====================================================
@@ -148,10 +261,71 @@ export const payeeService = {
     return response.data;
   },
 
-  updatePayee: async (id: string, data: Partial<Payee>): Promise<ApiResponse<Payee>> => {
+  // Bank / UPI / mobile changes come back as a pending bank_change (HTTP 202)
+  updatePayee: async (id: string, data: Partial<Payee> & PayeeBankDetails & { reason?: string }): Promise<ApiResponse<Payee> & { bank_change?: PayeeBankChange }> => {
     const response = await api.put(`/payees/${id}`, data);
     return response.data;
   },
+
+  // CSV / XLSX import; dryRun returns the per-row report without creating anything
+  importPayees: async (file: File, options: PayeeImportOptions): Promise<ApiResponse<PayeeImportResult>> => {
+    const content = await new Promise<string>((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result as string);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(file);
+    });
+    const response = await api.post('/payees/import', {
+      company_id: options.companyId,
+      filename: file.name,
+      file: content,
+      mapping: options.mapping,
+      on_conflict: options.onConflict,
+      dry_run: options.dryRun,
+    });
+    return response.data;
+  },
+
+  lookupIfsc: async (code: string): Promise<ApiResponse<IfscLookup>> => {
+    const response = await api.get(`/payees/ifsc/${encodeURIComponent(code)}`);
+    return response.data;
+  },
+
+  getBankHistory: async (payeeId: string): Promise<ApiResponse<PayeeBankChange[]>> => {
+    const response = await api.get(`/payees/${payeeId}/bank-changes`);
+    return response.data;
+  },
+
+  // Org-wide queue; defaults to changes waiting for approval
+  getBankChanges: async (status: PayeeBankChangeStatus | 'all' = 'pending_approval'): Promise<ApiResponse<PayeeBankChange[]>> => {
+    const response = await api.get('/payees/bank-changes', { params: { status } });
+    return response.data;
+  },
+
+  verifyBankChangeOtp: async (changeId: string, otp: string): Promise<ApiResponse<PayeeBankChange>> => {
+    const response = await api.post(`/payees/bank-changes/${changeId}/verify-otp`, { otp });
+    return response.data;
+  },
+
+  resendBankChangeOtp: async (changeId: string): Promise<ApiResponse<{ expires_at: string }>> => {
+    const response = await api.post(`/payees/bank-changes/${changeId}/resend-otp`);
+    return response.data;
+  },
+
+  approveBankChange: async (changeId: string): Promise<ApiResponse<{ change: PayeeBankChange; payee: Payee }>> => {
+    const response = await api.post(`/payees/bank-changes/${changeId}/approve`);
+    return response.data;
+  },
+
+  rejectBankChange: async (changeId: string, reason: string): Promise<ApiResponse<PayeeBankChange>> => {
+    const response = await api.post(`/payees/bank-changes/${changeId}/reject`, { reason });
+    return response.data;
+  },
+
+  cancelBankChange: async (changeId: string): Promise<ApiResponse<PayeeBankChange>> => {
+    const response = await api.post(`/payees/bank-changes/${changeId}/cancel`);
+    return response.data;
+  },
 };
 
 // =====================================================
@@ -159,8 +333,71 @@ export const payeeService = {
 // =====================================================
 
 export const accountService = {
-  getHeadsOfAccount: async (): Promise<ApiResponse<HeadOfAccount[]>> => {
-    const response = await api.get('/accounts/heads');
+  getHeadsOfAccount: async (companyId?: string): Promise<ApiResponse<HeadOfAccount[]>> => {
+    const response = await api.get('/heads-of-account', { params: { company_id: companyId } });
+    return response.data;
+  },
+
+  getTree: async (companyId?: string, includeInactive = false): Promise<ApiResponse<HeadOfAccountNode[]>> => {
+    const response = await api.get('/heads-of-account/tree', {
+      params: { company_id: companyId, include_inactive: includeInactive || undefined },
+    });
+    return response.data;
+  },
+
+  createHead: async (data: HeadOfAccountInput): Promise<ApiResponse<HeadOfAccount>> => {
+    const response = await api.post('/heads-of-account', data);
+    return response.data;
+  },
+
+  updateHead: async (id: string, data: Partial<HeadOfAccountInput>): Promise<ApiResponse<HeadOfAccount>> => {
+    const response = await api.put(`/heads-of-account/${id}`, data);
+    return response.data;
+  },
+
+  moveHead: async (id: string, parentId: string | null): Promise<ApiResponse<HeadOfAccount>> => {
+    const response = await api.post(`/heads-of-account/${id}/move`, { parent_id: parentId });
+    return response.data;
+  },
+
+  mergeHead: async (id: string, targetId: string): Promise<ApiResponse<HeadOfAccountMergeResult>> => {
+    const response = await api.post(`/heads-of-account/${id}/merge`, { target_id: targetId });
+    return response.data;
+  },
+
+  deactivateHead: async (id: string): Promise<ApiResponse<HeadOfAccount>> => {
+    const response = await api.post(`/heads-of-account/${id}/deactivate`);
+    return response.data;
+  },
+
+  activateHead: async (id: string): Promise<ApiResponse<HeadOfAccount>> => {
+    const response = await api.post(`/heads-of-account/${id}/activate`);
+    return response.data;
+  },
+
+  seedStandardChart: async (companyId: string): Promise<ApiResponse<{ created: number; skipped: number }>> => {
+    const response = await api.post('/heads-of-account/seed', { company_id: companyId });
+    return response.data;
+  },
+
+  getBudgets: async (filters?: { company_id?: string; head_of_account_id?: string; period_type?: BudgetPeriodType; from?: string; to?: string }): Promise<ApiResponse<HeadOfAccountBudget[]>> => {
+    const response = await api.get('/heads-of-account/budgets', { params: filters });
+    return response.data;
+  },
+
+  // Any date inside the period may be given as period_start
+  setBudget: async (data: HeadOfAccountBudgetInput): Promise<ApiResponse<HeadOfAccountBudget>> => {
+    const response = await api.put('/heads-of-account/budgets', data);
+    return response.data;
+  },
+
+  deleteBudget: async (budgetId: string): Promise<ApiResponse> => {
+    const response = await api.delete(`/heads-of-account/budgets/${budgetId}`);
+    return response.data;
+  },
+
+  getBudgetStatus: async (headId: string, companyId: string, date?: string): Promise<ApiResponse<BudgetStatus[]>> => {
+    const response = await api.get(`/heads-of-account/${headId}/budget-status`, { params: { company_id: companyId, date } });
     return response.data;
   },
 };
@@ -185,3 +422,69 @@ export const dashboardService = {
     return response.data;
   },
 };
+
+// =====================================================
+// REPORT EXPORTS
+// =====================================================
+
+export const reportService = {
+  // Budget vs actual by company, fiscal period and head of account
+  getBudgetVsActual: async (filters: {
+    company_id?: string;
+    period_type?: BudgetPeriodType;
+    from_date?: string;
+    to_date?: string;
+  } = {}): Promise<ApiResponse<BudgetVsActualReport>> => {
+    const response = await api.get('/reports/budget-vs-actual', { params: filters });
+    return response.data;
+  },
+
+  // Run an export (vouchers, payees, audit_log or budget_vs_actual) with list filters
+  exportData: async (
+    dataset: ExportDataset,
+    format: ExportFormat,
+    filters: Record<string, string> = {}
+  ): Promise<Blob> => {
+    const response = await api.get('/reports/export', {
+      params: { dataset, format, ...filters },
+      responseType: 'blob',
+    });
+    return response.data;
+  },
+
+  // Previous exports
+  getExports: async (dataset?: ExportDataset): Promise<PaginatedResponse<ExportRecord>> => {
+    const response = await api.get('/reports/exports', { params: dataset ? { dataset } : {} });
+    return response.data;
+  },
+
+  // Re-download a previous export
+  downloadExport: async (id: string): Promise<Blob> => {
+    const response = await api.get(`/reports/exports/${id}/download`, { responseType: 'blob' });
+    return response.data;
+  },
+};
+
+// =====================================================
+// ACCOUNTING EXPORT
+// =====================================================
+
+export const accountingService = {
+  // Export completed/paid vouchers not yet exported in the format
+  createExport: async (data: {
+    company_id: string;
+    format: 'tally_xml' | 'journal_csv';
+    from_date?: string;
+    to_date?: string;
+    tally_company?: string;
+  }): Promise<ApiResponse<{ id: string; file_name: string; voucher_count: number; total_amount: number; unmapped: string[] }>> => {
+    const response = await api.post('/accounting/exports', data);
+    return response.data;
+  },
+
+  // Download an export file
+  downloadExport: async (id: string): Promise<Blob> => {
+    const response = await api.get(`/accounting/exports/${id}/file`, { responseType: 'blob' });
+    return response.data;
+  },
+};
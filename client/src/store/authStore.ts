@@ -1,6 +1,7 @@
+import axios from 'axios';
 import { create } from 'zustand';
 import { persist, createJSONStorage } from 'zustand/middleware';
-import type { User, AuthState } from '@/types';
+import type { User, AuthState, TwoFactorChallenge, TwoFactorMethod } from '@/types';
 import api from '@/lib/api';
 
 interface LicenseInfo {
@@ -12,17 +13,40 @@ interface LicenseInfo {
 
 interface AuthStore extends AuthState {
   licenseInfo: LicenseInfo | null;
-  login: (username: string, password: string) => Promise<void>;
-  logout: () => void;
+  // Resolves with a challenge when the account needs a second factor
+  login: (username: string, password: string) => Promise<TwoFactorChallenge | null>;
+  completeTwoFactor: (challengeToken: string, method: TwoFactorMethod, code: string) => Promise<void>;
+  logout: (signOutSession?: boolean) => void;
+  refreshSession: () => Promise<string | null>;
   setUser: (user: User) => void;
   checkAuth: () => Promise<boolean>;
 }
 
+// One refresh at a time; concurrent 401s wait for the same rotation
+let refreshing: Promise<string | null> | null = null;
+
+// Auth state from a completed sign-in (POST /auth/login or /auth/2fa/verify)
+function signedIn(data: any) {
+  return {
+    token: data.token,
+    refreshToken: data.refreshToken || null,
+    user: {
+      ...data.user,
+      mustChangePassword: Boolean(data.passwordChangeRequired),
+      twoFactorSetupRequired: Boolean(data.twoFactorSetupRequired),
+    },
+    isAuthenticated: true,
+    isLoading: false,
+    licenseInfo: data.license || null,
+  };
+}
+
 export const useAuthStore = create<AuthStore>()(
   persist(
     (set, get) => ({
       user: null,
       token: null,
+      refreshToken: null,
       isAuthenticated: false,
       isLoading: false,
       licenseInfo: null,
@@ -32,25 +56,44 @@ export const useAuthStore = create<AuthStore>()(
         try {
           const response = await api.post('/auth/login', { username, password });
           
-          if (response.data.success) {
-            const { token, user, license } = response.data;
-            set({
-              token,
-              user,
-              isAuthenticated: true,
-              isLoading: false,
-              licenseInfo: license || null,
-            });
-          } else {
+          if (!response.data.success) {
             throw new Error(response.data.error || 'Login failed');
           }
+
+          if (response.data.twoFactorRequired) {
+            set({ isLoading: false });
+            const { challengeToken, methods } = response.data;
+            return { challengeToken, methods };
+          }
+
+          set(signedIn(response.data));
+          return null;
+        } catch (error) {
+          set({ isLoading: false });
+          throw error;
+        }
+      },
+
+      completeTwoFactor: async (challengeToken: string, method: TwoFactorMethod, code: string) => {
+        set({ isLoading: true });
+        try {
+          const response = await api.post('/auth/2fa/verify', { challengeToken, method, code });
+          set(signedIn(response.data));
         } catch (error) {
           set({ isLoading: false });
           throw error;
         }
       },
 
-      logout: () => {
+      logout: (signOutSession = true) => {
+        // End the session on the server too (not needed when it was already rejected)
+        const { token } = get();
+        if (signOutSession && token) {
+          axios
+            .post('/api/auth/logout', null, { headers: { Authorization: `Bearer ${token}` } })
+            .catch(() => undefined);
+        }
+
         // Clear ALL auth storage across both systems
         localStorage.removeItem('token');
         localStorage.removeItem('user');
@@ -61,11 +104,34 @@ export const useAuthStore = create<AuthStore>()(
         set({
           user: null,
           token: null,
+          refreshToken: null,
           isAuthenticated: false,
           licenseInfo: null,
         });
       },
 
+      // Swap the refresh token for a new access token (the refresh token rotates)
+      refreshSession: () => {
+        if (refreshing) return refreshing;
+
+        const { refreshToken } = get();
+        if (!refreshToken) return Promise.resolve(null);
+
+        // Plain axios so a failed refresh does not go through the 401 handler
+        refreshing = axios
+          .post('/api/auth/refresh', { refreshToken })
+          .then((response) => {
+            if (!response.data.success) return null;
+            set({ token: response.data.token, refreshToken: response.data.refreshToken });
+            return response.data.token as string;
+          })
+          .catch(() => null)
+          .finally(() => {
+            refreshing = null;
+          });
+        return refreshing;
+      },
+
       setUser: (user: User) => {
         set({ user });
       },
@@ -82,7 +148,7 @@ export const useAuthStore = create<AuthStore>()(
           }
           return false;
         } catch {
-          set({ user: null, token: null, isAuthenticated: false });
+          set({ user: null, token: null, refreshToken: null, isAuthenticated: false });
           return false;
         }
       },
@@ -90,7 +156,12 @@ export const useAuthStore = create<AuthStore>()(
     {
       name: 'foodstream-auth',
       storage: createJSONStorage(() => sessionStorage), // Use sessionStorage instead of localStorage for better security
-      partialize: (state) => ({ token: state.token, user: state.user, licenseInfo: state.licenseInfo }),
+      partialize: (state) => ({
+        token: state.token,
+        refreshToken: state.refreshToken,
+        user: state.user,
+        licenseInfo: state.licenseInfo,
+      }),
     }
   )
 );
@@ -16,6 +16,11 @@ export interface User {
   status: 'active' | 'inactive' | 'suspended';
   createdAt: string;
   lastLogin?: string;
+  // Set after an admin-forced reset or when the password has expired
+  mustChangePassword?: boolean;
+  twoFactorEnabled?: boolean;
+  // The organization requires 2FA for this role and it is not set up yet
+  twoFactorSetupRequired?: boolean;
 }
 
 export type UserRole = 'super_admin' | 'admin' | 'manager' | 'approver' | 'accounts' | 'viewer';
@@ -23,10 +28,70 @@ export type UserRole = 'super_admin' | 'admin' | 'manager' | 'approver' | 'accou
 export interface AuthState {
   user: User | null;
   token: string | null;
+  refreshToken: string | null;
   isAuthenticated: boolean;
   isLoading: boolean;
 }
 
+// Tokens returned by login and /auth/refresh
+export interface AuthTokens {
+  token: string;
+  refreshToken: string;
+  expiresIn: number;
+}
+
+// A device the user is signed in on
+export interface UserSession {
+  id: string;
+  device_id?: string | null;
+  device_name: string | null;
+  ip_address: string | null;
+  user_agent: string | null;
+  created_at: string;
+  last_activity: string;
+  refresh_expires_at: string;
+  current: boolean;
+}
+
+// Organization password rules (GET /auth/password/policy)
+export interface PasswordPolicy {
+  min_length: number;
+  require_uppercase: boolean;
+  require_lowercase: boolean;
+  require_number: boolean;
+  require_symbol: boolean;
+  history_count: number;
+  max_age_days: number;
+  lockout_threshold: number;
+  lockout_minutes: number;
+  max_lockout_minutes: number;
+}
+
+export type TwoFactorMethod = 'totp' | 'recovery' | 'sms';
+
+// Login response when a second factor is needed; exchange at /auth/2fa/verify
+export interface TwoFactorChallenge {
+  challengeToken: string;
+  methods: TwoFactorMethod[];
+}
+
+export interface TwoFactorStatus {
+  enabled: boolean;
+  required: boolean;
+  enabledAt: string | null;
+  recoveryCodesRemaining: number;
+  methods: TwoFactorMethod[];
+  // Approvals of at least this amount need step-up re-authentication
+  stepUpAmount: number | null;
+}
+
+export interface TwoFactorSetup {
+  secret: string;
+  otpauthUrl: string;
+  // PNG data URL of the otpauth QR code
+  qrCode: string;
+}
+
 export interface LoginCredentials {
   username: string;
   password: string;
@@ -65,6 +130,8 @@ export interface LicenseFeatures {
   whiteLabel: boolean;
   multiCompany: boolean;
   advancedAnalytics: boolean;
+  bulkOperations?: boolean;
+  dataExport?: boolean;
 }
 
 export interface Organization {
@@ -143,11 +210,15 @@ export interface Voucher {
   status: VoucherStatus;
   signature?: string;
   signedAt?: string;
+  submittedBy?: string;
+  submittedAt?: string;
   approvedBy?: string;
   approvedAt?: string;
   createdBy: string;
   createdAt: string;
   updatedAt: string;
+  riskFlags?: VoucherRiskFlag[];
+  attachments?: VoucherAttachmentSummary[];
   
   // Relations
   company?: Company;
@@ -159,7 +230,7 @@ export interface Voucher {
   approvalChain?: ApprovalStep[];
 }
 
-export type VoucherStatus = 'draft' | 'pending' | 'approved' | 'rejected' | 'paid' | 'cancelled';
+export type VoucherStatus = 'draft' | 'pending' | 'approved' | 'rejected' | 'paid' | 'failed' | 'cancelled';
 export type PaymentMode = 'bank_transfer' | 'cheque' | 'cash' | 'upi' | 'neft' | 'rtgs';
 
 export interface HeadOfAccount {
@@ -167,6 +238,105 @@ export interface HeadOfAccount {
   code: string;
   name: string;
   description?: string;
+  company_id?: string | null;
+  category?: HeadOfAccountCategory;
+  parent_id?: string | null;
+  merged_into_id?: string | null;
+  status?: 'active' | 'inactive';
+}
+
+export type HeadOfAccountCategory = 'expense' | 'income' | 'asset' | 'liability';
+
+export interface HeadOfAccountNode extends HeadOfAccount {
+  children: HeadOfAccountNode[];
+}
+
+export interface HeadOfAccountInput {
+  company_id?: string | null;
+  code: string;
+  name: string;
+  description?: string;
+  category?: HeadOfAccountCategory;
+  parent_id?: string | null;
+}
+
+export interface HeadOfAccountMergeResult {
+  head: HeadOfAccount;
+  target: HeadOfAccount;
+  moved: { vouchers: number; children: number; approval_chains: number; ledger_mappings: number; budgets: number };
+}
+
+export type BudgetPeriodType = 'monthly' | 'annual';
+
+export interface HeadOfAccountBudgetInput {
+  company_id: string;
+  head_of_account_id: string;
+  period_type: BudgetPeriodType;
+  period_start: string;
+  amount: number;
+  action?: 'warn' | 'block';
+  notes?: string;
+}
+
+export interface HeadOfAccountBudget extends HeadOfAccountBudgetInput {
+  id: string;
+  period_label: string;
+  action: 'warn' | 'block';
+  head_of_account?: { id: string; code: string; name: string };
+  company?: { id: string; name: string };
+}
+
+export interface BudgetStatus {
+  budget_id: string;
+  head_of_account_id: string;
+  head_code: string;
+  head_name: string;
+  period_type: BudgetPeriodType;
+  period_start: string;
+  period_label: string;
+  action: 'warn' | 'block';
+  budget: number;
+  consumed: number;
+  remaining: number;
+}
+
+export interface BudgetFigures {
+  budget: number | null;
+  committed: number;
+  spent: number;
+  actual: number;
+  variance: number | null;
+  variance_percent: number | null;
+}
+
+export interface BudgetVsActualHead extends BudgetFigures {
+  id: string | null;
+  code: string | null;
+  name: string;
+  category: HeadOfAccountCategory | null;
+  status: 'active' | 'inactive' | null;
+  level: number;
+  budget_source: 'own' | 'children' | null;
+  children: BudgetVsActualHead[];
+}
+
+export interface BudgetVsActualReport {
+  period_type: BudgetPeriodType;
+  from_date: string;
+  to_date: string;
+  companies: {
+    company_id: string;
+    company_name: string;
+    fiscal_year_start: number;
+    totals: BudgetFigures;
+    periods: {
+      period_start: string;
+      period_end: string;
+      period_label: string;
+      totals: BudgetFigures;
+      heads: BudgetVsActualHead[];
+    }[];
+  }[];
 }
 
 export interface ApprovalStep {
@@ -181,6 +351,191 @@ export interface ApprovalStep {
   comments?: string;
 }
 
+export interface ApprovalChainLevel {
+  level: number;
+  label: string;
+  roles: string[];
+  status: 'waiting' | 'pending' | 'approved' | 'rejected';
+  approved_by: { id: string; name: string; role: string } | null;
+  approved_at: string | null;
+  comments: string | null;
+  eligible_approvers: { id: string; name: string; role: string }[];
+}
+
+export interface ApprovalChainStatus {
+  voucher_id: string;
+  voucher_number: string;
+  amount: number;
+  chain_id: string | null;
+  chain_name: string;
+  voucher_status: string;
+  current_level: number;
+  approved_levels: number;
+  total_levels: number;
+  levels: ApprovalChainLevel[];
+}
+
+export interface BulkActionItemResult {
+  voucher_id: string;
+  voucher_number?: string;
+  success: boolean;
+  status?: string;
+  message?: string;
+  error?: string;
+  code?: string;
+}
+
+export interface BulkActionResult {
+  total: number;
+  succeeded: number;
+  failed: number;
+  results: BulkActionItemResult[];
+}
+
+export type SmsDeliveryState = 'queued' | 'sent' | 'delivered' | 'undelivered' | 'expired' | 'failed';
+
+export interface SmsDeliveryStatus {
+  voucher_id: string;
+  voucher_number: string;
+  latest_status: SmsDeliveryState | null;
+  resend_recommended: boolean;
+  messages: {
+    id: string;
+    mobile: string | null;
+    provider: string;
+    context_type: string;
+    status: SmsDeliveryState;
+    delivery_status?: string;
+    error_code?: string;
+    error_message?: string;
+    sent_at: string;
+    delivered_at?: string;
+    failed_at?: string;
+    delivery_updated_at?: string;
+  }[];
+}
+
+export type PayeeBankChangeStatus = 'initial' | 'pending_otp' | 'pending_approval' | 'approved' | 'rejected' | 'cancelled';
+
+// Bank / UPI / mobile fields that change only through an approved request
+export interface PayeeBankDetails {
+  bank_name?: string | null;
+  account_number?: string | null;
+  ifsc_code?: string | null;
+  account_holder_name?: string | null;
+  upi_id?: string | null;
+  mobile?: string | null;
+}
+
+export interface PayeeBankChange {
+  id: string;
+  payee_id: string;
+  old_details: PayeeBankDetails;
+  new_details: PayeeBankDetails;
+  reason?: string;
+  status: PayeeBankChangeStatus;
+  requested_by: string;
+  requested_at: string;
+  otp_verified_at?: string;
+  approved_by?: string;
+  decided_at?: string;
+  rejection_reason?: string;
+  otp_sent?: boolean;
+  payee?: { id: string; name: string; company_id: string };
+  requester?: { full_name: string };
+  approver?: { full_name: string } | null;
+}
+
+export interface IfscLookup {
+  valid: boolean;
+  ifsc: string;
+  bank_code: string;
+  bank: string | null;
+  branch?: string | null;
+  city?: string | null;
+  state?: string | null;
+}
+
+export interface PayeeImportOptions {
+  companyId: string;
+  mapping?: Record<string, string>;
+  onConflict?: 'skip' | 'update';
+  dryRun?: boolean;
+}
+
+export interface PayeeImportRow {
+  row: number;
+  name: string | null;
+  mobile: string | null;
+  status: 'created' | 'updated' | 'skipped';
+  payee_id?: string;
+  reason?: string;
+  fields?: string[];
+  warning?: string;
+}
+
+export interface PayeeImportResult {
+  dry_run: boolean;
+  summary: { total: number; created: number; updated: number; skipped: number };
+  columns: Record<string, string>;
+  rows: PayeeImportRow[];
+}
+
+export interface VoucherRiskFlag {
+  code: string;
+  rule?: keyof VoucherRiskRules;
+  severity: 'low' | 'medium' | 'high';
+  action?: 'flag' | 'block';
+  message: string;
+  [key: string]: unknown;
+}
+
+interface VoucherRiskRule {
+  enabled: boolean;
+  action: 'flag' | 'block';
+}
+
+// Anomaly rules; 'block' stops a voucher from being submitted
+export interface VoucherRiskRules {
+  duplicate_payment: VoucherRiskRule & { days: number };
+  threshold_split: VoucherRiskRule & { margin_percent: number; round_to: number; days: number };
+  new_payee_large_payment: VoucherRiskRule & { amount: number };
+  off_hours: VoucherRiskRule & { start_hour: number; end_hour: number; weekends: boolean };
+  payee_bank_changed: VoucherRiskRule;
+  budget_exceeded: VoucherRiskRule;
+}
+
+export interface Payout {
+  id: string;
+  adapter: 'bank_file' | 'cheque_register' | 'http_api' | 'manual';
+  attempt_number: number;
+  amount: number;
+  status: 'processing' | 'paid' | 'failed';
+  transaction_reference?: string | null;
+  provider_reference?: string | null;
+  cheque_number?: string | null;
+  cheque_date?: string | null;
+  error_message?: string | null;
+  completed_at?: string | null;
+  created_at: string;
+}
+
+export type ExportDataset = 'vouchers' | 'payees' | 'audit_log' | 'budget_vs_actual';
+
+export type ExportFormat = 'csv' | 'xlsx';
+
+export interface ExportRecord {
+  id: string;
+  report_name: string;
+  report_type: string;
+  filters: Record<string, string>;
+  summary: { status: 'running' | 'completed' | 'failed'; row_count?: number; file_size?: number; error?: string };
+  export_format: 'csv' | 'excel';
+  export_url?: string | null;
+  created_at: string;
+  generated_by_user?: { id: string; full_name: string } | null;
+}
+
 export interface AuditLogEntry {
   id: string;
   action: string;
@@ -226,6 +581,35 @@ export interface ActivityItem {
   user?: string;
 }
 
+// Attachment summary kept on the voucher (hashes are covered by the signature)
+export interface VoucherAttachmentSummary {
+  id: string;
+  file_name: string;
+  content_type: string;
+  size_bytes: number;
+  sha256: string;
+  uploaded_at: string;
+}
+
+export interface VoucherAttachment {
+  id: string;
+  voucher_id: string;
+  file_name: string;
+  content_type: string;
+  size_bytes: number;
+  sha256: string;
+  scan_status: 'clean' | 'not_scanned';
+  uploaded_by: string;
+  created_at: string;
+}
+
+export interface AttachmentLimits {
+  max_file_mb: number;
+  max_file_bytes: number;
+  max_files: number;
+  allowed_types: string[];
+}
+
 // Form Types
 export interface VoucherFormData {
   companyId: string;
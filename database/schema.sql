@@ -51,7 +51,9 @@ CREATE TABLE licenses (
         "custom_domain": false,
         "white_label": true,
         "multi_company": true,
-        "advanced_analytics": false
+        "advanced_analytics": false,
+        "bulk_operations": false,
+        "data_export": false
     }'::jsonb,
     
     -- Metadata
@@ -75,7 +77,8 @@ CREATE TABLE license_usage (
     companies_count INTEGER DEFAULT 0,
     users_count INTEGER DEFAULT 0,
     vouchers_count INTEGER DEFAULT 0,
-    sms_sent INTEGER DEFAULT 0,
+    sms_sent INTEGER DEFAULT 0, -- messages accepted by a provider
+    sms_credits_used DECIMAL(12,4) DEFAULT 0, -- billed parts; a long or Unicode message uses several
     api_calls INTEGER DEFAULT 0,
     
     -- Activity
@@ -135,6 +138,23 @@ CREATE TABLE license_devices (
     metadata JSONB DEFAULT '{}'::jsonb
 );
 
+-- License Renewal Reminders (one row per license, expiry date and threshold)
+CREATE TABLE license_reminders (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    license_id UUID REFERENCES licenses(id) ON DELETE CASCADE,
+    expiry_date TIMESTAMP NOT NULL, -- Renewing the license moves the expiry, so reminders start over
+    days_before INTEGER NOT NULL, -- 30, 7 or 1
+    
+    -- Delivery
+    email_status VARCHAR(20) CHECK (email_status IN ('sent', 'failed', 'skipped')),
+    sms_status VARCHAR(20) CHECK (sms_status IN ('sent', 'failed', 'skipped')),
+    error_message TEXT,
+    
+    sent_at TIMESTAMP DEFAULT NOW(),
+    
+    UNIQUE(license_id, expiry_date, days_before)
+);
+
 -- =====================================================
 -- 2. MULTI-TENANT ORGANIZATION TABLES
 -- =====================================================
@@ -155,8 +175,9 @@ CREATE TABLE licensed_orgs (
     primary_contact_mobile VARCHAR(20) NOT NULL,
     
     -- SMS Provider Configuration
-    sms_provider VARCHAR(50) DEFAULT 'twilio' CHECK (sms_provider IN ('twilio', 'msg91', 'kaleyra', 'textlocal')),
-    sms_config JSONB, -- Encrypted credentials
+    sms_provider VARCHAR(50) DEFAULT 'twilio' CHECK (sms_provider IN ('2factor', 'twilio', 'msg91', 'kaleyra', 'textlocal')),
+    sms_provider_chain JSONB DEFAULT '[]'::jsonb, -- Failover order, e.g. ["msg91", "kaleyra", "2factor"]; empty = sms_provider only
+    sms_config JSONB, -- Encrypted credentials (flat for sms_provider, or keyed by provider)
     sms_enabled BOOLEAN DEFAULT true,
     
     -- DLT Registration (India)
@@ -189,7 +210,8 @@ CREATE TABLE licensed_orgs (
         "email_notifications": true,
         "sms_notifications": true,
         "allow_cash_payments": true,
-        "require_payee_verification": true
+        "require_payee_verification": true,
+        "payee_bank_cooling_off_hours": 72
     }'::jsonb,
     
     -- Status
@@ -232,8 +254,19 @@ CREATE TABLE users (
     -- Security
     last_login TIMESTAMP,
     last_login_ip INET,
-    failed_login_attempts INTEGER DEFAULT 0,
+    failed_login_attempts INTEGER DEFAULT 0, -- consecutive failures; reset on a successful sign-in
     locked_until TIMESTAMP,
+    lock_reason VARCHAR(30), -- 'failed_sign_ins' for the login lockout; any other lock (admin, forced reset) also blocks signed-in sessions
+    password_changed_at TIMESTAMP DEFAULT NOW(),
+    must_change_password BOOLEAN DEFAULT false, -- set by an admin-forced reset or an expired password
+    password_history JSONB DEFAULT '[]'::jsonb, -- bcrypt hashes of previous passwords, newest first
+    
+    -- Two-factor authentication (TOTP authenticator app)
+    two_factor_enabled BOOLEAN DEFAULT false,
+    two_factor_secret JSONB, -- encrypted base32 TOTP secret; set at setup, active once enabled
+    two_factor_last_step BIGINT DEFAULT 0, -- last accepted TOTP time step, so a code cannot be replayed
+    two_factor_recovery_codes JSONB DEFAULT '[]'::jsonb, -- SHA-256 hashes of unused recovery codes
+    two_factor_enabled_at TIMESTAMP,
     
     -- Preferences
     preferences JSONB DEFAULT '{
@@ -334,6 +367,9 @@ CREATE TABLE payees (
     -- UPI Details
     upi_id VARCHAR(100),
     
+    -- Last approved bank / UPI / mobile change (starts the voucher cooling-off window)
+    bank_details_changed_at TIMESTAMP,
+    
     -- Category
     payee_type VARCHAR(50), -- 'vendor', 'employee', 'contractor', 'supplier', 'other'
     
@@ -352,6 +388,39 @@ CREATE TABLE payees (
     UNIQUE(company_id, mobile)
 );
 
+-- Bank detail change requests and history (services/payeeBankService.js)
+-- Changes are confirmed by OTP to the payee's registered mobile and
+-- approved by a second user before they reach the payees row.
+CREATE TABLE payee_bank_changes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    org_id UUID REFERENCES licensed_orgs(id) ON DELETE CASCADE,
+    payee_id UUID REFERENCES payees(id) ON DELETE CASCADE,
+    
+    -- Details before the change (all controlled fields) and the changed fields
+    old_details JSONB NOT NULL DEFAULT '{}'::jsonb,
+    new_details JSONB NOT NULL,
+    reason TEXT,
+    
+    status VARCHAR(20) NOT NULL DEFAULT 'pending_otp' CHECK (status IN (
+        'initial',          -- details the payee was created with
+        'pending_otp',
+        'pending_approval',
+        'approved',
+        'rejected',
+        'cancelled'
+    )),
+    
+    requested_by UUID REFERENCES users(id),
+    requested_at TIMESTAMP DEFAULT NOW(),
+    otp_verified_at TIMESTAMP,
+    approved_by UUID REFERENCES users(id), -- approver, or the user who rejected
+    decided_at TIMESTAMP,
+    rejection_reason TEXT,
+    
+    -- Requester and approver must differ
+    CHECK (status <> 'approved' OR approved_by IS DISTINCT FROM requested_by)
+);
+
 -- =====================================================
 -- 6. HEADS OF ACCOUNT
 -- =====================================================
@@ -369,6 +438,7 @@ CREATE TABLE heads_of_account (
     -- Category
     category VARCHAR(100), -- 'expense', 'income', 'asset', 'liability'
     parent_id UUID REFERENCES heads_of_account(id),
+    merged_into_id UUID REFERENCES heads_of_account(id), -- set when merged into another head
     
     -- Status
     status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'inactive')),
@@ -381,6 +451,70 @@ CREATE TABLE heads_of_account (
     UNIQUE(company_id, code)
 );
 
+-- =====================================================
+-- 6a. APPROVAL CHAINS (Amount-based routing)
+-- =====================================================
+
+CREATE TABLE approval_chains (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    org_id UUID REFERENCES licensed_orgs(id) ON DELETE CASCADE,
+    company_id UUID REFERENCES companies(id) ON DELETE CASCADE, -- NULL = all companies
+    head_of_account_id UUID REFERENCES heads_of_account(id) ON DELETE CASCADE, -- NULL = all heads
+
+    -- Chain Details
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+
+    -- Amount Band (min inclusive, max exclusive, NULL max = no upper bound)
+    min_amount DECIMAL(15,2) DEFAULT 0,
+    max_amount DECIMAL(15,2),
+
+    -- Levels, signed off in order:
+    -- [{"level": 1, "label": "Approver", "roles": ["approver", "company_admin"]}, ...]
+    levels JSONB NOT NULL DEFAULT '[]'::jsonb,
+
+    -- Tie-breaker when several chains match equally
+    priority INTEGER DEFAULT 0,
+
+    -- Status
+    status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'inactive')),
+
+    -- Timestamps
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    created_by UUID REFERENCES users(id)
+);
+
+-- =====================================================
+-- 6b. BUDGETS (Per company / head of account / period)
+-- =====================================================
+
+CREATE TABLE head_of_account_budgets (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    org_id UUID REFERENCES licensed_orgs(id) ON DELETE CASCADE,
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    head_of_account_id UUID NOT NULL REFERENCES heads_of_account(id) ON DELETE CASCADE,
+
+    -- Period: first day of the month, or of the company's fiscal year
+    period_type VARCHAR(10) NOT NULL CHECK (period_type IN ('monthly', 'annual')),
+    period_start DATE NOT NULL,
+
+    -- Covers vouchers of the head and all heads below it
+    amount DECIMAL(15,2) NOT NULL CHECK (amount >= 0),
+
+    -- What voucher creation does when the budget would be exceeded
+    action VARCHAR(10) DEFAULT 'warn' CHECK (action IN ('warn', 'block')),
+
+    notes TEXT,
+
+    -- Timestamps
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    created_by UUID REFERENCES users(id),
+
+    UNIQUE(company_id, head_of_account_id, period_type, period_start)
+);
+
 -- =====================================================
 -- 7. VOUCHERS (Core Payment System)
 -- =====================================================
@@ -414,32 +548,45 @@ CREATE TABLE vouchers (
     cheque_date DATE,
     transaction_reference VARCHAR(100),
     
+    payout_method VARCHAR(50), -- Adapter that settled the voucher: 'bank_file', 'cheque_register', 'http_api', 'manual'
+    
     -- Description
     description TEXT NOT NULL,
     remarks TEXT,
     
     -- Workflow Status
-    status VARCHAR(50) DEFAULT 'pending_approval' CHECK (status IN (
+    status VARCHAR(50) DEFAULT 'draft' CHECK (status IN (
         'draft',
         'pending_approval',
         'approved',
         'rejected',
         'completed',
+        'paid',
+        'failed',
         'cancelled'
     )),
     
     -- Approval Flow
     created_by UUID REFERENCES users(id),
+    submitted_by UUID REFERENCES users(id),
     approved_by UUID REFERENCES users(id),
     rejected_by UUID REFERENCES users(id),
     completed_by UUID REFERENCES users(id),
+    paid_by UUID REFERENCES users(id),
     
+    submitted_at TIMESTAMP, -- Draft sent for approval; counts toward the monthly voucher quota
     approved_at TIMESTAMP,
     rejected_at TIMESTAMP,
     completed_at TIMESTAMP,
+    paid_at TIMESTAMP,
     
     rejection_reason TEXT,
-    
+
+    -- Multi-level Approval (levels are snapshotted from the matching chain)
+    approval_chain_id UUID REFERENCES approval_chains(id) ON DELETE SET NULL,
+    approval_levels JSONB DEFAULT '[]'::jsonb,
+    current_approval_level INTEGER DEFAULT 0, -- Number of levels signed off so far
+
     -- OTP Verification
     payee_otp_verified BOOLEAN DEFAULT false,
     payee_otp_verified_at TIMESTAMP,
@@ -450,14 +597,41 @@ CREATE TABLE vouchers (
     signature_verified BOOLEAN DEFAULT FALSE,
     last_verification_at TIMESTAMPTZ,
     
-    -- Attachments
+    -- Attachments: summary of voucher_attachments [{"id", "file_name", "content_type", "size_bytes", "sha256", "uploaded_at"}]
     attachments JSONB DEFAULT '[]'::jsonb,
     
+    -- Risk flags raised at submission, e.g. [{"code": "PAYEE_BANK_CHANGED", "severity": "high", "message": "..."}]
+    risk_flags JSONB DEFAULT '[]'::jsonb,
+    
     -- Timestamps
     created_at TIMESTAMP DEFAULT NOW(),
     updated_at TIMESTAMP DEFAULT NOW()
 );
 
+-- =====================================================
+-- 7a. VOUCHER ATTACHMENTS (Invoices, bills and other evidence)
+-- =====================================================
+
+-- Files live in the storage backend; vouchers.attachments keeps a summary
+-- with each sha256, which the voucher signature covers
+CREATE TABLE voucher_attachments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    org_id UUID REFERENCES licensed_orgs(id) ON DELETE CASCADE,
+    voucher_id UUID NOT NULL REFERENCES vouchers(id) ON DELETE CASCADE,
+    
+    file_name VARCHAR(255) NOT NULL,
+    content_type VARCHAR(100) NOT NULL, -- Detected from the file content
+    size_bytes INTEGER NOT NULL,
+    sha256 VARCHAR(64) NOT NULL,
+    
+    storage_backend VARCHAR(20) NOT NULL, -- 'local' or 's3'
+    storage_key TEXT NOT NULL,
+    scan_status VARCHAR(20) DEFAULT 'not_scanned' CHECK (scan_status IN ('clean', 'not_scanned')),
+    
+    uploaded_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
 -- =====================================================
 -- 8. VOUCHER AUDIT TRAIL
 -- =====================================================
@@ -467,7 +641,7 @@ CREATE TABLE voucher_audit_log (
     voucher_id UUID REFERENCES vouchers(id) ON DELETE CASCADE,
     
     -- Action Details
-    action VARCHAR(50) NOT NULL, -- 'created', 'approved', 'rejected', 'completed', 'cancelled', 'modified'
+    action VARCHAR(50) NOT NULL, -- 'created', 'submitted', 'level_approved', 'approved', 'rejected', 'completed', 'payout_initiated', 'paid', 'payment_failed', 'cancelled', 'modified', 'attachment_added', 'attachment_removed'
     performed_by UUID REFERENCES users(id),
     performed_by_name VARCHAR(255),
     performed_by_role VARCHAR(50),
@@ -485,6 +659,116 @@ CREATE TABLE voucher_audit_log (
     created_at TIMESTAMP DEFAULT NOW()
 );
 
+-- =====================================================
+-- 8a. PAYOUTS
+-- =====================================================
+
+-- One bank upload file (NEFT/RTGS) covering several vouchers
+CREATE TABLE payout_batches (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    org_id UUID REFERENCES licensed_orgs(id) ON DELETE CASCADE,
+    company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+    
+    batch_number VARCHAR(50) NOT NULL,
+    file_format VARCHAR(50) NOT NULL, -- 'generic_csv', 'generic_fixed', ...
+    file_name VARCHAR(255) NOT NULL,
+    file_content TEXT NOT NULL,
+    
+    voucher_count INTEGER DEFAULT 0,
+    total_amount DECIMAL(15,2) DEFAULT 0,
+    
+    status VARCHAR(20) DEFAULT 'generated' CHECK (status IN ('generated', 'reconciled')),
+    reconciled_at TIMESTAMP,
+    
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    created_by UUID REFERENCES users(id),
+    
+    UNIQUE(org_id, batch_number)
+);
+
+-- Every attempt to pay a voucher, whichever adapter was used
+CREATE TABLE payouts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    org_id UUID REFERENCES licensed_orgs(id) ON DELETE CASCADE,
+    company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+    voucher_id UUID REFERENCES vouchers(id) ON DELETE CASCADE,
+    batch_id UUID REFERENCES payout_batches(id) ON DELETE SET NULL,
+    
+    adapter VARCHAR(50) NOT NULL CHECK (adapter IN ('bank_file', 'cheque_register', 'http_api', 'manual')),
+    attempt_number INTEGER DEFAULT 1,
+    amount DECIMAL(15,2) NOT NULL,
+    
+    status VARCHAR(20) DEFAULT 'processing' CHECK (status IN ('processing', 'paid', 'failed')),
+    
+    -- Settlement references
+    transaction_reference VARCHAR(100), -- UTR / cheque number / provider reference
+    provider_reference VARCHAR(100), -- Payout API's own id, used for status checks
+    cheque_number VARCHAR(50),
+    cheque_date DATE,
+    
+    error_message TEXT,
+    response JSONB DEFAULT '{}'::jsonb,
+    
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    created_by UUID REFERENCES users(id)
+);
+
+-- =====================================================
+-- 8b. ACCOUNTING EXPORTS (Tally / journal)
+-- =====================================================
+
+-- Ledger names in the accounting system, per company
+-- Heads of account map to the debit ledger, payment modes to the credit (cash / bank) ledger
+CREATE TABLE ledger_mappings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    org_id UUID REFERENCES licensed_orgs(id) ON DELETE CASCADE,
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    
+    head_of_account_id UUID REFERENCES heads_of_account(id) ON DELETE CASCADE,
+    payment_mode VARCHAR(50) CHECK (payment_mode IN ('cash', 'upi', 'account_transfer', 'cheque', 'card')),
+    
+    ledger_name VARCHAR(255) NOT NULL,
+    
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    created_by UUID REFERENCES users(id),
+    
+    CHECK ((head_of_account_id IS NULL) <> (payment_mode IS NULL))
+);
+
+-- One generated accounting file
+CREATE TABLE accounting_exports (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    org_id UUID REFERENCES licensed_orgs(id) ON DELETE CASCADE,
+    company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+    
+    export_format VARCHAR(20) NOT NULL CHECK (export_format IN ('tally_xml', 'journal_csv')),
+    file_name VARCHAR(255),
+    file_content TEXT,
+    
+    voucher_count INTEGER DEFAULT 0,
+    total_amount DECIMAL(15,2) DEFAULT 0,
+    filters JSONB DEFAULT '{}'::jsonb,
+    unmapped JSONB DEFAULT '[]'::jsonb, -- Heads of account / payment modes exported under fallback ledger names
+    
+    created_at TIMESTAMP DEFAULT NOW(),
+    created_by UUID REFERENCES users(id)
+);
+
+-- Vouchers included in an export; a voucher goes to each format only once
+CREATE TABLE accounting_export_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    export_id UUID REFERENCES accounting_exports(id) ON DELETE CASCADE,
+    voucher_id UUID REFERENCES vouchers(id) ON DELETE CASCADE,
+    export_format VARCHAR(20) NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    
+    UNIQUE(voucher_id, export_format)
+);
+
 -- =====================================================
 -- 9. SMS TEMPLATES & LOGS
 -- =====================================================
@@ -495,7 +779,7 @@ CREATE TABLE sms_templates (
     
     -- Template Details
     template_name VARCHAR(100) NOT NULL,
-    template_type VARCHAR(50) NOT NULL, -- 'otp_registration', 'otp_approval', 'voucher_notification', 'payment_confirmation'
+    template_type VARCHAR(50) NOT NULL, -- 'otp_registration', 'otp_login', 'otp_password_reset', 'otp_payment_verification', 'otp_bank_change', 'license_expiry_reminder'
     template_content TEXT NOT NULL,
     
     -- DLT Details
@@ -530,9 +814,10 @@ CREATE TABLE sms_logs (
     
     -- Provider Response
     provider VARCHAR(50),
+    attempt_number INTEGER DEFAULT 1, -- position in the provider failover chain
     provider_message_id VARCHAR(255),
-    status VARCHAR(50), -- 'queued', 'sent', 'delivered', 'failed', 'undelivered'
-    delivery_status VARCHAR(50),
+    status VARCHAR(50), -- 'queued', 'sent', 'delivered', 'failed', 'undelivered', 'expired'
+    delivery_status VARCHAR(50), -- raw status from the provider's delivery report
     
     -- Error
     error_code VARCHAR(50),
@@ -548,7 +833,31 @@ CREATE TABLE sms_logs (
     -- Timestamps
     sent_at TIMESTAMP DEFAULT NOW(),
     delivered_at TIMESTAMP,
-    failed_at TIMESTAMP
+    failed_at TIMESTAMP,
+    delivery_updated_at TIMESTAMP -- last delivery report received
+);
+
+-- Transactional email (services/emailService.js)
+CREATE TABLE email_logs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    org_id UUID REFERENCES licensed_orgs(id) ON DELETE CASCADE, -- NULL = sent by the platform
+    
+    -- Message
+    to_address TEXT NOT NULL,
+    template VARCHAR(50) NOT NULL, -- 'approval_request', 'voucher_decision', 'remittance_advice', 'license_expiry_reminder', 'otp'
+    subject TEXT,
+    
+    -- Transport Response
+    transport VARCHAR(50), -- 'smtp', 'json', ...
+    provider_message_id VARCHAR(255),
+    status VARCHAR(20) NOT NULL CHECK (status IN ('sent', 'failed', 'skipped')),
+    error_message TEXT,
+    
+    -- Context
+    context_type VARCHAR(50), -- 'voucher', 'license', 'otp'
+    context_id UUID,
+    
+    sent_at TIMESTAMP DEFAULT NOW()
 );
 
 -- =====================================================
@@ -560,8 +869,9 @@ CREATE TABLE user_sessions (
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
     
     -- Session Details
-    session_token VARCHAR(255) UNIQUE NOT NULL,
-    refresh_token VARCHAR(255) UNIQUE,
+    session_token VARCHAR(255) UNIQUE NOT NULL, -- random id carried in the access token (sid claim)
+    refresh_token VARCHAR(255) UNIQUE, -- SHA-256 of the current refresh token; rotated on every refresh
+    previous_refresh_token VARCHAR(255), -- SHA-256 of the refresh token it replaced, to detect reuse
     
     -- Device Info
     device_id VARCHAR(255),
@@ -575,12 +885,34 @@ CREATE TABLE user_sessions (
     
     -- Status
     is_active BOOLEAN DEFAULT true,
+    revoked_at TIMESTAMP,
+    revoked_reason VARCHAR(50), -- 'logout', 'logout_all', 'revoked_by_user', 'revoked_by_admin', 'user_suspended', 'refresh_token_reuse',
+                                -- 'password_changed', 'password_reset', 'password_reset_forced', 'two_factor_reset'
+    step_up_at TIMESTAMP, -- last re-authentication, for approving vouchers above the step-up amount
     
     -- Timestamps
     created_at TIMESTAMP DEFAULT NOW(),
     last_activity TIMESTAMP DEFAULT NOW()
 );
 
+-- Sign-in and password events (lockouts, resets, changes)
+CREATE TABLE user_security_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    org_id UUID REFERENCES licensed_orgs(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    
+    event VARCHAR(50) NOT NULL, -- 'login_failed', 'account_locked', 'account_unlocked', 'password_changed', 'password_change_failed',
+                                -- 'password_reset_requested', 'password_reset', 'password_reset_forced', 'password_policy_updated',
+                                -- 'two_factor_enabled', 'two_factor_disabled', 'two_factor_reset', 'two_factor_failed',
+                                -- 'recovery_code_used', 'recovery_codes_regenerated', 'step_up', 'two_factor_policy_updated'
+    performed_by UUID REFERENCES users(id), -- NULL when the user acted on their own account or was anonymous
+    details JSONB DEFAULT '{}'::jsonb,
+    ip_address INET,
+    user_agent TEXT,
+    
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
 CREATE TABLE otp_verifications (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     
@@ -589,8 +921,8 @@ CREATE TABLE otp_verifications (
     email VARCHAR(255),
     
     -- OTP Details
-    otp_code VARCHAR(6) NOT NULL,
-    otp_type VARCHAR(50) NOT NULL, -- 'registration', 'login', 'payee_approval', 'password_reset'
+    otp_code VARCHAR(64) NOT NULL, -- HMAC-SHA256 of the code; the plain code is never stored
+    otp_type VARCHAR(50) NOT NULL, -- 'registration', 'login', 'payee_approval', 'payee_bank_change', 'password_reset'
     
     -- Context
     context_id UUID, -- voucher_id or user_id
@@ -680,10 +1012,12 @@ CREATE TABLE notifications (
 CREATE INDEX idx_licenses_status ON licenses(status);
 CREATE INDEX idx_licenses_email ON licenses(licensee_email);
 CREATE INDEX idx_licenses_expiry ON licenses(expiry_date);
+CREATE INDEX idx_license_reminders_license ON license_reminders(license_id);
 
 -- Organizations
 CREATE INDEX idx_orgs_slug ON licensed_orgs(org_slug);
 CREATE INDEX idx_orgs_license ON licensed_orgs(license_id);
+CREATE UNIQUE INDEX idx_orgs_custom_domain ON licensed_orgs(custom_domain) WHERE custom_domain IS NOT NULL;
 
 -- Companies
 CREATE INDEX idx_companies_org ON companies(org_id);
@@ -702,6 +1036,27 @@ CREATE INDEX idx_vouchers_status ON vouchers(status);
 CREATE INDEX idx_vouchers_number ON vouchers(voucher_number);
 CREATE INDEX idx_vouchers_created_at ON vouchers(created_at DESC);
 CREATE INDEX idx_vouchers_financial_year ON vouchers(financial_year);
+CREATE INDEX idx_vouchers_submitted_at ON vouchers(org_id, submitted_at);
+CREATE INDEX idx_vouchers_flagged ON vouchers(org_id) WHERE risk_flags <> '[]'::jsonb;
+
+-- Payee bank changes
+CREATE INDEX idx_payee_bank_changes_payee ON payee_bank_changes(payee_id, requested_at DESC);
+CREATE INDEX idx_payee_bank_changes_open ON payee_bank_changes(org_id, status) WHERE status IN ('pending_otp', 'pending_approval');
+-- One open change per payee
+CREATE UNIQUE INDEX idx_payee_bank_changes_one_open ON payee_bank_changes(payee_id) WHERE status IN ('pending_otp', 'pending_approval');
+
+-- Heads of Account
+CREATE INDEX idx_hoa_org_company ON heads_of_account(org_id, company_id);
+CREATE INDEX idx_hoa_parent ON heads_of_account(parent_id);
+-- UNIQUE(company_id, code) does not cover organization-wide heads (company_id NULL)
+CREATE UNIQUE INDEX idx_hoa_org_code ON heads_of_account(org_id, code) WHERE company_id IS NULL;
+CREATE INDEX idx_vouchers_head ON vouchers(head_of_account_id, created_at);
+
+-- Approval Chains
+CREATE INDEX idx_approval_chains_org ON approval_chains(org_id, status);
+
+-- Budgets
+CREATE INDEX idx_hoa_budgets_org ON head_of_account_budgets(org_id, company_id, period_start);
 
 -- Audit Log
 CREATE INDEX idx_audit_voucher ON voucher_audit_log(voucher_id);
@@ -709,13 +1064,48 @@ CREATE INDEX idx_audit_created ON voucher_audit_log(created_at DESC);
 
 -- SMS Logs
 CREATE INDEX idx_sms_org ON sms_logs(org_id);
+CREATE INDEX idx_sms_templates_org ON sms_templates(org_id, template_type);
+-- One active template per type, so sending picks exactly one
+CREATE UNIQUE INDEX idx_sms_templates_active ON sms_templates(COALESCE(org_id, '00000000-0000-0000-0000-000000000000'::UUID), template_type) WHERE status = 'active';
 CREATE INDEX idx_sms_mobile ON sms_logs(mobile);
 CREATE INDEX idx_sms_sent_at ON sms_logs(sent_at DESC);
+CREATE INDEX idx_sms_provider_message ON sms_logs(provider, provider_message_id);
+CREATE INDEX idx_sms_context ON sms_logs(context_id);
+CREATE INDEX idx_email_logs_org ON email_logs(org_id, sent_at DESC);
+CREATE INDEX idx_email_logs_context ON email_logs(context_id);
+
+-- Reports / exports
+CREATE INDEX idx_reports_org_type ON reports(org_id, report_type, created_at DESC);
 
 -- Notifications
 CREATE INDEX idx_notifications_user ON notifications(user_id, read);
 CREATE INDEX idx_notifications_created ON notifications(created_at DESC);
 
+-- Voucher attachments
+CREATE INDEX idx_voucher_attachments_voucher ON voucher_attachments(voucher_id, created_at);
+
+-- Payouts
+CREATE INDEX idx_payouts_voucher ON payouts(voucher_id, created_at DESC);
+CREATE INDEX idx_payouts_org_status ON payouts(org_id, status);
+CREATE INDEX idx_payouts_batch ON payouts(batch_id);
+CREATE UNIQUE INDEX idx_payouts_cheque ON payouts(company_id, cheque_number) WHERE cheque_number IS NOT NULL AND status <> 'failed';
+-- At most one payout in flight per voucher; inserting the attempt is what claims the voucher
+CREATE UNIQUE INDEX idx_payouts_processing ON payouts(voucher_id) WHERE status = 'processing';
+CREATE INDEX idx_payout_batches_org ON payout_batches(org_id, created_at DESC);
+
+-- Accounting exports
+CREATE UNIQUE INDEX idx_ledger_mappings_hoa ON ledger_mappings(company_id, head_of_account_id) WHERE head_of_account_id IS NOT NULL;
+CREATE UNIQUE INDEX idx_ledger_mappings_mode ON ledger_mappings(company_id, payment_mode) WHERE payment_mode IS NOT NULL;
+CREATE INDEX idx_accounting_exports_org ON accounting_exports(org_id, created_at DESC);
+CREATE INDEX idx_accounting_export_items_export ON accounting_export_items(export_id);
+
+-- OTP Verifications
+CREATE INDEX idx_otp_lookup ON otp_verifications(mobile, otp_type, context_id, created_at DESC);
+CREATE INDEX idx_user_sessions_user ON user_sessions(user_id, is_active);
+CREATE INDEX idx_user_sessions_previous_refresh ON user_sessions(previous_refresh_token);
+CREATE INDEX idx_user_security_events_user ON user_security_events(user_id, created_at DESC);
+CREATE INDEX idx_user_security_events_org ON user_security_events(org_id, created_at DESC);
+
 -- =====================================================
 -- ROW LEVEL SECURITY (RLS) POLICIES
 -- =====================================================
@@ -725,9 +1115,18 @@ ALTER TABLE licensed_orgs ENABLE ROW LEVEL SECURITY;
 ALTER TABLE companies ENABLE ROW LEVEL SECURITY;
 ALTER TABLE users ENABLE ROW LEVEL SECURITY;
 ALTER TABLE payees ENABLE ROW LEVEL SECURITY;
+ALTER TABLE payee_bank_changes ENABLE ROW LEVEL SECURITY;
 ALTER TABLE vouchers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE voucher_attachments ENABLE ROW LEVEL SECURITY;
 ALTER TABLE heads_of_account ENABLE ROW LEVEL SECURITY;
+ALTER TABLE approval_chains ENABLE ROW LEVEL SECURITY;
+ALTER TABLE head_of_account_budgets ENABLE ROW LEVEL SECURITY;
 ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
+ALTER TABLE payouts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE payout_batches ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ledger_mappings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE accounting_exports ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_security_events ENABLE ROW LEVEL SECURITY;
 
 -- Organizations - Users can only see their own org
 CREATE POLICY org_isolation ON licensed_orgs
@@ -741,10 +1140,16 @@ CREATE POLICY company_isolation ON companies
 CREATE POLICY user_isolation ON users
     USING (org_id = current_setting('app.current_org_id', true)::UUID);
 
+CREATE POLICY user_security_event_isolation ON user_security_events
+    USING (org_id = current_setting('app.current_org_id', true)::UUID);
+
 -- Payees - Isolate by org
 CREATE POLICY payee_isolation ON payees
     USING (org_id = current_setting('app.current_org_id', true)::UUID);
 
+CREATE POLICY payee_bank_change_isolation ON payee_bank_changes
+    USING (org_id = current_setting('app.current_org_id', true)::UUID);
+
 -- Vouchers - Isolate by org
 CREATE POLICY voucher_isolation ON vouchers
     USING (org_id = current_setting('app.current_org_id', true)::UUID);
@@ -753,6 +1158,31 @@ CREATE POLICY voucher_isolation ON vouchers
 CREATE POLICY hoa_isolation ON heads_of_account
     USING (org_id = current_setting('app.current_org_id', true)::UUID);
 
+-- Approval Chains - Isolate by org
+CREATE POLICY approval_chain_isolation ON approval_chains
+    USING (org_id = current_setting('app.current_org_id', true)::UUID);
+
+CREATE POLICY hoa_budget_isolation ON head_of_account_budgets
+    USING (org_id = current_setting('app.current_org_id', true)::UUID);
+
+-- Voucher attachments - Isolate by org
+CREATE POLICY voucher_attachment_isolation ON voucher_attachments
+    USING (org_id = current_setting('app.current_org_id', true)::UUID);
+
+-- Payouts - Isolate by org
+CREATE POLICY payout_isolation ON payouts
+    USING (org_id = current_setting('app.current_org_id', true)::UUID);
+
+CREATE POLICY payout_batch_isolation ON payout_batches
+    USING (org_id = current_setting('app.current_org_id', true)::UUID);
+
+-- Accounting exports - Isolate by org
+CREATE POLICY ledger_mapping_isolation ON ledger_mappings
+    USING (org_id = current_setting('app.current_org_id', true)::UUID);
+
+CREATE POLICY accounting_export_isolation ON accounting_exports
+    USING (org_id = current_setting('app.current_org_id', true)::UUID);
+
 -- Notifications - Users see only their notifications
 CREATE POLICY notification_isolation ON notifications
     USING (user_id = current_setting('app.current_user_id', true)::UUID);
@@ -775,6 +1205,36 @@ CREATE TRIGGER update_orgs_updated_at BEFORE UPDATE ON licensed_orgs FOR EACH RO
 CREATE TRIGGER update_companies_updated_at BEFORE UPDATE ON companies FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_vouchers_updated_at BEFORE UPDATE ON vouchers FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_approval_chains_updated_at BEFORE UPDATE ON approval_chains FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_heads_of_account_updated_at BEFORE UPDATE ON heads_of_account FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_hoa_budgets_updated_at BEFORE UPDATE ON head_of_account_budgets FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_payouts_updated_at BEFORE UPDATE ON payouts FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_payout_batches_updated_at BEFORE UPDATE ON payout_batches FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_ledger_mappings_updated_at BEFORE UPDATE ON ledger_mappings FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_sms_templates_updated_at BEFORE UPDATE ON sms_templates FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Atomic license usage counters; creates the month's row on first use
+-- Called through supabase.rpc by services/usageMeter.js
+CREATE OR REPLACE FUNCTION increment_license_usage(
+    p_license_id UUID,
+    p_month VARCHAR(7),
+    p_vouchers INTEGER DEFAULT 0,
+    p_sms_sent INTEGER DEFAULT 0,
+    p_sms_credits DECIMAL DEFAULT 0,
+    p_api_calls INTEGER DEFAULT 0
+)
+RETURNS license_usage AS $$
+    INSERT INTO license_usage (license_id, month, vouchers_count, sms_sent, sms_credits_used, api_calls, last_activity)
+    VALUES (p_license_id, p_month, p_vouchers, p_sms_sent, p_sms_credits, p_api_calls, NOW())
+    ON CONFLICT (license_id, month) DO UPDATE SET
+        vouchers_count = COALESCE(license_usage.vouchers_count, 0) + EXCLUDED.vouchers_count,
+        sms_sent = COALESCE(license_usage.sms_sent, 0) + EXCLUDED.sms_sent,
+        sms_credits_used = COALESCE(license_usage.sms_credits_used, 0) + EXCLUDED.sms_credits_used,
+        api_calls = COALESCE(license_usage.api_calls, 0) + EXCLUDED.api_calls,
+        last_activity = NOW(),
+        updated_at = NOW()
+    RETURNING *;
+$$ LANGUAGE sql;
 
 -- Auto-generate voucher number
 CREATE OR REPLACE FUNCTION generate_voucher_number()
@@ -877,7 +1337,9 @@ SELECT
         WHEN lu.vouchers_count >= l.max_vouchers_per_month THEN 'limit_reached'
         WHEN lu.vouchers_count >= l.max_vouchers_per_month * 0.8 THEN 'warning'
         ELSE 'ok'
-    END as vouchers_status
+    END as vouchers_status,
+    lu.sms_credits_used,
+    lu.api_calls
 FROM licenses l
 LEFT JOIN license_usage lu ON l.id = lu.license_id AND lu.month = TO_CHAR(NOW(), 'YYYY-MM');
 
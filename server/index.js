@@ -20,11 +20,19 @@ const companyRoutes = require('./routes/companies');
 const userRoutes = require('./routes/users');
 const payeeRoutes = require('./routes/payees');
 const voucherRoutes = require('./routes/vouchers');
+const voucherAttachmentRoutes = require('./routes/voucherAttachments');
 const reportRoutes = require('./routes/reports');
 const notificationRoutes = require('./routes/notifications');
 const brandingRoutes = require('./routes/branding');
 const pricingRoutes = require('./routes/pricing');
 const signatureRoutes = require('./routes/signatures');
+const approvalChainRoutes = require('./routes/approvalChains');
+const headOfAccountRoutes = require('./routes/headsOfAccount');
+const payoutRoutes = require('./routes/payouts');
+const accountingRoutes = require('./routes/accounting');
+const smsRoutes = require('./routes/sms');
+const smsWebhookRoutes = require('./routes/smsWebhooks');
+const licenseJobService = require('./services/licenseJobService');
 
 // Initialize Express app
 const app = express();
@@ -113,6 +121,9 @@ app.get('/api/status', (req, res) => {
 // API ROUTES
 // =====================================================
 
+// Provider callbacks: verified per request and arrive in bursts from a few IPs
+app.use('/api/sms/webhooks', smsWebhookRoutes);
+
 // Apply rate limiting to all API routes
 app.use('/api', apiLimiter);
 
@@ -129,14 +140,23 @@ app.use('/api/companies', companyRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/payees', payeeRoutes);
 app.use('/api/vouchers', voucherRoutes);
+app.use('/api/vouchers', voucherAttachmentRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/signatures', signatureRoutes);
+app.use('/api/approval-chains', approvalChainRoutes);
+app.use('/api/heads-of-account', headOfAccountRoutes);
+app.use('/api/payouts', payoutRoutes);
+app.use('/api/accounting', accountingRoutes);
+app.use('/api/sms', smsRoutes);
 
 // =====================================================
 // SERVE STATIC FILES (Frontend)
 // =====================================================
 
+// Tenant-branded PWA manifest takes precedence over public/manifest.json
+app.get('/manifest.json', (req, res, next) => brandingRoutes(req, res, next));
+
 // Serve the new React app for /app routes
 app.use('/app', express.static(path.join(__dirname, '../public/app')));
 
@@ -199,6 +219,11 @@ app.listen(PORT, () => {
     logger.info(`🌐 Server running on http://localhost:${PORT}`);
     logger.info(`💾 Database: ${process.env.SUPABASE_URL ? 'Connected' : 'Not configured'}`);
     logger.info(`📱 SMS Provider: ${process.env.TWILIO_ACCOUNT_SID ? 'Configured' : 'Not configured'}`);
+
+    // Nightly license expiry / reminder / usage jobs (or run from cron instead)
+    if (process.env.ENABLE_LICENSE_JOBS === 'true') {
+        licenseJobService.startScheduler();
+    }
 });
 
 // Graceful shutdown
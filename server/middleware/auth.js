@@ -1,10 +1,25 @@
 const jwt = require('jsonwebtoken');
 const { getSupabaseClient } = require('../config/database');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const passwordService = require('../services/passwordService');
 const logger = require('../utils/logger');
 
+/**
+ * Endpoints still open to a user who must change their password
+ */
+const PASSWORD_CHANGE_PATHS = ['/api/auth/me', '/api/auth/logout', '/api/auth/password/change', '/api/auth/password/policy'];
+
+/**
+ * Endpoints still open to a user whose role requires 2FA but who has not set it up
+ */
+const TWO_FACTOR_SETUP_PATHS = ['/api/auth/me', '/api/auth/logout', '/api/auth/2fa', '/api/auth/2fa/setup', '/api/auth/2fa/enable'];
+
 /**
  * Authentication Middleware
- * Verifies JWT tokens and user sessions
+ * Verifies JWT tokens and user sessions. The token's session (sid claim)
+ * must still be active in user_sessions, so signed-out tokens stop working
+ * before they expire.
  */
 async function authenticate(req, res, next) {
     try {
@@ -39,6 +54,16 @@ async function authenticate(req, res, next) {
             });
         }
         
+        // Check the session has not been signed out
+        const session = await sessionService.getActiveSession(decoded.sid, decoded.userId);
+        if (!session) {
+            return res.status(401).json({ 
+                success: false,
+                error: 'Session has been signed out',
+                code: 'SESSION_REVOKED'
+            });
+        }
+        
         const supabase = getSupabaseClient();
         
         // Fetch user from database
@@ -57,8 +82,8 @@ async function authenticate(req, res, next) {
             });
         }
         
-        // Check if user is locked
-        if (user.locked_until && new Date(user.locked_until) > new Date()) {
+        // Check if user is locked; the failed sign-in lockout only stops new sign-ins
+        if (passwordService.locksSessions(user)) {
             return res.status(403).json({ 
                 success: false,
                 error: 'Account temporarily locked',
@@ -67,6 +92,25 @@ async function authenticate(req, res, next) {
             });
         }
         
+        // A forced or expired password has to be changed before anything else
+        if (user.must_change_password && !PASSWORD_CHANGE_PATHS.includes(req.baseUrl + req.path)) {
+            return res.status(403).json({ 
+                success: false,
+                error: 'Password change required',
+                code: 'PASSWORD_CHANGE_REQUIRED'
+            });
+        }
+        
+        // Roles the organization requires 2FA for must set it up first (after any password change)
+        if (!user.two_factor_enabled && !user.must_change_password && !TWO_FACTOR_SETUP_PATHS.includes(req.baseUrl + req.path)
+            && twoFactorService.isRequired(user, twoFactorService.resolvePolicy(user.licensed_orgs?.settings?.two_factor))) {
+            return res.status(403).json({ 
+                success: false,
+                error: 'Two-factor authentication must be set up',
+                code: 'TWO_FACTOR_SETUP_REQUIRED'
+            });
+        }
+        
         // Update last activity
         await supabase
             .from('users')
@@ -79,6 +123,7 @@ async function authenticate(req, res, next) {
         // Attach user to request
         req.user = user;
         req.orgId = user.org_id;
+        req.sessionId = session.id;
         
         logger.info('User authenticated', { 
             userId: user.id, 
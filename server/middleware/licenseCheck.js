@@ -1,5 +1,6 @@
 const { getSupabaseClient } = require('../config/database');
 const LicenseGenerator = require('../utils/licenseGenerator');
+const usageMeter = require('../services/usageMeter');
 const logger = require('../utils/logger');
 
 /**
@@ -127,40 +128,8 @@ async function verifyLicense(req, res, next) {
             }
         }
         
-        // Check usage limits (fetch current month usage)
-        const currentMonth = new Date().toISOString().slice(0, 7); // YYYY-MM
-        const { data: usage } = await supabase
-            .from('license_usage')
-            .select('*')
-            .eq('license_id', license.id)
-            .eq('month', currentMonth)
-            .maybeSingle();
-        
-        if (usage) {
-            // Check voucher limit
-            if (license.max_vouchers_per_month > 0 && 
-                usage.vouchers_count >= license.max_vouchers_per_month) {
-                
-                return res.status(429).json({ 
-                    success: false,
-                    error: 'Monthly voucher limit reached',
-                    code: 'LICENSE_LIMIT_VOUCHERS',
-                    limit: license.max_vouchers_per_month,
-                    used: usage.vouchers_count
-                });
-            }
-            
-            // Check SMS credit limit
-            if (license.sms_credits > 0 && usage.sms_sent >= license.sms_credits) {
-                return res.status(429).json({ 
-                    success: false,
-                    error: 'SMS credits exhausted',
-                    code: 'LICENSE_LIMIT_SMS',
-                    limit: license.sms_credits,
-                    used: usage.sms_sent
-                });
-            }
-        }
+        // Current month usage; quotas are enforced by requireQuota on the routes that consume them
+        const usage = await usageMeter.getUsage(license.id);
         
         // Update last verified timestamp
         await supabase
@@ -175,6 +144,9 @@ async function verifyLicense(req, res, next) {
         req.license = license;
         req.licenseUsage = usage;
         
+        // Not awaited: metering must not slow the request down
+        usageMeter.recordApiCall(license.id);
+        
         // Store license key in session for future requests
         if (req.session && license.license_key) {
             req.session.licenseKey = license.license_key;
@@ -199,6 +171,26 @@ async function verifyLicense(req, res, next) {
     }
 }
 
+/**
+ * Quota check for routes that consume a metered resource
+ * Must run AFTER verifyLicense.
+ *
+ * @param {string} metric - 'vouchers' or 'sms'
+ */
+function requireQuota(metric) {
+    return (req, res, next) => {
+        const exceeded = req.license ? usageMeter.checkQuota(req.license, req.licenseUsage, metric) : null;
+        
+        if (exceeded) {
+            const { status, ...body } = exceeded;
+            logger.license('quota_exceeded', req.license.id, { metric, limit: body.limit, used: body.used });
+            return res.status(status).json(body);
+        }
+        
+        next();
+    };
+}
+
 /**
  * Log verification attempt
  */
@@ -241,5 +233,6 @@ async function softLicenseCheck(req, res, next) {
 
 module.exports = {
     verifyLicense,
+    requireQuota,
     softLicenseCheck
 };
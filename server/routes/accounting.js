@@ -0,0 +1,276 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middleware/auth');
+const { verifyLicense } = require('../middleware/licenseCheck');
+const { getSupabaseClient } = require('../config/database');
+const accountingExportService = require('../services/accountingExportService');
+const logger = require('../utils/logger');
+
+/**
+ * Accounting Export API
+ * Ledger mappings per company and Tally XML / journal CSV exports
+ */
+
+const ACCOUNTING_ROLES = ['super_admin', 'org_admin', 'company_admin', 'accounts'];
+const PAYMENT_MODES = ['cash', 'upi', 'account_transfer', 'cheque', 'card'];
+
+function requireDataExport(req, res, next) {
+    if (!req.license?.features?.data_export) {
+        return res.status(403).json({
+            success: false,
+            error: 'Accounting export is not available on your plan',
+            code: 'FEATURE_NOT_AVAILABLE'
+        });
+    }
+    next();
+}
+
+// GET /api/accounting/formats
+router.get('/formats', authenticate, verifyLicense, (req, res) => {
+    res.json({
+        success: true,
+        data: Object.entries(accountingExportService.EXPORT_FORMATS).map(([code, format]) => ({ code, label: format.label }))
+    });
+});
+
+// GET /api/accounting/ledger-mappings?company_id= - Mappings with the heads of account still unmapped
+router.get('/ledger-mappings', authenticate, verifyLicense, authorize(...ACCOUNTING_ROLES), async (req, res) => {
+    try {
+        const supabase = getSupabaseClient();
+        const { company_id } = req.query;
+
+        if (!company_id) {
+            return res.status(400).json({ success: false, error: 'company_id is required' });
+        }
+
+        const [mappings, heads] = await Promise.all([
+            supabase
+                .from('ledger_mappings')
+                .select('id, head_of_account_id, payment_mode, ledger_name, updated_at, head_of_account:heads_of_account(id, code, name)')
+                .eq('org_id', req.user.org_id)
+                .eq('company_id', company_id),
+            supabase
+                .from('heads_of_account')
+                .select('id, code, name')
+                .eq('org_id', req.user.org_id)
+                .or(`company_id.eq.${company_id},company_id.is.null`)
+                .eq('status', 'active')
+                .order('code', { ascending: true })
+        ]);
+
+        if (mappings.error) throw mappings.error;
+
+        const mappedHeads = new Set((mappings.data || []).map(m => m.head_of_account_id).filter(Boolean));
+        const mappedModes = new Set((mappings.data || []).map(m => m.payment_mode).filter(Boolean));
+
+        res.json({
+            success: true,
+            data: {
+                mappings: mappings.data || [],
+                unmapped_heads: (heads.data || []).filter(h => !mappedHeads.has(h.id)),
+                unmapped_payment_modes: PAYMENT_MODES.filter(mode => !mappedModes.has(mode))
+            }
+        });
+    } catch (error) {
+        logger.error('List ledger mappings error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// PUT /api/accounting/ledger-mappings - Set ledger names for a company
+// Body: { company_id, mappings: [{ head_of_account_id | payment_mode, ledger_name }] }
+router.put('/ledger-mappings', authenticate, verifyLicense, authorize(...ACCOUNTING_ROLES), async (req, res) => {
+    try {
+        const supabase = getSupabaseClient();
+        const { company_id, mappings } = req.body;
+
+        if (!company_id || !Array.isArray(mappings) || mappings.length === 0) {
+            return res.status(400).json({ success: false, error: 'company_id and a non-empty mappings array are required' });
+        }
+
+        const { data: company } = await supabase.from('companies').select('id').eq('id', company_id).eq('org_id', req.user.org_id).single();
+        if (!company) return res.status(400).json({ success: false, error: 'Invalid company' });
+
+        for (const m of mappings) {
+            if (!m.ledger_name || !String(m.ledger_name).trim()) {
+                return res.status(400).json({ success: false, error: 'ledger_name is required for every mapping' });
+            }
+            if (Boolean(m.head_of_account_id) === Boolean(m.payment_mode)) {
+                return res.status(400).json({ success: false, error: 'Each mapping needs either head_of_account_id or payment_mode' });
+            }
+            if (m.payment_mode && !PAYMENT_MODES.includes(m.payment_mode)) {
+                return res.status(400).json({ success: false, error: `Invalid payment_mode: ${m.payment_mode}` });
+            }
+        }
+
+        const headIds = mappings.map(m => m.head_of_account_id).filter(Boolean);
+        if (headIds.length > 0) {
+            const { data: heads } = await supabase.from('heads_of_account').select('id').eq('org_id', req.user.org_id).in('id', headIds);
+            if ((heads || []).length !== new Set(headIds).size) {
+                return res.status(400).json({ success: false, error: 'Invalid head of account' });
+            }
+        }
+
+        // Replace existing mappings for the same heads / modes
+        if (headIds.length > 0) {
+            await supabase.from('ledger_mappings').delete().eq('company_id', company_id).in('head_of_account_id', headIds);
+        }
+        const modes = mappings.map(m => m.payment_mode).filter(Boolean);
+        if (modes.length > 0) {
+            await supabase.from('ledger_mappings').delete().eq('company_id', company_id).in('payment_mode', modes);
+        }
+
+        const { data, error } = await supabase
+            .from('ledger_mappings')
+            .insert(mappings.map(m => ({
+                org_id: req.user.org_id,
+                company_id,
+                head_of_account_id: m.head_of_account_id || null,
+                payment_mode: m.payment_mode || null,
+                ledger_name: String(m.ledger_name).trim(),
+                created_by: req.user.id
+            })))
+            .select();
+
+        if (error) throw error;
+
+        logger.audit('ledger_mappings_updated', req.user.id, { company_id, count: data.length });
+
+        res.json({ success: true, data });
+    } catch (error) {
+        logger.error('Update ledger mappings error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// DELETE /api/accounting/ledger-mappings/:id
+router.delete('/ledger-mappings/:id', authenticate, verifyLicense, authorize(...ACCOUNTING_ROLES), async (req, res) => {
+    try {
+        const { error } = await getSupabaseClient()
+            .from('ledger_mappings')
+            .delete()
+            .eq('id', req.params.id)
+            .eq('org_id', req.user.org_id);
+
+        if (error) throw error;
+
+        res.json({ success: true, message: 'Ledger mapping removed' });
+    } catch (error) {
+        logger.error('Delete ledger mapping error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/accounting/exports - Export settled vouchers not yet exported in the format
+router.post('/exports', authenticate, verifyLicense, authorize(...ACCOUNTING_ROLES), requireDataExport, async (req, res) => {
+    try {
+        const { company_id, format = 'tally_xml', from_date, to_date, tally_company } = req.body;
+
+        if (!company_id) {
+            return res.status(400).json({ success: false, error: 'company_id is required' });
+        }
+        if (!accountingExportService.EXPORT_FORMATS[format]) {
+            return res.status(400).json({ success: false, error: `format must be one of: ${Object.keys(accountingExportService.EXPORT_FORMATS).join(', ')}` });
+        }
+
+        const outcome = await accountingExportService.createExport({
+            orgId: req.user.org_id,
+            companyId: company_id,
+            format,
+            fromDate: from_date,
+            toDate: to_date,
+            tallyCompany: tally_company
+        }, req.user);
+
+        const { status, ...body } = outcome;
+        res.status(status).json(body);
+    } catch (error) {
+        logger.error('Accounting export error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// GET /api/accounting/exports - Export history
+router.get('/exports', authenticate, verifyLicense, authorize(...ACCOUNTING_ROLES), async (req, res) => {
+    try {
+        const { company_id, format, page = 1, limit = 20 } = req.query;
+        const offset = (page - 1) * limit;
+
+        let query = getSupabaseClient()
+            .from('accounting_exports')
+            .select('id, company_id, export_format, file_name, voucher_count, total_amount, filters, unmapped, created_at, company:companies(id, name), created_by_user:users(id, full_name)', { count: 'exact' })
+            .eq('org_id', req.user.org_id)
+            .order('created_at', { ascending: false })
+            .range(offset, offset + parseInt(limit) - 1);
+
+        if (company_id) query = query.eq('company_id', company_id);
+        if (format) query = query.eq('export_format', format);
+
+        const { data, error, count } = await query;
+        if (error) throw error;
+
+        res.json({
+            success: true,
+            data: data || [],
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total: count,
+                totalPages: Math.ceil(count / limit)
+            }
+        });
+    } catch (error) {
+        logger.error('List accounting exports error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// GET /api/accounting/exports/:id/file - Download an export file
+router.get('/exports/:id/file', authenticate, verifyLicense, authorize(...ACCOUNTING_ROLES), async (req, res) => {
+    try {
+        const { data: record } = await getSupabaseClient()
+            .from('accounting_exports')
+            .select('id, export_format, file_name, file_content')
+            .eq('id', req.params.id)
+            .eq('org_id', req.user.org_id)
+            .single();
+
+        if (!record || !record.file_content) {
+            return res.status(404).json({ success: false, error: 'Export not found' });
+        }
+
+        const format = accountingExportService.EXPORT_FORMATS[record.export_format];
+        res.setHeader('Content-Type', format.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${record.file_name}"`);
+        res.send(record.file_content);
+    } catch (error) {
+        logger.error('Download accounting export error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// DELETE /api/accounting/exports/:id - Discard an export so its vouchers can be exported again
+router.delete('/exports/:id', authenticate, verifyLicense, authorize('super_admin', 'org_admin'), async (req, res) => {
+    try {
+        const { data, error } = await getSupabaseClient()
+            .from('accounting_exports')
+            .delete()
+            .eq('id', req.params.id)
+            .eq('org_id', req.user.org_id)
+            .select('id, export_format, voucher_count');
+
+        if (error) throw error;
+        if (!data || data.length === 0) {
+            return res.status(404).json({ success: false, error: 'Export not found' });
+        }
+
+        logger.audit('accounting_export_discarded', req.user.id, { export_id: req.params.id, format: data[0].export_format, vouchers: data[0].voucher_count });
+
+        res.json({ success: true, message: 'Export discarded; its vouchers can be exported again' });
+    } catch (error) {
+        logger.error('Discard accounting export error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { authenticate, authorize } = require('../middleware/auth');
 const { getSupabaseClient } = require('../config/database');
+const licenseJobService = require('../services/licenseJobService');
 const logger = require('../utils/logger');
 
 // =====================================================
@@ -597,4 +598,53 @@ router.get('/vouchers/stats', authenticate, authorize('super_admin'), async (req
     }
 });
 
+// =====================================================
+// LICENSE USAGE & LIFECYCLE JOBS
+// =====================================================
+
+// GET /api/admin/licenses/usage - Current month usage against limits
+router.get('/licenses/usage', authenticate, authorize('super_admin'), async (req, res) => {
+    try {
+        const supabase = getSupabaseClient();
+
+        let query = supabase
+            .from('license_usage_summary')
+            .select('*')
+            .order('licensee_name', { ascending: true });
+
+        if (req.query.status) query = query.eq('status', req.query.status);
+
+        const { data, error } = await query;
+        if (error) throw error;
+
+        res.json({ success: true, data: data || [] });
+    } catch (error) {
+        logger.error('Get license usage error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/admin/jobs/license - Run license jobs now (expire, reminders, usage)
+router.post('/jobs/license', authenticate, authorize('super_admin'), async (req, res) => {
+    try {
+        const { jobs } = req.body;
+
+        if (jobs !== undefined && (!Array.isArray(jobs) || jobs.some(job => !licenseJobService.JOB_NAMES.includes(job)))) {
+            return res.status(400).json({
+                success: false,
+                error: `jobs must be a list of: ${licenseJobService.JOB_NAMES.join(', ')}`
+            });
+        }
+
+        const results = await licenseJobService.runLicenseJobs(jobs ? { jobs } : {});
+
+        logger.audit('license_jobs_run', req.user.id, { jobs: jobs || licenseJobService.JOB_NAMES, results });
+
+        res.json({ success: true, data: results });
+    } catch (error) {
+        logger.error('Run license jobs error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 module.exports = router;
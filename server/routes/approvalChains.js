@@ -0,0 +1,183 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middleware/auth');
+const { verifyLicense } = require('../middleware/licenseCheck');
+const { getSupabaseClient } = require('../config/database');
+const { normalizeLevels, resolveChain } = require('../services/approvalChainService');
+const logger = require('../utils/logger');
+
+/**
+ * Approval Chain API
+ * Per company / head of account approval levels with amount bands
+ */
+
+/**
+ * Validate the amount band and scoping of a chain payload
+ * Returns an error message, or null when valid
+ */
+async function validateChain(supabase, orgId, { company_id, head_of_account_id, min_amount, max_amount }) {
+    const min = parseFloat(min_amount || 0);
+    if (isNaN(min) || min < 0) return 'min_amount must be zero or more';
+
+    if (max_amount !== undefined && max_amount !== null && max_amount !== '') {
+        const max = parseFloat(max_amount);
+        if (isNaN(max) || max <= min) return 'max_amount must be greater than min_amount';
+    }
+
+    if (company_id) {
+        const { data: company } = await supabase.from('companies').select('id').eq('id', company_id).eq('org_id', orgId).single();
+        if (!company) return 'Invalid company';
+    }
+
+    if (head_of_account_id) {
+        const { data: hoa } = await supabase.from('heads_of_account').select('id').eq('id', head_of_account_id).eq('org_id', orgId).single();
+        if (!hoa) return 'Invalid head of account';
+    }
+
+    return null;
+}
+
+// GET /api/approval-chains - List chains for the org (optionally filter by company)
+router.get('/', authenticate, verifyLicense, async (req, res) => {
+    try {
+        const supabase = getSupabaseClient();
+        const { company_id, status } = req.query;
+
+        let query = supabase
+            .from('approval_chains')
+            .select('*, company:companies(id, name), head_of_account:heads_of_account(id, code, name)')
+            .eq('org_id', req.user.org_id)
+            .order('min_amount', { ascending: true });
+
+        if (company_id) query = query.or(`company_id.eq.${company_id},company_id.is.null`);
+        if (status) query = query.eq('status', status);
+
+        const { data, error } = await query;
+        if (error) throw error;
+
+        res.json({ success: true, data: data || [] });
+    } catch (error) {
+        logger.error('List approval chains error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// GET /api/approval-chains/resolve - Preview which chain a voucher would follow
+router.get('/resolve', authenticate, verifyLicense, async (req, res) => {
+    try {
+        const { company_id, head_of_account_id, amount } = req.query;
+        if (!company_id || !amount) return res.status(400).json({ success: false, error: 'company_id and amount are required' });
+
+        const chain = await resolveChain(req.user.org_id, { company_id, head_of_account_id, amount: parseFloat(amount) });
+        res.json({ success: true, data: chain });
+    } catch (error) {
+        logger.error('Resolve approval chain error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// GET /api/approval-chains/:id
+router.get('/:id', authenticate, verifyLicense, async (req, res) => {
+    try {
+        const supabase = getSupabaseClient();
+        const { data, error } = await supabase.from('approval_chains').select('*').eq('id', req.params.id).eq('org_id', req.user.org_id).single();
+        if (error || !data) return res.status(404).json({ success: false, error: 'Approval chain not found' });
+        res.json({ success: true, data });
+    } catch (error) {
+        logger.error('Get approval chain error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/approval-chains
+router.post('/', authenticate, verifyLicense, authorize('super_admin', 'org_admin'), async (req, res) => {
+    try {
+        const supabase = getSupabaseClient();
+        const { name, description, company_id, head_of_account_id, min_amount, max_amount, levels, priority } = req.body;
+        if (!name) return res.status(400).json({ success: false, error: 'Chain name is required' });
+
+        const normalized = normalizeLevels(levels);
+        if (normalized.error) return res.status(400).json({ success: false, error: normalized.error });
+
+        const invalid = await validateChain(supabase, req.user.org_id, req.body);
+        if (invalid) return res.status(400).json({ success: false, error: invalid });
+
+        const { data, error } = await supabase.from('approval_chains').insert({
+            org_id: req.user.org_id, name, description,
+            company_id: company_id || null, head_of_account_id: head_of_account_id || null,
+            min_amount: parseFloat(min_amount || 0),
+            max_amount: max_amount === undefined || max_amount === null || max_amount === '' ? null : parseFloat(max_amount),
+            levels: normalized.levels, priority: parseInt(priority) || 0,
+            status: 'active', created_by: req.user.id
+        }).select().single();
+        if (error) throw error;
+
+        logger.audit('approval_chain_created', req.user.id, { chainId: data.id, name, levels: normalized.levels.length });
+        res.json({ success: true, data });
+    } catch (error) {
+        logger.error('Create approval chain error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// PUT /api/approval-chains/:id
+// Vouchers already in flight keep the levels they were created with
+router.put('/:id', authenticate, verifyLicense, authorize('super_admin', 'org_admin'), async (req, res) => {
+    try {
+        const supabase = getSupabaseClient();
+        const { id } = req.params;
+        const { data: existing } = await supabase.from('approval_chains').select('*').eq('id', id).eq('org_id', req.user.org_id).single();
+        if (!existing) return res.status(404).json({ success: false, error: 'Approval chain not found' });
+
+        const updates = {};
+        ['name', 'description', 'status'].forEach(field => {
+            if (req.body[field] !== undefined) updates[field] = req.body[field];
+        });
+        if (req.body.priority !== undefined) updates.priority = parseInt(req.body.priority) || 0;
+        if (req.body.company_id !== undefined) updates.company_id = req.body.company_id || null;
+        if (req.body.head_of_account_id !== undefined) updates.head_of_account_id = req.body.head_of_account_id || null;
+        if (req.body.min_amount !== undefined) updates.min_amount = parseFloat(req.body.min_amount || 0);
+        if (req.body.max_amount !== undefined) {
+            updates.max_amount = req.body.max_amount === null || req.body.max_amount === '' ? null : parseFloat(req.body.max_amount);
+        }
+
+        if (req.body.levels !== undefined) {
+            const normalized = normalizeLevels(req.body.levels);
+            if (normalized.error) return res.status(400).json({ success: false, error: normalized.error });
+            updates.levels = normalized.levels;
+        }
+
+        if (updates.status && !['active', 'inactive'].includes(updates.status)) {
+            return res.status(400).json({ success: false, error: 'status must be active or inactive' });
+        }
+
+        const invalid = await validateChain(supabase, req.user.org_id, { ...existing, ...updates });
+        if (invalid) return res.status(400).json({ success: false, error: invalid });
+
+        updates.updated_at = new Date().toISOString();
+        const { data, error } = await supabase.from('approval_chains').update(updates).eq('id', id).select().single();
+        if (error) throw error;
+
+        logger.audit('approval_chain_updated', req.user.id, { chainId: id });
+        res.json({ success: true, data });
+    } catch (error) {
+        logger.error('Update approval chain error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// DELETE /api/approval-chains/:id
+router.delete('/:id', authenticate, verifyLicense, authorize('super_admin', 'org_admin'), async (req, res) => {
+    try {
+        const supabase = getSupabaseClient();
+        const { error } = await supabase.from('approval_chains').delete().eq('id', req.params.id).eq('org_id', req.user.org_id);
+        if (error) throw error;
+        logger.audit('approval_chain_deleted', req.user.id, { chainId: req.params.id });
+        res.json({ success: true, message: 'Approval chain deleted' });
+    } catch (error) {
+        logger.error('Delete approval chain error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
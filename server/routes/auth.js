@@ -1,12 +1,119 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const { getSupabaseClient } = require('../config/database');
 const encryptionUtil = require('../utils/encryption');
 const { authLimiter, otpLimiter } = require('../middleware/rateLimiter');
 const { authenticate } = require('../middleware/auth');
 const logger = require('../utils/logger');
-const SMSService = require('../services/smsService');
+const otpService = require('../services/otpService');
+const sessionService = require('../services/sessionService');
+const passwordService = require('../services/passwordService');
+const twoFactorService = require('../services/twoFactorService');
+
+/**
+ * Device details for a new session
+ */
+function clientFrom(req) {
+    return {
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+        deviceId: req.body?.deviceId,
+        deviceName: req.body?.deviceName
+    };
+}
+
+/**
+ * Active user for a forgot/reset password request
+ * The identifier is a username, an email or a mobile; a mobile shared by
+ * several users cannot identify an account.
+ */
+async function findAccount(identifier) {
+    const value = String(identifier || '').trim();
+    if (!value) return null;
+
+    const supabase = getSupabaseClient();
+    const active = () => supabase.from('users').select('*').eq('status', 'active');
+
+    if (value.includes('@')) {
+        const { data } = await active().eq('email', value.toLowerCase()).maybeSingle();
+        return data;
+    }
+
+    const { data: byUsername } = await active().eq('username', value).maybeSingle();
+    if (byUsername) return byUsername;
+
+    const { data: byMobile } = await active().eq('mobile', value).limit(2);
+    return byMobile && byMobile.length === 1 ? byMobile[0] : null;
+}
+
+/**
+ * Finish a sign-in once every check has passed: start a session and send
+ * the tokens, user and license details
+ */
+async function completeLogin(req, res, user, extra = {}) {
+    const supabase = getSupabaseClient();
+    const passwordChangeRequired = await passwordService.registerSuccessfulLogin(user);
+    
+    // Fetch org separately if user has org_id
+    let org = null;
+    let license = null;
+    if (user.org_id) {
+        const { data: orgData } = await supabase
+            .from('licensed_orgs')
+            .select('*')
+            .eq('id', user.org_id)
+            .single();
+        org = orgData;
+
+        // Fetch license info for validity display
+        if (orgData && orgData.license_id) {
+            const { data: licenseData } = await supabase
+                .from('licenses')
+                .select('license_key, license_type, status, expiry_date, activation_date')
+                .eq('id', orgData.license_id)
+                .single();
+            license = licenseData;
+        }
+    }
+    
+    // Start a session (short-lived access token plus refresh token)
+    const { token, refreshToken, expiresIn } = await sessionService.createSession(user, clientFrom(req));
+    
+    // Update last login (non-blocking, don't fail login if this fails)
+    try {
+        await supabase
+            .from('users')
+            .update({ last_login: new Date().toISOString(), last_login_ip: req.ip })
+            .eq('id', user.id);
+    } catch (updateError) {
+        logger.error('Failed to update last login', { error: updateError.message });
+    }
+    
+    logger.audit('user_login', user.id, { username: user.username });
+    
+    res.json({
+        success: true,
+        token,
+        refreshToken,
+        expiresIn,
+        passwordChangeRequired,
+        ...extra,
+        user: {
+            id: user.id,
+            username: user.username,
+            fullName: user.full_name,
+            role: user.role,
+            orgId: user.org_id,
+            org: org
+        },
+        license: license ? {
+            plan: license.license_type,
+            status: license.status,
+            expiresAt: license.expiry_date,
+            activatedAt: license.activation_date
+        } : null
+    });
+}
 
 // GET /api/auth/me - Validate current session and return user info
 router.get('/me', authenticate, async (req, res) => {
@@ -19,7 +126,11 @@ router.get('/me', authenticate, async (req, res) => {
                 fullName: req.user.full_name,
                 role: req.user.role,
                 orgId: req.user.org_id,
-                email: req.user.email
+                email: req.user.email,
+                mustChangePassword: Boolean(req.user.must_change_password),
+                twoFactorEnabled: Boolean(req.user.two_factor_enabled),
+                twoFactorSetupRequired: !req.user.two_factor_enabled
+                    && twoFactorService.isRequired(req.user, twoFactorService.resolvePolicy(req.user.licensed_orgs?.settings?.two_factor))
             }
         });
     } catch (error) {
@@ -33,6 +144,11 @@ router.post('/register', authLimiter, async (req, res) => {
     try {
         const { username, fullName, email, mobile, password, orgId, role } = req.body;
         
+        const passwordErrors = passwordService.checkPassword(password, await passwordService.getPolicy(orgId), { username });
+        if (passwordErrors.length > 0) {
+            return res.status(400).json({ success: false, error: passwordErrors[0], code: 'PASSWORD_POLICY', errors: passwordErrors });
+        }
+        
         const supabase = getSupabaseClient();
         
         // Check if user exists
@@ -112,37 +228,26 @@ router.post('/login', authLimiter, async (req, res) => {
             user = data;
         }
         
+        // Unknown, locked and wrong-password sign-ins get the same answer so
+        // the response does not reveal which usernames exist
+        const invalidCredentials = { success: false, error: 'Invalid credentials' };
+        
         if (!user) {
             logger.warn('Login failed: user not found', { username, isEmail });
-            return res.status(401).json({ success: false, error: 'Invalid credentials' });
+            return res.status(401).json(invalidCredentials);
+        }
+        
+        // Locked accounts are refused before the password is checked
+        if (passwordService.isLocked(user)) {
+            logger.security('login_while_locked', 'medium', { userId: user.id, ip: req.ip });
+            return res.status(401).json(invalidCredentials);
         }
         
         const isValid = await encryptionUtil.verifyPassword(password, user.password_hash);
         
         if (!isValid) {
-            return res.status(401).json({ success: false, error: 'Invalid credentials' });
-        }
-        
-        // Fetch org separately if user has org_id
-        let org = null;
-        let license = null;
-        if (user.org_id) {
-            const { data: orgData } = await supabase
-                .from('licensed_orgs')
-                .select('*')
-                .eq('id', user.org_id)
-                .single();
-            org = orgData;
-
-            // Fetch license info for validity display
-            if (orgData && orgData.license_id) {
-                const { data: licenseData } = await supabase
-                    .from('licenses')
-                    .select('license_key, license_type, status, expiry_date, activation_date')
-                    .eq('id', orgData.license_id)
-                    .single();
-                license = licenseData;
-            }
+            await passwordService.registerFailedLogin(user, { ip: req.ip, userAgent: req.get('user-agent') });
+            return res.status(401).json(invalidCredentials);
         }
         
         // Check JWT_SECRET is configured
@@ -151,42 +256,20 @@ router.post('/login', authLimiter, async (req, res) => {
             return res.status(500).json({ success: false, error: 'Server configuration error' });
         }
         
-        // Generate JWT
-        const token = jwt.sign(
-            { userId: user.id, orgId: user.org_id, role: user.role },
-            process.env.JWT_SECRET,
-            { expiresIn: '24h' }
-        );
-        
-        // Update last login (non-blocking, don't fail login if this fails)
-        try {
-            await supabase
-                .from('users')
-                .update({ last_login: new Date().toISOString(), last_login_ip: req.ip })
-                .eq('id', user.id);
-        } catch (updateError) {
-            logger.error('Failed to update last login', { error: updateError.message });
+        // Second factor: no session until the code is checked at /2fa/verify
+        const twoFactorPolicy = await twoFactorService.getPolicy(user.org_id);
+        if (user.two_factor_enabled) {
+            logger.info('Two-factor challenge issued', { userId: user.id });
+            return res.json({
+                success: true,
+                twoFactorRequired: true,
+                challengeToken: twoFactorService.createChallenge(user),
+                methods: twoFactorService.methodsFor(user, twoFactorPolicy)
+            });
         }
         
-        logger.audit('user_login', user.id, { username });
-        
-        res.json({
-            success: true,
-            token,
-            user: {
-                id: user.id,
-                username: user.username,
-                fullName: user.full_name,
-                role: user.role,
-                orgId: user.org_id,
-                org: org
-            },
-            license: license ? {
-                plan: license.license_type,
-                status: license.status,
-                expiresAt: license.expiry_date,
-                activatedAt: license.activation_date
-            } : null
+        await completeLogin(req, res, user, {
+            twoFactorSetupRequired: twoFactorService.isRequired(user, twoFactorPolicy)
         });
     } catch (error) {
         logger.error('Login error', { error: error.message, stack: error.stack });
@@ -194,76 +277,432 @@ router.post('/login', authLimiter, async (req, res) => {
     }
 });
 
+// POST /api/auth/refresh - Exchange a refresh token for new tokens (the refresh token rotates)
+router.post('/refresh', async (req, res) => {
+    try {
+        const { status, ...body } = await sessionService.refreshSession(req.body?.refreshToken, {
+            ip: req.ip,
+            userAgent: req.get('user-agent')
+        });
+        res.status(status).json(body);
+    } catch (error) {
+        logger.error('Token refresh error', { error: error.message });
+        res.status(500).json({ success: false, error: 'Failed to refresh session' });
+    }
+});
+
+// POST /api/auth/logout - Sign out the current session
+router.post('/logout', authenticate, async (req, res) => {
+    try {
+        await sessionService.revokeSession(req.user.id, req.sessionId, 'logout');
+        logger.audit('user_logout', req.user.id, { session_id: req.sessionId });
+        res.json({ success: true, message: 'Signed out' });
+    } catch (error) {
+        logger.error('Logout error', { error: error.message });
+        res.status(500).json({ success: false, error: 'Failed to sign out' });
+    }
+});
+
+// POST /api/auth/logout-all - Sign out every device, including this one
+router.post('/logout-all', authenticate, async (req, res) => {
+    try {
+        const count = await sessionService.revokeAllSessions(req.user.id, 'logout_all');
+        res.json({ success: true, message: `Signed out of ${count} session(s)`, count });
+    } catch (error) {
+        logger.error('Logout all error', { error: error.message });
+        res.status(500).json({ success: false, error: 'Failed to sign out' });
+    }
+});
+
+// GET /api/auth/sessions - Devices the current user is signed in on
+router.get('/sessions', authenticate, async (req, res) => {
+    try {
+        const data = await sessionService.listSessions(req.user.id, req.sessionId);
+        res.json({ success: true, data });
+    } catch (error) {
+        logger.error('List sessions error', { error: error.message });
+        res.status(500).json({ success: false, error: 'Failed to fetch sessions' });
+    }
+});
+
+// DELETE /api/auth/sessions/:id - Sign out one of the current user's devices
+router.delete('/sessions/:id', authenticate, async (req, res) => {
+    try {
+        const reason = req.params.id === req.sessionId ? 'logout' : 'revoked_by_user';
+        const revoked = await sessionService.revokeSession(req.user.id, req.params.id, reason);
+        if (!revoked) {
+            return res.status(404).json({ success: false, error: 'Session not found' });
+        }
+        res.json({ success: true, message: 'Session signed out' });
+    } catch (error) {
+        logger.error('Revoke session error', { error: error.message });
+        res.status(500).json({ success: false, error: 'Failed to sign out session' });
+    }
+});
+
+// POST /api/auth/2fa/verify - Finish a sign-in with a second-factor code
+router.post('/2fa/verify', authLimiter, async (req, res) => {
+    try {
+        const { challengeToken, method = 'totp', code } = req.body;
+        
+        const user = await twoFactorService.readChallenge(challengeToken);
+        if (!user || !user.two_factor_enabled) {
+            return res.status(401).json({ success: false, error: 'Sign-in expired, please sign in again', code: 'TWO_FACTOR_CHALLENGE_INVALID' });
+        }
+        
+        if (passwordService.isLocked(user)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Account temporarily locked after too many failed sign-ins',
+                code: 'ACCOUNT_LOCKED',
+                lockedUntil: user.locked_until
+            });
+        }
+        
+        const client = { ip: req.ip, userAgent: req.get('user-agent') };
+        const check = await twoFactorService.verifyCode(user, { method, code }, client);
+        
+        if (!check.success) {
+            // Wrong codes count towards the same lockout as wrong passwords
+            const lockout = check.code === 'TWO_FACTOR_INVALID'
+                ? await passwordService.registerFailedLogin(user, client)
+                : { locked: false };
+            if (lockout.locked) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Account temporarily locked after too many failed sign-ins',
+                    code: 'ACCOUNT_LOCKED',
+                    lockedUntil: lockout.lockedUntil
+                });
+            }
+            const { status, ...body } = check;
+            return res.status(status).json(body);
+        }
+        
+        await completeLogin(req, res, user, { twoFactorSetupRequired: false });
+    } catch (error) {
+        logger.error('Two-factor verify error', { error: error.message });
+        res.status(500).json({ success: false, error: 'Login failed. Please try again.' });
+    }
+});
+
+// POST /api/auth/2fa/sms - Text a sign-in code instead of using the authenticator app
+router.post('/2fa/sms', otpLimiter, async (req, res) => {
+    try {
+        const user = await twoFactorService.readChallenge(req.body.challengeToken);
+        if (!user || !user.two_factor_enabled) {
+            return res.status(401).json({ success: false, error: 'Sign-in expired, please sign in again', code: 'TWO_FACTOR_CHALLENGE_INVALID' });
+        }
+        
+        const { status, ...body } = await twoFactorService.sendSmsCode(user);
+        res.status(status).json(body);
+    } catch (error) {
+        logger.error('Two-factor SMS error', { error: error.message });
+        res.status(500).json({ success: false, error: 'Failed to send code' });
+    }
+});
+
+// GET /api/auth/2fa - Two-factor status of the current user
+router.get('/2fa', authenticate, async (req, res) => {
+    try {
+        const data = await twoFactorService.getStatus(req.user);
+        res.json({ success: true, data });
+    } catch (error) {
+        logger.error('Two-factor status error', { error: error.message });
+        res.status(500).json({ success: false, error: 'Failed to fetch two-factor status' });
+    }
+});
+
+// POST /api/auth/2fa/setup - New authenticator secret and QR code
+router.post('/2fa/setup', authenticate, async (req, res) => {
+    try {
+        const { status, ...body } = await twoFactorService.setup(req.user);
+        res.status(status).json(body);
+    } catch (error) {
+        logger.error('Two-factor setup error', { error: error.message });
+        res.status(500).json({ success: false, error: 'Failed to start two-factor setup' });
+    }
+});
+
+// POST /api/auth/2fa/enable - Confirm setup with a code from the app; returns recovery codes once
+router.post('/2fa/enable', authLimiter, authenticate, async (req, res) => {
+    try {
+        const { status, ...body } = await twoFactorService.enable(req.user, req.body.code, {
+            ip: req.ip,
+            userAgent: req.get('user-agent')
+        });
+        res.status(status).json(body);
+    } catch (error) {
+        logger.error('Two-factor enable error', { error: error.message });
+        res.status(500).json({ success: false, error: 'Failed to enable two-factor authentication' });
+    }
+});
+
+// POST /api/auth/2fa/recovery-codes - Replace the recovery codes
+router.post('/2fa/recovery-codes', authLimiter, authenticate, async (req, res) => {
+    try {
+        const { status, ...body } = await twoFactorService.regenerateRecoveryCodes(req.user, req.body, {
+            ip: req.ip,
+            userAgent: req.get('user-agent')
+        });
+        res.status(status).json(body);
+    } catch (error) {
+        logger.error('Recovery codes error', { error: error.message });
+        res.status(500).json({ success: false, error: 'Failed to generate recovery codes' });
+    }
+});
+
+// POST /api/auth/2fa/disable - Turn two-factor sign-in off (password and a code required)
+router.post('/2fa/disable', authLimiter, authenticate, async (req, res) => {
+    try {
+        const { status, ...body } = await twoFactorService.disable(req.user, req.body, {
+            ip: req.ip,
+            userAgent: req.get('user-agent')
+        });
+        res.status(status).json(body);
+    } catch (error) {
+        logger.error('Two-factor disable error', { error: error.message });
+        res.status(500).json({ success: false, error: 'Failed to disable two-factor authentication' });
+    }
+});
+
+// POST /api/auth/2fa/step-up - Re-authenticate before approving high-value vouchers
+router.post('/2fa/step-up', authLimiter, authenticate, async (req, res) => {
+    try {
+        const { status, ...body } = await twoFactorService.stepUp(req.user, req.sessionId, req.body, {
+            ip: req.ip,
+            userAgent: req.get('user-agent')
+        });
+        res.status(status).json(body);
+    } catch (error) {
+        logger.error('Step-up error', { error: error.message });
+        res.status(500).json({ success: false, error: 'Failed to confirm identity' });
+    }
+});
+
+// POST /api/auth/2fa/step-up/sms - Text a code for step-up re-authentication
+router.post('/2fa/step-up/sms', otpLimiter, authenticate, async (req, res) => {
+    try {
+        if (!req.user.two_factor_enabled) {
+            return res.status(400).json({ success: false, error: 'Two-factor authentication is not enabled' });
+        }
+        const { status, ...body } = await twoFactorService.sendSmsCode(req.user);
+        res.status(status).json(body);
+    } catch (error) {
+        logger.error('Step-up SMS error', { error: error.message });
+        res.status(500).json({ success: false, error: 'Failed to send code' });
+    }
+});
+
+// POST /api/auth/password/forgot - Send a reset code to the account's mobile or email
+router.post('/password/forgot', otpLimiter, async (req, res) => {
+    try {
+        const { identifier, channel = 'sms' } = req.body;
+        
+        if (!identifier) {
+            return res.status(400).json({ success: false, error: 'identifier is required' });
+        }
+        
+        if (!otpService.OTP_CHANNELS.includes(channel)) {
+            return res.status(400).json({ success: false, error: `channel must be one of: ${otpService.OTP_CHANNELS.join(', ')}` });
+        }
+        
+        // Same answer whether or not the account exists
+        const response = { success: true, message: 'If the account exists, a reset code has been sent to its registered contact' };
+        
+        const user = await findAccount(identifier);
+        if (!user || !user.mobile || (channel === 'email' && !user.email)) {
+            logger.warn('Password reset requested for unknown account', { channel, ip: req.ip });
+            return res.json(response);
+        }
+        
+        const result = await otpService.sendOTP({
+            mobile: user.mobile,
+            otpType: 'password_reset',
+            contextId: user.id,
+            orgId: user.org_id,
+            email: channel === 'email' ? user.email : null,
+            channel
+        });
+        
+        await passwordService.recordEvent(user, 'password_reset_requested', {
+            ip: req.ip,
+            userAgent: req.get('user-agent'),
+            details: { channel, delivered: result.success }
+        });
+        
+        if (!result.success) {
+            logger.error('Password reset OTP failed', { userId: user.id, error: result.error });
+        }
+        
+        res.json(response);
+    } catch (error) {
+        logger.error('Forgot password error', { error: error.message });
+        res.status(500).json({ success: false, error: 'Failed to send reset code' });
+    }
+});
+
+// POST /api/auth/password/reset - Set a new password with the reset code
+router.post('/password/reset', authLimiter, async (req, res) => {
+    try {
+        const { identifier, otp, newPassword } = req.body;
+        
+        if (!identifier || !otp || !newPassword) {
+            return res.status(400).json({ success: false, error: 'identifier, otp and newPassword are required' });
+        }
+        
+        const user = await findAccount(identifier);
+        if (!user || !user.mobile) {
+            return res.status(400).json({ success: false, error: 'Invalid or expired reset code', code: 'OTP_INVALID' });
+        }
+        
+        // Check the password first so a rejected one does not use up the code
+        const rejected = await passwordService.checkNewPassword(user, newPassword);
+        if (rejected) {
+            const { status, ...body } = rejected;
+            return res.status(status).json(body);
+        }
+        
+        const result = await otpService.verifyOTP({
+            mobile: user.mobile,
+            otpType: 'password_reset',
+            contextId: user.id,
+            code: otp
+        });
+        
+        if (!result.success) {
+            return res.status(result.code === 'OTP_LOCKED' ? 429 : 400).json({
+                success: false,
+                error: result.error,
+                code: result.code,
+                attempts_remaining: result.attempts_remaining
+            });
+        }
+        
+        const { status, ...body } = await passwordService.resetPassword(user, newPassword, {
+            ip: req.ip,
+            userAgent: req.get('user-agent')
+        });
+        res.status(status).json(body);
+    } catch (error) {
+        logger.error('Reset password error', { error: error.message });
+        res.status(500).json({ success: false, error: 'Failed to reset password' });
+    }
+});
+
+// POST /api/auth/password/change - Change the signed-in user's password
+router.post('/password/change', authLimiter, authenticate, async (req, res) => {
+    try {
+        const { status, ...body } = await passwordService.changePassword(req.user, req.body, {
+            user: req.user,
+            ip: req.ip,
+            userAgent: req.get('user-agent'),
+            sessionId: req.sessionId
+        });
+        res.status(status).json(body);
+    } catch (error) {
+        logger.error('Change password error', { error: error.message });
+        res.status(500).json({ success: false, error: 'Failed to change password' });
+    }
+});
+
+// GET /api/auth/password/policy - Password rules for the current user's organization
+router.get('/password/policy', authenticate, async (req, res) => {
+    try {
+        const data = await passwordService.getPolicy(req.user.org_id);
+        res.json({ success: true, data });
+    } catch (error) {
+        logger.error('Get password policy error', { error: error.message });
+        res.status(500).json({ success: false, error: 'Failed to fetch password policy' });
+    }
+});
+
 // POST /api/auth/otp/send
 router.post('/otp/send', otpLimiter, async (req, res) => {
     try {
-        const { mobile, otpType, orgId } = req.body;
+        const { mobile, otpType, orgId, channel = 'sms' } = req.body;
         
-        const otp = encryptionUtil.generateOTP(6);
-        const expiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
+        if (!mobile || !otpType) {
+            return res.status(400).json({ success: false, error: 'mobile and otpType are required' });
+        }
         
-        const supabase = getSupabaseClient();
+        if (!otpService.PUBLIC_OTP_TYPES.includes(otpType)) {
+            return res.status(400).json({ success: false, error: `otpType must be one of: ${otpService.PUBLIC_OTP_TYPES.join(', ')}` });
+        }
         
-        // Store OTP
-        await supabase
-            .from('otp_verifications')
-            .insert({
-                mobile,
-                otp_code: otp,
-                otp_type: otpType,
-                org_id: orgId,
-                expires_at: expiresAt.toISOString()
-            });
+        if (!otpService.OTP_CHANNELS.includes(channel)) {
+            return res.status(400).json({ success: false, error: `channel must be one of: ${otpService.OTP_CHANNELS.join(', ')}` });
+        }
         
-        // Send SMS
-        const smsService = await SMSService.forOrganization(orgId);
-        if (smsService) {
-            await smsService.sendOTP(mobile, 'otp_registration', [otp, '10 min', 'CompanyName']);
+        // Email codes only go to the address on file, never one supplied here
+        let email = null;
+        if (channel === 'email') {
+            if (otpType === 'registration') {
+                return res.status(400).json({ success: false, error: 'Registration OTPs can only be sent by SMS' });
+            }
+            
+            const { data: user } = await getSupabaseClient()
+                .from('users')
+                .select('email')
+                .eq('mobile', mobile)
+                .eq('status', 'active')
+                .not('email', 'is', null)
+                .limit(1)
+                .maybeSingle();
+            
+            if (!user) {
+                return res.status(400).json({ success: false, error: 'No email address on file for this mobile. Use SMS instead.' });
+            }
+            email = user.email;
         }
         
-        logger.info('OTP sent', { mobile, otpType });
+        const result = await otpService.sendOTP({ mobile, otpType, orgId: orgId || null, email, channel });
+        
+        if (!result.success) {
+            return res.status(502).json({ success: false, error: result.error });
+        }
         
-        res.json({ success: true, message: 'OTP sent successfully' });
+        res.json({ success: true, message: 'OTP sent successfully', channel: result.channel, expires_at: result.expires_at });
     } catch (error) {
         logger.error('OTP send error', { error: error.message });
-        res.status(500).json({ success: false, error: error.message });
+        res.status(500).json({ success: false, error: 'Failed to send OTP' });
     }
 });
 
 // POST /api/auth/otp/verify
 router.post('/otp/verify', async (req, res) => {
     try {
-        const { mobile, otp } = req.body;
-        
-        const supabase = getSupabaseClient();
+        const { mobile, otp, otpType } = req.body;
         
-        const { data, error } = await supabase
-            .from('otp_verifications')
-            .select('*')
-            .eq('mobile', mobile)
-            .eq('otp_code', otp)
-            .eq('verified', false)
-            .gte('expires_at', new Date().toISOString())
-            .order('created_at', { ascending: false })
-            .limit(1)
-            .single();
+        if (!mobile || !otp) {
+            return res.status(400).json({ success: false, error: 'mobile and otp are required' });
+        }
         
-        if (error || !data) {
-            return res.status(400).json({ success: false, error: 'Invalid or expired OTP' });
+        if (otpType && !otpService.PUBLIC_OTP_TYPES.includes(otpType)) {
+            return res.status(400).json({ success: false, error: `otpType must be one of: ${otpService.PUBLIC_OTP_TYPES.join(', ')}` });
         }
         
-        // Mark as verified
-        await supabase
-            .from('otp_verifications')
-            .update({ verified: true, verified_at: new Date().toISOString() })
-            .eq('id', data.id);
+        const result = await otpService.verifyOTP({
+            mobile,
+            otpType: otpType || otpService.PUBLIC_OTP_TYPES,
+            code: otp
+        });
+        
+        if (!result.success) {
+            return res.status(result.code === 'OTP_LOCKED' ? 429 : 400).json({
+                success: false,
+                error: result.error,
+                code: result.code,
+                attempts_remaining: result.attempts_remaining
+            });
+        }
         
-        logger.info('OTP verified', { mobile });
+        logger.info('OTP verified', { mobile, otpType: result.otp.otp_type });
         
         res.json({ success: true, message: 'OTP verified successfully' });
     } catch (error) {
         logger.error('OTP verify error', { error: error.message });
-        res.status(500).json({ success: false, error: error.message });
+        res.status(500).json({ success: false, error: 'Failed to verify OTP' });
     }
 });
 
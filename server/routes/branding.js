@@ -2,17 +2,147 @@ const express = require('express');
 const router = express.Router();
 const { authenticate, authorize } = require('../middleware/auth');
 const { verifyLicense } = require('../middleware/licenseCheck');
+const { getSupabaseClient } = require('../config/database');
+const brandingService = require('../services/brandingService');
+const logger = require('../utils/logger');
 
-// TODO: Implement specific routes for this module
-// Routes will follow REST API pattern:
-// GET / - List all
-// GET /:id - Get by ID
-// POST / - Create new
-// PUT /:id - Update
-// DELETE /:id - Delete
+/**
+ * Branding API
+ * Public tenant branding resolved from the Host header, plus org_admin updates
+ * of the white-label fields on licensed_orgs.
+ */
 
-router.get('/', authenticate, async (req, res) => {
-    res.json({ success: true, message: 'Route not yet implemented' });
+/**
+ * Host used for tenant resolution
+ * ?host= is honoured outside production so subdomains can be tried on localhost
+ */
+function requestHost(req) {
+    if (process.env.NODE_ENV !== 'production' && req.query.host) {
+        return req.query.host;
+    }
+    return req.hostname;
+}
+
+// GET /api/branding - Public branding for the tenant serving this host
+router.get('/', async (req, res) => {
+    try {
+        const org = await brandingService.resolveTenant(requestHost(req));
+        const branding = brandingService.toBranding(org);
+
+        res.set('Cache-Control', 'public, max-age=300');
+        res.json({
+            success: true,
+            data: {
+                ...branding,
+                org_id: org?.id || null,
+                is_default: !org
+            }
+        });
+    } catch (error) {
+        logger.error('Get branding error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// GET /api/branding/manifest.json - Per-tenant PWA manifest
+router.get('/manifest.json', async (req, res) => {
+    try {
+        const org = await brandingService.resolveTenant(requestHost(req));
+        res.set('Cache-Control', 'public, max-age=300');
+        res.type('application/manifest+json').send(JSON.stringify(brandingService.buildManifest(org)));
+    } catch (error) {
+        logger.error('Get manifest error', { error: error.message });
+        res.type('application/manifest+json').send(JSON.stringify(brandingService.buildManifest(null)));
+    }
+});
+
+// GET /api/branding/current - Branding of the authenticated user's org (for settings screens)
+router.get('/current', authenticate, async (req, res) => {
+    try {
+        const supabase = getSupabaseClient();
+        const { data: org, error } = await supabase
+            .from('licensed_orgs')
+            .select('id, org_name, org_slug, custom_domain, primary_color, secondary_color, accent_color, logo_url, favicon_url, custom_css')
+            .eq('id', req.user.org_id)
+            .single();
+        if (error || !org) return res.status(404).json({ success: false, error: 'Organization not found' });
+        res.json({ success: true, data: org });
+    } catch (error) {
+        logger.error('Get current branding error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// PUT /api/branding - Update the org's white-label fields
+router.put('/', authenticate, verifyLicense, authorize('super_admin', 'org_admin'), async (req, res) => {
+    try {
+        const supabase = getSupabaseClient();
+        const updates = {};
+        const errors = [];
+
+        ['primary_color', 'secondary_color', 'accent_color'].forEach(field => {
+            if (req.body[field] === undefined) return;
+            if (!brandingService.isValidHexColor(req.body[field])) {
+                errors.push(`${field} must be a hex colour such as #1e40af`);
+            } else {
+                updates[field] = req.body[field].toLowerCase();
+            }
+        });
+
+        ['logo_url', 'favicon_url'].forEach(field => {
+            if (req.body[field] === undefined) return;
+            if (req.body[field] === null || req.body[field] === '') {
+                updates[field] = null;
+            } else if (!brandingService.isValidAssetUrl(req.body[field])) {
+                errors.push(`${field} must be an https URL or a site-relative path`);
+            } else {
+                updates[field] = req.body[field];
+            }
+        });
+
+        if (req.body.custom_css !== undefined) {
+            const result = brandingService.sanitizeCss(req.body.custom_css);
+            if (result.error) errors.push(result.error);
+            else updates.custom_css = result.css;
+        }
+
+        if (req.body.custom_domain !== undefined) {
+            const domain = req.body.custom_domain ? String(req.body.custom_domain).trim().toLowerCase() : null;
+
+            if (domain && !req.license?.features?.custom_domain) {
+                return res.status(403).json({ success: false, error: 'Custom domains are not included in your plan', code: 'FEATURE_NOT_AVAILABLE' });
+            }
+
+            if (domain && !brandingService.isValidDomain(domain)) {
+                errors.push('custom_domain must be a valid hostname such as pay.example.com');
+            } else if (domain) {
+                const { data: taken } = await supabase.from('licensed_orgs').select('id').eq('custom_domain', domain).neq('id', req.user.org_id).maybeSingle();
+                if (taken) errors.push('custom_domain is already in use by another organization');
+                else updates.custom_domain = domain;
+            } else {
+                updates.custom_domain = null;
+            }
+        }
+
+        if (errors.length > 0) return res.status(400).json({ success: false, error: errors.join('; '), errors });
+        if (Object.keys(updates).length === 0) return res.status(400).json({ success: false, error: 'No branding fields to update' });
+
+        updates.updated_at = new Date().toISOString();
+        const { data, error } = await supabase
+            .from('licensed_orgs')
+            .update(updates)
+            .eq('id', req.user.org_id)
+            .select('id, org_name, org_slug, custom_domain, primary_color, secondary_color, accent_color, logo_url, favicon_url, custom_css')
+            .single();
+        if (error) throw error;
+
+        brandingService.invalidateTenant(req.user.org_id);
+        logger.audit('branding_updated', req.user.id, { orgId: req.user.org_id, fields: Object.keys(updates) });
+        res.json({ success: true, data });
+    } catch (error) {
+        logger.error('Update branding error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
 });
 
 module.exports = router;
@@ -3,6 +3,7 @@ const router = express.Router();
 const { authenticate, authorize } = require('../middleware/auth');
 const { verifyLicense } = require('../middleware/licenseCheck');
 const { getSupabaseClient } = require('../config/database');
+const headOfAccountService = require('../services/headOfAccountService');
 const logger = require('../utils/logger');
 
 // GET /api/companies - List companies for the authenticated user's org
@@ -75,6 +76,10 @@ router.post('/', authenticate, verifyLicense, authorize('super_admin', 'org_admi
             status: 'active', created_by: req.user.id
         }).select().single();
         if (error) throw error;
+        if (req.body.seed_heads_of_account !== false) {
+            await headOfAccountService.seedStandardChart(req.user.org_id, data.id, req.user.id)
+                .catch(seedError => logger.warn('Failed to seed heads of account', { error: seedError.message, companyId: data.id }));
+        }
         logger.audit('company_created', req.user.id, { companyId: data.id, name });
         res.json({ success: true, data });
     } catch (error) {
@@ -0,0 +1,200 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middleware/auth');
+const { verifyLicense } = require('../middleware/licenseCheck');
+const { getSupabaseClient } = require('../config/database');
+const headOfAccountService = require('../services/headOfAccountService');
+const budgetService = require('../services/budgetService');
+const logger = require('../utils/logger');
+
+/**
+ * Heads of Account API
+ * Chart of accounts (tree through parent_id) and per-period budgets
+ */
+
+const canManage = authorize(...headOfAccountService.ADMIN_ROLES);
+
+/**
+ * Send a service outcome { success, status, ... }
+ */
+function send(res, outcome) {
+    const { status, ...body } = outcome;
+    res.status(status).json(body);
+}
+
+// GET /api/heads-of-account - Flat list (company heads plus org-wide heads)
+router.get('/', authenticate, verifyLicense, async (req, res) => {
+    try {
+        const { company_id, include_inactive } = req.query;
+        const data = await headOfAccountService.listHeads(req.user.org_id, company_id, { includeInactive: include_inactive === 'true' });
+        res.json({ success: true, data });
+    } catch (error) {
+        logger.error('List heads of account error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// GET /api/heads-of-account/tree - Nested tree with children
+router.get('/tree', authenticate, verifyLicense, async (req, res) => {
+    try {
+        const { company_id, include_inactive } = req.query;
+        const heads = await headOfAccountService.listHeads(req.user.org_id, company_id, { includeInactive: include_inactive === 'true' });
+        res.json({ success: true, data: headOfAccountService.buildTree(heads) });
+    } catch (error) {
+        logger.error('Heads of account tree error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/heads-of-account/seed - Add the standard chart of accounts to a company
+router.post('/seed', authenticate, verifyLicense, canManage, async (req, res) => {
+    try {
+        const { company_id } = req.body;
+        if (!company_id) return res.status(400).json({ success: false, error: 'company_id is required' });
+        if (req.user.company_id && req.user.company_id !== company_id) {
+            return res.status(403).json({ success: false, error: 'You can only manage heads of account of your own company' });
+        }
+
+        const { data: company } = await getSupabaseClient().from('companies').select('id').eq('id', company_id).eq('org_id', req.user.org_id).maybeSingle();
+        if (!company) return res.status(400).json({ success: false, error: 'Invalid company' });
+
+        const result = await headOfAccountService.seedStandardChart(req.user.org_id, company_id, req.user.id);
+        logger.audit('heads_of_account_seeded', req.user.id, { companyId: company_id, ...result });
+        res.json({ success: true, message: `${result.created} heads of account added`, data: result });
+    } catch (error) {
+        logger.error('Seed heads of account error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// =====================================================
+// BUDGETS
+// =====================================================
+
+// GET /api/heads-of-account/budgets - Budgets (filter by company, head, period type, from / to)
+router.get('/budgets', authenticate, verifyLicense, async (req, res) => {
+    try {
+        const data = await budgetService.listBudgets(req.user.org_id, req.query);
+        res.json({ success: true, data });
+    } catch (error) {
+        logger.error('List budgets error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// PUT /api/heads-of-account/budgets - Set the budget of a head for one period
+router.put('/budgets', authenticate, verifyLicense, canManage, async (req, res) => {
+    try {
+        send(res, await budgetService.setBudget(req.user.org_id, req.body, req.user));
+    } catch (error) {
+        logger.error('Set budget error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// DELETE /api/heads-of-account/budgets/:budgetId
+router.delete('/budgets/:budgetId', authenticate, verifyLicense, canManage, async (req, res) => {
+    try {
+        send(res, await budgetService.deleteBudget(req.user.org_id, req.params.budgetId, req.user));
+    } catch (error) {
+        logger.error('Delete budget error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// =====================================================
+// SINGLE HEAD
+// =====================================================
+
+// GET /api/heads-of-account/:id
+router.get('/:id', authenticate, verifyLicense, async (req, res) => {
+    try {
+        const data = await headOfAccountService.getHead(req.user.org_id, req.params.id);
+        if (!data) return res.status(404).json({ success: false, error: 'Head of account not found' });
+        res.json({ success: true, data });
+    } catch (error) {
+        logger.error('Get head of account error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// GET /api/heads-of-account/:id/budget-status?company_id=&date= - Budgets covering the head, used and remaining
+router.get('/:id/budget-status', authenticate, verifyLicense, async (req, res) => {
+    try {
+        const { company_id, date } = req.query;
+        if (!company_id) return res.status(400).json({ success: false, error: 'company_id is required' });
+
+        const data = await budgetService.budgetStatus({
+            orgId: req.user.org_id,
+            companyId: company_id,
+            headId: req.params.id,
+            date: date ? new Date(date) : new Date()
+        });
+        res.json({ success: true, data });
+    } catch (error) {
+        logger.error('Budget status error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/heads-of-account
+router.post('/', authenticate, verifyLicense, canManage, async (req, res) => {
+    try {
+        send(res, await headOfAccountService.createHead(req.user.org_id, req.body, req.user));
+    } catch (error) {
+        logger.error('Create head of account error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// PUT /api/heads-of-account/:id - Code, name, description, category
+router.put('/:id', authenticate, verifyLicense, canManage, async (req, res) => {
+    try {
+        send(res, await headOfAccountService.updateHead(req.user.org_id, req.params.id, req.body, req.user));
+    } catch (error) {
+        logger.error('Update head of account error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/heads-of-account/:id/move - { parent_id } (null for top level)
+router.post('/:id/move', authenticate, verifyLicense, canManage, async (req, res) => {
+    try {
+        send(res, await headOfAccountService.moveHead(req.user.org_id, req.params.id, req.body.parent_id || null, req.user));
+    } catch (error) {
+        logger.error('Move head of account error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/heads-of-account/:id/merge - { target_id }
+router.post('/:id/merge', authenticate, verifyLicense, authorize('super_admin', 'org_admin'), async (req, res) => {
+    try {
+        send(res, await headOfAccountService.mergeHead(req.user.org_id, req.params.id, req.body.target_id, req.user));
+    } catch (error) {
+        logger.error('Merge head of account error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/heads-of-account/:id/deactivate
+router.post('/:id/deactivate', authenticate, verifyLicense, canManage, async (req, res) => {
+    try {
+        send(res, await headOfAccountService.deactivateHead(req.user.org_id, req.params.id, req.user));
+    } catch (error) {
+        logger.error('Deactivate head of account error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/heads-of-account/:id/activate
+router.post('/:id/activate', authenticate, verifyLicense, canManage, async (req, res) => {
+    try {
+        send(res, await headOfAccountService.activateHead(req.user.org_id, req.params.id, req.user));
+    } catch (error) {
+        logger.error('Activate head of account error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
@@ -159,7 +159,9 @@ router.post('/', authenticate, authorize('super_admin', 'admin'), async (req, re
             features: features || {
                 print: true, reports: true, api_access: licenseType === 'enterprise',
                 custom_domain: licenseType === 'enterprise', white_label: true,
-                multi_company: licenseType !== 'trial', advanced_analytics: ['premium', 'enterprise'].includes(licenseType)
+                multi_company: licenseType !== 'trial', advanced_analytics: ['premium', 'enterprise'].includes(licenseType),
+                bulk_operations: ['premium', 'enterprise'].includes(licenseType),
+                data_export: ['premium', 'enterprise'].includes(licenseType)
             },
             notes: notes || '',
             created_by: req.user.id
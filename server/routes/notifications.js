@@ -1,18 +1,115 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate, authorize } = require('../middleware/auth');
-const { verifyLicense } = require('../middleware/licenseCheck');
-
-// TODO: Implement specific routes for this module
-// Routes will follow REST API pattern:
-// GET / - List all
-// GET /:id - Get by ID
-// POST / - Create new
-// PUT /:id - Update
-// DELETE /:id - Delete
+const { authenticate } = require('../middleware/auth');
+const { getSupabaseClient } = require('../config/database');
+const logger = require('../utils/logger');
 
+// GET /api/notifications - List the current user's notifications
 router.get('/', authenticate, async (req, res) => {
-    res.json({ success: true, message: 'Route not yet implemented' });
+    try {
+        const supabase = getSupabaseClient();
+        const { unread, type, page = 1, limit = 20 } = req.query;
+        const offset = (page - 1) * limit;
+
+        let query = supabase
+            .from('notifications')
+            .select('*', { count: 'exact' })
+            .eq('user_id', req.user.id)
+            .order('created_at', { ascending: false });
+
+        if (unread === 'true') query = query.eq('read', false);
+        if (type) query = query.eq('notification_type', type);
+
+        const [{ data, count, error }, { count: unreadCount }] = await Promise.all([
+            query.range(offset, offset + parseInt(limit) - 1),
+            supabase.from('notifications').select('*', { count: 'exact', head: true }).eq('user_id', req.user.id).eq('read', false)
+        ]);
+        if (error) throw error;
+
+        res.json({
+            success: true,
+            data: data || [],
+            unread_count: unreadCount || 0,
+            pagination: { page: parseInt(page), limit: parseInt(limit), total: count || 0 }
+        });
+    } catch (error) {
+        logger.error('List notifications error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// GET /api/notifications/unread-count
+router.get('/unread-count', authenticate, async (req, res) => {
+    try {
+        const supabase = getSupabaseClient();
+        const { count, error } = await supabase
+            .from('notifications')
+            .select('*', { count: 'exact', head: true })
+            .eq('user_id', req.user.id)
+            .eq('read', false);
+        if (error) throw error;
+        res.json({ success: true, data: { unread_count: count || 0 } });
+    } catch (error) {
+        logger.error('Unread count error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/notifications/read-all - Mark every unread notification as read
+router.post('/read-all', authenticate, async (req, res) => {
+    try {
+        const supabase = getSupabaseClient();
+        const { data, error } = await supabase
+            .from('notifications')
+            .update({ read: true, read_at: new Date().toISOString() })
+            .eq('user_id', req.user.id)
+            .eq('read', false)
+            .select('id');
+        if (error) throw error;
+        res.json({ success: true, message: 'All notifications marked as read', data: { updated: (data || []).length } });
+    } catch (error) {
+        logger.error('Mark all notifications read error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/notifications/:id/read
+router.post('/:id/read', authenticate, async (req, res) => {
+    try {
+        const supabase = getSupabaseClient();
+        const { data, error } = await supabase
+            .from('notifications')
+            .update({ read: true, read_at: new Date().toISOString() })
+            .eq('id', req.params.id)
+            .eq('user_id', req.user.id)
+            .select()
+            .maybeSingle();
+        if (error) throw error;
+        if (!data) return res.status(404).json({ success: false, error: 'Notification not found' });
+        res.json({ success: true, message: 'Notification marked as read', data });
+    } catch (error) {
+        logger.error('Mark notification read error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// DELETE /api/notifications/:id
+router.delete('/:id', authenticate, async (req, res) => {
+    try {
+        const supabase = getSupabaseClient();
+        const { data, error } = await supabase
+            .from('notifications')
+            .delete()
+            .eq('id', req.params.id)
+            .eq('user_id', req.user.id)
+            .select('id');
+        if (error) throw error;
+        if (!data || data.length === 0) return res.status(404).json({ success: false, error: 'Notification not found' });
+        res.json({ success: true, message: 'Notification deleted' });
+    } catch (error) {
+        logger.error('Delete notification error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
 });
 
 module.exports = router;
@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const { getSupabaseClient } = require('../config/database');
+const headOfAccountService = require('../services/headOfAccountService');
+const sessionService = require('../services/sessionService');
+const passwordService = require('../services/passwordService');
 const logger = require('../utils/logger');
 const LicenseGenerator = require('../utils/licenseGenerator');
 const encryptionUtil = require('../utils/encryption');
@@ -138,7 +140,9 @@ router.post('/start-trial', async (req, res) => {
                 custom_domain: false,
                 white_label: true,
                 multi_company: false,
-                advanced_analytics: false
+                advanced_analytics: false,
+                bulk_operations: false,
+                data_export: false
             }
         };
 
@@ -227,6 +231,8 @@ router.post('/start-trial', async (req, res) => {
             .select().single();
         if (company) {
             await supabase.from('users').update({ company_id: company.id }).eq('id', user.id);
+            await headOfAccountService.seedStandardChart(org.id, company.id, user.id)
+                .catch(error => logger.warn('Failed to seed heads of account', { error: error.message, companyId: company.id }));
         }
 
         // 6. Initialize license usage
@@ -311,10 +317,24 @@ router.post('/activate-license', async (req, res) => {
                 return res.status(400).json({ success: false, error: 'This license is already activated. Please use the Login page to sign in.' });
             }
 
-            const isValid = await encryptionUtil.verifyPassword(password, existingUser.password_hash);
+            // A locked account gets the wrong-password answer, as on the Login page
+            const isValid = !passwordService.isLocked(existingUser) &&
+                await encryptionUtil.verifyPassword(password, existingUser.password_hash);
             if (!isValid) {
+                if (!passwordService.isLocked(existingUser)) {
+                    await passwordService.registerFailedLogin(existingUser, { ip: req.ip, userAgent: req.get('user-agent') });
+                }
                 return res.status(401).json({ success: false, error: 'This license is already activated. Incorrect password — please use Login instead.' });
             }
+            // This shortcut cannot ask for a second factor
+            if (existingUser.two_factor_enabled) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'This license is already activated and your account uses two-factor authentication. Please use the Login page to sign in.',
+                    code: 'TWO_FACTOR_REQUIRED'
+                });
+            }
+            const passwordChangeRequired = await passwordService.registerSuccessfulLogin(existingUser);
 
             // Fetch org info
             let org = null;
@@ -327,12 +347,11 @@ router.post('/activate-license', async (req, res) => {
                 org = orgData;
             }
 
-            // Generate JWT
-            const token = jwt.sign(
-                { userId: existingUser.id, orgId: existingUser.org_id, role: existingUser.role },
-                process.env.JWT_SECRET,
-                { expiresIn: '24h' }
-            );
+            // Start a session (short-lived access token plus refresh token)
+            const { token, refreshToken, expiresIn } = await sessionService.createSession(existingUser, {
+                ip: req.ip,
+                userAgent: req.get('user-agent')
+            });
 
             logger.info('Already-activated license login', { licenseKey, email: primaryContactEmail, username: existingUser.username });
 
@@ -341,6 +360,9 @@ router.post('/activate-license', async (req, res) => {
                 alreadyActivated: true,
                 message: 'License already activated — logged in successfully!',
                 token,
+                refreshToken,
+                expiresIn,
+                passwordChangeRequired,
                 username: existingUser.username,
                 user: {
                     id: existingUser.id,
@@ -460,6 +482,8 @@ router.post('/activate-license', async (req, res) => {
             .select().single();
         if (company) {
             await supabase.from('users').update({ company_id: company.id }).eq('id', user.id);
+            await headOfAccountService.seedStandardChart(org.id, company.id, user.id)
+                .catch(error => logger.warn('Failed to seed heads of account', { error: error.message, companyId: company.id }));
         }
 
         // 7. Initialize license usage
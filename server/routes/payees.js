@@ -3,8 +3,18 @@ const router = express.Router();
 const { authenticate, authorize } = require('../middleware/auth');
 const { verifyLicense } = require('../middleware/licenseCheck');
 const { getSupabaseClient } = require('../config/database');
+const payeeBankService = require('../services/payeeBankService');
+const payeeImportService = require('../services/payeeImportService');
 const logger = require('../utils/logger');
 
+/**
+ * Send a service outcome { success, status, ... }
+ */
+function send(res, outcome) {
+    const { status, ...body } = outcome;
+    res.status(status).json(body);
+}
+
 // GET /api/payees - List payees for the org (optionally filter by company)
 router.get('/', authenticate, verifyLicense, async (req, res) => {
     try {
@@ -32,6 +42,117 @@ router.get('/', authenticate, verifyLicense, async (req, res) => {
     }
 });
 
+// GET /api/payees/ifsc/:code - Validate an IFSC and look up its bank
+router.get('/ifsc/:code', authenticate, (req, res) => {
+    const result = payeeBankService.validateIfsc(req.params.code);
+    res.status(result.valid ? 200 : 400).json({ success: result.valid, ...(result.valid ? { data: result } : { error: result.error }) });
+});
+
+// POST /api/payees/import - Bulk import payees from CSV / XLSX (base64 file in JSON body)
+router.post('/import', authenticate, authorize('super_admin', 'org_admin', 'company_admin'), verifyLicense, async (req, res) => {
+    try {
+        const { company_id, file, filename, format, mapping, on_conflict, dry_run } = req.body;
+        if (!company_id || !file) return res.status(400).json({ success: false, error: 'company_id and file are required' });
+        if (req.user.company_id && req.user.company_id !== company_id) {
+            return res.status(403).json({ success: false, error: 'You can only import payees for your own company' });
+        }
+
+        const extension = (format || String(filename || '').split('.').pop() || '').toLowerCase();
+        const outcome = await payeeImportService.importPayees({
+            orgId: req.user.org_id,
+            companyId: company_id,
+            file: Buffer.from(String(file).replace(/^data:[^,]*,/, ''), 'base64'),
+            format: extension,
+            mapping,
+            onConflict: on_conflict,
+            dryRun: dry_run === true || dry_run === 'true'
+        }, req.user);
+
+        send(res, outcome);
+    } catch (error) {
+        logger.error('Import payees error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// GET /api/payees/bank-changes - Bank detail changes of the org (default: waiting for approval)
+router.get('/bank-changes', authenticate, verifyLicense, async (req, res) => {
+    try {
+        const supabase = getSupabaseClient();
+        const { status = 'pending_approval', payee_id } = req.query;
+
+        let query = supabase
+            .from('payee_bank_changes')
+            .select('*, payee:payees(id, name, company_id), requester:users!requested_by(full_name), approver:users!approved_by(full_name)')
+            .eq('org_id', req.user.org_id)
+            .order('requested_at', { ascending: false })
+            .limit(200);
+
+        if (status !== 'all') query = query.in('status', status.split(','));
+        if (payee_id) query = query.eq('payee_id', payee_id);
+        if (req.user.company_id) query = query.eq('payee.company_id', req.user.company_id);
+
+        const { data, error } = await query;
+        if (error) throw error;
+
+        res.json({ success: true, data: (data || []).filter(change => change.payee) });
+    } catch (error) {
+        logger.error('List payee bank changes error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/payees/bank-changes/:changeId/verify-otp - Confirm with the OTP sent to the payee
+router.post('/bank-changes/:changeId/verify-otp', authenticate, verifyLicense, async (req, res) => {
+    try {
+        if (!req.body.otp) return res.status(400).json({ success: false, error: 'otp is required' });
+        send(res, await payeeBankService.verifyOtp(req.user.org_id, req.params.changeId, String(req.body.otp), req.user));
+    } catch (error) {
+        logger.error('Verify payee bank change OTP error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/payees/bank-changes/:changeId/resend-otp
+router.post('/bank-changes/:changeId/resend-otp', authenticate, verifyLicense, async (req, res) => {
+    try {
+        send(res, await payeeBankService.resendOtp(req.user.org_id, req.params.changeId));
+    } catch (error) {
+        logger.error('Resend payee bank change OTP error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/payees/bank-changes/:changeId/approve - Second user applies the change
+router.post('/bank-changes/:changeId/approve', authenticate, authorize(...payeeBankService.APPROVER_ROLES), verifyLicense, async (req, res) => {
+    try {
+        send(res, await payeeBankService.approve(req.user.org_id, req.params.changeId, req.user));
+    } catch (error) {
+        logger.error('Approve payee bank change error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/payees/bank-changes/:changeId/reject
+router.post('/bank-changes/:changeId/reject', authenticate, authorize(...payeeBankService.APPROVER_ROLES), verifyLicense, async (req, res) => {
+    try {
+        send(res, await payeeBankService.reject(req.user.org_id, req.params.changeId, req.body.reason, req.user));
+    } catch (error) {
+        logger.error('Reject payee bank change error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/payees/bank-changes/:changeId/cancel - Requester withdraws the change
+router.post('/bank-changes/:changeId/cancel', authenticate, verifyLicense, async (req, res) => {
+    try {
+        send(res, await payeeBankService.cancel(req.user.org_id, req.params.changeId, req.user));
+    } catch (error) {
+        logger.error('Cancel payee bank change error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // GET /api/payees/:id
 router.get('/:id', authenticate, verifyLicense, async (req, res) => {
     try {
@@ -56,10 +177,12 @@ router.post('/', authenticate, verifyLicense, async (req, res) => {
         const { data: company } = await supabase.from('companies').select('id').eq('id', company_id).eq('org_id', req.user.org_id).single();
         if (!company) return res.status(400).json({ success: false, error: 'Invalid company' });
 
+        const bank = payeeBankService.validateDetails({ mobile, bank_name, account_number, ifsc_code, account_holder_name, upi_id });
+        if (bank.error) return res.status(400).json({ success: false, error: bank.error, code: 'INVALID_BANK_DETAILS' });
+
         const { data, error } = await supabase.from('payees').insert({
-            org_id: req.user.org_id, company_id, name, mobile: mobile.replace(/[\s\-()]/g, '').substring(0, 20),
-            email, address, city, state, pincode, pan_number, gst_number,
-            bank_name, account_number, ifsc_code, account_holder_name, upi_id,
+            org_id: req.user.org_id, company_id, name, email, address, city, state, pincode, pan_number, gst_number,
+            ...bank.details,
             payee_type: payee_type || 'vendor', notes, status: 'active', created_by: req.user.id
         }).select().single();
 
@@ -67,6 +190,7 @@ router.post('/', authenticate, verifyLicense, async (req, res) => {
             if (error.code === '23505') return res.status(400).json({ success: false, error: 'A payee with this mobile already exists for this company' });
             throw error;
         }
+        await payeeBankService.recordInitialDetails(data, req.user.id);
         logger.audit('payee_created', req.user.id, { payeeId: data.id, name });
         res.json({ success: true, data });
     } catch (error) {
@@ -75,17 +199,73 @@ router.post('/', authenticate, verifyLicense, async (req, res) => {
     }
 });
 
+// GET /api/payees/:id/bank-changes - Bank detail history of a payee
+router.get('/:id/bank-changes', authenticate, verifyLicense, async (req, res) => {
+    try {
+        const supabase = getSupabaseClient();
+        const { data: payee } = await supabase.from('payees').select('id').eq('id', req.params.id).eq('org_id', req.user.org_id).single();
+        if (!payee) return res.status(404).json({ success: false, error: 'Payee not found' });
+
+        const { data, error } = await supabase
+            .from('payee_bank_changes')
+            .select('*, requester:users!requested_by(full_name), approver:users!approved_by(full_name)')
+            .eq('payee_id', req.params.id)
+            .order('requested_at', { ascending: false });
+        if (error) throw error;
+
+        res.json({ success: true, data: data || [] });
+    } catch (error) {
+        logger.error('Payee bank history error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/payees/:id/bank-changes - Request a bank / UPI / mobile change
+router.post('/:id/bank-changes', authenticate, verifyLicense, async (req, res) => {
+    try {
+        const supabase = getSupabaseClient();
+        const { data: payee } = await supabase.from('payees').select('*').eq('id', req.params.id).eq('org_id', req.user.org_id).single();
+        if (!payee) return res.status(404).json({ success: false, error: 'Payee not found' });
+
+        const changes = payeeBankService.changedFields(payee, req.body);
+        send(res, await payeeBankService.requestChange(payee, changes, req.user, req.body.reason || null));
+    } catch (error) {
+        logger.error('Request payee bank change error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // PUT /api/payees/:id
+// Bank, UPI and mobile changes are not applied here; they open a change request.
 router.put('/:id', authenticate, verifyLicense, async (req, res) => {
     try {
         const supabase = getSupabaseClient();
-        const { data: existing } = await supabase.from('payees').select('id').eq('id', req.params.id).eq('org_id', req.user.org_id).single();
+        const { data: existing } = await supabase.from('payees').select('*').eq('id', req.params.id).eq('org_id', req.user.org_id).single();
         if (!existing) return res.status(404).json({ success: false, error: 'Payee not found' });
-        const updates = { ...req.body, updated_at: new Date().toISOString() };
+
+        const updates = { ...req.body };
         delete updates.id; delete updates.org_id; delete updates.created_by; delete updates.created_at;
-        const { data, error } = await supabase.from('payees').update(updates).eq('id', req.params.id).select().single();
-        if (error) throw error;
-        logger.audit('payee_updated', req.user.id, { payeeId: req.params.id });
+        delete updates.bank_details_changed_at; delete updates.reason;
+        payeeBankService.CONTROLLED_FIELDS.forEach(field => delete updates[field]);
+
+        const changes = payeeBankService.changedFields(existing, req.body);
+        let bankChange = null;
+        if (Object.keys(changes).length > 0) {
+            bankChange = await payeeBankService.requestChange(existing, changes, req.user, req.body.reason || null);
+            if (!bankChange.success) return send(res, bankChange);
+        }
+
+        let data = existing;
+        if (Object.keys(updates).length > 0) {
+            const { data: updated, error } = await supabase.from('payees').update({ ...updates, updated_at: new Date().toISOString() }).eq('id', req.params.id).select().single();
+            if (error) throw error;
+            data = updated;
+            logger.audit('payee_updated', req.user.id, { payeeId: req.params.id });
+        }
+
+        if (bankChange) {
+            return res.status(202).json({ success: true, message: bankChange.message, data, bank_change: bankChange.data });
+        }
         res.json({ success: true, data });
     } catch (error) {
         logger.error('Update payee error', { error: error.message });
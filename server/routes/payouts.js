@@ -0,0 +1,279 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middleware/auth');
+const { verifyLicense } = require('../middleware/licenseCheck');
+const { getSupabaseClient } = require('../config/database');
+const payoutService = require('../services/payoutService');
+const { listAdapters, bankFileAdapter } = require('../services/payoutAdapters');
+const logger = require('../utils/logger');
+
+/**
+ * Payout API
+ * Pays completed vouchers by bank upload file, cheque or payout API
+ */
+
+const canPay = authorize(...payoutService.PAYOUT_ROLES);
+
+/**
+ * Who is acting, for audit entries
+ */
+function actorFrom(req) {
+    return { user: req.user, ip: req.ip, userAgent: req.get('user-agent') };
+}
+
+function sendOutcome(res, outcome) {
+    const { status, ...body } = outcome;
+    res.status(status).json(body);
+}
+
+// GET /api/payouts/adapters - Available payout methods and bank file formats
+router.get('/adapters', authenticate, verifyLicense, (req, res) => {
+    res.json({ success: true, data: listAdapters() });
+});
+
+// POST /api/payouts/bank-file - Generate a NEFT/RTGS upload file for completed vouchers
+router.post('/bank-file', authenticate, verifyLicense, canPay, async (req, res) => {
+    try {
+        const { voucher_ids, format = 'generic_csv', value_date } = req.body;
+
+        if (!Array.isArray(voucher_ids) || voucher_ids.length === 0) {
+            return res.status(400).json({ success: false, error: 'voucher_ids must be a non-empty array' });
+        }
+        if (!bankFileAdapter.listFormats().some(f => f.code === format)) {
+            return res.status(400).json({ success: false, error: `Unknown bank file format: ${format}` });
+        }
+        if (value_date && !/^\d{4}-\d{2}-\d{2}$/.test(value_date)) {
+            return res.status(400).json({ success: false, error: 'value_date must be YYYY-MM-DD' });
+        }
+
+        const outcome = await payoutService.createBankFile({
+            orgId: req.user.org_id,
+            voucherIds: [...new Set(voucher_ids)],
+            format,
+            valueDate: value_date
+        }, actorFrom(req));
+
+        sendOutcome(res, outcome);
+    } catch (error) {
+        logger.error('Create bank file error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// GET /api/payouts/batches - List bank files
+router.get('/batches', authenticate, verifyLicense, canPay, async (req, res) => {
+    try {
+        const supabase = getSupabaseClient();
+        const { company_id, status, page = 1, limit = 20 } = req.query;
+        const offset = (page - 1) * limit;
+
+        let query = supabase
+            .from('payout_batches')
+            .select('id, company_id, batch_number, file_format, file_name, voucher_count, total_amount, status, reconciled_at, created_at, company:companies(id, name)', { count: 'exact' })
+            .eq('org_id', req.user.org_id)
+            .order('created_at', { ascending: false })
+            .range(offset, offset + parseInt(limit) - 1);
+
+        if (company_id) query = query.eq('company_id', company_id);
+        if (status) query = query.eq('status', status);
+
+        const { data, error, count } = await query;
+        if (error) throw error;
+
+        res.json({
+            success: true,
+            data: data || [],
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total: count,
+                totalPages: Math.ceil(count / limit)
+            }
+        });
+    } catch (error) {
+        logger.error('List payout batches error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// GET /api/payouts/batches/:id - Bank file with its payouts
+router.get('/batches/:id', authenticate, verifyLicense, canPay, async (req, res) => {
+    try {
+        const supabase = getSupabaseClient();
+
+        const { data: batch, error } = await supabase
+            .from('payout_batches')
+            .select('id, company_id, batch_number, file_format, file_name, voucher_count, total_amount, status, reconciled_at, created_at')
+            .eq('id', req.params.id)
+            .eq('org_id', req.user.org_id)
+            .single();
+
+        if (error || !batch) {
+            return res.status(404).json({ success: false, error: 'Payout batch not found' });
+        }
+
+        const { data: payouts } = await supabase
+            .from('payouts')
+            .select('id, voucher_id, status, amount, transaction_reference, error_message, completed_at, voucher:vouchers(voucher_number, payee_name)')
+            .eq('batch_id', batch.id)
+            .order('created_at', { ascending: true });
+
+        res.json({ success: true, data: { ...batch, payouts: payouts || [] } });
+    } catch (error) {
+        logger.error('Get payout batch error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// GET /api/payouts/batches/:id/file - Download the bank upload file
+router.get('/batches/:id/file', authenticate, verifyLicense, canPay, async (req, res) => {
+    try {
+        const { data: batch } = await getSupabaseClient()
+            .from('payout_batches')
+            .select('id, batch_number, file_name, file_content')
+            .eq('id', req.params.id)
+            .eq('org_id', req.user.org_id)
+            .single();
+
+        if (!batch) {
+            return res.status(404).json({ success: false, error: 'Payout batch not found' });
+        }
+
+        logger.audit('payout_batch_downloaded', req.user.id, { batch_id: batch.id, batch_number: batch.batch_number });
+
+        res.setHeader('Content-Type', batch.file_name.endsWith('.csv') ? 'text/csv' : 'text/plain');
+        res.setHeader('Content-Disposition', `attachment; filename="${batch.file_name}"`);
+        res.send(batch.file_content);
+    } catch (error) {
+        logger.error('Download bank file error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/payouts/batches/:id/reconcile - Record UTRs / rejections returned by the bank
+router.post('/batches/:id/reconcile', authenticate, verifyLicense, canPay, async (req, res) => {
+    try {
+        const { results } = req.body;
+
+        if (!Array.isArray(results) || results.length === 0) {
+            return res.status(400).json({ success: false, error: 'results must be a non-empty array' });
+        }
+
+        const outcome = await payoutService.reconcileBatch(req.user.org_id, req.params.id, results, actorFrom(req));
+        sendOutcome(res, outcome);
+    } catch (error) {
+        logger.error('Reconcile payout batch error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// GET /api/payouts/cheques - Cheque register
+router.get('/cheques', authenticate, verifyLicense, canPay, async (req, res) => {
+    try {
+        const supabase = getSupabaseClient();
+        const { company_id, start_date, end_date } = req.query;
+
+        let query = supabase
+            .from('payouts')
+            .select('id, company_id, voucher_id, amount, status, cheque_number, cheque_date, created_at, voucher:vouchers(voucher_number, payee_name), company:companies(id, name)')
+            .eq('org_id', req.user.org_id)
+            .eq('adapter', 'cheque_register')
+            .order('cheque_number', { ascending: true });
+
+        if (company_id) query = query.eq('company_id', company_id);
+        if (start_date) query = query.gte('cheque_date', start_date);
+        if (end_date) query = query.lte('cheque_date', end_date);
+
+        const { data, error } = await query;
+        if (error) throw error;
+
+        res.json({ success: true, data: data || [] });
+    } catch (error) {
+        logger.error('Cheque register error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/payouts/cheques - Issue a cheque for a completed cheque voucher
+router.post('/cheques', authenticate, verifyLicense, canPay, async (req, res) => {
+    try {
+        const { voucher_id, cheque_number, cheque_date } = req.body;
+
+        if (!voucher_id) {
+            return res.status(400).json({ success: false, error: 'voucher_id is required' });
+        }
+
+        const outcome = await payoutService.issueCheque(req.user.org_id, voucher_id, { cheque_number, cheque_date }, actorFrom(req));
+        sendOutcome(res, outcome);
+    } catch (error) {
+        logger.error('Issue cheque error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// GET /api/payouts/vouchers/:voucherId - Payout attempts of a voucher
+router.get('/vouchers/:voucherId', authenticate, verifyLicense, async (req, res) => {
+    try {
+        const { data, error } = await getSupabaseClient()
+            .from('payouts')
+            .select('id, adapter, attempt_number, amount, status, transaction_reference, provider_reference, cheque_number, cheque_date, error_message, completed_at, created_at, batch:payout_batches(id, batch_number)')
+            .eq('voucher_id', req.params.voucherId)
+            .eq('org_id', req.user.org_id)
+            .order('attempt_number', { ascending: true });
+
+        if (error) throw error;
+
+        res.json({ success: true, data: data || [] });
+    } catch (error) {
+        logger.error('List voucher payouts error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/payouts/vouchers/:voucherId/pay - Pay a voucher through the payout API
+router.post('/vouchers/:voucherId/pay', authenticate, verifyLicense, canPay, async (req, res) => {
+    try {
+        const outcome = await payoutService.payViaApi(req.user.org_id, req.params.voucherId, actorFrom(req));
+        sendOutcome(res, outcome);
+    } catch (error) {
+        logger.error('Pay voucher error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/payouts/vouchers/:voucherId/retry - Retry a failed payment
+router.post('/vouchers/:voucherId/retry', authenticate, verifyLicense, canPay, async (req, res) => {
+    try {
+        const { adapter, cheque_number, cheque_date } = req.body;
+        const outcome = await payoutService.retryPayout(req.user.org_id, req.params.voucherId, { adapter, cheque_number, cheque_date }, actorFrom(req));
+        sendOutcome(res, outcome);
+    } catch (error) {
+        logger.error('Retry payout error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/payouts/vouchers/:voucherId/mark-paid - Record a payment made outside the app
+router.post('/vouchers/:voucherId/mark-paid', authenticate, verifyLicense, canPay, async (req, res) => {
+    try {
+        const { transaction_reference } = req.body;
+        const outcome = await payoutService.markPaidManually(req.user.org_id, req.params.voucherId, { transaction_reference }, actorFrom(req));
+        sendOutcome(res, outcome);
+    } catch (error) {
+        logger.error('Mark voucher paid error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/payouts/:id/refresh - Poll the payout API for a processing payout
+router.post('/:id/refresh', authenticate, verifyLicense, canPay, async (req, res) => {
+    try {
+        const outcome = await payoutService.refreshPayout(req.user.org_id, req.params.id, actorFrom(req));
+        sendOutcome(res, outcome);
+    } catch (error) {
+        logger.error('Refresh payout error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
@@ -3,6 +3,8 @@ const router = express.Router();
 const { authenticate, authorize } = require('../middleware/auth');
 const { verifyLicense } = require('../middleware/licenseCheck');
 const { getSupabaseClient } = require('../config/database');
+const exportService = require('../services/exportService');
+const budgetReportService = require('../services/budgetReportService');
 const logger = require('../utils/logger');
 
 // GET /api/reports/dashboard-stats - Dashboard summary
@@ -120,7 +122,7 @@ router.get('/monthly-trend', authenticate, verifyLicense, async (req, res) => {
             if (!months[month]) months[month] = { count: 0, amount: 0, approved: 0, rejected: 0 };
             months[month].count++;
             months[month].amount += parseFloat(v.amount);
-            if (v.status === 'approved' || v.status === 'completed') months[month].approved++;
+            if (['approved', 'completed', 'paid', 'failed'].includes(v.status)) months[month].approved++;
             if (v.status === 'rejected') months[month].rejected++;
         });
 
@@ -131,4 +133,141 @@ router.get('/monthly-trend', authenticate, verifyLicense, async (req, res) => {
     }
 });
 
+// GET /api/reports/budget-vs-actual - Budget, committed and spent by company, fiscal period and head of account
+// ?company_id=&period_type=annual|monthly&from_date=&to_date= (defaults to the current period)
+// Export the same report with /api/reports/export?dataset=budget_vs_actual
+router.get('/budget-vs-actual', authenticate, verifyLicense, async (req, res) => {
+    try {
+        const filters = exportService.pickFilters('budget_vs_actual', req.query);
+        const invalid = budgetReportService.validateFilters(filters);
+        if (invalid) {
+            return res.status(400).json({ success: false, error: invalid });
+        }
+
+        const data = await budgetReportService.budgetVsActual(req.user.org_id, filters);
+        res.json({ success: true, data });
+    } catch (error) {
+        logger.error('Budget vs actual error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// GET /api/reports/export - Stream vouchers, payees or audit log as CSV / XLSX
+// Accepts the same filters as the list endpoints, e.g. ?dataset=vouchers&format=xlsx&status=paid&from_date=2025-04-01
+router.get('/export', authenticate, verifyLicense, async (req, res) => {
+    try {
+        const { dataset = 'vouchers', format = 'csv' } = req.query;
+
+        if (!req.license?.features?.data_export) {
+            return res.status(403).json({
+                success: false,
+                error: 'Data export is not available on your plan',
+                code: 'FEATURE_NOT_AVAILABLE'
+            });
+        }
+
+        const definition = exportService.DATASETS[dataset];
+        if (!definition) {
+            return res.status(400).json({ success: false, error: `dataset must be one of: ${Object.keys(exportService.DATASETS).join(', ')}` });
+        }
+        if (!exportService.FORMATS[format]) {
+            return res.status(400).json({ success: false, error: `format must be one of: ${Object.keys(exportService.FORMATS).join(', ')}` });
+        }
+        if (definition.roles && !definition.roles.includes(req.user.role)) {
+            return res.status(403).json({ success: false, error: 'Insufficient permissions', code: 'INSUFFICIENT_PERMISSIONS' });
+        }
+
+        const filters = exportService.pickFilters(dataset, req.query);
+        const invalid = definition.validate && definition.validate(filters);
+        if (invalid) {
+            return res.status(400).json({ success: false, error: invalid });
+        }
+
+        const report = await exportService.runExport({ user: req.user, datasetName: dataset, format, filters }, res);
+
+        logger.audit('data_exported', req.user.id, { report_id: report.id, dataset, format, filters, rows: report.summary.row_count });
+    } catch (error) {
+        logger.error('Export error', { error: error.message });
+        // Once streaming has started the response is already aborted
+        if (!res.headersSent) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+});
+
+// GET /api/reports/exports - Previous exports of the org
+router.get('/exports', authenticate, verifyLicense, async (req, res) => {
+    try {
+        const supabase = getSupabaseClient();
+        const { dataset, page = 1, limit = 20 } = req.query;
+        const offset = (page - 1) * limit;
+
+        let query = supabase
+            .from('reports')
+            .select('id, report_name, report_type, filters, summary, export_format, export_url, created_at, generated_by_user:users!reports_generated_by_fkey(id, full_name)', { count: 'exact' })
+            .eq('org_id', req.user.org_id)
+            .like('report_type', '%_export')
+            .order('created_at', { ascending: false })
+            .range(offset, offset + parseInt(limit) - 1);
+
+        if (dataset) query = query.eq('report_type', `${dataset}_export`);
+
+        // Users see their own exports; admins see everyone's
+        if (!['super_admin', 'org_admin'].includes(req.user.role)) {
+            query = query.eq('generated_by', req.user.id);
+        }
+
+        const { data, error, count } = await query;
+        if (error) throw error;
+
+        res.json({
+            success: true,
+            data: data || [],
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total: count,
+                totalPages: Math.ceil(count / limit)
+            }
+        });
+    } catch (error) {
+        logger.error('List exports error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// GET /api/reports/exports/:id/download - Re-download a previous export
+router.get('/exports/:id/download', authenticate, verifyLicense, async (req, res) => {
+    try {
+        let query = getSupabaseClient()
+            .from('reports')
+            .select('id, org_id, report_type, summary, export_format, created_at, generated_by')
+            .eq('id', req.params.id)
+            .eq('org_id', req.user.org_id);
+
+        if (!['super_admin', 'org_admin'].includes(req.user.role)) {
+            query = query.eq('generated_by', req.user.id);
+        }
+
+        const { data: report } = await query.maybeSingle();
+
+        if (!report || !report.report_type.endsWith('_export')) {
+            return res.status(404).json({ success: false, error: 'Export not found' });
+        }
+        if (report.summary?.status !== 'completed') {
+            return res.status(409).json({ success: false, error: `Export ${report.summary?.status || 'is not available'}` });
+        }
+
+        const filePath = exportService.exportFilePath(report);
+        res.download(filePath, exportService.exportFileName(report), (err) => {
+            if (err && !res.headersSent) {
+                res.status(410).json({ success: false, error: 'Export file is no longer available; run the export again' });
+            }
+        });
+    } catch (error) {
+        logger.error('Download export error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 module.exports = router;
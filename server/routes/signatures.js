@@ -248,12 +248,20 @@ router.get('/status/:voucherId', async (req, res) => {
       .select(`
         id,
         voucher_number,
+        org_id,
+        company_id,
+        payee_id,
+        payment_mode,
+        head_of_account_name,
+        created_at,
+        created_by,
+        attachments,
         digital_signature,
         signature_timestamp,
         amount,
         status,
         company:companies(name, logo_url),
-        org:licensed_orgs(name)
+        org:licensed_orgs(org_name)
       `)
       .eq('id', voucherId)
       .single();
@@ -267,7 +275,7 @@ router.get('/status/:voucherId', async (req, res) => {
     
     // Quick verification (no logging for public endpoint)
     const result = await verifyVoucher(
-      voucher,
+      { ...voucher, head_of_account: voucher.head_of_account_name },
       voucher.digital_signature,
       voucher.org_id
     );
@@ -276,11 +284,11 @@ router.get('/status/:voucherId', async (req, res) => {
       success: true,
       voucher_number: voucher.voucher_number,
       company: voucher.company?.name,
-      organization: voucher.org?.name,
+      organization: voucher.org?.org_name,
       amount: voucher.amount,
       status: voucher.status,
       signature: {
-        value: voucher.digital_signature.substring(0, 16) + '...',
+        value: voucher.digital_signature ? voucher.digital_signature.substring(0, 16) + '...' : null,
         timestamp: voucher.signature_timestamp,
         valid: result.valid,
         algorithm: 'HMAC-SHA256'
@@ -0,0 +1,465 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middleware/auth');
+const { verifyLicense, requireQuota } = require('../middleware/licenseCheck');
+const { getSupabaseClient } = require('../config/database');
+const SMSService = require('../services/smsService');
+const smsTemplateService = require('../services/smsTemplateService');
+const smsCircuitBreaker = require('../services/smsCircuitBreaker');
+const logger = require('../utils/logger');
+
+/**
+ * SMS API
+ * DLT templates an organization sends OTPs and notices with, and the
+ * order of providers messages fail over through.
+ * super_admin may pass platform=true to manage the platform templates
+ * (org_id NULL) used for messages that do not belong to a tenant.
+ */
+
+const TEMPLATE_ROLES = ['super_admin', 'org_admin'];
+const PROVIDERS = SMSService.PROVIDERS;
+
+const TEMPLATE_SELECT = 'id, org_id, template_name, template_type, template_content, dlt_template_id, dlt_approved, provider, variables, status, created_at, updated_at';
+
+/**
+ * Org the request works on; null means platform templates
+ */
+function templateOrgId(req) {
+    const platform = req.query.platform === 'true' || req.body?.platform === true;
+    return platform && req.user.role === 'super_admin' ? null : req.user.org_id;
+}
+
+function scoped(query, orgId) {
+    return orgId ? query.eq('org_id', orgId) : query.is('org_id', null);
+}
+
+async function findTemplate(req) {
+    const { data } = await scoped(
+        getSupabaseClient().from('sms_templates').select(TEMPLATE_SELECT).eq('id', req.params.id),
+        templateOrgId(req)
+    ).maybeSingle();
+    return data;
+}
+
+/**
+ * Deactivate the other active templates of a type, so that exactly one
+ * template is picked when sending
+ */
+async function deactivateOthers(orgId, templateType, keepId) {
+    const { error } = await scoped(
+        getSupabaseClient()
+            .from('sms_templates')
+            .update({ status: 'inactive' })
+            .eq('template_type', templateType)
+            .eq('status', 'active')
+            .neq('id', keepId),
+        orgId
+    );
+    if (error) throw error;
+}
+
+// GET /api/sms/templates/types - Template types and the variables each receives
+router.get('/templates/types', authenticate, verifyLicense, authorize(...TEMPLATE_ROLES), (req, res) => {
+    res.json({ success: true, data: smsTemplateService.listTemplateTypes() });
+});
+
+// GET /api/sms/templates
+router.get('/templates', authenticate, verifyLicense, authorize(...TEMPLATE_ROLES), async (req, res) => {
+    try {
+        const { template_type, status } = req.query;
+
+        let query = scoped(
+            getSupabaseClient().from('sms_templates').select(TEMPLATE_SELECT),
+            templateOrgId(req)
+        ).order('template_type', { ascending: true }).order('created_at', { ascending: false });
+
+        if (template_type) query = query.eq('template_type', template_type);
+        if (status) query = query.eq('status', status);
+
+        const { data, error } = await query;
+        if (error) throw error;
+
+        res.json({ success: true, data: data || [] });
+    } catch (error) {
+        logger.error('List SMS templates error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/sms/templates/preview - Render unsaved content
+// Body: { template_content, variables? }
+router.post('/templates/preview', authenticate, verifyLicense, authorize(...TEMPLATE_ROLES), (req, res) => {
+    const { template_content, template_type, variables } = req.body;
+
+    if (!template_content) {
+        return res.status(400).json({ success: false, error: 'template_content is required' });
+    }
+
+    const values = Array.isArray(variables) ? variables.map(String) : smsTemplateService.sampleVariables(template_type);
+    const placeholders = smsTemplateService.countPlaceholders(template_content);
+    const message = SMSService.createDefault().formatTemplate(template_content, values);
+
+    res.json({
+        success: true,
+        data: {
+            message,
+            length: message.length,
+            placeholders,
+            unfilled: Math.max(placeholders - values.length, 0)
+        }
+    });
+});
+
+// GET /api/sms/templates/:id
+router.get('/templates/:id', authenticate, verifyLicense, authorize(...TEMPLATE_ROLES), async (req, res) => {
+    try {
+        const template = await findTemplate(req);
+        if (!template) return res.status(404).json({ success: false, error: 'Template not found' });
+
+        res.json({ success: true, data: template });
+    } catch (error) {
+        logger.error('Get SMS template error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/sms/templates - Register a DLT template
+router.post('/templates', authenticate, verifyLicense, authorize(...TEMPLATE_ROLES), async (req, res) => {
+    try {
+        const {
+            template_name, template_type, template_content, dlt_template_id,
+            provider, variables, dlt_approved = false, status = 'pending_approval'
+        } = req.body;
+
+        if (!template_name) {
+            return res.status(400).json({ success: false, error: 'template_name is required' });
+        }
+        const invalid = smsTemplateService.validateTemplate({ template_type, template_content, dlt_template_id, variables });
+        if (invalid) return res.status(400).json({ success: false, error: invalid });
+        if (provider && !PROVIDERS.includes(provider)) {
+            return res.status(400).json({ success: false, error: `provider must be one of: ${PROVIDERS.join(', ')}` });
+        }
+        if (!['active', 'inactive', 'pending_approval'].includes(status)) {
+            return res.status(400).json({ success: false, error: 'Invalid status' });
+        }
+
+        const orgId = templateOrgId(req);
+        const { data, error } = await getSupabaseClient()
+            .from('sms_templates')
+            .insert({
+                org_id: orgId,
+                template_name,
+                template_type,
+                template_content,
+                dlt_template_id: String(dlt_template_id),
+                dlt_approved: Boolean(dlt_approved),
+                provider: provider || process.env.SMS_PROVIDER || '2factor',
+                variables: variables || smsTemplateService.TEMPLATE_TYPES[template_type].variables,
+                status
+            })
+            .select(TEMPLATE_SELECT)
+            .single();
+
+        if (error) throw error;
+
+        if (status === 'active') await deactivateOthers(orgId, template_type, data.id);
+
+        logger.audit('sms_template_created', req.user.id, { orgId, template_id: data.id, template_type });
+
+        res.status(201).json({ success: true, data });
+    } catch (error) {
+        logger.error('Create SMS template error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// PUT /api/sms/templates/:id - Update; changed content must be approved on DLT again
+router.put('/templates/:id', authenticate, verifyLicense, authorize(...TEMPLATE_ROLES), async (req, res) => {
+    try {
+        const template = await findTemplate(req);
+        if (!template) return res.status(404).json({ success: false, error: 'Template not found' });
+
+        const { template_name, template_content, dlt_template_id, provider, variables, dlt_approved } = req.body;
+
+        const merged = {
+            template_type: template.template_type,
+            template_content: template_content ?? template.template_content,
+            dlt_template_id: dlt_template_id ?? template.dlt_template_id,
+            variables
+        };
+        const invalid = smsTemplateService.validateTemplate(merged);
+        if (invalid) return res.status(400).json({ success: false, error: invalid });
+        if (provider && !PROVIDERS.includes(provider)) {
+            return res.status(400).json({ success: false, error: `provider must be one of: ${PROVIDERS.join(', ')}` });
+        }
+
+        const updates = {};
+        if (template_name !== undefined) updates.template_name = template_name;
+        if (provider !== undefined) updates.provider = provider;
+        if (variables !== undefined) updates.variables = variables;
+        if (dlt_approved !== undefined) updates.dlt_approved = Boolean(dlt_approved);
+
+        const contentChanged = (template_content !== undefined && template_content !== template.template_content) ||
+            (dlt_template_id !== undefined && String(dlt_template_id) !== template.dlt_template_id);
+        if (contentChanged) {
+            updates.template_content = merged.template_content;
+            updates.dlt_template_id = String(merged.dlt_template_id);
+            // The operator scrubs against the registered text, so an edit needs re-approval
+            if (dlt_approved === undefined) updates.dlt_approved = false;
+        }
+
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ success: false, error: 'No changes supplied' });
+        }
+
+        const { data, error } = await getSupabaseClient()
+            .from('sms_templates')
+            .update(updates)
+            .eq('id', template.id)
+            .select(TEMPLATE_SELECT)
+            .single();
+
+        if (error) throw error;
+
+        logger.audit('sms_template_updated', req.user.id, { orgId: template.org_id, template_id: template.id, fields: Object.keys(updates) });
+
+        res.json({ success: true, data });
+    } catch (error) {
+        logger.error('Update SMS template error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/sms/templates/:id/activate - Make this the template used for its type
+router.post('/templates/:id/activate', authenticate, verifyLicense, authorize(...TEMPLATE_ROLES), async (req, res) => {
+    try {
+        const template = await findTemplate(req);
+        if (!template) return res.status(404).json({ success: false, error: 'Template not found' });
+
+        await deactivateOthers(template.org_id, template.template_type, template.id);
+
+        const { data, error } = await getSupabaseClient()
+            .from('sms_templates')
+            .update({ status: 'active' })
+            .eq('id', template.id)
+            .select(TEMPLATE_SELECT)
+            .single();
+
+        if (error) throw error;
+
+        logger.audit('sms_template_activated', req.user.id, { orgId: template.org_id, template_id: template.id, template_type: template.template_type });
+
+        res.json({
+            success: true,
+            data,
+            ...(template.dlt_approved ? {} : { warning: 'Template is not marked DLT approved; operators may reject messages' })
+        });
+    } catch (error) {
+        logger.error('Activate SMS template error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/sms/templates/:id/deactivate
+router.post('/templates/:id/deactivate', authenticate, verifyLicense, authorize(...TEMPLATE_ROLES), async (req, res) => {
+    try {
+        const template = await findTemplate(req);
+        if (!template) return res.status(404).json({ success: false, error: 'Template not found' });
+
+        const { data, error } = await getSupabaseClient()
+            .from('sms_templates')
+            .update({ status: 'inactive' })
+            .eq('id', template.id)
+            .select(TEMPLATE_SELECT)
+            .single();
+
+        if (error) throw error;
+
+        logger.audit('sms_template_deactivated', req.user.id, { orgId: template.org_id, template_id: template.id });
+
+        res.json({ success: true, data });
+    } catch (error) {
+        logger.error('Deactivate SMS template error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// DELETE /api/sms/templates/:id - Templates already used in sms_logs are deactivated instead
+router.delete('/templates/:id', authenticate, verifyLicense, authorize(...TEMPLATE_ROLES), async (req, res) => {
+    try {
+        const supabase = getSupabaseClient();
+        const template = await findTemplate(req);
+        if (!template) return res.status(404).json({ success: false, error: 'Template not found' });
+
+        const { count } = await supabase
+            .from('sms_logs')
+            .select('id', { count: 'exact', head: true })
+            .eq('template_id', template.id);
+
+        if (count > 0) {
+            await supabase.from('sms_templates').update({ status: 'inactive' }).eq('id', template.id);
+            logger.audit('sms_template_deactivated', req.user.id, { orgId: template.org_id, template_id: template.id });
+            return res.json({ success: true, message: 'Template has send history and was deactivated instead' });
+        }
+
+        const { error } = await supabase.from('sms_templates').delete().eq('id', template.id);
+        if (error) throw error;
+
+        logger.audit('sms_template_deleted', req.user.id, { orgId: template.org_id, template_id: template.id });
+
+        res.json({ success: true, message: 'Template deleted' });
+    } catch (error) {
+        logger.error('Delete SMS template error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/sms/templates/:id/preview - Render a saved template
+// Body: { variables? } - sample values for the type are used when omitted
+router.post('/templates/:id/preview', authenticate, verifyLicense, authorize(...TEMPLATE_ROLES), async (req, res) => {
+    try {
+        const template = await findTemplate(req);
+        if (!template) return res.status(404).json({ success: false, error: 'Template not found' });
+
+        const values = Array.isArray(req.body.variables)
+            ? req.body.variables.map(String)
+            : smsTemplateService.sampleVariables(template.template_type);
+        const message = SMSService.createDefault().formatTemplate(template.template_content, values);
+
+        res.json({
+            success: true,
+            data: {
+                message,
+                length: message.length,
+                placeholders: smsTemplateService.countPlaceholders(template.template_content),
+                variables: values
+            }
+        });
+    } catch (error) {
+        logger.error('Preview SMS template error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/sms/templates/:id/test-send - Send the template to a mobile number
+// Body: { mobile, variables? }
+router.post('/templates/:id/test-send', authenticate, verifyLicense, authorize(...TEMPLATE_ROLES), requireQuota('sms'), async (req, res) => {
+    try {
+        const { mobile, variables } = req.body;
+
+        if (!mobile || !/^[6-9]\d{9}$/.test(String(mobile))) {
+            return res.status(400).json({ success: false, error: 'A valid 10-digit mobile number is required' });
+        }
+
+        const template = await findTemplate(req);
+        if (!template) return res.status(404).json({ success: false, error: 'Template not found' });
+
+        const values = Array.isArray(variables)
+            ? variables.map(String)
+            : smsTemplateService.sampleVariables(template.template_type);
+
+        const smsService = template.org_id
+            ? await SMSService.forOrganization(template.org_id)
+            : SMSService.createDefault();
+        const result = await smsService.sendWithTemplate(String(mobile), template, values, null);
+
+        logger.audit('sms_template_test_sent', req.user.id, {
+            orgId: template.org_id,
+            template_id: template.id,
+            mobile: `******${String(mobile).slice(-4)}`,
+            success: result.success
+        });
+
+        if (!result.success) {
+            return res.status(502).json({ success: false, error: result.error || 'SMS provider rejected the message', code: 'SMS_SEND_FAILED', attempts: result.attempts });
+        }
+
+        res.json({
+            success: true,
+            message: 'Test SMS sent',
+            data: { provider: result.provider, message_id: result.messageId || result.sessionId || null, attempts: result.attempts }
+        });
+    } catch (error) {
+        logger.error('Test send SMS template error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// GET /api/sms/providers - Provider chain of the organization and circuit breaker state
+router.get('/providers', authenticate, verifyLicense, authorize(...TEMPLATE_ROLES), async (req, res) => {
+    try {
+        const { data: org, error } = await getSupabaseClient()
+            .from('licensed_orgs')
+            .select('id, sms_provider, sms_provider_chain, sms_enabled')
+            .eq('id', req.user.org_id)
+            .single();
+
+        if (error) throw error;
+
+        res.json({
+            success: true,
+            data: {
+                available: PROVIDERS,
+                sms_provider: org.sms_provider,
+                sms_provider_chain: org.sms_provider_chain || [],
+                effective_chain: SMSService.resolveChain(org, org.sms_provider || process.env.SMS_PROVIDER || '2factor'),
+                sms_enabled: org.sms_enabled,
+                // Shared platform circuits plus the ones for this org's own credentials
+                circuits: smsCircuitBreaker.getStatus([smsCircuitBreaker.PLATFORM, `org:${org.id}`])
+            }
+        });
+    } catch (error) {
+        logger.error('Get SMS providers error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// PUT /api/sms/providers - Set the failover order
+// Body: { chain: ['msg91', 'kaleyra', '2factor'] } - an empty chain uses sms_provider alone
+router.put('/providers', authenticate, verifyLicense, authorize(...TEMPLATE_ROLES), async (req, res) => {
+    try {
+        const { chain } = req.body;
+
+        if (!Array.isArray(chain)) {
+            return res.status(400).json({ success: false, error: 'chain must be an array of providers' });
+        }
+        const unknown = chain.filter(provider => !PROVIDERS.includes(provider));
+        if (unknown.length > 0) {
+            return res.status(400).json({ success: false, error: `Unknown provider(s): ${unknown.join(', ')}. Available: ${PROVIDERS.join(', ')}` });
+        }
+        if (new Set(chain).size !== chain.length) {
+            return res.status(400).json({ success: false, error: 'A provider can appear only once in the chain' });
+        }
+
+        // sms_provider stays as is: flat sms_config credentials belong to it
+        const { data, error } = await getSupabaseClient()
+            .from('licensed_orgs')
+            .update({ sms_provider_chain: chain })
+            .eq('id', req.user.org_id)
+            .select('id, sms_provider, sms_provider_chain')
+            .single();
+
+        if (error) throw error;
+
+        logger.audit('sms_provider_chain_updated', req.user.id, { orgId: req.user.org_id, chain });
+
+        res.json({ success: true, data });
+    } catch (error) {
+        logger.error('Update SMS providers error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/sms/providers/:provider/reset - Close an open circuit before its cooldown ends
+router.post('/providers/:provider/reset', authenticate, authorize('super_admin'), (req, res) => {
+    if (!PROVIDERS.includes(req.params.provider)) {
+        return res.status(404).json({ success: false, error: 'Unknown SMS provider' });
+    }
+
+    smsCircuitBreaker.reset(req.params.provider);
+    logger.audit('sms_circuit_reset', req.user.id, { provider: req.params.provider });
+
+    res.json({ success: true, message: `Circuit for ${req.params.provider} closed` });
+});
+
+module.exports = router;
@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const smsDeliveryService = require('../services/smsDeliveryService');
+const logger = require('../utils/logger');
+
+/**
+ * SMS Delivery Webhooks
+ * Delivery report callbacks from the SMS providers. No user session:
+ * requests are checked against the provider signature or the shared
+ * webhook token instead.
+ *
+ * DLR URL to configure with each provider:
+ *   twilio:    /api/sms/webhooks/twilio (sent as statusCallback automatically)
+ *   msg91:     /api/sms/webhooks/msg91?token=SMS_WEBHOOK_TOKEN
+ *   kaleyra:   /api/sms/webhooks/kaleyra?token=SMS_WEBHOOK_TOKEN
+ *   textlocal: /api/sms/webhooks/textlocal?token=SMS_WEBHOOK_TOKEN
+ *   2factor:   /api/sms/webhooks/2factor?token=SMS_WEBHOOK_TOKEN
+ */
+
+async function handleDeliveryReport(req, res) {
+    const { provider } = req.params;
+
+    if (!smsDeliveryService.PROVIDERS.includes(provider)) {
+        return res.status(404).json({ success: false, error: 'Unknown SMS provider' });
+    }
+
+    try {
+        if (!(await smsDeliveryService.verifyRequest(provider, req))) {
+            logger.security('sms_webhook_rejected', 'medium', { provider, ip: req.ip });
+            return res.status(401).json({ success: false, error: 'Invalid webhook signature' });
+        }
+
+        const { token, ...query } = req.query;
+        const summary = await smsDeliveryService.applyDeliveryReports(provider, { ...query, ...req.body });
+
+        res.json({ success: true, data: summary });
+    } catch (error) {
+        logger.error('SMS delivery webhook error', { provider, error: error.message });
+        res.status(500).json({ success: false, error: 'Failed to process delivery report' });
+    }
+}
+
+// Kaleyra and 2Factor call back with GET, the others POST
+router.get('/:provider', handleDeliveryReport);
+router.post('/:provider', handleDeliveryReport);
+
+module.exports = router;
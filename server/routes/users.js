@@ -4,6 +4,9 @@ const { authenticate, authorize } = require('../middleware/auth');
 const { verifyLicense } = require('../middleware/licenseCheck');
 const { getSupabaseClient } = require('../config/database');
 const encryptionUtil = require('../utils/encryption');
+const sessionService = require('../services/sessionService');
+const passwordService = require('../services/passwordService');
+const twoFactorService = require('../services/twoFactorService');
 const logger = require('../utils/logger');
 
 // GET /api/users - List users in the org
@@ -15,7 +18,7 @@ router.get('/', authenticate, verifyLicense, authorize('super_admin', 'org_admin
 
         let query = supabase
             .from('users')
-            .select('id, username, full_name, email, mobile, role, status, company_id, last_login, created_at, companies!fk_users_company(name)', { count: 'exact' })
+            .select('id, username, full_name, email, mobile, role, status, company_id, last_login, locked_until, must_change_password, two_factor_enabled, created_at, companies!fk_users_company(name)', { count: 'exact' })
             .eq('org_id', req.user.org_id)
             .order('created_at', { ascending: false });
 
@@ -39,6 +42,60 @@ router.get('/', authenticate, verifyLicense, authorize('super_admin', 'org_admin
     }
 });
 
+// GET /api/users/password-policy - Effective password policy of the org
+router.get('/password-policy', authenticate, verifyLicense, authorize('super_admin', 'org_admin'), async (req, res) => {
+    try {
+        const data = await passwordService.getPolicy(req.user.org_id);
+        res.json({ success: true, data });
+    } catch (error) {
+        logger.error('Get password policy error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// PUT /api/users/password-policy - Override password policy settings
+// Body: { policy: { min_length: 12, require_symbol: true, max_age_days: 90, ... } }
+router.put('/password-policy', authenticate, verifyLicense, authorize('super_admin', 'org_admin'), async (req, res) => {
+    try {
+        const { status, ...body } = await passwordService.updatePolicy(req.user.org_id, req.body.policy, {
+            user: req.user,
+            ip: req.ip,
+            userAgent: req.get('user-agent')
+        });
+        res.status(status).json(body);
+    } catch (error) {
+        logger.error('Update password policy error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// GET /api/users/two-factor-policy - Which roles must use 2FA, and the step-up amount
+router.get('/two-factor-policy', authenticate, verifyLicense, authorize('super_admin', 'org_admin'), async (req, res) => {
+    try {
+        const data = await twoFactorService.getPolicy(req.user.org_id);
+        res.json({ success: true, data });
+    } catch (error) {
+        logger.error('Get two-factor policy error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// PUT /api/users/two-factor-policy - Override two-factor settings
+// Body: { policy: { roles: { org_admin: 'required', approver: 'required' }, step_up_amount: 500000 } }
+router.put('/two-factor-policy', authenticate, verifyLicense, authorize('super_admin', 'org_admin'), async (req, res) => {
+    try {
+        const { status, ...body } = await twoFactorService.updatePolicy(req.user.org_id, req.body.policy, {
+            user: req.user,
+            ip: req.ip,
+            userAgent: req.get('user-agent')
+        });
+        res.status(status).json(body);
+    } catch (error) {
+        logger.error('Update two-factor policy error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // POST /api/users - Create a new user in the org
 router.post('/', authenticate, verifyLicense, authorize('super_admin', 'org_admin'), async (req, res) => {
     try {
@@ -68,6 +125,11 @@ router.post('/', authenticate, verifyLicense, authorize('super_admin', 'org_admi
             if (!company) return res.status(400).json({ success: false, error: 'Invalid company' });
         }
 
+        const passwordErrors = passwordService.checkPassword(password, await passwordService.getPolicy(req.user.org_id), { username });
+        if (passwordErrors.length > 0) {
+            return res.status(400).json({ success: false, error: passwordErrors[0], code: 'PASSWORD_POLICY', errors: passwordErrors });
+        }
+
         const passwordHash = await encryptionUtil.hashPassword(password);
         const { data, error } = await supabase.from('users').insert({
             org_id: req.user.org_id, username, full_name, email: email?.toLowerCase(),
@@ -92,7 +154,7 @@ router.put('/:id', authenticate, verifyLicense, authorize('super_admin', 'org_ad
     try {
         const supabase = getSupabaseClient();
         const { id } = req.params;
-        const { data: existing } = await supabase.from('users').select('id, role').eq('id', id).eq('org_id', req.user.org_id).single();
+        const { data: existing } = await supabase.from('users').select('id, org_id, role, username').eq('id', id).eq('org_id', req.user.org_id).single();
         if (!existing) return res.status(404).json({ success: false, error: 'User not found' });
 
         const updates = {};
@@ -102,7 +164,19 @@ router.put('/:id', authenticate, verifyLicense, authorize('super_admin', 'org_ad
         if (req.body.role) updates.role = req.body.role;
         if (req.body.status) updates.status = req.body.status;
         if (req.body.company_id) updates.company_id = req.body.company_id;
-        if (req.body.password) updates.password_hash = await encryptionUtil.hashPassword(req.body.password);
+        if (req.body.password) {
+            const passwordErrors = passwordService.checkPassword(req.body.password, await passwordService.getPolicy(req.user.org_id), existing);
+            if (passwordErrors.length > 0) {
+                return res.status(400).json({ success: false, error: passwordErrors[0], code: 'PASSWORD_POLICY', errors: passwordErrors });
+            }
+            // An admin-set password is temporary: the user picks their own at next sign-in
+            updates.password_hash = await encryptionUtil.hashPassword(req.body.password);
+            updates.password_changed_at = new Date().toISOString();
+            updates.must_change_password = id !== req.user.id;
+            updates.failed_login_attempts = 0;
+            updates.locked_until = null;
+            updates.lock_reason = null;
+        }
         updates.updated_at = new Date().toISOString();
 
         const { data, error } = await supabase.from('users')
@@ -110,6 +184,16 @@ router.put('/:id', authenticate, verifyLicense, authorize('super_admin', 'org_ad
             .select('id, username, full_name, email, mobile, role, status, company_id, created_at').single();
         if (error) throw error;
         logger.audit('user_updated', req.user.id, { targetUserId: id });
+
+        // Suspended or deactivated users are signed out everywhere at once
+        if (updates.status && updates.status !== 'active') {
+            await sessionService.revokeAllSessions(id, 'user_suspended', { performedBy: req.user.id });
+        } else if (updates.password_hash && id !== req.user.id) {
+            await sessionService.revokeAllSessions(id, 'password_reset_forced', { performedBy: req.user.id });
+        }
+        if (updates.password_hash) {
+            await passwordService.recordEvent(existing, 'password_reset', { user: req.user, ip: req.ip, userAgent: req.get('user-agent'), details: { set_by_admin: true } });
+        }
         res.json({ success: true, data });
     } catch (error) {
         logger.error('Update user error', { error: error.message });
@@ -117,6 +201,80 @@ router.put('/:id', authenticate, verifyLicense, authorize('super_admin', 'org_ad
     }
 });
 
+// GET /api/users/:id/sessions - Devices a user is signed in on
+router.get('/:id/sessions', authenticate, verifyLicense, authorize('super_admin', 'org_admin'), async (req, res) => {
+    try {
+        const { data: user } = await getSupabaseClient().from('users').select('id').eq('id', req.params.id).eq('org_id', req.user.org_id).single();
+        if (!user) return res.status(404).json({ success: false, error: 'User not found' });
+        const data = await sessionService.listSessions(user.id);
+        res.json({ success: true, data });
+    } catch (error) {
+        logger.error('List user sessions error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/users/:id/logout - Force sign-out of every session of a user
+router.post('/:id/logout', authenticate, verifyLicense, authorize('super_admin', 'org_admin'), async (req, res) => {
+    try {
+        const { data: user } = await getSupabaseClient().from('users').select('id').eq('id', req.params.id).eq('org_id', req.user.org_id).single();
+        if (!user) return res.status(404).json({ success: false, error: 'User not found' });
+        const count = await sessionService.revokeAllSessions(user.id, 'revoked_by_admin', { performedBy: req.user.id });
+        res.json({ success: true, message: `Signed out of ${count} session(s)`, count });
+    } catch (error) {
+        logger.error('Force logout error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/users/:id/force-password-reset - Sign a user out and make them choose a new password
+router.post('/:id/force-password-reset', authenticate, verifyLicense, authorize('super_admin', 'org_admin'), async (req, res) => {
+    try {
+        if (req.params.id === req.user.id) return res.status(400).json({ success: false, error: 'Use change password for your own account' });
+        const { status, ...body } = await passwordService.forceReset(req.user.org_id, req.params.id, { user: req.user, ip: req.ip, userAgent: req.get('user-agent') });
+        res.status(status).json(body);
+    } catch (error) {
+        logger.error('Force password reset error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/users/:id/unlock - Lift a lockout caused by failed sign-ins
+router.post('/:id/unlock', authenticate, verifyLicense, authorize('super_admin', 'org_admin'), async (req, res) => {
+    try {
+        const { status, ...body } = await passwordService.unlock(req.user.org_id, req.params.id, { user: req.user, ip: req.ip, userAgent: req.get('user-agent') });
+        res.status(status).json(body);
+    } catch (error) {
+        logger.error('Unlock user error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/users/:id/reset-two-factor - Clear a user's 2FA after a lost phone and recovery codes
+router.post('/:id/reset-two-factor', authenticate, verifyLicense, authorize('super_admin', 'org_admin'), async (req, res) => {
+    try {
+        if (req.params.id === req.user.id) return res.status(400).json({ success: false, error: 'Ask another admin to reset your two-factor authentication' });
+        const { status, ...body } = await twoFactorService.resetForUser(req.user.org_id, req.params.id, { user: req.user, ip: req.ip, userAgent: req.get('user-agent') });
+        res.status(status).json(body);
+    } catch (error) {
+        logger.error('Reset two-factor error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// GET /api/users/:id/security-events - Sign-in and password history of a user
+router.get('/:id/security-events', authenticate, verifyLicense, authorize('super_admin', 'org_admin'), async (req, res) => {
+    try {
+        const { data: user } = await getSupabaseClient().from('users').select('id').eq('id', req.params.id).eq('org_id', req.user.org_id).single();
+        if (!user) return res.status(404).json({ success: false, error: 'User not found' });
+        const data = await passwordService.listEvents(req.user.org_id, user.id, req.query.limit);
+        res.json({ success: true, data });
+    } catch (error) {
+        logger.error('List security events error', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // DELETE /api/users/:id - Deactivate user
 router.delete('/:id', authenticate, verifyLicense, authorize('super_admin', 'org_admin'), async (req, res) => {
     try {
@@ -125,6 +283,7 @@ router.delete('/:id', authenticate, verifyLicense, authorize('super_admin', 'org
         if (id === req.user.id) return res.status(400).json({ success: false, error: 'Cannot delete your own account' });
         const { error } = await supabase.from('users').update({ status: 'inactive' }).eq('id', id).eq('org_id', req.user.org_id);
         if (error) throw error;
+        await sessionService.revokeAllSessions(id, 'user_suspended', { performedBy: req.user.id });
         logger.audit('user_deactivated', req.user.id, { targetUserId: id });
         res.json({ success: true, message: 'User deactivated' });
     } catch (error) {
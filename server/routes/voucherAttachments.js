@@ -0,0 +1,142 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const { verifyLicense } = require('../middleware/licenseCheck');
+const { getSupabaseClient } = require('../config/database');
+const attachmentService = require('../services/attachmentService');
+const logger = require('../utils/logger');
+
+/**
+ * Voucher Attachments API
+ * Upload, list, download and remove the files attached to a voucher.
+ * Every request is scoped to the user's organization.
+ */
+
+/**
+ * Who is acting, for audit entries
+ */
+function actorFrom(req) {
+    return { user: req.user, ip: req.ip, userAgent: req.get('user-agent') };
+}
+
+function sendOutcome(res, outcome) {
+    const { status, ...body } = outcome;
+    res.status(status).json(body);
+}
+
+/**
+ * Voucher of the user's organization, or null
+ */
+async function findVoucher(req) {
+    const { data } = await getSupabaseClient()
+        .from('vouchers')
+        .select('id, org_id, voucher_number, status, created_by')
+        .eq('id', req.params.id)
+        .eq('org_id', req.user.org_id)
+        .maybeSingle();
+    return data;
+}
+
+/**
+ * Parse multipart field "files" into memory, within the plan's limits
+ */
+function receiveFiles(req, res, next) {
+    const limits = attachmentService.getLimits(req.license);
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: limits.max_file_bytes, files: limits.max_files }
+    }).array('files', limits.max_files);
+
+    upload(req, res, error => {
+        if (!error) return next();
+
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({ success: false, error: `Files can be at most ${limits.max_file_mb} MB on your plan`, code: 'ATTACHMENT_TOO_LARGE' });
+        }
+        if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+            return res.status(400).json({ success: false, error: `Upload up to ${limits.max_files} files in the "files" field`, code: 'ATTACHMENT_LIMIT' });
+        }
+        res.status(400).json({ success: false, error: error.message });
+    });
+}
+
+// GET /api/vouchers/:id/attachments - Attachments of a voucher, with the plan limits
+router.get('/:id/attachments', authenticate, verifyLicense, async (req, res) => {
+    try {
+        const voucher = await findVoucher(req);
+        if (!voucher) {
+            return res.status(404).json({ success: false, error: 'Voucher not found' });
+        }
+
+        const data = await attachmentService.listAttachments(req.user.org_id, voucher.id);
+        res.json({ success: true, data, limits: attachmentService.getLimits(req.license) });
+    } catch (error) {
+        logger.error('List attachments error', { error: error.message });
+        res.status(500).json({ success: false, error: 'Failed to fetch attachments' });
+    }
+});
+
+// POST /api/vouchers/:id/attachments - Upload files (multipart field "files") to a draft
+router.post('/:id/attachments', authenticate, verifyLicense, receiveFiles, async (req, res) => {
+    try {
+        const voucher = await findVoucher(req);
+        if (!voucher) {
+            return res.status(404).json({ success: false, error: 'Voucher not found' });
+        }
+
+        const outcome = await attachmentService.addAttachments({
+            voucher,
+            files: req.files,
+            license: req.license
+        }, actorFrom(req));
+        sendOutcome(res, outcome);
+    } catch (error) {
+        logger.error('Upload attachments error', { error: error.message, voucher_id: req.params.id });
+        res.status(503).json({ success: false, error: 'Attachments could not be stored or scanned, please try again' });
+    }
+});
+
+// GET /api/vouchers/:id/attachments/:attachmentId/download - Download a file
+router.get('/:id/attachments/:attachmentId/download', authenticate, verifyLicense, async (req, res) => {
+    try {
+        const file = await attachmentService.openAttachment(req.user.org_id, req.params.id, req.params.attachmentId);
+        if (!file) {
+            return res.status(404).json({ success: false, error: 'Attachment not found' });
+        }
+
+        const { attachment, stream } = file;
+        res.setHeader('Content-Type', attachment.content_type);
+        res.setHeader('Content-Length', attachment.size_bytes);
+        res.setHeader('Content-Disposition', `attachment; filename="${attachment.file_name.replace(/"/g, '')}"`);
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        res.setHeader('Cache-Control', 'private, no-store');
+
+        stream.on('error', error => {
+            logger.error('Attachment stream error', { error: error.message, attachment_id: attachment.id });
+            res.destroy(error);
+        });
+        stream.pipe(res);
+    } catch (error) {
+        logger.error('Download attachment error', { error: error.message });
+        res.status(500).json({ success: false, error: 'Failed to download attachment' });
+    }
+});
+
+// DELETE /api/vouchers/:id/attachments/:attachmentId - Remove a file from a draft
+router.delete('/:id/attachments/:attachmentId', authenticate, verifyLicense, async (req, res) => {
+    try {
+        const voucher = await findVoucher(req);
+        if (!voucher) {
+            return res.status(404).json({ success: false, error: 'Voucher not found' });
+        }
+
+        const outcome = await attachmentService.deleteAttachment(voucher, req.params.attachmentId, actorFrom(req));
+        sendOutcome(res, outcome);
+    } catch (error) {
+        logger.error('Delete attachment error', { error: error.message });
+        res.status(500).json({ success: false, error: 'Failed to remove attachment' });
+    }
+});
+
+module.exports = router;
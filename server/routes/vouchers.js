@@ -1,12 +1,57 @@
 const express = require('express');
 const router = express.Router();
 const { authenticate, authorize } = require('../middleware/auth');
-const { verifyLicense } = require('../middleware/licenseCheck');
+const { verifyLicense, requireQuota } = require('../middleware/licenseCheck');
 const { getSupabaseClient } = require('../config/database');
 const { signVoucher, verifyVoucher } = require('../services/signatureService');
-const SMSService = require('../services/smsService');
+const otpService = require('../services/otpService');
+const approvalChainService = require('../services/approvalChainService');
+const notificationService = require('../services/notificationService');
+const voucherPdfService = require('../services/voucherPdfService');
+const smsDeliveryService = require('../services/smsDeliveryService');
+const usageMeter = require('../services/usageMeter');
+const voucherRiskService = require('../services/voucherRiskService');
+const budgetService = require('../services/budgetService');
+const attachmentService = require('../services/attachmentService');
+const twoFactorService = require('../services/twoFactorService');
 const logger = require('../utils/logger');
 
+const PAYMENT_MODES = ['cash', 'upi', 'account_transfer', 'cheque', 'card'];
+
+/**
+ * Roles that may submit drafts raised by other users
+ */
+const SUBMIT_ANY_ROLES = ['super_admin', 'org_admin', 'company_admin'];
+
+/**
+ * Returned when the approval chain cannot be read; submitting with a guessed
+ * chain could let a large voucher through with too few sign-offs
+ */
+const CHAIN_UNAVAILABLE = {
+    success: false,
+    status: 503,
+    error: 'Approval chain could not be loaded, please try again',
+    code: 'APPROVAL_CHAIN_UNAVAILABLE'
+};
+
+/**
+ * Resolve the approval chain, or null when the lookup failed
+ */
+async function resolveChainOrNull(orgId, criteria) {
+    try {
+        return await approvalChainService.resolveChain(orgId, criteria);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Vouchers count toward the monthly quota when submitted, so drafts skip the check
+ */
+function quotaOnSubmit(req, res, next) {
+    return req.body.submit === true ? requireQuota('vouchers')(req, res, next) : next();
+}
+
 // =====================================================
 // HEADS OF ACCOUNT
 // =====================================================
@@ -36,6 +81,37 @@ router.get('/heads-of-account', authenticate, verifyLicense, async (req, res) =>
     }
 });
 
+// =====================================================
+// RISK RULES
+// =====================================================
+
+/**
+ * GET /api/vouchers/risk-rules - Effective anomaly rules for the organization
+ */
+router.get('/risk-rules', authenticate, verifyLicense, async (req, res) => {
+    try {
+        const rules = await voucherRiskService.getRules(req.user.org_id);
+        res.json({ success: true, data: rules });
+    } catch (error) {
+        logger.error('Failed to fetch risk rules', { error: error.message });
+        res.status(500).json({ success: false, error: 'Failed to fetch risk rules' });
+    }
+});
+
+/**
+ * PUT /api/vouchers/risk-rules - Override anomaly rules
+ * Body: { rules: { duplicate_payment: { days: 60, action: 'block' }, ... } }
+ */
+router.put('/risk-rules', authenticate, verifyLicense, authorize('super_admin', 'org_admin'), async (req, res) => {
+    try {
+        const { status, ...body } = await voucherRiskService.updateRules(req.user.org_id, req.body.rules, req.user.id);
+        res.status(status).json(body);
+    } catch (error) {
+        logger.error('Failed to update risk rules', { error: error.message });
+        res.status(500).json({ success: false, error: 'Failed to update risk rules' });
+    }
+});
+
 // =====================================================
 // VOUCHER CRUD OPERATIONS
 // =====================================================
@@ -166,9 +242,10 @@ router.get('/:id', authenticate, verifyLicense, async (req, res) => {
 });
 
 /**
- * POST /api/vouchers - Create a new voucher with auto-signing
+ * POST /api/vouchers - Save a new voucher as a draft
+ * With submit: true the draft is submitted for approval straight away.
  */
-router.post('/', authenticate, verifyLicense, async (req, res) => {
+router.post('/', authenticate, verifyLicense, quotaOnSubmit, async (req, res) => {
     try {
         const supabase = getSupabaseClient();
         const {
@@ -183,7 +260,7 @@ router.post('/', authenticate, verifyLicense, async (req, res) => {
             bank_account_number,
             cheque_number,
             cheque_date,
-            attachments
+            submit
         } = req.body;
         
         // Validate required fields
@@ -199,22 +276,46 @@ router.post('/', authenticate, verifyLicense, async (req, res) => {
             return res.status(400).json({ success: false, error: 'Amount must be greater than 0' });
         }
         
+        if (!PAYMENT_MODES.includes(payment_mode)) {
+            return res.status(400).json({ success: false, error: `payment_mode must be one of: ${PAYMENT_MODES.join(', ')}` });
+        }
+        
+        const [{ data: company }, { data: payee }] = await Promise.all([
+            supabase.from('companies').select('id, fiscal_year_start').eq('id', company_id).eq('org_id', req.user.org_id).maybeSingle(),
+            supabase.from('payees').select('id, name, mobile').eq('id', payee_id).eq('org_id', req.user.org_id).maybeSingle()
+        ]);
+        
+        if (!company) {
+            return res.status(400).json({ success: false, error: 'Invalid company' });
+        }
+        if (!payee) {
+            return res.status(400).json({ success: false, error: 'Invalid payee' });
+        }
+        
         // Get head of account name
         let headOfAccountName = null;
         if (head_of_account_id) {
             const { data: hoa } = await supabase
                 .from('heads_of_account')
-                .select('name')
+                .select('name, status')
                 .eq('id', head_of_account_id)
                 .single();
+            if (hoa?.status === 'inactive') {
+                return res.status(400).json({ success: false, error: 'Head of account is inactive' });
+            }
             headOfAccountName = hoa?.name;
         }
         
-        // Prepare voucher data
+        const createdAt = new Date().toISOString();
+        
+        // Prepare voucher data; approval chain, risk flags and signature are set on submission
         const voucherData = {
             org_id: req.user.org_id,
             company_id,
+            financial_year: financialYear(createdAt, company.fiscal_year_start || 4),
             payee_id,
+            payee_name: payee.name,
+            payee_mobile: payee.mobile,
             amount: parseFloat(amount),
             payment_mode,
             head_of_account_id,
@@ -225,10 +326,9 @@ router.post('/', authenticate, verifyLicense, async (req, res) => {
             bank_account_number: payment_mode === 'account_transfer' ? bank_account_number : null,
             cheque_number: payment_mode === 'cheque' ? cheque_number : null,
             cheque_date: payment_mode === 'cheque' ? cheque_date : null,
-            attachments: attachments || [],
-            status: 'pending_approval',
+            status: 'draft',
             created_by: req.user.id,
-            created_at: new Date().toISOString()
+            created_at: createdAt
         };
         
         // Create voucher
@@ -242,45 +342,6 @@ router.post('/', authenticate, verifyLicense, async (req, res) => {
             throw createError;
         }
         
-        // Generate digital signature
-        try {
-            const signatureData = {
-                voucher_number: voucher.voucher_number,
-                company_id: voucher.company_id,
-                org_id: voucher.org_id,
-                payee_id: voucher.payee_id,
-                amount: voucher.amount,
-                payment_mode: voucher.payment_mode,
-                head_of_account: headOfAccountName,
-                created_at: voucher.created_at,
-                created_by: voucher.created_by
-            };
-            
-            const signatureResult = await signVoucher(signatureData, req.user.org_id);
-            
-            // Update voucher with signature
-            await supabase
-                .from('vouchers')
-                .update({
-                    digital_signature: signatureResult.signature,
-                    signature_timestamp: signatureResult.timestamp
-                })
-                .eq('id', voucher.id);
-            
-            voucher.digital_signature = signatureResult.signature;
-            voucher.signature_timestamp = signatureResult.timestamp;
-            
-            logger.info('Voucher created with digital signature', {
-                voucher_id: voucher.id,
-                voucher_number: voucher.voucher_number
-            });
-        } catch (signError) {
-            logger.warn('Failed to sign voucher, continuing without signature', {
-                error: signError.message,
-                voucher_id: voucher.id
-            });
-        }
-        
         // Create audit log entry
         await supabase
             .from('voucher_audit_log')
@@ -295,12 +356,19 @@ router.post('/', authenticate, verifyLicense, async (req, res) => {
                 user_agent: req.get('user-agent')
             });
         
-        // Update license voucher usage
-        await updateVoucherUsage(req.user.org_id);
+        logger.info('Draft voucher created', { voucher_id: voucher.id, voucher_number: voucher.voucher_number });
+        
+        if (submit === true) {
+            const outcome = await submitVoucher(req, voucher);
+            // The draft is kept when submission fails so it can be corrected and submitted again
+            return sendOutcome(res, outcome.success
+                ? { ...outcome, status: 201 }
+                : { ...outcome, message: 'Voucher saved as draft', data: voucher });
+        }
         
         res.status(201).json({
             success: true,
-            message: 'Voucher created successfully',
+            message: 'Voucher saved as draft',
             data: voucher
         });
         
@@ -311,7 +379,7 @@ router.post('/', authenticate, verifyLicense, async (req, res) => {
 });
 
 /**
- * PUT /api/vouchers/:id - Update a voucher (only if pending)
+ * PUT /api/vouchers/:id - Update a voucher (only if draft or pending)
  */
 router.put('/:id', authenticate, verifyLicense, async (req, res) => {
     try {
@@ -348,23 +416,59 @@ router.put('/:id', authenticate, verifyLicense, async (req, res) => {
             upi_id,
             bank_account_number,
             cheque_number,
-            cheque_date,
-            attachments
+            cheque_date
         } = req.body;
         
+        if (payment_mode && !PAYMENT_MODES.includes(payment_mode)) {
+            return res.status(400).json({ success: false, error: `payment_mode must be one of: ${PAYMENT_MODES.join(', ')}` });
+        }
+        
+        // Keep the denormalized payee details in step with the payee
+        let payee = { name: existingVoucher.payee_name, mobile: existingVoucher.payee_mobile };
+        if (payee_id && payee_id !== existingVoucher.payee_id) {
+            const { data } = await supabase
+                .from('payees')
+                .select('name, mobile')
+                .eq('id', payee_id)
+                .eq('org_id', req.user.org_id)
+                .maybeSingle();
+            if (!data) {
+                return res.status(400).json({ success: false, error: 'Invalid payee' });
+            }
+            payee = data;
+        }
+        
         // Get head of account name
         let headOfAccountName = existingVoucher.head_of_account_name;
         if (head_of_account_id && head_of_account_id !== existingVoucher.head_of_account_id) {
             const { data: hoa } = await supabase
                 .from('heads_of_account')
-                .select('name')
+                .select('name, status')
                 .eq('id', head_of_account_id)
                 .single();
+            if (hoa?.status === 'inactive') {
+                return res.status(400).json({ success: false, error: 'Head of account is inactive' });
+            }
             headOfAccountName = hoa?.name;
         }
         
+        // Drafts are edited freely; once submitted, any modification restarts the
+        // approval chain, re-resolved for the new values
+        const isDraft = existingVoucher.status === 'draft';
+        const chain = isDraft ? null : await resolveChainOrNull(req.user.org_id, {
+            company_id: existingVoucher.company_id,
+            head_of_account_id: head_of_account_id || existingVoucher.head_of_account_id,
+            amount: amount ? parseFloat(amount) : existingVoucher.amount
+        });
+        if (!isDraft && !chain) {
+            const { status, ...body } = CHAIN_UNAVAILABLE;
+            return res.status(status).json(body);
+        }
+        
         const updateData = {
             payee_id: payee_id || existingVoucher.payee_id,
+            payee_name: payee.name,
+            payee_mobile: payee.mobile,
             amount: amount ? parseFloat(amount) : existingVoucher.amount,
             payment_mode: payment_mode || existingVoucher.payment_mode,
             head_of_account_id: head_of_account_id || existingVoucher.head_of_account_id,
@@ -375,10 +479,24 @@ router.put('/:id', authenticate, verifyLicense, async (req, res) => {
             bank_account_number: bank_account_number,
             cheque_number: cheque_number,
             cheque_date: cheque_date,
-            attachments: attachments || existingVoucher.attachments,
+            ...(chain && {
+                approval_chain_id: chain.chain_id,
+                approval_levels: chain.levels,
+                current_approval_level: 0
+            }),
             updated_at: new Date().toISOString()
         };
         
+        // A submitted voucher must still pass the risk rules with its new values
+        if (!isDraft) {
+            const { flags: riskFlags, blocking } = await voucherRiskService.evaluate({ ...existingVoucher, ...updateData });
+            if (blocking.length > 0) {
+                const { status, ...body } = riskBlocked(req, existingVoucher, riskFlags, blocking, 'modify');
+                return res.status(status).json(body);
+            }
+            updateData.risk_flags = riskFlags;
+        }
+        
         // Update voucher
         const { data: updatedVoucher, error: updateError } = await supabase
             .from('vouchers')
@@ -391,8 +509,13 @@ router.put('/:id', authenticate, verifyLicense, async (req, res) => {
             throw updateError;
         }
         
-        // Re-sign voucher if amount or critical fields changed
-        if (amount !== existingVoucher.amount || payee_id !== existingVoucher.payee_id) {
+        // Re-sign voucher if any signed field changed (drafts are signed on submission)
+        const signedFieldsChanged = updateData.payee_id !== existingVoucher.payee_id
+            || parseFloat(updateData.amount) !== parseFloat(existingVoucher.amount)
+            || updateData.payment_mode !== existingVoucher.payment_mode
+            || updateData.head_of_account_id !== existingVoucher.head_of_account_id
+            || updateData.head_of_account_name !== existingVoucher.head_of_account_name;
+        if (!isDraft && signedFieldsChanged) {
             try {
                 const signatureData = {
                     voucher_number: updatedVoucher.voucher_number,
@@ -403,7 +526,8 @@ router.put('/:id', authenticate, verifyLicense, async (req, res) => {
                     payment_mode: updatedVoucher.payment_mode,
                     head_of_account: headOfAccountName,
                     created_at: updatedVoucher.created_at,
-                    created_by: updatedVoucher.created_by
+                    created_by: updatedVoucher.created_by,
+                    attachments: updatedVoucher.attachments
                 };
                 
                 const signatureResult = await signVoucher(signatureData, req.user.org_id);
@@ -478,6 +602,9 @@ router.delete('/:id', authenticate, verifyLicense, async (req, res) => {
             });
         }
         
+        // Delete stored attachment files (rows go with the voucher)
+        await attachmentService.purgeVoucher(req.user.org_id, id);
+        
         // Delete voucher
         const { error: deleteError } = await supabase
             .from('vouchers')
@@ -501,19 +628,210 @@ router.delete('/:id', authenticate, verifyLicense, async (req, res) => {
     }
 });
 
+// =====================================================
+// SUBMISSION
+// =====================================================
+
+/**
+ * Outcome for a voucher stopped by risk rules configured to block
+ *
+ * @param {string} stage - 'submit', 'modify' or 'approve'
+ */
+function riskBlocked(req, voucher, riskFlags, blocking, stage) {
+    logger.security('voucher_blocked', 'medium', {
+        userId: req.user.id,
+        voucher_id: voucher.id,
+        payee_id: voucher.payee_id,
+        amount: parseFloat(voucher.amount),
+        stage,
+        flags: blocking.map(flag => flag.code)
+    });
+    return {
+        success: false,
+        status: 422,
+        error: `Voucher blocked by risk rules: ${blocking.map(flag => flag.message).join('; ')}`,
+        code: 'VOUCHER_BLOCKED',
+        flags: riskFlags
+    };
+}
+
+/**
+ * Submit a draft for approval
+ * Checks the voucher is complete, runs the risk rules, snapshots the
+ * approval chain and signs the voucher. Only then is it counted toward
+ * the license quota and sent to the approvers.
+ *
+ * @returns {Promise<Object>} { success, status, data?, message?, error?, code?, errors?, flags? }
+ */
+async function submitVoucher(req, voucher) {
+    const supabase = getSupabaseClient();
+
+    if (voucher.status !== 'draft') {
+        return { success: false, status: 400, error: 'Only draft vouchers can be submitted' };
+    }
+
+    if (voucher.created_by !== req.user.id && !SUBMIT_ANY_ROLES.includes(req.user.role)) {
+        return { success: false, status: 403, error: 'Only the creator or an admin can submit this voucher' };
+    }
+
+    const { errors, payee, headOfAccountName } = await checkSubmission(voucher);
+    if (errors.length > 0) {
+        return { success: false, status: 400, error: `Voucher cannot be submitted: ${errors.join('; ')}`, code: 'VOUCHER_INCOMPLETE', errors };
+    }
+
+    // Run the anomaly rules; rules configured to block stop the voucher here
+    const { flags: riskFlags, blocking } = await voucherRiskService.evaluate(voucher);
+
+    if (blocking.length > 0) {
+        return riskBlocked(req, voucher, riskFlags, blocking, 'submit');
+    }
+
+    // Resolve the approval chain for this company / head of account / amount
+    const chain = await resolveChainOrNull(req.user.org_id, {
+        company_id: voucher.company_id,
+        head_of_account_id: voucher.head_of_account_id,
+        amount: parseFloat(voucher.amount)
+    });
+    if (!chain) return CHAIN_UNAVAILABLE;
+
+    const submitData = {
+        status: 'pending_approval',
+        payee_name: payee.name,
+        payee_mobile: payee.mobile,
+        head_of_account_name: headOfAccountName,
+        risk_flags: riskFlags,
+        approval_chain_id: chain.chain_id,
+        approval_levels: chain.levels,
+        current_approval_level: 0,
+        submitted_by: req.user.id,
+        submitted_at: new Date().toISOString()
+    };
+
+    // Guard on the status so a draft cannot be submitted twice
+    const { data: submitted, error: updateError } = await supabase
+        .from('vouchers')
+        .update(submitData)
+        .eq('id', voucher.id)
+        .eq('status', 'draft')
+        .select()
+        .maybeSingle();
+
+    if (updateError) {
+        throw updateError;
+    }
+
+    if (!submitted) {
+        return { success: false, status: 409, error: 'Voucher was already submitted, please refresh' };
+    }
+
+    // Generate digital signature
+    try {
+        const signatureData = {
+            voucher_number: submitted.voucher_number,
+            company_id: submitted.company_id,
+            org_id: submitted.org_id,
+            payee_id: submitted.payee_id,
+            amount: submitted.amount,
+            payment_mode: submitted.payment_mode,
+            head_of_account: headOfAccountName,
+            created_at: submitted.created_at,
+            created_by: submitted.created_by,
+            attachments: submitted.attachments
+        };
+
+        const signatureResult = await signVoucher(signatureData, req.user.org_id);
+
+        await supabase
+            .from('vouchers')
+            .update({
+                digital_signature: signatureResult.signature,
+                signature_timestamp: signatureResult.timestamp
+            })
+            .eq('id', submitted.id);
+
+        submitted.digital_signature = signatureResult.signature;
+        submitted.signature_timestamp = signatureResult.timestamp;
+    } catch (signError) {
+        logger.warn('Failed to sign voucher, continuing without signature', {
+            error: signError.message,
+            voucher_id: submitted.id
+        });
+    }
+
+    // Create audit log entry
+    await supabase
+        .from('voucher_audit_log')
+        .insert({
+            voucher_id: submitted.id,
+            action: 'submitted',
+            performed_by: req.user.id,
+            performed_by_name: req.user.full_name,
+            performed_by_role: req.user.role,
+            old_values: { status: 'draft' },
+            new_values: submitData,
+            ip_address: req.ip,
+            user_agent: req.get('user-agent')
+        });
+
+    if (riskFlags.length > 0) {
+        logger.security('voucher_flagged', 'medium', {
+            userId: req.user.id,
+            voucher_id: submitted.id,
+            payee_id: submitted.payee_id,
+            flags: riskFlags.map(flag => flag.code)
+        });
+    }
+
+    logger.info('Voucher submitted for approval', {
+        voucher_id: submitted.id,
+        voucher_number: submitted.voucher_number,
+        submitted_by: req.user.id
+    });
+
+    // Update license voucher usage
+    await usageMeter.recordVoucher(req.user.org_id);
+
+    // Let the first-level approvers know a voucher is waiting
+    await notificationService.notifyApprovers(submitted, req.user.id);
+
+    return { success: true, status: 200, message: 'Voucher submitted for approval', data: submitted };
+}
+
+/**
+ * POST /api/vouchers/:id/submit - Submit a draft for approval
+ */
+router.post('/:id/submit', authenticate, verifyLicense, requireQuota('vouchers'), async (req, res) => {
+    try {
+        const { data: voucher } = await getSupabaseClient()
+            .from('vouchers')
+            .select('*')
+            .eq('id', req.params.id)
+            .eq('org_id', req.user.org_id)
+            .maybeSingle();
+
+        if (!voucher) {
+            return res.status(404).json({ success: false, error: 'Voucher not found' });
+        }
+
+        sendOutcome(res, await submitVoucher(req, voucher));
+    } catch (error) {
+        logger.error('Failed to submit voucher', { error: error.message, id: req.params.id });
+        res.status(500).json({ success: false, error: 'Failed to submit voucher' });
+    }
+});
+
 // =====================================================
 // APPROVAL WORKFLOW
 // =====================================================
 
 /**
- * POST /api/vouchers/:id/approve - Approve a voucher
+ * GET /api/vouchers/:id/approval-chain - Approval levels signed off and pending
  */
-router.post('/:id/approve', authenticate, verifyLicense, authorize(['admin', 'approver']), async (req, res) => {
+router.get('/:id/approval-chain', authenticate, verifyLicense, async (req, res) => {
     try {
         const supabase = getSupabaseClient();
         const { id } = req.params;
         
-        // Get voucher
         const { data: voucher, error: fetchError } = await supabase
             .from('vouchers')
             .select('*')
@@ -525,180 +843,580 @@ router.post('/:id/approve', authenticate, verifyLicense, authorize(['admin', 'ap
             return res.status(404).json({ success: false, error: 'Voucher not found' });
         }
         
-        if (voucher.status !== 'pending_approval') {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Voucher is not pending approval' 
-            });
+        const { data: auditLog } = await supabase
+            .from('voucher_audit_log')
+            .select('*')
+            .eq('voucher_id', id)
+            .order('created_at', { ascending: true });
+        
+        const chainStatus = await approvalChainService.getChainStatus(voucher, auditLog || []);
+        
+        // Chain name is informational; the voucher keeps its own snapshot of the levels
+        let chainName = 'Default';
+        if (voucher.approval_chain_id) {
+            const { data: chain } = await supabase
+                .from('approval_chains')
+                .select('name')
+                .eq('id', voucher.approval_chain_id)
+                .maybeSingle();
+            chainName = chain?.name || chainName;
         }
         
-        // Verify signature before approval
-        try {
-            const signatureData = {
+        res.json({
+            success: true,
+            data: {
+                voucher_id: voucher.id,
                 voucher_number: voucher.voucher_number,
-                company_id: voucher.company_id,
-                org_id: voucher.org_id,
-                payee_id: voucher.payee_id,
                 amount: voucher.amount,
-                payment_mode: voucher.payment_mode,
-                head_of_account: voucher.head_of_account_name,
-                created_at: voucher.created_at,
-                created_by: voucher.created_by
-            };
-            
-            const verifyResult = await verifyVoucher(
-                signatureData, 
-                voucher.digital_signature, 
-                req.user.org_id
-            );
-            
-            if (!verifyResult.valid) {
-                logger.error('Signature verification failed during approval', {
-                    voucher_id: id,
-                    voucher_number: voucher.voucher_number
-                });
-                
-                return res.status(400).json({
-                    success: false,
-                    error: 'Signature verification failed - voucher may have been tampered with'
-                });
+                chain_name: chainName,
+                ...chainStatus
             }
-        } catch (signError) {
-            logger.warn('Could not verify signature during approval', { error: signError.message });
-        }
+        });
         
-        // Update voucher status
-        const { data: updatedVoucher, error: updateError } = await supabase
+    } catch (error) {
+        logger.error('Failed to fetch approval chain', { error: error.message, id: req.params.id });
+        res.status(500).json({ success: false, error: 'Failed to fetch approval chain' });
+    }
+});
+
+/**
+ * GET /api/vouchers/:id/sms-delivery - Delivery status of the payee OTP SMS, to decide on a resend
+ */
+router.get('/:id/sms-delivery', authenticate, verifyLicense, async (req, res) => {
+    try {
+        const { data: voucher } = await getSupabaseClient()
             .from('vouchers')
-            .update({
-                status: 'approved',
-                approved_by: req.user.id,
-                approved_at: new Date().toISOString(),
-                signature_verified: true,
-                last_verification_at: new Date().toISOString()
-            })
-            .eq('id', id)
-            .select()
-            .single();
-        
-        if (updateError) {
-            throw updateError;
+            .select('id, voucher_number, status')
+            .eq('id', req.params.id)
+            .eq('org_id', req.user.org_id)
+            .maybeSingle();
+
+        if (!voucher) {
+            return res.status(404).json({ success: false, error: 'Voucher not found' });
         }
-        
-        // Create audit log entry
-        await supabase
-            .from('voucher_audit_log')
-            .insert({
-                voucher_id: id,
-                action: 'approved',
-                performed_by: req.user.id,
-                performed_by_name: req.user.full_name,
-                performed_by_role: req.user.role,
-                old_values: { status: 'pending_approval' },
-                new_values: { status: 'approved', approved_by: req.user.id },
-                ip_address: req.ip,
-                user_agent: req.get('user-agent')
-            });
-        
-        logger.info('Voucher approved', {
-            voucher_id: id,
-            voucher_number: voucher.voucher_number,
-            approved_by: req.user.id
-        });
-        
+
+        const delivery = await smsDeliveryService.getVoucherDelivery(voucher.id);
+
         res.json({
             success: true,
-            message: 'Voucher approved successfully',
-            data: updatedVoucher
+            data: {
+                voucher_id: voucher.id,
+                voucher_number: voucher.voucher_number,
+                ...delivery,
+                // A new OTP can only be sent while the voucher awaits payee verification
+                resend_recommended: delivery.resend_recommended && voucher.status === 'approved'
+            }
         });
-        
+
     } catch (error) {
-        logger.error('Failed to approve voucher', { error: error.message });
-        res.status(500).json({ success: false, error: 'Failed to approve voucher' });
+        logger.error('Failed to fetch SMS delivery status', { error: error.message, id: req.params.id });
+        res.status(500).json({ success: false, error: 'Failed to fetch SMS delivery status' });
     }
 });
 
 /**
- * POST /api/vouchers/:id/reject - Reject a voucher
+ * GET /api/vouchers/:id/pdf -Printable voucher with approval trail and signature QR code
  */
-router.post('/:id/reject', authenticate, verifyLicense, authorize(['admin', 'approver']), async (req, res) => {
+router.get('/:id/pdf', authenticate, verifyLicense, async (req, res) => {
     try {
-        const supabase = getSupabaseClient();
-        const { id } = req.params;
-        const { rejection_reason } = req.body;
-        
-        if (!rejection_reason) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Rejection reason is required' 
+        if (req.license?.features?.print === false) {
+            return res.status(403).json({
+                success: false,
+                error: 'Printing is not included in your plan',
+                code: 'FEATURE_NOT_AVAILABLE'
             });
         }
-        
-        // Get voucher
-        const { data: voucher, error: fetchError } = await supabase
+
+        const supabase = getSupabaseClient();
+        const { id } = req.params;
+
+        const { data: voucher, error } = await supabase
             .from('vouchers')
-            .select('*')
+            .select(`
+                *,
+                company:companies(id, name, logo_url, address_line1, city, gst_number),
+                payee:payees(id, name, mobile),
+                head_of_account:heads_of_account(id, code, name)
+            `)
             .eq('id', id)
             .eq('org_id', req.user.org_id)
             .single();
-        
-        if (fetchError || !voucher) {
+
+        if (error || !voucher) {
             return res.status(404).json({ success: false, error: 'Voucher not found' });
         }
-        
-        if (voucher.status !== 'pending_approval') {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Voucher is not pending approval' 
+
+        const [{ data: org }, { data: auditLog }] = await Promise.all([
+            supabase
+                .from('licensed_orgs')
+                .select('id, org_name, currency, primary_color, logo_url')
+                .eq('id', voucher.org_id)
+                .single(),
+            supabase
+                .from('voucher_audit_log')
+                .select('*')
+                .eq('voucher_id', id)
+                .order('created_at', { ascending: true })
+        ]);
+
+        const baseUrl = process.env.APP_URL || `${req.protocol}://${req.get('host')}`;
+        const pdf = await voucherPdfService.renderVoucherPdf({
+            voucher,
+            org,
+            auditLog: auditLog || [],
+            verifyUrl: `${baseUrl.replace(/\/$/, '')}/api/signatures/status/${voucher.id}`
+        });
+
+        logger.audit('voucher_printed', req.user.id, { voucher_id: id, voucher_number: voucher.voucher_number });
+
+        const filename = `${voucher.voucher_number.replace(/[^A-Za-z0-9_-]/g, '_')}.pdf`;
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `${req.query.download === 'true' ? 'attachment' : 'inline'}; filename="${filename}"`,
+            'Content-Length': pdf.length,
+            'Cache-Control': 'private, no-store'
+        });
+        res.send(pdf);
+
+    } catch (error) {
+        logger.error('Failed to render voucher PDF', { error: error.message, id: req.params.id });
+        res.status(500).json({ success: false, error: 'Failed to render voucher PDF' });
+    }
+});
+
+/**
+ * Maximum vouchers accepted by one bulk-approve / bulk-reject call
+ */
+const BULK_LIMIT = 100;
+
+/**
+ * Sign off the next approval level of one voucher
+ * Shared by the single and bulk approve endpoints so both run the same
+ * chain checks, signature verification and audit logging.
+ *
+ * @returns {Promise<Object>} { success, status, data?, message?, error?, code? }
+ */
+async function approveVoucher(req, id, comments) {
+    const supabase = getSupabaseClient();
+
+    // Get voucher
+    const { data: voucher, error: fetchError } = await supabase
+        .from('vouchers')
+        .select('*')
+        .eq('id', id)
+        .eq('org_id', req.user.org_id)
+        .single();
+
+    if (fetchError || !voucher) {
+        return { success: false, status: 404, error: 'Voucher not found' };
+    }
+
+    if (voucher.status !== 'pending_approval') {
+        return { success: false, status: 400, error: 'Voucher is not pending approval' };
+    }
+
+    // Check the user may sign the next level of the chain
+    const { data: auditLog } = await supabase
+        .from('voucher_audit_log')
+        .select('*')
+        .eq('voucher_id', id)
+        .order('created_at', { ascending: true });
+
+    const check = approvalChainService.checkApprover(voucher, req.user, auditLog || []);
+
+    if (!check.allowed) {
+        return { success: false, status: 403, error: check.error, code: 'APPROVAL_LEVEL_NOT_PERMITTED' };
+    }
+
+    // High-value approvals need a recent re-authentication in this session
+    const stepUp = await twoFactorService.checkStepUp(req, voucher.amount);
+    if (stepUp) return stepUp;
+
+    // Verify signature before approval
+    try {
+        const signatureData = {
+            voucher_number: voucher.voucher_number,
+            company_id: voucher.company_id,
+            org_id: voucher.org_id,
+            payee_id: voucher.payee_id,
+            amount: voucher.amount,
+            payment_mode: voucher.payment_mode,
+            head_of_account: voucher.head_of_account_name,
+            created_at: voucher.created_at,
+            created_by: voucher.created_by,
+            attachments: voucher.attachments
+        };
+
+        const verifyResult = await verifyVoucher(
+            signatureData,
+            voucher.digital_signature,
+            req.user.org_id
+        );
+
+        if (!verifyResult.valid) {
+            logger.error('Signature verification failed during approval', {
+                voucher_id: id,
+                voucher_number: voucher.voucher_number
             });
+
+            return {
+                success: false,
+                status: 400,
+                error: 'Signature verification failed - voucher may have been tampered with',
+                code: 'SIGNATURE_INVALID'
+            };
         }
-        
-        // Update voucher status
-        const { data: updatedVoucher, error: updateError } = await supabase
-            .from('vouchers')
-            .update({
-                status: 'rejected',
-                rejected_by: req.user.id,
-                rejected_at: new Date().toISOString(),
-                rejection_reason
-            })
-            .eq('id', id)
-            .select()
-            .single();
-        
-        if (updateError) {
-            throw updateError;
+    } catch (signError) {
+        logger.warn('Could not verify signature during approval', { error: signError.message });
+    }
+
+    // Re-run the anomaly rules so the flags reflect vouchers raised since creation;
+    // a voucher that now trips a blocking rule cannot be approved
+    const { flags: riskFlags, blocking } = await voucherRiskService.evaluate(voucher);
+    if (blocking.length > 0) {
+        return riskBlocked(req, voucher, riskFlags, blocking, 'approve');
+    }
+    const previousCodes = (voucher.risk_flags || []).map(flag => flag.code);
+    const newFlags = riskFlags.filter(flag => !previousCodes.includes(flag.code));
+
+    if (newFlags.length > 0) {
+        logger.security('voucher_flagged', 'medium', {
+            userId: req.user.id,
+            voucher_id: id,
+            stage: 'approve',
+            flags: newFlags.map(flag => flag.code)
+        });
+    }
+
+    const currentLevel = voucher.current_approval_level || 0;
+    const levelUpdate = check.isFinal
+        ? {
+            status: 'approved',
+            approved_by: req.user.id,
+            approved_at: new Date().toISOString(),
+            current_approval_level: currentLevel + 1,
+            risk_flags: riskFlags,
+            signature_verified: true,
+            last_verification_at: new Date().toISOString()
         }
-        
-        // Create audit log entry
-        await supabase
-            .from('voucher_audit_log')
-            .insert({
-                voucher_id: id,
-                action: 'rejected',
-                performed_by: req.user.id,
-                performed_by_name: req.user.full_name,
-                performed_by_role: req.user.role,
-                old_values: { status: 'pending_approval' },
-                new_values: { status: 'rejected', rejection_reason },
-                notes: rejection_reason,
-                ip_address: req.ip,
-                user_agent: req.get('user-agent')
-            });
-        
-        logger.info('Voucher rejected', {
+        : {
+            current_approval_level: currentLevel + 1,
+            risk_flags: riskFlags,
+            signature_verified: true,
+            last_verification_at: new Date().toISOString()
+        };
+
+    // Guard on the current level so two approvers cannot sign the same level concurrently
+    const { data: updatedVoucher, error: updateError } = await supabase
+        .from('vouchers')
+        .update(levelUpdate)
+        .eq('id', id)
+        .eq('status', 'pending_approval')
+        .eq('current_approval_level', currentLevel)
+        .select()
+        .maybeSingle();
+
+    if (updateError) {
+        throw updateError;
+    }
+
+    if (!updatedVoucher) {
+        return { success: false, status: 409, error: 'Voucher was updated by another approver, please refresh' };
+    }
+
+    // Create audit log entry - one per level signed off
+    await supabase
+        .from('voucher_audit_log')
+        .insert({
             voucher_id: id,
-            voucher_number: voucher.voucher_number,
+            action: check.isFinal ? 'approved' : 'level_approved',
+            performed_by: req.user.id,
+            performed_by_name: req.user.full_name,
+            performed_by_role: req.user.role,
+            old_values: { status: 'pending_approval', current_approval_level: currentLevel },
+            new_values: {
+                status: updatedVoucher.status,
+                approval_level: check.level.level,
+                approval_level_label: check.level.label,
+                current_approval_level: currentLevel + 1,
+                ...(check.isFinal && { approved_by: req.user.id })
+            },
+            notes: comments,
+            ip_address: req.ip,
+            user_agent: req.get('user-agent')
+        });
+
+    logger.info(check.isFinal ? 'Voucher approved' : 'Voucher approval level signed off', {
+        voucher_id: id,
+        voucher_number: voucher.voucher_number,
+        approval_level: check.level.level,
+        approved_by: req.user.id
+    });
+
+    // Final sign-off goes back to the creator, otherwise on to the next level
+    if (check.isFinal) {
+        await notificationService.notifyCreator(updatedVoucher, 'approved', { actorId: req.user.id });
+    } else {
+        await notificationService.notifyApprovers(updatedVoucher, req.user.id);
+    }
+
+    const totalLevels = approvalChainService.getVoucherLevels(voucher).length;
+
+    return {
+        success: true,
+        status: 200,
+        message: check.isFinal
+            ? 'Voucher approved successfully'
+            : `Level ${check.level.level} of ${totalLevels} approved, awaiting next approver`,
+        data: updatedVoucher
+    };
+}
+
+/**
+ * Reject one voucher
+ * Shared by the single and bulk reject endpoints.
+ *
+ * @returns {Promise<Object>} { success, status, data?, message?, error?, code? }
+ */
+async function rejectVoucher(req, id, rejection_reason) {
+    const supabase = getSupabaseClient();
+
+    // Get voucher
+    const { data: voucher, error: fetchError } = await supabase
+        .from('vouchers')
+        .select('*')
+        .eq('id', id)
+        .eq('org_id', req.user.org_id)
+        .single();
+
+    if (fetchError || !voucher) {
+        return { success: false, status: 404, error: 'Voucher not found' };
+    }
+
+    if (voucher.status !== 'pending_approval') {
+        return { success: false, status: 400, error: 'Voucher is not pending approval' };
+    }
+
+    // Only an approver eligible for the level awaiting sign-off may reject
+    const pendingLevel = approvalChainService.getVoucherLevels(voucher)[voucher.current_approval_level || 0];
+    if (pendingLevel && !pendingLevel.roles.includes(req.user.role)) {
+        return {
+            success: false,
+            status: 403,
+            error: `Level ${pendingLevel.level} (${pendingLevel.label}) requires one of: ${pendingLevel.roles.join(', ')}`,
+            code: 'APPROVAL_LEVEL_NOT_PERMITTED'
+        };
+    }
+
+    // Update voucher status
+    const { data: updatedVoucher, error: updateError } = await supabase
+        .from('vouchers')
+        .update({
+            status: 'rejected',
             rejected_by: req.user.id,
-            reason: rejection_reason
+            rejected_at: new Date().toISOString(),
+            rejection_reason
+        })
+        .eq('id', id)
+        .eq('status', 'pending_approval')
+        .select()
+        .maybeSingle();
+
+    if (updateError) {
+        throw updateError;
+    }
+
+    if (!updatedVoucher) {
+        return { success: false, status: 409, error: 'Voucher was updated by another approver, please refresh' };
+    }
+
+    // Create audit log entry
+    await supabase
+        .from('voucher_audit_log')
+        .insert({
+            voucher_id: id,
+            action: 'rejected',
+            performed_by: req.user.id,
+            performed_by_name: req.user.full_name,
+            performed_by_role: req.user.role,
+            old_values: { status: 'pending_approval' },
+            new_values: { status: 'rejected', rejection_reason, approval_level: pendingLevel?.level },
+            notes: rejection_reason,
+            ip_address: req.ip,
+            user_agent: req.get('user-agent')
         });
-        
+
+    logger.info('Voucher rejected', {
+        voucher_id: id,
+        voucher_number: voucher.voucher_number,
+        rejected_by: req.user.id,
+        reason: rejection_reason
+    });
+
+    await notificationService.notifyCreator(updatedVoucher, 'rejected', {
+        actorId: req.user.id,
+        reason: rejection_reason
+    });
+
+    return { success: true, status: 200, message: 'Voucher rejected', data: updatedVoucher };
+}
+
+/**
+ * Send the outcome of a single approve / reject as the HTTP response
+ */
+function sendOutcome(res, outcome) {
+    const { status, ...body } = outcome;
+    res.status(status).json(body);
+}
+
+/**
+ * Validate a bulk request body and return the de-duplicated voucher IDs
+ *
+ * @returns {{ ids?: Array<string>, error?: string, status?: number, code?: string }}
+ */
+function parseBulkRequest(req) {
+    if (!req.license?.features?.bulk_operations) {
+        return { status: 403, error: 'Bulk operations are not included in your plan', code: 'FEATURE_NOT_AVAILABLE' };
+    }
+
+    const { voucher_ids } = req.body;
+    if (!Array.isArray(voucher_ids) || voucher_ids.length === 0) {
+        return { status: 400, error: 'voucher_ids must be a non-empty array' };
+    }
+
+    const ids = [...new Set(voucher_ids.filter(id => typeof id === 'string' && id))];
+    if (ids.length === 0) {
+        return { status: 400, error: 'voucher_ids must contain voucher IDs' };
+    }
+
+    if (ids.length > BULK_LIMIT) {
+        return { status: 400, error: `At most ${BULK_LIMIT} vouchers can be processed at once` };
+    }
+
+    return { ids };
+}
+
+/**
+ * Run an approve / reject helper over each voucher in turn and collect per-item results
+ * Vouchers are processed sequentially so each one sees the audit entries of the last.
+ */
+async function runBulk(ids, handler) {
+    const results = [];
+
+    for (const id of ids) {
+        try {
+            const outcome = await handler(id);
+            results.push({
+                voucher_id: id,
+                voucher_number: outcome.data?.voucher_number,
+                success: outcome.success,
+                ...(outcome.success
+                    ? { status: outcome.data.status, message: outcome.message }
+                    : { error: outcome.error, code: outcome.code })
+            });
+        } catch (error) {
+            logger.error('Bulk voucher action failed', { error: error.message, voucher_id: id });
+            results.push({ voucher_id: id, success: false, error: 'Unexpected error' });
+        }
+    }
+
+    const succeeded = results.filter(r => r.success).length;
+
+    return {
+        summary: { total: results.length, succeeded, failed: results.length - succeeded },
+        results
+    };
+}
+
+/**
+ * POST /api/vouchers/bulk-approve - Sign off the next approval level of several vouchers
+ * Each voucher goes through the same checks as POST /:id/approve
+ */
+router.post('/bulk-approve', authenticate, verifyLicense, authorize(...approvalChainService.APPROVER_ROLES), async (req, res) => {
+    try {
+        const { ids, error, status, code } = parseBulkRequest(req);
+        if (error) {
+            return res.status(status).json({ success: false, error, code });
+        }
+
+        const { comments } = req.body;
+        const { summary, results } = await runBulk(ids, id => approveVoucher(req, id, comments));
+
+        logger.audit('vouchers_bulk_approved', req.user.id, { orgId: req.user.org_id, ...summary });
+
         res.json({
-            success: true,
-            message: 'Voucher rejected',
-            data: updatedVoucher
+            success: summary.failed === 0,
+            message: `${summary.succeeded} of ${summary.total} vouchers approved`,
+            data: { ...summary, results }
         });
-        
+
+    } catch (error) {
+        logger.error('Failed to bulk approve vouchers', { error: error.message });
+        res.status(500).json({ success: false, error: 'Failed to bulk approve vouchers' });
+    }
+});
+
+/**
+ * POST /api/vouchers/bulk-reject - Reject several vouchers with one reason
+ */
+router.post('/bulk-reject', authenticate, verifyLicense, authorize(...approvalChainService.APPROVER_ROLES), async (req, res) => {
+    try {
+        const { ids, error, status, code } = parseBulkRequest(req);
+        if (error) {
+            return res.status(status).json({ success: false, error, code });
+        }
+
+        const { rejection_reason } = req.body;
+        if (!rejection_reason) {
+            return res.status(400).json({ success: false, error: 'Rejection reason is required' });
+        }
+
+        const { summary, results } = await runBulk(ids, id => rejectVoucher(req, id, rejection_reason));
+
+        logger.audit('vouchers_bulk_rejected', req.user.id, { orgId: req.user.org_id, ...summary });
+
+        res.json({
+            success: summary.failed === 0,
+            message: `${summary.succeeded} of ${summary.total} vouchers rejected`,
+            data: { ...summary, results }
+        });
+
+    } catch (error) {
+        logger.error('Failed to bulk reject vouchers', { error: error.message });
+        res.status(500).json({ success: false, error: 'Failed to bulk reject vouchers' });
+    }
+});
+
+/**
+ * POST /api/vouchers/:id/approve - Sign off the next approval level
+ * The voucher only moves to 'approved' once every level of its chain is signed off
+ */
+router.post('/:id/approve', authenticate, verifyLicense, authorize(...approvalChainService.APPROVER_ROLES), async (req, res) => {
+    try {
+        const outcome = await approveVoucher(req, req.params.id, req.body.comments);
+        sendOutcome(res, outcome);
+    } catch (error) {
+        logger.error('Failed to approve voucher', { error: error.message });
+        res.status(500).json({ success: false, error: 'Failed to approve voucher' });
+    }
+});
+
+/**
+ * POST /api/vouchers/:id/reject - Reject a voucher
+ */
+router.post('/:id/reject', authenticate, verifyLicense, authorize(...approvalChainService.APPROVER_ROLES), async (req, res) => {
+    try {
+        const { rejection_reason } = req.body;
+
+        if (!rejection_reason) {
+            return res.status(400).json({
+                success: false,
+                error: 'Rejection reason is required'
+            });
+        }
+
+        const outcome = await rejectVoucher(req, req.params.id, rejection_reason);
+        sendOutcome(res, outcome);
     } catch (error) {
         logger.error('Failed to reject voucher', { error: error.message });
         res.status(500).json({ success: false, error: 'Failed to reject voucher' });
@@ -712,7 +1430,7 @@ router.post('/:id/reject', authenticate, verifyLicense, authorize(['admin', 'app
 /**
  * POST /api/vouchers/:id/send-otp - Send OTP to payee for payment verification
  */
-router.post('/:id/send-otp', authenticate, verifyLicense, async (req, res) => {
+router.post('/:id/send-otp', authenticate, verifyLicense, requireQuota('sms'), async (req, res) => {
     try {
         const supabase = getSupabaseClient();
         const { id } = req.params;
@@ -746,59 +1464,23 @@ router.post('/:id/send-otp', authenticate, verifyLicense, async (req, res) => {
             });
         }
         
-        // Send OTP using SMS service
-        const smsService = await SMSService.forOrganization(req.user.org_id);
-        
-        if (!smsService) {
-            // Use default 2Factor service
-            const defaultSMS = SMSService.createDefault();
-            const result = await defaultSMS.send2FactorAutoOTP(voucher.payee.mobile);
-            
-            if (!result.success) {
-                return res.status(500).json({ success: false, error: result.error });
-            }
-            
-            // Store session ID for verification
-            await supabase
-                .from('vouchers')
-                .update({ 
-                    otp_session_id: result.sessionId,
-                    otp_sent_at: new Date().toISOString()
-                })
-                .eq('id', id);
-            
-            return res.json({
-                success: true,
-                message: 'OTP sent to payee mobile',
-                otp_sent_to: maskMobile(voucher.payee.mobile)
-            });
-        }
-        
-        // Use org-specific SMS service
-        const result = await smsService.sendOTP(
-            voucher.payee.mobile,
-            'otp_payment_verification',
-            [],
-            id
-        );
+        // Bound to this voucher; delivered through the org's own SMS provider
+        const result = await otpService.sendOTP({
+            mobile: voucher.payee.mobile,
+            otpType: 'payee_approval',
+            contextId: id,
+            orgId: req.user.org_id
+        });
         
         if (!result.success) {
-            return res.status(500).json({ success: false, error: result.error });
+            return res.status(502).json({ success: false, error: result.error });
         }
         
-        // Store session ID for verification
-        await supabase
-            .from('vouchers')
-            .update({ 
-                otp_session_id: result.sessionId || result.messageId,
-                otp_sent_at: new Date().toISOString()
-            })
-            .eq('id', id);
-        
         res.json({
             success: true,
             message: 'OTP sent to payee mobile',
-            otp_sent_to: maskMobile(voucher.payee.mobile)
+            otp_sent_to: maskMobile(voucher.payee.mobile),
+            expires_at: result.expires_at
         });
         
     } catch (error) {
@@ -839,28 +1521,19 @@ router.post('/:id/verify-otp', authenticate, verifyLicense, async (req, res) =>
             });
         }
         
-        if (!voucher.otp_session_id) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'OTP not sent. Please request OTP first.' 
-            });
-        }
-        
-        // Check if OTP is expired (10 minutes)
-        const otpSentAt = new Date(voucher.otp_sent_at);
-        const now = new Date();
-        const diffMinutes = (now - otpSentAt) / (1000 * 60);
-        
-        if (diffMinutes > 10) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'OTP expired. Please request a new OTP.' 
-            });
-        }
-        
-        // Verify OTP using 2Factor
-        const smsService = SMSService.createDefault();
-        const verifyResult = await smsService.verify2FactorOTP(voucher.otp_session_id, otp);
+        const { data: payee } = await supabase
+            .from('payees')
+            .select('mobile')
+            .eq('id', voucher.payee_id)
+            .maybeSingle();
+        
+        // Expiry, attempt counting and lockout are enforced by the OTP service
+        const verifyResult = await otpService.verifyOTP({
+            mobile: payee?.mobile || voucher.payee_mobile,
+            otpType: 'payee_approval',
+            contextId: id,
+            code: otp
+        });
         
         if (!verifyResult.success) {
             // Log failed attempt
@@ -872,11 +1545,16 @@ router.post('/:id/verify-otp', authenticate, verifyLicense, async (req, res) =>
                     performed_by: req.user.id,
                     performed_by_name: req.user.full_name,
                     performed_by_role: req.user.role,
-                    notes: 'Invalid OTP entered',
+                    notes: verifyResult.code === 'OTP_INVALID' ? 'Invalid OTP entered' : verifyResult.error,
                     ip_address: req.ip
                 });
             
-            return res.status(400).json({ success: false, error: 'Invalid OTP' });
+            return res.status(verifyResult.code === 'OTP_LOCKED' ? 429 : 400).json({
+                success: false,
+                error: verifyResult.error,
+                code: verifyResult.code,
+                attempts_remaining: verifyResult.attempts_remaining
+            });
         }
         
         // Update voucher as completed
@@ -887,8 +1565,7 @@ router.post('/:id/verify-otp', authenticate, verifyLicense, async (req, res) =>
                 payee_otp_verified: true,
                 payee_otp_verified_at: new Date().toISOString(),
                 completed_by: req.user.id,
-                completed_at: new Date().toISOString(),
-                otp_session_id: null // Clear session
+                completed_at: new Date().toISOString()
             })
             .eq('id', id)
             .select()
@@ -919,6 +1596,8 @@ router.post('/:id/verify-otp', authenticate, verifyLicense, async (req, res) =>
             voucher_number: voucher.voucher_number
         });
         
+        await notificationService.notifyCreator(updatedVoucher, 'completed', { actorId: req.user.id });
+        
         res.json({
             success: true,
             message: 'Payment verified and completed successfully',
@@ -959,6 +1638,13 @@ router.post('/:id/cancel', authenticate, verifyLicense, async (req, res) => {
             });
         }
         
+        if (voucher.status === 'paid') {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Cannot cancel a paid voucher' 
+            });
+        }
+        
         if (voucher.status === 'cancelled') {
             return res.status(400).json({ 
                 success: false, 
@@ -966,6 +1652,21 @@ router.post('/:id/cancel', authenticate, verifyLicense, async (req, res) => {
             });
         }
         
+        // Money may already be on its way for a retried payout
+        const { count: openPayouts } = await supabase
+            .from('payouts')
+            .select('id', { count: 'exact', head: true })
+            .eq('voucher_id', id)
+            .eq('status', 'processing');
+        
+        if (openPayouts) {
+            return res.status(409).json({
+                success: false,
+                error: 'Cannot cancel a voucher while a payout is in progress',
+                code: 'PAYOUT_IN_PROGRESS'
+            });
+        }
+        
         // Update voucher status
         const { data: updatedVoucher, error: updateError } = await supabase
             .from('vouchers')
@@ -1005,6 +1706,11 @@ router.post('/:id/cancel', authenticate, verifyLicense, async (req, res) => {
             reason: cancellation_reason
         });
         
+        await notificationService.notifyCreator(updatedVoucher, 'cancelled', {
+            actorId: req.user.id,
+            reason: cancellation_reason
+        });
+        
         res.json({
             success: true,
             message: 'Voucher cancelled',
@@ -1022,62 +1728,65 @@ router.post('/:id/cancel', authenticate, verifyLicense, async (req, res) => {
 // =====================================================
 
 /**
- * Mask mobile number for display
+ * Financial year of a date, e.g. "2025-26" (or "2025" when the year starts in January)
  */
-function maskMobile(mobile) {
-    if (!mobile) return '';
-    const cleaned = mobile.replace(/\D/g, '');
-    if (cleaned.length < 4) return '****';
-    return `****${cleaned.slice(-4)}`;
+function financialYear(date, fiscalYearStart) {
+    const year = parseInt(budgetService.periodStart('annual', date, fiscalYearStart).slice(0, 4), 10);
+    return fiscalYearStart === 1 ? String(year) : `${year}-${String(year + 1).slice(2)}`;
 }
 
 /**
- * Update license voucher usage
+ * Everything a draft needs before it can go to the approvers
+ *
+ * @returns {Promise<{ errors: Array<string>, payee?: Object, headOfAccountName?: string }>}
  */
-async function updateVoucherUsage(orgId) {
-    try {
-        const supabase = getSupabaseClient();
-        const currentMonth = new Date().toISOString().slice(0, 7);
-        
-        // Get org's license
-        const { data: org } = await supabase
-            .from('licensed_orgs')
-            .select('license_id')
-            .eq('id', orgId)
-            .single();
-        
-        if (org && org.license_id) {
-            // Get current usage
-            const { data: usage } = await supabase
-                .from('license_usage')
-                .select('vouchers_count')
-                .eq('license_id', org.license_id)
-                .eq('month', currentMonth)
-                .single();
-            
-            if (usage) {
-                await supabase
-                    .from('license_usage')
-                    .update({ 
-                        vouchers_count: (usage.vouchers_count || 0) + 1,
-                        last_activity: new Date().toISOString()
-                    })
-                    .eq('license_id', org.license_id)
-                    .eq('month', currentMonth);
-            } else {
-                await supabase
-                    .from('license_usage')
-                    .insert({
-                        license_id: org.license_id,
-                        month: currentMonth,
-                        vouchers_count: 1,
-                        last_activity: new Date().toISOString()
-                    });
-            }
+async function checkSubmission(voucher) {
+    const supabase = getSupabaseClient();
+    const errors = [];
+
+    if (!(parseFloat(voucher.amount) > 0)) errors.push('Amount must be greater than 0');
+    if (!voucher.description || !voucher.description.trim()) errors.push('Description is required');
+    if (!PAYMENT_MODES.includes(voucher.payment_mode)) errors.push('Payment mode is invalid');
+
+    const [{ data: company }, { data: payee }, { data: head }] = await Promise.all([
+        supabase.from('companies').select('id, status').eq('id', voucher.company_id).eq('org_id', voucher.org_id).maybeSingle(),
+        supabase.from('payees').select('id, company_id, name, mobile, status, account_number, ifsc_code, upi_id').eq('id', voucher.payee_id).eq('org_id', voucher.org_id).maybeSingle(),
+        voucher.head_of_account_id
+            ? supabase.from('heads_of_account').select('id, name, status').eq('id', voucher.head_of_account_id).eq('org_id', voucher.org_id).maybeSingle()
+            : Promise.resolve({ data: null })
+    ]);
+
+    if (!company) errors.push('Company not found');
+    else if (company.status !== 'active') errors.push('Company is inactive');
+
+    if (!payee) {
+        errors.push('Payee not found');
+    } else {
+        if (payee.status !== 'active') errors.push(`Payee is ${payee.status}`);
+        if (payee.company_id && payee.company_id !== voucher.company_id) errors.push('Payee belongs to another company');
+        if (voucher.payment_mode === 'upi' && !voucher.upi_id && !payee.upi_id) errors.push('UPI ID is required for UPI payments');
+        if (voucher.payment_mode === 'account_transfer' && !(voucher.bank_account_number || payee.account_number)) {
+            errors.push('Bank account number is required for account transfers');
         }
-    } catch (error) {
-        logger.error('Failed to update voucher usage', { error: error.message });
+        if (voucher.payment_mode === 'account_transfer' && !payee.ifsc_code) errors.push('Payee has no IFSC code');
+    }
+
+    if (voucher.head_of_account_id) {
+        if (!head) errors.push('Head of account not found');
+        else if (head.status !== 'active') errors.push('Head of account is inactive');
     }
+
+    return { errors, payee, headOfAccountName: head?.name || voucher.head_of_account_name || null };
+}
+
+/**
+ * Mask mobile number for display
+ */
+function maskMobile(mobile) {
+    if (!mobile) return '';
+    const cleaned = mobile.replace(/\D/g, '');
+    if (cleaned.length < 4) return '****';
+    return `****${cleaned.slice(-4)}`;
 }
 
 module.exports = router;
@@ -0,0 +1,87 @@
+/**
+ * Mock Payout API Server
+ * Local stand-in for a payout provider, for testing the http_api payout adapter.
+ * Run: node server/scripts/mockPayoutServer.js
+ * Then set PAYOUT_API_URL=http://localhost:4010 in .env
+ *
+ * Behaviour is driven by the beneficiary / amount so every path can be exercised:
+ *   - account number ending in 0000  -> failed (invalid account)
+ *   - amount ending in .99           -> processing; settles as paid on the next status check
+ *   - PAYOUT_MOCK_FAIL_RATE=0.2      -> fail that share of the remaining payouts at random
+ *   - anything else                  -> paid immediately with a generated UTR
+ * Repeating a reference returns the original payout (idempotency).
+ */
+
+require('dotenv').config();
+const express = require('express');
+const crypto = require('crypto');
+
+const PORT = process.env.PAYOUT_MOCK_PORT || 4010;
+const FAIL_RATE = parseFloat(process.env.PAYOUT_MOCK_FAIL_RATE || '0');
+
+const payouts = new Map();
+
+function generateUtr() {
+    return `MOCK${Date.now().toString().slice(-8)}${crypto.randomInt(1000, 9999)}`;
+}
+
+function findPayout(ref) {
+    return payouts.get(ref) || [...payouts.values()].find(p => p.id === ref);
+}
+
+const app = express();
+app.use(express.json());
+
+app.post('/payouts', (req, res) => {
+    const { reference, amount, mode, beneficiary = {} } = req.body;
+
+    if (!reference || !amount) {
+        return res.status(400).json({ status: 'failed', error: 'reference and amount are required' });
+    }
+
+    const existing = payouts.get(reference);
+    if (existing) return res.json(existing);
+
+    const payout = {
+        id: `po_${crypto.randomBytes(8).toString('hex')}`,
+        reference,
+        amount,
+        mode,
+        status: 'paid',
+        utr: null,
+        error: null
+    };
+
+    if ((beneficiary.account_number || '').endsWith('0000')) {
+        payout.status = 'failed';
+        payout.error = 'Invalid beneficiary account';
+    } else if (String(amount).endsWith('.99')) {
+        payout.status = 'processing';
+    } else if (Math.random() < FAIL_RATE) {
+        payout.status = 'failed';
+        payout.error = 'Beneficiary bank declined the transfer';
+    } else {
+        payout.utr = generateUtr();
+    }
+
+    payouts.set(reference, payout);
+    console.log(`POST /payouts ${reference} -> ${payout.status}`);
+    res.status(payout.status === 'failed' ? 422 : 201).json(payout);
+});
+
+app.get('/payouts/:ref', (req, res) => {
+    const payout = findPayout(req.params.ref);
+    if (!payout) return res.status(404).json({ error: 'Payout not found' });
+
+    // Processing payouts settle on the first status check
+    if (payout.status === 'processing') {
+        payout.status = 'paid';
+        payout.utr = generateUtr();
+    }
+
+    res.json(payout);
+});
+
+app.listen(PORT, () => {
+    console.log(`🏦 Mock payout API listening on http://localhost:${PORT}`);
+});
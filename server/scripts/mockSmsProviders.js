@@ -0,0 +1,105 @@
+/**
+ * Mock SMS Provider Server
+ * Local stand-in for 2Factor, MSG91, Kaleyra and TextLocal, for testing
+ * the provider failover chain and circuit breaker.
+ * Run: node server/scripts/mockSmsProviders.js
+ * Then point the providers at it in .env:
+ *   TWOFACTOR_API_URL=http://localhost:4020/2factor
+ *   MSG91_API_URL=http://localhost:4020/msg91
+ *   KALEYRA_API_URL=http://localhost:4020/kaleyra
+ *   TEXTLOCAL_API_URL=http://localhost:4020/textlocal
+ *
+ * Provider health is set at start-up or changed while running:
+ *   SMS_MOCK_DOWN=msg91,kaleyra   -> answer 503
+ *   SMS_MOCK_SLOW=textlocal       -> answer after SMS_MOCK_DELAY_MS (default 15000, past the send timeout)
+ *   POST /_control { "down": ["msg91"], "slow": [] } -> replace both lists
+ *   GET  /_messages                                  -> messages accepted so far
+ */
+
+require('dotenv').config();
+const express = require('express');
+const crypto = require('crypto');
+
+const PORT = process.env.SMS_MOCK_PORT || 4020;
+const DELAY_MS = parseInt(process.env.SMS_MOCK_DELAY_MS, 10) || 15000;
+
+const list = value => (value || '').split(',').map(p => p.trim()).filter(Boolean);
+
+let down = new Set(list(process.env.SMS_MOCK_DOWN));
+let slow = new Set(list(process.env.SMS_MOCK_SLOW));
+const messages = [];
+
+const app = express();
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+/**
+ * Apply the configured health of a provider before it answers
+ */
+function provider(name, handler) {
+    return (req, res) => {
+        if (down.has(name)) {
+            console.log(`✖ ${name}: 503 (down)`);
+            return res.status(503).json({ error: `${name} mock is down` });
+        }
+
+        const respond = () => {
+            const id = `${name}_${crypto.randomBytes(6).toString('hex')}`;
+            const body = handler(req, id);
+            messages.push({ provider: name, id, to: body.to, at: new Date().toISOString() });
+            console.log(`✔ ${name}: accepted ${id} for ${body.to}`);
+            res.json(body.response);
+        };
+
+        if (slow.has(name)) {
+            console.log(`… ${name}: answering in ${DELAY_MS}ms (slow)`);
+            const timer = setTimeout(respond, DELAY_MS);
+            req.on('close', () => clearTimeout(timer));
+            return;
+        }
+
+        respond();
+    };
+}
+
+// 2Factor: OTP and transactional SMS
+app.get('/2factor/API/V1/:key/SMS/:mobile/:otp/:template', provider('2factor', (req, id) => ({
+    to: req.params.mobile,
+    response: { Status: 'Success', Details: id }
+})));
+app.post('/2factor/API/V1/:key/ADDON_SERVICES/SEND/TSMS', provider('2factor', (req, id) => ({
+    to: req.body.To,
+    response: { Status: 'Success', Details: id }
+})));
+
+// MSG91
+app.post('/msg91/api/v5/otp', provider('msg91', (req, id) => ({
+    to: req.body.mobile,
+    response: { type: 'success', request_id: id }
+})));
+
+// Kaleyra
+app.get('/kaleyra/v1/:sid/messages', provider('kaleyra', (req, id) => ({
+    to: req.query.to,
+    response: { id, status: 'queued' }
+})));
+
+// TextLocal
+app.post('/textlocal/send/', provider('textlocal', (req, id) => ({
+    to: req.query.numbers,
+    response: { status: 'success', batch_id: id, messages: [{ id, recipient: req.query.numbers }] }
+})));
+
+app.post('/_control', (req, res) => {
+    if (Array.isArray(req.body.down)) down = new Set(req.body.down);
+    if (Array.isArray(req.body.slow)) slow = new Set(req.body.slow);
+    console.log(`⚙ down: [${[...down]}] slow: [${[...slow]}]`);
+    res.json({ down: [...down], slow: [...slow] });
+});
+
+app.get('/_messages', (req, res) => res.json(messages));
+
+app.listen(PORT, () => {
+    console.log(`📱 Mock SMS providers listening on http://localhost:${PORT}`);
+    console.log(`   down: [${[...down]}] slow: [${[...slow]}]`);
+});
@@ -0,0 +1,138 @@
+/**
+ * Mock SMTP Server
+ * Local mail catcher for testing the email channel. Accepts every message,
+ * prints the sender, recipients and subject, and saves it as an .eml file.
+ * Run: node server/scripts/mockSmtpServer.js
+ * Then point the email service at it in .env:
+ *   EMAIL_TRANSPORT=smtp
+ *   SMTP_HOST=localhost
+ *   SMTP_PORT=1025
+ *   SMTP_IGNORE_TLS=true
+ *   SMTP_USER=            (no authentication)
+ *
+ * SMTP_MOCK_PORT changes the port (default 1025).
+ * SMTP_MOCK_DIR changes where messages are saved (default logs/mail).
+ * Open the .eml files in any mail client to check the HTML rendering.
+ */
+
+require('dotenv').config();
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = process.env.SMTP_MOCK_PORT || 1025;
+const MAIL_DIR = process.env.SMTP_MOCK_DIR || path.join(__dirname, '../../logs/mail');
+
+fs.mkdirSync(MAIL_DIR, { recursive: true });
+
+let received = 0;
+
+/**
+ * Decode an RFC 2047 encoded header such as =?UTF-8?Q?...?= or =?UTF-8?B?...?=
+ */
+function decodeHeader(value) {
+    return value.replace(/=\?([^?]+)\?([bq])\?([^?]*)\?=/gi, (match, charset, encoding, text) => {
+        if (encoding.toLowerCase() === 'b') return Buffer.from(text, 'base64').toString('utf8');
+        return Buffer.from(
+            text.replace(/_/g, ' ').replace(/=([0-9a-f]{2})/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16))),
+            'binary'
+        ).toString('utf8');
+    });
+}
+
+function header(raw, name) {
+    const head = raw.split(/\r?\n\r?\n/)[0].replace(/\r?\n[ \t]+/g, ' ');
+    const line = head.split(/\r?\n/).find(l => l.toLowerCase().startsWith(`${name.toLowerCase()}:`));
+    return line ? decodeHeader(line.slice(name.length + 1).trim()) : '';
+}
+
+function saveMessage(envelope, raw) {
+    received++;
+    const file = path.join(MAIL_DIR, `${new Date().toISOString().replace(/[:.]/g, '-')}-${received}.eml`);
+    fs.writeFileSync(file, raw);
+
+    console.log(`✉ #${received} ${envelope.from} -> ${envelope.to.join(', ')}`);
+    console.log(`  Subject: ${header(raw, 'Subject')}`);
+    console.log(`  Saved:   ${file}`);
+}
+
+const server = net.createServer((socket) => {
+    let buffer = '';
+    let envelope = { from: '', to: [] };
+    let data = null; // collected lines while in DATA mode
+    let authStep = 0; // AUTH LOGIN: 1 = expecting username, 2 = password
+
+    const reply = line => socket.write(`${line}\r\n`);
+
+    reply('220 localhost FoodStream mock SMTP ready');
+
+    socket.on('data', (chunk) => {
+        buffer += chunk.toString('utf8');
+
+        let index;
+        while ((index = buffer.indexOf('\r\n')) >= 0) {
+            const line = buffer.slice(0, index);
+            buffer = buffer.slice(index + 2);
+
+            if (data) {
+                if (line === '.') {
+                    saveMessage(envelope, data.join('\r\n'));
+                    data = null;
+                    envelope = { from: '', to: [] };
+                    reply('250 OK: message accepted');
+                } else {
+                    // Undo dot-stuffing
+                    data.push(line.startsWith('..') ? line.slice(1) : line);
+                }
+                continue;
+            }
+
+            if (authStep) {
+                reply(authStep === 1 ? '334 UGFzc3dvcmQ6' : '235 Authentication successful');
+                authStep = authStep === 1 ? 2 : 0;
+                continue;
+            }
+
+            const command = line.slice(0, 4).toUpperCase();
+            if (command === 'EHLO') {
+                socket.write('250-localhost\r\n250-8BITMIME\r\n250-SMTPUTF8\r\n250 AUTH PLAIN LOGIN\r\n');
+            } else if (command === 'HELO') {
+                reply('250 localhost');
+            } else if (command === 'AUTH') {
+                // Any credentials are accepted
+                if (/^AUTH LOGIN$/i.test(line)) {
+                    authStep = 1;
+                    reply('334 VXNlcm5hbWU6');
+                } else {
+                    reply('235 Authentication successful');
+                }
+            } else if (command === 'MAIL') {
+                envelope.from = (line.match(/<([^>]*)>/) || [])[1] || '';
+                reply('250 OK');
+            } else if (command === 'RCPT') {
+                envelope.to.push((line.match(/<([^>]*)>/) || [])[1] || '');
+                reply('250 OK');
+            } else if (command === 'DATA') {
+                data = [];
+                reply('354 End data with <CR><LF>.<CR><LF>');
+            } else if (command === 'RSET') {
+                envelope = { from: '', to: [] };
+                reply('250 OK');
+            } else if (command === 'NOOP') {
+                reply('250 OK');
+            } else if (command === 'QUIT') {
+                reply('221 Bye');
+                socket.end();
+            } else {
+                reply('502 Command not implemented');
+            }
+        }
+    });
+
+    socket.on('error', () => socket.destroy());
+});
+
+server.listen(PORT, () => {
+    console.log(`📧 Mock SMTP server listening on localhost:${PORT}`);
+    console.log(`   Messages are saved to ${MAIL_DIR}`);
+});
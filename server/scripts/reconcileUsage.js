@@ -0,0 +1,36 @@
+/**
+ * Reconcile License Usage
+ * Rebuilds license_usage voucher and SMS counters from vouchers and sms_logs.
+ * Run: node server/scripts/reconcileUsage.js [YYYY-MM ...] [--org <org_id>] [--dry-run]
+ * With no month the current month is reconciled.
+ */
+
+require('dotenv').config();
+const { reconcile, monthOf } = require('../services/usageMeter');
+
+async function main() {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const orgIndex = args.indexOf('--org');
+    const orgId = orgIndex >= 0 ? args[orgIndex + 1] : null;
+    const months = args.filter((arg, i) => !arg.startsWith('--') && (orgIndex < 0 || i !== orgIndex + 1));
+
+    let failed = false;
+    for (const month of months.length ? months : [monthOf()]) {
+        try {
+            const result = await reconcile({ month, orgId, dryRun });
+            console.log(`${result.drift.length ? '⚠️ ' : '✅'} ${month}: ${result.checked} org(s) checked, ${result.drift.length} with drift${dryRun ? ' (dry run)' : `, ${result.corrected} corrected`}`);
+
+            for (const drift of result.drift) {
+                console.log(`   ${drift.org_name || drift.org_id}: recorded ${JSON.stringify(drift.recorded)} -> actual ${JSON.stringify(drift.actual)}`);
+            }
+        } catch (error) {
+            failed = true;
+            console.error(`❌ ${month}: ${error.message}`);
+        }
+    }
+
+    process.exit(failed ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,31 @@
+/**
+ * Run License Lifecycle Jobs
+ * Run: node server/scripts/runLicenseJobs.js [expire] [reminders] [usage]
+ * With no arguments all jobs run. Suitable for a nightly cron entry, e.g.
+ *   15 1 * * * cd /srv/foodstream && npm run jobs:license
+ */
+
+require('dotenv').config();
+const { runLicenseJobs, JOB_NAMES } = require('../services/licenseJobService');
+
+async function main() {
+    const jobs = process.argv.slice(2);
+    const unknown = jobs.filter(job => !JOB_NAMES.includes(job));
+
+    if (unknown.length > 0) {
+        console.error(`❌ Unknown job(s): ${unknown.join(', ')}. Available: ${JOB_NAMES.join(', ')}`);
+        process.exit(1);
+    }
+
+    console.log(`🕐 Running license jobs: ${(jobs.length ? jobs : JOB_NAMES).join(', ')}\n`);
+
+    const results = await runLicenseJobs(jobs.length ? { jobs } : {});
+
+    for (const [job, result] of Object.entries(results)) {
+        console.log(`${result.error ? '❌' : '✅'} ${job}: ${JSON.stringify(result)}`);
+    }
+
+    process.exit(Object.values(results).some(result => result.error) ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,303 @@
+/**
+ * FoodStream Ltd. - Accounting Export Service
+ *
+ * Turns settled vouchers into files for the accounting system:
+ *   - tally_xml:   Tally import envelope of Payment vouchers
+ *   - journal_csv: generic double-entry journal (one debit + one credit line)
+ *
+ * The debit ledger comes from the voucher's head of account and the credit
+ * ledger from its payment mode, both mapped per company in ledger_mappings.
+ * A voucher is written to each format once; accounting_export_items holds
+ * the claim so concurrent exports cannot both include it.
+ *
+ * @module services/accountingExportService
+ */
+
+const { getSupabaseClient } = require('../config/database');
+const logger = require('../utils/logger');
+const { csvCell } = require('../utils/csv');
+
+/**
+ * Vouchers that are settled and ready for the books
+ * A completed voucher is only OTP-verified; its payout can still fail.
+ */
+const EXPORTABLE_STATUSES = ['paid'];
+
+/**
+ * Credit ledger used when a payment mode is not mapped
+ */
+const DEFAULT_CASH_LEDGER = 'Cash';
+const DEFAULT_BANK_LEDGER = 'Bank Account';
+
+const VOUCHER_SELECT = `
+    id, voucher_number, financial_year, amount, payment_mode, status, description,
+    payee_name, head_of_account_id, head_of_account_name,
+    transaction_reference, cheque_number, created_at, completed_at, paid_at,
+    payee:payees(pan_number, gst_number)
+`;
+
+/**
+ * Date the payment is booked on
+ */
+function bookingDate(voucher) {
+    return String(voucher.paid_at || voucher.completed_at || voucher.created_at).slice(0, 10);
+}
+
+function narration(voucher) {
+    return [voucher.payee_name, voucher.description].filter(Boolean).join(' - ');
+}
+
+function xmlEscape(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Tally import XML: one Payment voucher per entry
+ * Debits are negative with ISDEEMEDPOSITIVE=Yes, as Tally expects.
+ * REMOTEID is the voucher id, so re-importing updates instead of duplicating.
+ */
+function buildTallyXml({ companyName, entries }) {
+    const vouchers = entries.map(({ voucher, debit, credit }) => {
+        const value = parseFloat(voucher.amount).toFixed(2);
+        return `
+        <TALLYMESSAGE xmlns:UDF="TallyUDF">
+          <VOUCHER REMOTEID="${xmlEscape(voucher.id)}" VCHTYPE="Payment" ACTION="Create" OBJVIEW="Accounting Voucher View">
+            <DATE>${bookingDate(voucher).replace(/-/g, '')}</DATE>
+            <VOUCHERTYPENAME>Payment</VOUCHERTYPENAME>
+            <VOUCHERNUMBER>${xmlEscape(voucher.voucher_number)}</VOUCHERNUMBER>
+            <REFERENCE>${xmlEscape(voucher.transaction_reference || voucher.cheque_number || '')}</REFERENCE>
+            <PARTYLEDGERNAME>${xmlEscape(credit)}</PARTYLEDGERNAME>
+            <NARRATION>${xmlEscape(narration(voucher))}</NARRATION>
+            <ALLLEDGERENTRIES.LIST>
+              <LEDGERNAME>${xmlEscape(debit)}</LEDGERNAME>
+              <ISDEEMEDPOSITIVE>Yes</ISDEEMEDPOSITIVE>
+              <AMOUNT>-${value}</AMOUNT>
+            </ALLLEDGERENTRIES.LIST>
+            <ALLLEDGERENTRIES.LIST>
+              <LEDGERNAME>${xmlEscape(credit)}</LEDGERNAME>
+              <ISDEEMEDPOSITIVE>No</ISDEEMEDPOSITIVE>
+              <AMOUNT>${value}</AMOUNT>
+            </ALLLEDGERENTRIES.LIST>
+          </VOUCHER>
+        </TALLYMESSAGE>`;
+    }).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<ENVELOPE>
+  <HEADER>
+    <TALLYREQUEST>Import Data</TALLYREQUEST>
+  </HEADER>
+  <BODY>
+    <IMPORTDATA>
+      <REQUESTDESC>
+        <REPORTNAME>Vouchers</REPORTNAME>
+        <STATICVARIABLES>
+          <SVCURRENTCOMPANY>${xmlEscape(companyName)}</SVCURRENTCOMPANY>
+        </STATICVARIABLES>
+      </REQUESTDESC>
+      <REQUESTDATA>${vouchers}
+      </REQUESTDATA>
+    </IMPORTDATA>
+  </BODY>
+</ENVELOPE>
+`;
+}
+
+/**
+ * Generic journal CSV: a debit and a credit line per voucher
+ */
+function buildJournalCsv({ company, entries }) {
+    const header = [
+        'Date', 'Voucher Number', 'Voucher Type', 'Financial Year', 'Company', 'Company GSTIN', 'Company PAN',
+        'Ledger', 'Debit', 'Credit', 'Narration', 'Reference', 'Payee', 'Payee PAN', 'Payee GSTIN'
+    ];
+
+    const lines = [header];
+    for (const { voucher, debit, credit } of entries) {
+        const value = parseFloat(voucher.amount).toFixed(2);
+        const common = [bookingDate(voucher), voucher.voucher_number, 'Payment', voucher.financial_year,
+            company.legal_name || company.name, company.gst_number, company.pan_number];
+        const tail = [narration(voucher), voucher.transaction_reference || voucher.cheque_number,
+            voucher.payee_name, voucher.payee?.pan_number, voucher.payee?.gst_number];
+
+        lines.push([...common, debit, value, '', ...tail]);
+        lines.push([...common, credit, '', value, ...tail]);
+    }
+
+    return `${lines.map(cells => cells.map(csvCell).join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * Supported accounting formats
+ */
+const EXPORT_FORMATS = {
+    tally_xml: { label: 'Tally XML (Payment vouchers)', extension: 'xml', contentType: 'application/xml', build: buildTallyXml },
+    journal_csv: { label: 'Journal CSV (double entry)', extension: 'csv', contentType: 'text/csv', build: buildJournalCsv }
+};
+
+/**
+ * Load a company's ledger mappings
+ *
+ * @returns {Promise<{ heads: Map, modes: Map }>}
+ */
+async function loadMappings(companyId) {
+    const { data, error } = await getSupabaseClient()
+        .from('ledger_mappings')
+        .select('head_of_account_id, payment_mode, ledger_name')
+        .eq('company_id', companyId);
+
+    if (error) throw error;
+
+    const heads = new Map();
+    const modes = new Map();
+    for (const row of data || []) {
+        if (row.head_of_account_id) heads.set(row.head_of_account_id, row.ledger_name);
+        if (row.payment_mode) modes.set(row.payment_mode, row.ledger_name);
+    }
+    return { heads, modes };
+}
+
+/**
+ * Debit / credit ledgers for a voucher, falling back to the head of
+ * account name and a default cash / bank ledger when unmapped
+ */
+function resolveLedgers(voucher, mappings, unmapped) {
+    let debit = voucher.head_of_account_id && mappings.heads.get(voucher.head_of_account_id);
+    if (!debit) {
+        debit = voucher.head_of_account_name || 'Suspense';
+        unmapped.add(`head_of_account:${debit}`);
+    }
+
+    let credit = mappings.modes.get(voucher.payment_mode);
+    if (!credit) {
+        credit = voucher.payment_mode === 'cash' ? DEFAULT_CASH_LEDGER : DEFAULT_BANK_LEDGER;
+        unmapped.add(`payment_mode:${voucher.payment_mode}`);
+    }
+
+    return { debit, credit };
+}
+
+/**
+ * Export the settled vouchers of a company that are not yet in this format
+ *
+ * @param {Object} params
+ * @param {string} params.orgId
+ * @param {string} params.companyId
+ * @param {string} params.format - Key of EXPORT_FORMATS
+ * @param {string} [params.fromDate] - Filters on created_at, as the voucher list does
+ * @param {string} [params.toDate]
+ * @param {string} [params.tallyCompany] - Company name in Tally, defaults to legal / display name
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>} { success, status, data?, error? }
+ */
+async function createExport({ orgId, companyId, format, fromDate, toDate, tallyCompany }, user) {
+    const supabase = getSupabaseClient();
+    const definition = EXPORT_FORMATS[format];
+
+    const { data: company } = await supabase
+        .from('companies')
+        .select('id, name, legal_name, gst_number, pan_number')
+        .eq('id', companyId)
+        .eq('org_id', orgId)
+        .maybeSingle();
+
+    if (!company) return { success: false, status: 404, error: 'Company not found' };
+
+    let query = supabase
+        .from('vouchers')
+        .select(VOUCHER_SELECT)
+        .eq('org_id', orgId)
+        .eq('company_id', companyId)
+        .in('status', EXPORTABLE_STATUSES)
+        .order('created_at', { ascending: true });
+
+    if (fromDate) query = query.gte('created_at', fromDate);
+    if (toDate) query = query.lte('created_at', toDate);
+
+    const { data: candidates, error } = await query;
+    if (error) throw error;
+
+    if (!candidates || candidates.length === 0) {
+        return { success: false, status: 404, error: 'No paid vouchers match the filters' };
+    }
+
+    const filters = { from_date: fromDate || null, to_date: toDate || null };
+    const { data: record, error: insertError } = await supabase
+        .from('accounting_exports')
+        .insert({ org_id: orgId, company_id: companyId, export_format: format, filters, created_by: user.id })
+        .select('id, created_at')
+        .single();
+
+    if (insertError) throw insertError;
+
+    // Claim the vouchers; ones already exported in this format are skipped
+    const { data: claimed, error: claimError } = await supabase
+        .from('accounting_export_items')
+        .upsert(candidates.map(v => ({ export_id: record.id, voucher_id: v.id, export_format: format })), {
+            onConflict: 'voucher_id,export_format',
+            ignoreDuplicates: true
+        })
+        .select('voucher_id');
+
+    if (claimError) {
+        await supabase.from('accounting_exports').delete().eq('id', record.id);
+        throw claimError;
+    }
+
+    const claimedIds = new Set((claimed || []).map(item => item.voucher_id));
+    const vouchers = candidates.filter(v => claimedIds.has(v.id));
+
+    if (vouchers.length === 0) {
+        await supabase.from('accounting_exports').delete().eq('id', record.id);
+        return { success: false, status: 409, error: 'All matching vouchers have already been exported in this format', code: 'ALREADY_EXPORTED' };
+    }
+
+    const mappings = await loadMappings(companyId);
+    const unmapped = new Set();
+    const entries = vouchers.map(voucher => ({ voucher, ...resolveLedgers(voucher, mappings, unmapped) }));
+
+    const content = definition.build({
+        company,
+        companyName: tallyCompany || company.legal_name || company.name,
+        entries
+    });
+    const totalAmount = vouchers.reduce((sum, v) => sum + parseFloat(v.amount), 0);
+    const fileName = `${format}-${record.created_at.slice(0, 10)}-${record.id.slice(0, 8)}.${definition.extension}`;
+
+    const { data: saved, error: saveError } = await supabase
+        .from('accounting_exports')
+        .update({
+            file_name: fileName,
+            file_content: content,
+            voucher_count: vouchers.length,
+            total_amount: totalAmount,
+            unmapped: [...unmapped]
+        })
+        .eq('id', record.id)
+        .select('id, company_id, export_format, file_name, voucher_count, total_amount, filters, unmapped, created_at')
+        .single();
+
+    if (saveError) throw saveError;
+
+    logger.audit('accounting_exported', user.id, { orgId, export_id: record.id, format, vouchers: vouchers.length });
+
+    return {
+        success: true,
+        status: 201,
+        message: `${vouchers.length} voucher(s) exported`,
+        data: { ...saved, skipped_already_exported: candidates.length - vouchers.length }
+    };
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    EXPORTABLE_STATUSES,
+    buildTallyXml,
+    buildJournalCsv,
+    createExport
+};
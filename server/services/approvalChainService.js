@@ -0,0 +1,263 @@
+/**
+ * FoodStream Ltd. - Voucher Approval Chain Service
+ *
+ * Resolves which approval chain applies to a voucher (by company, head of
+ * account and amount band) and works out who has signed off and who is
+ * still pending.
+ *
+ * @module services/approvalChainService
+ */
+
+const { getSupabaseClient } = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Roles that may appear in an approval level
+ */
+const APPROVER_ROLES = ['super_admin', 'org_admin', 'company_admin', 'approver'];
+
+/**
+ * Chain used when an organization has not configured any chain that
+ * matches the voucher - a single sign-off by any approver role.
+ */
+const DEFAULT_LEVELS = [
+    { level: 1, label: 'Approver', roles: ['approver', 'company_admin', 'org_admin', 'super_admin'] }
+];
+
+/**
+ * Validate and normalise a levels array supplied by an admin
+ *
+ * @param {Array<Object>} levels - Raw levels from the request body
+ * @returns {{ levels?: Array<Object>, error?: string }}
+ */
+function normalizeLevels(levels) {
+    if (!Array.isArray(levels) || levels.length === 0) {
+        return { error: 'levels must be a non-empty array' };
+    }
+
+    const normalized = [];
+    for (let i = 0; i < levels.length; i++) {
+        const roles = levels[i]?.roles;
+        if (!Array.isArray(roles) || roles.length === 0) {
+            return { error: `Level ${i + 1} must list at least one role` };
+        }
+
+        const invalid = roles.filter(role => !APPROVER_ROLES.includes(role));
+        if (invalid.length > 0) {
+            return { error: `Level ${i + 1} has invalid roles: ${invalid.join(', ')}. Allowed: ${APPROVER_ROLES.join(', ')}` };
+        }
+
+        normalized.push({
+            level: i + 1,
+            label: levels[i].label || `Level ${i + 1}`,
+            roles: [...new Set(roles)]
+        });
+    }
+
+    return { levels: normalized };
+}
+
+/**
+ * Check whether a chain's amount band contains the given amount
+ * min_amount is inclusive, max_amount is exclusive (NULL = unbounded)
+ */
+function amountInBand(chain, amount) {
+    const min = parseFloat(chain.min_amount || 0);
+    const max = chain.max_amount === null || chain.max_amount === undefined
+        ? null
+        : parseFloat(chain.max_amount);
+
+    return amount >= min && (max === null || amount < max);
+}
+
+/**
+ * Resolve the approval chain for a voucher
+ * The most specific match wins: head of account beats company, company beats
+ * org-wide; ties are broken by priority (highest first).
+ *
+ * @param {string} orgId - Organization UUID
+ * @param {Object} criteria
+ * @param {string} criteria.company_id - Company UUID
+ * @param {string} [criteria.head_of_account_id] - Head of account UUID
+ * @param {number} criteria.amount - Voucher amount
+ * @returns {Promise<{ chain_id: string|null, chain_name: string, levels: Array<Object> }>}
+ * @throws When the chains cannot be read. The default chain is only for orgs
+ *         without a matching chain, never a stand-in for a failed lookup.
+ */
+async function resolveChain(orgId, { company_id, head_of_account_id, amount }) {
+    const supabase = getSupabaseClient();
+    const { data: chains, error } = await supabase
+        .from('approval_chains')
+        .select('*')
+        .eq('org_id', orgId)
+        .eq('status', 'active');
+
+    if (error) {
+        logger.error('Failed to resolve approval chain', {
+            error: error.message,
+            org_id: orgId
+        });
+        throw error;
+    }
+
+    const value = parseFloat(amount || 0);
+    const candidates = (chains || [])
+        .filter(chain => !chain.company_id || chain.company_id === company_id)
+        .filter(chain => !chain.head_of_account_id || chain.head_of_account_id === head_of_account_id)
+        .filter(chain => amountInBand(chain, value))
+        .filter(chain => Array.isArray(chain.levels) && chain.levels.length > 0)
+        .map(chain => ({
+            chain,
+            specificity: (chain.head_of_account_id ? 2 : 0) + (chain.company_id ? 1 : 0)
+        }))
+        .sort((a, b) => (b.specificity - a.specificity) || ((b.chain.priority || 0) - (a.chain.priority || 0)));
+
+    if (candidates.length === 0) {
+        return { chain_id: null, chain_name: 'Default', levels: DEFAULT_LEVELS };
+    }
+
+    const { chain } = candidates[0];
+    return { chain_id: chain.id, chain_name: chain.name, levels: chain.levels };
+}
+
+/**
+ * Levels snapshotted on the voucher, falling back to the default chain for
+ * vouchers created before approval chains existed
+ */
+function getVoucherLevels(voucher) {
+    return Array.isArray(voucher.approval_levels) && voucher.approval_levels.length > 0
+        ? voucher.approval_levels
+        : DEFAULT_LEVELS;
+}
+
+/**
+ * Work out the next level awaiting sign-off and whether the user may sign it
+ *
+ * @param {Object} voucher - Voucher row
+ * @param {Object} user - Authenticated user
+ * @param {Array<Object>} auditLog - Voucher audit log entries
+ * @returns {{ allowed: boolean, level?: Object, isFinal?: boolean, error?: string }}
+ */
+function checkApprover(voucher, user, auditLog = []) {
+    const levels = getVoucherLevels(voucher);
+    const current = voucher.current_approval_level || 0;
+    const level = levels[current];
+
+    if (!level) {
+        return { allowed: false, error: 'All approval levels have already been signed off' };
+    }
+
+    if (!level.roles.includes(user.role)) {
+        return {
+            allowed: false,
+            level,
+            error: `Level ${level.level} (${level.label}) requires one of: ${level.roles.join(', ')}`
+        };
+    }
+
+    // One person cannot sign off more than one level of the same voucher
+    const alreadySigned = getSignOffs(auditLog).some(entry => entry.performed_by === user.id);
+    if (alreadySigned) {
+        return { allowed: false, level, error: 'You have already approved an earlier level of this voucher' };
+    }
+
+    return { allowed: true, level, isFinal: current + 1 >= levels.length };
+}
+
+/**
+ * Level sign-offs recorded in the audit log for the current approval round.
+ * Entries before the latest 'modified' that reset the chain are ignored.
+ */
+function getSignOffs(auditLog = []) {
+    let signOffs = [];
+
+    for (const entry of auditLog) {
+        if (entry.action === 'modified' && entry.new_values?.current_approval_level === 0) {
+            signOffs = [];
+        } else if (['level_approved', 'approved'].includes(entry.action) && entry.new_values?.approval_level) {
+            signOffs.push(entry);
+        }
+    }
+
+    return signOffs;
+}
+
+/**
+ * Build the approval chain status for a voucher
+ *
+ * @param {Object} voucher - Voucher row
+ * @param {Array<Object>} auditLog - Voucher audit log entries (oldest first)
+ * @returns {Promise<Object>} Chain status with per-level approver details
+ */
+async function getChainStatus(voucher, auditLog = []) {
+    const supabase = getSupabaseClient();
+    const levels = getVoucherLevels(voucher);
+    const current = voucher.current_approval_level || 0;
+    const signOffs = getSignOffs(auditLog);
+
+    // Eligible approvers for levels still open
+    const openRoles = [...new Set(levels.slice(current).flatMap(level => level.roles))];
+    let candidates = [];
+    if (openRoles.length > 0 && voucher.status === 'pending_approval') {
+        const { data } = await supabase
+            .from('users')
+            .select('id, full_name, role, company_id')
+            .eq('org_id', voucher.org_id)
+            .eq('status', 'active')
+            .in('role', openRoles);
+
+        candidates = (data || []).filter(u => !u.company_id || u.company_id === voucher.company_id);
+    }
+
+    const signedBy = new Set(signOffs.map(entry => entry.performed_by));
+
+    const steps = levels.map((level, index) => {
+        const signOff = signOffs.find(entry => entry.new_values.approval_level === level.level);
+
+        let status = 'waiting';
+        if (signOff) {
+            status = 'approved';
+        } else if (voucher.status === 'rejected' && index === current) {
+            status = 'rejected';
+        } else if (voucher.status === 'pending_approval' && index === current) {
+            status = 'pending';
+        }
+
+        return {
+            level: level.level,
+            label: level.label,
+            roles: level.roles,
+            status,
+            approved_by: signOff ? {
+                id: signOff.performed_by,
+                name: signOff.performed_by_name,
+                role: signOff.performed_by_role
+            } : null,
+            approved_at: signOff?.created_at || null,
+            comments: signOff?.notes || null,
+            eligible_approvers: status === 'approved' ? [] : candidates
+                .filter(u => level.roles.includes(u.role) && !signedBy.has(u.id))
+                .map(u => ({ id: u.id, name: u.full_name, role: u.role }))
+        };
+    });
+
+    return {
+        chain_id: voucher.approval_chain_id || null,
+        voucher_status: voucher.status,
+        current_level: Math.min(current + 1, levels.length),
+        approved_levels: signOffs.length,
+        total_levels: levels.length,
+        levels: steps
+    };
+}
+
+module.exports = {
+    APPROVER_ROLES,
+    DEFAULT_LEVELS,
+    normalizeLevels,
+    resolveChain,
+    getVoucherLevels,
+    checkApprover,
+    getSignOffs,
+    getChainStatus
+};
@@ -0,0 +1,402 @@
+/**
+ * FoodStream Ltd. - Voucher Attachment Service
+ *
+ * Invoices, bills and other evidence for a voucher. Uploads are checked
+ * against the plan's size and count limits, their type is detected from
+ * the file content (a declared type that does not match is refused) and
+ * they are scanned by ClamAV when CLAMAV_HOST is set.
+ *
+ * Files go to the storage adapter chosen by ATTACHMENT_STORAGE (see
+ * storageAdapters). Rows live in voucher_attachments; vouchers.attachments
+ * keeps a summary with each file's SHA-256, which the voucher signature
+ * covers. Attachments can only be added or removed while the voucher is a
+ * draft, so a signed voucher's evidence cannot change.
+ *
+ * @module services/attachmentService
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const path = require('path');
+const { getSupabaseClient } = require('../config/database');
+const storageAdapters = require('./storageAdapters');
+const logger = require('../utils/logger');
+
+/**
+ * Accepted file types, recognised by their first bytes
+ */
+const FILE_TYPES = {
+    'application/pdf': { extension: 'pdf', matches: buffer => buffer.subarray(0, 5).toString('latin1') === '%PDF-' },
+    'image/png': { extension: 'png', matches: buffer => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    'image/jpeg': { extension: 'jpg', matches: buffer => buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+    'image/webp': { extension: 'webp', matches: buffer => buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP' }
+};
+
+/**
+ * Declared types some clients send for the types above
+ */
+const TYPE_ALIASES = { 'image/jpg': 'image/jpeg', 'image/pjpeg': 'image/jpeg', 'application/x-pdf': 'application/pdf' };
+
+/**
+ * Per-plan limits; a license can override them with
+ * features.max_attachment_mb and features.max_attachments_per_voucher
+ */
+const PLAN_LIMITS = {
+    trial: { max_file_mb: 2, max_files: 3 },
+    basic: { max_file_mb: 5, max_files: 5 },
+    premium: { max_file_mb: 10, max_files: 10 },
+    enterprise: { max_file_mb: 25, max_files: 20 }
+};
+
+/**
+ * Roles that may change attachments of drafts raised by other users
+ */
+const MANAGE_ANY_ROLES = ['super_admin', 'org_admin', 'company_admin'];
+
+const SCAN_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Attachment limits of a license
+ *
+ * @param {Object} license - req.license
+ * @returns {{ max_file_bytes: number, max_file_mb: number, max_files: number, allowed_types: Array<string> }}
+ */
+function getLimits(license) {
+    const plan = PLAN_LIMITS[license?.license_type] || PLAN_LIMITS.trial;
+    const features = license?.features || {};
+    const maxFileMb = parseFloat(features.max_attachment_mb) || plan.max_file_mb;
+
+    return {
+        max_file_mb: maxFileMb,
+        max_file_bytes: Math.floor(maxFileMb * 1024 * 1024),
+        max_files: parseInt(features.max_attachments_per_voucher, 10) || plan.max_files,
+        allowed_types: Object.keys(FILE_TYPES)
+    };
+}
+
+/**
+ * Type of a file from its content, or null when it is not accepted
+ */
+function detectType(buffer) {
+    return Object.keys(FILE_TYPES).find(type => FILE_TYPES[type].matches(buffer)) || null;
+}
+
+/**
+ * Scan a file with ClamAV (clamd INSTREAM)
+ * Skipped when CLAMAV_HOST is not set. Rejects when the scanner cannot be
+ * reached, so uploads fail closed once scanning is configured.
+ *
+ * @returns {Promise<{ scanned: boolean, clean: boolean, signature?: string }>}
+ */
+function scanFile(buffer) {
+    const host = process.env.CLAMAV_HOST;
+    if (!host) return Promise.resolve({ scanned: false, clean: true });
+
+    return new Promise((resolve, reject) => {
+        let reply = '';
+        const socket = net.createConnection({ host, port: parseInt(process.env.CLAMAV_PORT || '3310', 10) });
+        socket.setTimeout(parseInt(process.env.CLAMAV_TIMEOUT_MS || '15000', 10), () => socket.destroy(new Error('Virus scan timed out')));
+
+        socket.on('connect', () => {
+            socket.write('zINSTREAM\0');
+            for (let offset = 0; offset < buffer.length; offset += SCAN_CHUNK_SIZE) {
+                const chunk = buffer.subarray(offset, offset + SCAN_CHUNK_SIZE);
+                const size = Buffer.alloc(4);
+                size.writeUInt32BE(chunk.length);
+                socket.write(size);
+                socket.write(chunk);
+            }
+            socket.end(Buffer.alloc(4));
+        });
+        socket.on('data', data => { reply += data.toString(); });
+        socket.on('error', reject);
+        socket.on('close', () => {
+            const result = reply.replace(/\0/g, '').trim();
+            const found = result.match(/: (.+) FOUND$/);
+            if (/: OK$/.test(result)) resolve({ scanned: true, clean: true });
+            else if (found) resolve({ scanned: true, clean: false, signature: found[1] });
+            else reject(new Error(`Unexpected virus scanner reply: ${result || 'none'}`));
+        });
+    });
+}
+
+/**
+ * File name safe to store and to send in Content-Disposition
+ */
+function cleanFileName(name, extension) {
+    const base = path.basename(String(name || 'attachment'))
+        .replace(/[^\w.\- ()]/g, '_')
+        .slice(0, 200)
+        .trim();
+    return base || `attachment.${extension}`;
+}
+
+async function audit(voucherId, action, actor, newValues) {
+    await getSupabaseClient()
+        .from('voucher_audit_log')
+        .insert({
+            voucher_id: voucherId,
+            action,
+            performed_by: actor.user.id,
+            performed_by_name: actor.user.full_name,
+            performed_by_role: actor.user.role,
+            new_values: newValues,
+            ip_address: actor.ip,
+            user_agent: actor.userAgent
+        });
+}
+
+/**
+ * Attachments of a voucher, oldest first
+ */
+async function listAttachments(orgId, voucherId) {
+    const { data, error } = await getSupabaseClient()
+        .from('voucher_attachments')
+        .select('id, voucher_id, file_name, content_type, size_bytes, sha256, scan_status, uploaded_by, created_at')
+        .eq('org_id', orgId)
+        .eq('voucher_id', voucherId)
+        .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Rebuild vouchers.attachments from voucher_attachments
+ *
+ * @returns {Promise<Array<Object>>} The summary written
+ */
+async function syncVoucher(orgId, voucherId) {
+    const summary = (await listAttachments(orgId, voucherId)).map(attachment => ({
+        id: attachment.id,
+        file_name: attachment.file_name,
+        content_type: attachment.content_type,
+        size_bytes: attachment.size_bytes,
+        sha256: attachment.sha256,
+        uploaded_at: attachment.created_at
+    }));
+
+    const { error } = await getSupabaseClient()
+        .from('vouchers')
+        .update({ attachments: summary, updated_at: new Date().toISOString() })
+        .eq('id', voucherId);
+
+    if (error) throw error;
+    return summary;
+}
+
+/**
+ * Whether a user may change a voucher's attachments
+ *
+ * @returns {Object|null} Failed outcome, or null when allowed
+ */
+function checkEditable(voucher, user) {
+    if (voucher.status !== 'draft') {
+        return { success: false, status: 409, error: 'Attachments can only be changed while the voucher is a draft', code: 'VOUCHER_NOT_DRAFT' };
+    }
+    if (voucher.created_by !== user.id && !MANAGE_ANY_ROLES.includes(user.role)) {
+        return { success: false, status: 403, error: 'Only the creator or an admin can change attachments of this voucher' };
+    }
+    return null;
+}
+
+/**
+ * Store uploaded files for a draft voucher
+ * Every file is checked before any is stored, so a bad file rejects the
+ * whole upload.
+ *
+ * @param {Object} params
+ * @param {Object} params.voucher - Voucher row
+ * @param {Array<Object>} params.files - { originalname, mimetype, buffer, size } (multer memory storage)
+ * @param {Object} params.license - req.license
+ * @param {Object} actor - { user, ip, userAgent }
+ * @returns {Promise<Object>} Outcome with status; data is the stored attachments
+ */
+async function addAttachments({ voucher, files, license }, actor) {
+    const refused = checkEditable(voucher, actor.user);
+    if (refused) return refused;
+
+    if (!files || files.length === 0) {
+        return { success: false, status: 400, error: 'No files uploaded (multipart field "files")' };
+    }
+
+    const limits = getLimits(license);
+    const existing = await listAttachments(voucher.org_id, voucher.id);
+    if (existing.length + files.length > limits.max_files) {
+        return {
+            success: false,
+            status: 400,
+            error: `A voucher can have at most ${limits.max_files} attachments on your plan (${existing.length} already attached)`,
+            code: 'ATTACHMENT_LIMIT'
+        };
+    }
+
+    const checked = [];
+    for (const file of files) {
+        if (file.size > limits.max_file_bytes) {
+            return { success: false, status: 413, error: `${file.originalname} is larger than ${limits.max_file_mb} MB`, code: 'ATTACHMENT_TOO_LARGE' };
+        }
+
+        const contentType = detectType(file.buffer);
+        const declared = TYPE_ALIASES[file.mimetype] || file.mimetype;
+        if (!contentType || (declared && declared !== 'application/octet-stream' && declared !== contentType)) {
+            return {
+                success: false,
+                status: 415,
+                error: `${file.originalname} is not an accepted file type (${limits.allowed_types.join(', ')})`,
+                code: 'ATTACHMENT_TYPE_NOT_ALLOWED'
+            };
+        }
+
+        const scan = await scanFile(file.buffer);
+        if (!scan.clean) {
+            logger.security('attachment_infected', 'high', {
+                userId: actor.user.id,
+                voucher_id: voucher.id,
+                file_name: file.originalname,
+                signature: scan.signature
+            });
+            return { success: false, status: 422, error: `${file.originalname} failed the virus scan`, code: 'ATTACHMENT_INFECTED' };
+        }
+
+        checked.push({
+            file,
+            contentType,
+            extension: FILE_TYPES[contentType].extension,
+            sha256: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+            scanStatus: scan.scanned ? 'clean' : 'not_scanned'
+        });
+    }
+
+    const storage = storageAdapters.getDefaultAdapter();
+    const supabase = getSupabaseClient();
+    const stored = [];
+
+    for (const item of checked) {
+        const id = crypto.randomUUID();
+        const key = `${voucher.org_id}/${voucher.id}/${id}.${item.extension}`;
+
+        await storage.put(key, item.file.buffer, item.contentType);
+
+        const { data, error } = await supabase
+            .from('voucher_attachments')
+            .insert({
+                id,
+                org_id: voucher.org_id,
+                voucher_id: voucher.id,
+                file_name: cleanFileName(item.file.originalname, item.extension),
+                content_type: item.contentType,
+                size_bytes: item.file.size,
+                sha256: item.sha256,
+                storage_backend: storage.name,
+                storage_key: key,
+                scan_status: item.scanStatus,
+                uploaded_by: actor.user.id
+            })
+            .select('id, voucher_id, file_name, content_type, size_bytes, sha256, scan_status, uploaded_by, created_at')
+            .single();
+
+        if (error) {
+            await storage.remove(key).catch(() => {});
+            throw error;
+        }
+        stored.push(data);
+    }
+
+    await syncVoucher(voucher.org_id, voucher.id);
+    await audit(voucher.id, 'attachment_added', actor, {
+        attachments: stored.map(a => ({ id: a.id, file_name: a.file_name, sha256: a.sha256 }))
+    });
+
+    logger.info('Voucher attachments added', { voucher_id: voucher.id, count: stored.length, storage: storage.name });
+    return { success: true, status: 201, message: `${stored.length} attachment(s) added`, data: stored };
+}
+
+/**
+ * Attachment row and readable file stream
+ *
+ * @returns {Promise<{ attachment: Object, stream: Object }|null>} null when not found
+ */
+async function openAttachment(orgId, voucherId, attachmentId) {
+    const { data: attachment } = await getSupabaseClient()
+        .from('voucher_attachments')
+        .select('*')
+        .eq('id', attachmentId)
+        .eq('voucher_id', voucherId)
+        .eq('org_id', orgId)
+        .maybeSingle();
+
+    if (!attachment) return null;
+
+    const storage = storageAdapters.getAdapter(attachment.storage_backend);
+    if (!storage) throw new Error(`Unknown storage backend: ${attachment.storage_backend}`);
+
+    const stream = await storage.get(attachment.storage_key);
+    return stream ? { attachment, stream } : null;
+}
+
+/**
+ * Remove one attachment from a draft voucher
+ *
+ * @returns {Promise<Object>} Outcome with status
+ */
+async function deleteAttachment(voucher, attachmentId, actor) {
+    const refused = checkEditable(voucher, actor.user);
+    if (refused) return refused;
+
+    const supabase = getSupabaseClient();
+    const { data: attachment } = await supabase
+        .from('voucher_attachments')
+        .select('*')
+        .eq('id', attachmentId)
+        .eq('voucher_id', voucher.id)
+        .eq('org_id', voucher.org_id)
+        .maybeSingle();
+
+    if (!attachment) return { success: false, status: 404, error: 'Attachment not found' };
+
+    const { error } = await supabase.from('voucher_attachments').delete().eq('id', attachment.id);
+    if (error) throw error;
+
+    await removeFile(attachment);
+    await syncVoucher(voucher.org_id, voucher.id);
+    await audit(voucher.id, 'attachment_removed', actor, { attachment: { id: attachment.id, file_name: attachment.file_name, sha256: attachment.sha256 } });
+
+    return { success: true, status: 200, message: 'Attachment removed' };
+}
+
+/**
+ * Delete the stored files of a voucher (before the voucher itself is deleted)
+ */
+async function purgeVoucher(orgId, voucherId) {
+    const { data } = await getSupabaseClient()
+        .from('voucher_attachments')
+        .select('id, storage_backend, storage_key')
+        .eq('org_id', orgId)
+        .eq('voucher_id', voucherId);
+
+    for (const attachment of data || []) {
+        await removeFile(attachment);
+    }
+}
+
+async function removeFile(attachment) {
+    try {
+        await storageAdapters.getAdapter(attachment.storage_backend)?.remove(attachment.storage_key);
+    } catch (error) {
+        logger.warn('Failed to remove attachment file', { attachment_id: attachment.id, error: error.message });
+    }
+}
+
+module.exports = {
+    FILE_TYPES,
+    PLAN_LIMITS,
+    getLimits,
+    detectType,
+    scanFile,
+    listAttachments,
+    addAttachments,
+    openAttachment,
+    deleteAttachment,
+    purgeVoucher
+};
@@ -0,0 +1,300 @@
+/**
+ * FoodStream Ltd. - White-Label Branding Service
+ *
+ * Resolves the tenant organization from the request host (custom domain
+ * or org_slug subdomain), validates branding input and builds the
+ * per-tenant PWA manifest.
+ *
+ * @module services/brandingService
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getSupabaseClient } = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Columns exposed by the public branding endpoint
+ */
+const PUBLIC_FIELDS = 'id, org_name, org_slug, custom_domain, primary_color, secondary_color, accent_color, logo_url, favicon_url, custom_css';
+
+/**
+ * FoodStream defaults, matching the licensed_orgs column defaults
+ */
+const DEFAULT_BRANDING = {
+    org_name: 'FoodStream Approvals Flow',
+    org_slug: null,
+    custom_domain: null,
+    primary_color: '#1e40af',
+    secondary_color: '#3b82f6',
+    accent_color: '#10b981',
+    logo_url: '/images/logo.jpeg',
+    favicon_url: '/images/favicon.ico',
+    custom_css: null
+};
+
+/**
+ * Subdomains that never map to a tenant
+ */
+const RESERVED_SUBDOMAINS = ['www', 'app', 'api', 'admin', 'localhost'];
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+// Host headers are client-supplied, so the cache must not grow with them
+const MAX_CACHE_ENTRIES = 1000;
+const MAX_CSS_LENGTH = 20000;
+
+// host -> { org, expires }, oldest first
+const hostCache = new Map();
+
+let baseManifest = null;
+
+/**
+ * Strip port and normalise a Host header value
+ */
+function normalizeHost(host) {
+    return (host || '').split(':')[0].trim().toLowerCase().replace(/\.$/, '');
+}
+
+/**
+ * Work out the org_slug candidate from a subdomain host
+ * With APP_BASE_DOMAIN set only its direct subdomains are considered;
+ * otherwise the first label of any host with three or more labels is used.
+ */
+function slugFromHost(host) {
+    const baseDomain = normalizeHost(process.env.APP_BASE_DOMAIN);
+    let label = null;
+
+    if (baseDomain) {
+        if (host.endsWith(`.${baseDomain}`)) {
+            label = host.slice(0, -(baseDomain.length + 1));
+        }
+    } else {
+        const labels = host.split('.');
+        if (labels.length >= 3) label = labels[0];
+    }
+
+    if (!label || label.includes('.') || RESERVED_SUBDOMAINS.includes(label)) {
+        return null;
+    }
+
+    return label;
+}
+
+/**
+ * Resolve the tenant organization for a host
+ * Custom domain takes precedence over the org_slug subdomain.
+ *
+ * @param {string} rawHost - Host header value
+ * @returns {Promise<Object|null>} licensed_orgs row (public fields) or null
+ */
+async function resolveTenant(rawHost) {
+    const host = normalizeHost(rawHost);
+    if (!host) return null;
+
+    const cached = hostCache.get(host);
+    if (cached && cached.expires > Date.now()) {
+        return cached.org;
+    }
+
+    const supabase = getSupabaseClient();
+    let org = null;
+
+    const { data: byDomain } = await supabase
+        .from('licensed_orgs')
+        .select(PUBLIC_FIELDS)
+        .eq('custom_domain', host)
+        .eq('status', 'active')
+        .maybeSingle();
+    org = byDomain;
+
+    if (!org) {
+        const slug = slugFromHost(host);
+        if (slug) {
+            const { data: bySlug } = await supabase
+                .from('licensed_orgs')
+                .select(PUBLIC_FIELDS)
+                .eq('org_slug', slug)
+                .eq('status', 'active')
+                .maybeSingle();
+            org = bySlug;
+        }
+    }
+
+    // Misses are only worth remembering for hosts that could belong to a tenant
+    if (org || slugFromHost(host) || isValidDomain(host)) {
+        cacheHost(host, org);
+    }
+    return org;
+}
+
+/**
+ * Remember a host lookup, dropping expired entries and then the oldest
+ * ones so the cache stays under MAX_CACHE_ENTRIES
+ */
+function cacheHost(host, org) {
+    const now = Date.now();
+    for (const [key, entry] of hostCache.entries()) {
+        if (entry.expires <= now) hostCache.delete(key);
+    }
+
+    hostCache.delete(host);
+    while (hostCache.size >= MAX_CACHE_ENTRIES) {
+        hostCache.delete(hostCache.keys().next().value);
+    }
+
+    hostCache.set(host, { org, expires: now + CACHE_TTL_MS });
+}
+
+/**
+ * Drop cached host lookups for an organization after its branding changes
+ */
+function invalidateTenant(orgId) {
+    for (const [host, entry] of hostCache.entries()) {
+        if (!entry.org || entry.org.id === orgId) {
+            hostCache.delete(host);
+        }
+    }
+}
+
+/**
+ * Merge an org's branding over the defaults
+ */
+function toBranding(org) {
+    const branding = { ...DEFAULT_BRANDING };
+
+    if (org) {
+        Object.keys(DEFAULT_BRANDING).forEach(key => {
+            if (org[key] !== null && org[key] !== undefined && org[key] !== '') {
+                branding[key] = org[key];
+            }
+        });
+    }
+
+    return branding;
+}
+
+/**
+ * Validate a colour hex code (#RGB or #RRGGBB)
+ */
+function isValidHexColor(value) {
+    return typeof value === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value);
+}
+
+/**
+ * Validate an asset URL: https URLs or site-relative paths only
+ */
+function isValidAssetUrl(value) {
+    if (typeof value !== 'string' || value.length > 2048) return false;
+    if (value.startsWith('/') && !value.startsWith('//')) return true;
+
+    try {
+        return new URL(value).protocol === 'https:';
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Validate a custom domain hostname
+ */
+function isValidDomain(value) {
+    return typeof value === 'string' &&
+        value.length <= 253 &&
+        /^(?!-)([a-z0-9-]{1,63}(?<!-)\.)+[a-z]{2,63}$/i.test(value);
+}
+
+/**
+ * Sanitise tenant-supplied CSS
+ * Removes anything that can break out of a <style> block, load remote
+ * resources or execute script: HTML tags/comments, @import, url() other
+ * than data images, image-set() (its strings are URLs too), expression(),
+ * behavior/-moz-binding and javascript: URIs.
+ *
+ * @param {string} css - Raw CSS
+ * @returns {{ css?: string|null, error?: string }}
+ */
+function sanitizeCss(css) {
+    if (css === null || css === undefined || css === '') return { css: null };
+    if (typeof css !== 'string') return { error: 'custom_css must be a string' };
+    if (css.length > MAX_CSS_LENGTH) return { error: `custom_css must be at most ${MAX_CSS_LENGTH} characters` };
+
+    const sanitized = css
+        .replace(/<!--|-->/g, '')
+        .replace(/<\/?[a-z][^>]*>/gi, '')
+        .replace(/[<>]/g, '')
+        .replace(/\\/g, '')
+        .replace(/@import[^;]*;?/gi, '')
+        .replace(/expression\s*\([^)]*\)/gi, '')
+        .replace(/(behavior|-moz-binding)\s*:[^;}]*;?/gi, '')
+        .replace(/javascript\s*:/gi, '')
+        .replace(/url\s*\(\s*(['"]?)(?!data:image\/(png|jpe?g|gif|webp|svg\+xml);)[^)]*\1\s*\)/gi, 'none')
+        .replace(/(-webkit-)?image-set\s*\([^)]*\)/gi, 'none')
+        .trim();
+
+    return { css: sanitized || null };
+}
+
+/**
+ * Load the static FoodStream manifest once as the template
+ */
+function getBaseManifest() {
+    if (!baseManifest) {
+        try {
+            const file = path.join(__dirname, '../../public/manifest.json');
+            baseManifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            logger.error('Failed to load base manifest', { error: error.message });
+            baseManifest = { start_url: '/', display: 'standalone', scope: '/', icons: [] };
+        }
+    }
+
+    return baseManifest;
+}
+
+/**
+ * Build the PWA manifest for a tenant
+ *
+ * @param {Object|null} org - Resolved organization (null = FoodStream defaults)
+ * @returns {Object} Web app manifest
+ */
+function buildManifest(org) {
+    const base = getBaseManifest();
+    if (!org) return base;
+
+    const branding = toBranding(org);
+    const shortName = branding.org_name.length > 12
+        ? branding.org_name.split(/\s+/)[0].substring(0, 12)
+        : branding.org_name;
+
+    const icons = org.logo_url
+        ? [
+            { src: org.logo_url, sizes: '192x192', purpose: 'any' },
+            { src: org.logo_url, sizes: '512x512', purpose: 'any' }
+        ]
+        : base.icons;
+
+    return {
+        ...base,
+        name: branding.org_name,
+        short_name: shortName,
+        description: `Payment voucher approvals for ${branding.org_name}`,
+        theme_color: branding.primary_color,
+        icons,
+        shortcuts: (base.shortcuts || []).map(shortcut => ({
+            ...shortcut,
+            icons: org.favicon_url ? [{ src: org.favicon_url, sizes: '96x96' }] : shortcut.icons
+        }))
+    };
+}
+
+module.exports = {
+    DEFAULT_BRANDING,
+    resolveTenant,
+    invalidateTenant,
+    toBranding,
+    isValidHexColor,
+    isValidAssetUrl,
+    isValidDomain,
+    sanitizeCss,
+    buildManifest
+};
@@ -0,0 +1,292 @@
+/**
+ * FoodStream Ltd. - Budget vs Actual Report Service
+ *
+ * Compares head of account budgets with what has been committed and spent,
+ * per company and fiscal period. Periods follow each company's fiscal year
+ * (companies.fiscal_year_start), the same way budgets are stored.
+ *
+ * A head's figures include every head below it. When a head has no budget
+ * of its own for a period, its budget is the sum of its children's.
+ * Vouchers count in the period they were raised in, as for budget checks.
+ *
+ * @module services/budgetReportService
+ */
+
+const { getSupabaseClient } = require('../config/database');
+const budgetService = require('./budgetService');
+const headOfAccountService = require('./headOfAccountService');
+
+const PAGE_SIZE = 1000;
+const MAX_PERIODS = 36;
+
+/**
+ * Approved but not yet completed; failed payouts are still owed
+ */
+const COMMITTED_STATUSES = ['approved', 'failed'];
+
+/**
+ * Completed (handed over or paid out)
+ */
+const SPENT_STATUSES = ['completed', 'paid'];
+
+const round2 = value => Math.round(value * 100) / 100;
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Check report filters
+ *
+ * @param {Object} filters - { company_id?, period_type?, from_date?, to_date? }
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateFilters({ period_type = 'annual', from_date, to_date } = {}) {
+    if (!budgetService.PERIOD_TYPES.includes(period_type)) {
+        return `period_type must be one of: ${budgetService.PERIOD_TYPES.join(', ')}`;
+    }
+
+    const from = new Date(from_date || to_date || today());
+    const to = new Date(to_date || today());
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) return 'from_date and to_date must be dates';
+    if (from > to) return 'from_date must be before to_date';
+
+    const months = (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + to.getUTCMonth() - from.getUTCMonth() + 1;
+    const periods = period_type === 'monthly' ? months : Math.ceil(months / 12) + 1;
+    if (periods > MAX_PERIODS) return `The report can cover at most ${MAX_PERIODS} periods`;
+
+    return null;
+}
+
+/**
+ * Period starts of a company between two dates
+ */
+function periodsBetween(periodType, fromDate, toDate, fiscalYearStart) {
+    const last = budgetService.periodStart(periodType, toDate, fiscalYearStart);
+    const starts = [];
+    for (let start = budgetService.periodStart(periodType, fromDate, fiscalYearStart); start <= last; start = budgetService.periodEnd(periodType, start)) {
+        starts.push(start);
+    }
+    return starts;
+}
+
+/**
+ * Committed and spent vouchers of the companies between two dates
+ */
+async function fetchVouchers(orgId, companyIds, start, end) {
+    const supabase = getSupabaseClient();
+    const vouchers = [];
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+        const { data, error } = await supabase
+            .from('vouchers')
+            .select('id, company_id, head_of_account_id, amount, status, created_at')
+            .eq('org_id', orgId)
+            .in('company_id', companyIds)
+            .in('status', [...COMMITTED_STATUSES, ...SPENT_STATUSES])
+            .gte('created_at', start)
+            .lt('created_at', end)
+            .order('id')
+            .range(offset, offset + PAGE_SIZE - 1);
+
+        if (error) throw error;
+        vouchers.push(...(data || []));
+        if (!data || data.length < PAGE_SIZE) break;
+    }
+
+    return vouchers;
+}
+
+/**
+ * Add budget, committed, spent and variance to a head tree for one period
+ * Heads with no budget and no vouchers anywhere below them are dropped.
+ *
+ * @param {Array<Object>} nodes - From headOfAccountService.buildTree()
+ * @param {Map} budgets - head id => budget amount
+ * @param {Map} amounts - head id => { committed, spent }
+ * @param {number} [level]
+ * @returns {Array<Object>}
+ */
+function rollUp(nodes, budgets, amounts, level = 0) {
+    const rows = [];
+
+    for (const node of nodes) {
+        const children = rollUp(node.children, budgets, amounts, level + 1);
+        const own = amounts.get(node.id) || { committed: 0, spent: 0 };
+        const committed = children.reduce((sum, child) => sum + child.committed, own.committed);
+        const spent = children.reduce((sum, child) => sum + child.spent, own.spent);
+
+        const childBudgets = children.filter(child => child.budget !== null);
+        const budget = budgets.has(node.id)
+            ? budgets.get(node.id)
+            : (childBudgets.length ? childBudgets.reduce((sum, child) => sum + child.budget, 0) : null);
+
+        if (budget === null && committed === 0 && spent === 0) continue;
+
+        rows.push({
+            id: node.id,
+            code: node.code,
+            name: node.name,
+            category: node.category,
+            status: node.status,
+            level,
+            budget_source: budgets.has(node.id) ? 'own' : (budget === null ? null : 'children'),
+            ...figures(budget, committed, spent),
+            children
+        });
+    }
+
+    return rows;
+}
+
+/**
+ * Actual, variance and variance % for a budget line
+ * Variance is budget left (negative when over budget).
+ */
+function figures(budget, committed, spent) {
+    const actual = committed + spent;
+    const variance = budget === null ? null : budget - actual;
+    return {
+        budget: budget === null ? null : round2(budget),
+        committed: round2(committed),
+        spent: round2(spent),
+        actual: round2(actual),
+        variance: variance === null ? null : round2(variance),
+        variance_percent: variance === null || budget === 0 ? null : round2((variance / budget) * 100)
+    };
+}
+
+function totalsOf(rows) {
+    const budgeted = rows.filter(row => row.budget !== null);
+    return figures(
+        budgeted.length ? budgeted.reduce((sum, row) => sum + row.budget, 0) : null,
+        rows.reduce((sum, row) => sum + row.committed, 0),
+        rows.reduce((sum, row) => sum + row.spent, 0)
+    );
+}
+
+/**
+ * Budget vs actual by company, fiscal period and head of account
+ *
+ * @param {string} orgId
+ * @param {Object} [filters] - { company_id?, period_type? ('annual'), from_date?, to_date? (today) }
+ * @returns {Promise<Object>} { period_type, from_date, to_date, companies: [{ company_id, company_name,
+ *   fiscal_year_start, totals, periods: [{ period_start, period_end, period_label, totals, heads }] }] }
+ */
+async function budgetVsActual(orgId, { company_id, period_type = 'annual', from_date, to_date } = {}) {
+    const supabase = getSupabaseClient();
+    const toDate = to_date || today();
+    const fromDate = from_date || toDate;
+
+    let companyQuery = supabase
+        .from('companies')
+        .select('id, name, fiscal_year_start')
+        .eq('org_id', orgId)
+        .order('name');
+    if (company_id) companyQuery = companyQuery.eq('id', company_id);
+
+    const { data: companies, error: companyError } = await companyQuery;
+    if (companyError) throw companyError;
+
+    const report = { period_type, from_date: fromDate, to_date: toDate, companies: [] };
+    if (!companies || companies.length === 0) return report;
+
+    const periods = new Map(companies.map(company => [
+        company.id,
+        periodsBetween(period_type, fromDate, toDate, company.fiscal_year_start || 4)
+    ]));
+    const allStarts = [...periods.values()].flat();
+    const rangeStart = allStarts.reduce((min, start) => (start < min ? start : min));
+    const rangeEnd = budgetService.periodEnd(period_type, allStarts.reduce((max, start) => (start > max ? start : max)));
+
+    const companyIds = companies.map(company => company.id);
+    const [{ data: budgets, error: budgetError }, vouchers] = await Promise.all([
+        supabase
+            .from('head_of_account_budgets')
+            .select('company_id, head_of_account_id, period_start, amount')
+            .eq('org_id', orgId)
+            .eq('period_type', period_type)
+            .in('company_id', companyIds)
+            .gte('period_start', rangeStart)
+            .lt('period_start', rangeEnd),
+        fetchVouchers(orgId, companyIds, rangeStart, rangeEnd)
+    ]);
+    if (budgetError) throw budgetError;
+
+    for (const company of companies) {
+        const fiscalYearStart = company.fiscal_year_start || 4;
+        const heads = await headOfAccountService.listHeads(orgId, company.id, { includeInactive: true });
+        const headIds = new Set(heads.map(head => head.id));
+        const tree = headOfAccountService.buildTree(heads);
+        // Older vouchers may only carry a head name
+        tree.push({ id: null, code: null, name: 'Unassigned', category: null, status: null, children: [] });
+
+        const companyPeriods = periods.get(company.id).map(start => {
+            const periodBudgets = new Map((budgets || [])
+                .filter(b => b.company_id === company.id && b.period_start === start)
+                .map(b => [b.head_of_account_id, parseFloat(b.amount)]));
+
+            const amounts = new Map();
+            vouchers
+                .filter(v => v.company_id === company.id && budgetService.periodStart(period_type, v.created_at, fiscalYearStart) === start)
+                .forEach(v => {
+                    const headId = headIds.has(v.head_of_account_id) ? v.head_of_account_id : null;
+                    const entry = amounts.get(headId) || { committed: 0, spent: 0 };
+                    entry[SPENT_STATUSES.includes(v.status) ? 'spent' : 'committed'] += parseFloat(v.amount || 0);
+                    amounts.set(headId, entry);
+                });
+
+            const rows = rollUp(tree, periodBudgets, amounts);
+            return {
+                period_start: start,
+                period_end: budgetService.periodEnd(period_type, start),
+                period_label: budgetService.periodLabel(period_type, start),
+                totals: totalsOf(rows),
+                heads: rows
+            };
+        });
+
+        report.companies.push({
+            company_id: company.id,
+            company_name: company.name,
+            fiscal_year_start: fiscalYearStart,
+            totals: totalsOf(companyPeriods.map(period => period.totals)),
+            periods: companyPeriods
+        });
+    }
+
+    return report;
+}
+
+/**
+ * The report as flat rows (one per company, period and head, plus a total
+ * row per period) for CSV / XLSX export
+ *
+ * @param {string} orgId
+ * @param {Object} filters - As for budgetVsActual()
+ * @returns {Promise<Array<Object>>}
+ */
+async function exportRows(orgId, filters) {
+    const report = await budgetVsActual(orgId, filters);
+    const rows = [];
+
+    const walk = (heads, base, parentCode) => heads.forEach(head => {
+        rows.push({ ...base, ...head, parent_code: parentCode });
+        walk(head.children, base, head.code);
+    });
+
+    for (const company of report.companies) {
+        for (const period of company.periods) {
+            const base = { company_name: company.company_name, period_label: period.period_label, period_start: period.period_start };
+            walk(period.heads, base, null);
+            rows.push({ ...base, ...period.totals, name: 'Total', level: null });
+        }
+    }
+
+    return rows;
+}
+
+module.exports = {
+    COMMITTED_STATUSES,
+    SPENT_STATUSES,
+    validateFilters,
+    budgetVsActual,
+    exportRows
+};
@@ -0,0 +1,307 @@
+/**
+ * FoodStream Ltd. - Budget Service
+ *
+ * Monthly and annual budgets per company and head of account. A budget on
+ * a head covers vouchers of that head and of every head below it. Annual
+ * periods follow the company's fiscal year (companies.fiscal_year_start,
+ * April by default).
+ *
+ * Voucher creation checks the budgets of the voucher's head and its
+ * parents through the budget_exceeded risk rule (see voucherRiskService).
+ * A budget's action decides whether going over it only warns or blocks.
+ *
+ * @module services/budgetService
+ */
+
+const { getSupabaseClient } = require('../config/database');
+const headOfAccountService = require('./headOfAccountService');
+const logger = require('../utils/logger');
+
+const PERIOD_TYPES = ['monthly', 'annual'];
+const ACTIONS = ['warn', 'block'];
+
+/**
+ * Voucher statuses that do not use up budget
+ */
+const EXCLUDED_STATUSES = ['draft', 'rejected', 'cancelled'];
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const isoDate = date => date.toISOString().slice(0, 10);
+
+/**
+ * First day of the period containing a date
+ *
+ * @param {string} periodType - 'monthly' or 'annual'
+ * @param {Date|string} date
+ * @param {number} [fiscalYearStart] - Month the fiscal year starts (1-12)
+ * @returns {string} YYYY-MM-DD
+ */
+function periodStart(periodType, date, fiscalYearStart = 4) {
+    const day = new Date(date);
+    const year = day.getUTCFullYear();
+    const month = day.getUTCMonth() + 1;
+
+    if (periodType === 'monthly') return isoDate(new Date(Date.UTC(year, month - 1, 1)));
+
+    const startYear = month >= fiscalYearStart ? year : year - 1;
+    return isoDate(new Date(Date.UTC(startYear, fiscalYearStart - 1, 1)));
+}
+
+/**
+ * First day after the period (exclusive end)
+ */
+function periodEnd(periodType, start) {
+    const date = new Date(`${start}T00:00:00Z`);
+    date.setUTCMonth(date.getUTCMonth() + (periodType === 'monthly' ? 1 : 12));
+    return isoDate(date);
+}
+
+/**
+ * Human readable period, e.g. "Apr 2025" or "FY 2025-26"
+ */
+function periodLabel(periodType, start) {
+    const date = new Date(`${start}T00:00:00Z`);
+    const year = date.getUTCFullYear();
+    if (periodType === 'monthly') return `${MONTHS[date.getUTCMonth()]} ${year}`;
+    return date.getUTCMonth() === 0 ? `FY ${year}` : `FY ${year}-${String(year + 1).slice(2)}`;
+}
+
+async function getCompany(orgId, companyId) {
+    const { data } = await getSupabaseClient()
+        .from('companies')
+        .select('id, fiscal_year_start')
+        .eq('id', companyId)
+        .eq('org_id', orgId)
+        .maybeSingle();
+    return data;
+}
+
+/**
+ * Sum of non-draft, non-closed vouchers of some heads in a period
+ *
+ * @param {Object} scope - { orgId, companyId, headIds, start, end, excludeVoucherId? }
+ * @returns {Promise<number>}
+ */
+async function consumed({ orgId, companyId, headIds, start, end, excludeVoucherId }) {
+    let query = getSupabaseClient()
+        .from('vouchers')
+        .select('amount')
+        .eq('org_id', orgId)
+        .eq('company_id', companyId)
+        .in('head_of_account_id', headIds)
+        .not('status', 'in', `(${EXCLUDED_STATUSES.join(',')})`)
+        .gte('created_at', start)
+        .lt('created_at', end);
+
+    if (excludeVoucherId) query = query.neq('id', excludeVoucherId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return (data || []).reduce((sum, v) => sum + parseFloat(v.amount || 0), 0);
+}
+
+/**
+ * Budgets of the organization
+ *
+ * @param {string} orgId
+ * @param {Object} [filters] - { company_id, head_of_account_id, period_type, from, to }
+ */
+async function listBudgets(orgId, { company_id, head_of_account_id, period_type, from, to } = {}) {
+    let query = getSupabaseClient()
+        .from('head_of_account_budgets')
+        .select('*, head_of_account:heads_of_account(id, code, name), company:companies(id, name)')
+        .eq('org_id', orgId)
+        .order('period_start', { ascending: false });
+
+    if (company_id) query = query.eq('company_id', company_id);
+    if (head_of_account_id) query = query.eq('head_of_account_id', head_of_account_id);
+    if (period_type) query = query.eq('period_type', period_type);
+    if (from) query = query.gte('period_start', from);
+    if (to) query = query.lte('period_start', to);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return (data || []).map(budget => ({ ...budget, period_label: periodLabel(budget.period_type, budget.period_start) }));
+}
+
+/**
+ * Create or replace the budget of a head for one period
+ * Any date inside the period may be given as period_start.
+ *
+ * @param {string} orgId
+ * @param {Object} input - { company_id, head_of_account_id, period_type, period_start, amount, action?, notes? }
+ * @param {Object} user - Acting user
+ * @returns {Promise<Object>} Outcome with status
+ */
+async function setBudget(orgId, input, user) {
+    const { company_id, head_of_account_id, period_type, period_start, action = 'warn', notes } = input;
+
+    if (!company_id || !head_of_account_id || !period_type || !period_start) {
+        return { success: false, status: 400, error: 'company_id, head_of_account_id, period_type and period_start are required' };
+    }
+    if (!PERIOD_TYPES.includes(period_type)) {
+        return { success: false, status: 400, error: `period_type must be one of: ${PERIOD_TYPES.join(', ')}` };
+    }
+    if (!ACTIONS.includes(action)) {
+        return { success: false, status: 400, error: `action must be one of: ${ACTIONS.join(', ')}` };
+    }
+
+    const amount = parseFloat(input.amount);
+    if (!Number.isFinite(amount) || amount < 0) return { success: false, status: 400, error: 'amount must be zero or more' };
+    if (Number.isNaN(new Date(period_start).getTime())) return { success: false, status: 400, error: 'period_start must be a date' };
+
+    if (user.company_id && user.company_id !== company_id) {
+        return { success: false, status: 403, error: 'You can only manage budgets of your own company' };
+    }
+
+    const company = await getCompany(orgId, company_id);
+    if (!company) return { success: false, status: 400, error: 'Invalid company' };
+
+    const head = await headOfAccountService.getHead(orgId, head_of_account_id);
+    if (!head || (head.company_id && head.company_id !== company_id)) {
+        return { success: false, status: 400, error: 'Invalid head of account' };
+    }
+
+    const start = periodStart(period_type, period_start, company.fiscal_year_start || 4);
+
+    const { data, error } = await getSupabaseClient()
+        .from('head_of_account_budgets')
+        .upsert({
+            org_id: orgId,
+            company_id,
+            head_of_account_id,
+            period_type,
+            period_start: start,
+            amount,
+            action,
+            notes: notes || null,
+            created_by: user.id,
+            updated_at: new Date().toISOString()
+        }, { onConflict: 'company_id,head_of_account_id,period_type,period_start' })
+        .select()
+        .single();
+
+    if (error) throw error;
+
+    logger.audit('budget_set', user.id, { budgetId: data.id, companyId: company_id, headId: head_of_account_id, period_type, period_start: start, amount, budget_action: action });
+    return { success: true, status: 200, data: { ...data, period_label: periodLabel(period_type, start) } };
+}
+
+async function deleteBudget(orgId, id, user) {
+    const supabase = getSupabaseClient();
+    const { data: budget } = await supabase
+        .from('head_of_account_budgets')
+        .select('id, company_id')
+        .eq('id', id)
+        .eq('org_id', orgId)
+        .maybeSingle();
+
+    if (!budget) return { success: false, status: 404, error: 'Budget not found' };
+    if (user.company_id && user.company_id !== budget.company_id) {
+        return { success: false, status: 403, error: 'You can only manage budgets of your own company' };
+    }
+
+    const { error } = await supabase.from('head_of_account_budgets').delete().eq('id', id);
+    if (error) throw error;
+
+    logger.audit('budget_deleted', user.id, { budgetId: id });
+    return { success: true, status: 200, message: 'Budget deleted' };
+}
+
+/**
+ * Budgets that apply to a head on a date, with what has been used
+ * Includes budgets set on the head's parents, since they cover it too.
+ *
+ * @param {Object} params - { orgId, companyId, headId, date?, excludeVoucherId? }
+ * @returns {Promise<Array<Object>>} { budget_id, head_of_account_id, head_code, head_name, period_type,
+ *   period_start, period_label, action, budget, consumed, remaining }
+ */
+async function budgetStatus({ orgId, companyId, headId, date = new Date(), excludeVoucherId = null }) {
+    const company = await getCompany(orgId, companyId);
+    if (!company || !headId) return [];
+
+    const heads = await headOfAccountService.listHeads(orgId, companyId, { includeInactive: true });
+    const byId = new Map(heads.map(head => [head.id, head]));
+
+    // The head and its parents, nearest first
+    const chain = [];
+    for (let head = byId.get(headId); head && !chain.includes(head); head = byId.get(head.parent_id)) chain.push(head);
+    if (chain.length === 0) return [];
+
+    const fiscalYearStart = company.fiscal_year_start || 4;
+    const starts = PERIOD_TYPES.map(type => periodStart(type, date, fiscalYearStart));
+
+    const { data: budgets, error } = await getSupabaseClient()
+        .from('head_of_account_budgets')
+        .select('*')
+        .eq('org_id', orgId)
+        .eq('company_id', companyId)
+        .in('head_of_account_id', chain.map(head => head.id))
+        .in('period_start', starts);
+
+    if (error) throw error;
+
+    const results = [];
+    for (const budget of (budgets || []).filter(b => b.period_start === periodStart(b.period_type, date, fiscalYearStart))) {
+        const head = byId.get(budget.head_of_account_id);
+        const used = await consumed({
+            orgId,
+            companyId,
+            headIds: headOfAccountService.descendantIds(heads, head.id),
+            start: budget.period_start,
+            end: periodEnd(budget.period_type, budget.period_start),
+            excludeVoucherId
+        });
+
+        results.push({
+            budget_id: budget.id,
+            head_of_account_id: head.id,
+            head_code: head.code,
+            head_name: head.name,
+            period_type: budget.period_type,
+            period_start: budget.period_start,
+            period_label: periodLabel(budget.period_type, budget.period_start),
+            action: budget.action,
+            budget: parseFloat(budget.amount),
+            consumed: used,
+            remaining: parseFloat(budget.amount) - used
+        });
+    }
+
+    return results.sort((a, b) => chain.findIndex(h => h.id === a.head_of_account_id) - chain.findIndex(h => h.id === b.head_of_account_id));
+}
+
+/**
+ * Budgets a voucher would take over their limit
+ *
+ * @param {Object} voucher - { id?, org_id, company_id, head_of_account_id, amount, created_at? }
+ * @returns {Promise<Array<Object>>} budgetStatus entries that the voucher exceeds
+ */
+async function checkVoucher(voucher) {
+    if (!voucher.head_of_account_id) return [];
+
+    const statuses = await budgetStatus({
+        orgId: voucher.org_id,
+        companyId: voucher.company_id,
+        headId: voucher.head_of_account_id,
+        date: voucher.created_at || new Date(),
+        excludeVoucherId: voucher.id || null
+    });
+
+    const amount = parseFloat(voucher.amount);
+    return statuses.filter(status => status.consumed + amount > status.budget);
+}
+
+module.exports = {
+    PERIOD_TYPES,
+    periodStart,
+    periodEnd,
+    periodLabel,
+    consumed,
+    listBudgets,
+    setBudget,
+    deleteBudget,
+    budgetStatus,
+    checkVoucher
+};
@@ -0,0 +1,213 @@
+/**
+ * FoodStream Ltd. - Email Service
+ *
+ * Transactional email alongside SMSService. The transport is chosen with
+ * EMAIL_TRANSPORT:
+ *   - smtp (default): SMTP_* settings in .env; a local catcher such as
+ *     `npm run mock:smtp` or Mailpit works with SMTP_PORT=1025
+ *   - json: messages are rendered and logged, nothing leaves the server
+ *   - disabled: every send is skipped
+ * Other transports can be added with registerTransport().
+ *
+ * When the transport is not configured, sends are skipped and reported as
+ * such so callers can record the outcome without failing.
+ *
+ * @module services/emailService
+ */
+
+const nodemailer = require('nodemailer');
+const { getSupabaseClient } = require('../config/database');
+const brandingService = require('./brandingService');
+const emailTemplates = require('./emailTemplates');
+const logger = require('../utils/logger');
+
+/**
+ * Transport factories: () => nodemailer transport, or null when not configured
+ */
+const TRANSPORTS = {
+    smtp: () => {
+        if (!process.env.SMTP_HOST) return null;
+
+        const port = parseInt(process.env.SMTP_PORT || '587', 10);
+        return nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port,
+            secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+            ignoreTLS: process.env.SMTP_IGNORE_TLS === 'true',
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+                : undefined
+        });
+    },
+    json: () => nodemailer.createTransport({ jsonTransport: true }),
+    disabled: () => null
+};
+
+let transporter = null;
+let transporterName = null;
+
+function transportName() {
+    return process.env.EMAIL_TRANSPORT || 'smtp';
+}
+
+/**
+ * Add or replace a transport
+ *
+ * @param {string} name - Value of EMAIL_TRANSPORT that selects it
+ * @param {Function} factory - () => nodemailer transport (anything with sendMail), or null
+ */
+function registerTransport(name, factory) {
+    TRANSPORTS[name] = factory;
+    if (transporterName === name) transporter = null;
+}
+
+/**
+ * Lazily created transport for the configured EMAIL_TRANSPORT
+ */
+function getTransporter() {
+    const name = transportName();
+    if (!transporter || transporterName !== name) {
+        const factory = TRANSPORTS[name];
+        if (!factory) {
+            logger.error('Unknown email transport', { transport: name });
+            return null;
+        }
+        transporter = factory();
+        transporterName = name;
+    }
+    return transporter;
+}
+
+/**
+ * Whether email can be sent
+ */
+function isConfigured() {
+    return Boolean(getTransporter());
+}
+
+/**
+ * Send an email
+ *
+ * @param {Object} message
+ * @param {string|Array<string>} message.to - Recipient address(es)
+ * @param {string} message.subject
+ * @param {string} message.text - Plain text body
+ * @param {string} [message.html] - HTML body
+ * @param {string} [message.fromName] - Display name, e.g. the organization
+ * @returns {Promise<Object>} { success, skipped?, messageId?, error? }
+ */
+async function sendEmail({ to, subject, text, html, fromName }) {
+    const transport = getTransporter();
+    if (!transport) {
+        return { success: false, skipped: true, error: `Email is not configured (EMAIL_TRANSPORT=${transportName()})` };
+    }
+    if (!to || (Array.isArray(to) && to.length === 0)) {
+        return { success: false, skipped: true, error: 'No recipient' };
+    }
+
+    // EMAIL_FROM may be "Name <address>"; the org name replaces the display name
+    const from = process.env.EMAIL_FROM || process.env.SMTP_USER;
+    const address = from ? (from.match(/<([^>]+)>/)?.[1] || from) : null;
+
+    try {
+        const info = await transport.sendMail({
+            from: fromName && address ? { name: fromName, address } : from,
+            to,
+            subject,
+            text,
+            html
+        });
+
+        logger.info('Email sent', { subject, messageId: info.messageId, transport: transporterName });
+        return { success: true, messageId: info.messageId };
+    } catch (error) {
+        logger.error('Email send error', { error: error.message, subject });
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Branding, currency and email preference of an organization
+ * Without an org the FoodStream defaults are used.
+ */
+async function getOrgContext(orgId) {
+    if (!orgId) {
+        return { branding: brandingService.DEFAULT_BRANDING, currency: null, enabled: true };
+    }
+
+    const { data: org } = await getSupabaseClient()
+        .from('licensed_orgs')
+        .select('org_name, primary_color, secondary_color, accent_color, logo_url, currency, settings')
+        .eq('id', orgId)
+        .maybeSingle();
+
+    return {
+        branding: brandingService.toBranding(org),
+        currency: org?.currency || null,
+        enabled: org?.settings?.email_notifications !== false
+    };
+}
+
+/**
+ * Record a send in email_logs
+ */
+async function logEmail({ orgId, to, template, subject, result, contextType, contextId }) {
+    try {
+        await getSupabaseClient()
+            .from('email_logs')
+            .insert({
+                org_id: orgId || null,
+                to_address: Array.isArray(to) ? to.join(', ') : to,
+                template,
+                subject,
+                transport: transporterName || transportName(),
+                provider_message_id: result.messageId || null,
+                status: result.success ? 'sent' : result.skipped ? 'skipped' : 'failed',
+                error_message: result.error || null,
+                context_type: contextType || null,
+                context_id: contextId || null
+            });
+    } catch (error) {
+        logger.error('Failed to log email', { error: error.message });
+    }
+}
+
+/**
+ * Render a branded template and send it
+ * Honours the organization's email_notifications setting unless force is set.
+ *
+ * @param {string} template - emailTemplates name, e.g. 'approval_request'
+ * @param {Object} data - Template data; currency is filled from the org when omitted
+ * @param {Object} options
+ * @param {string|Array<string>} options.to
+ * @param {string} [options.orgId] - Organization whose branding is used
+ * @param {string} [options.contextType] - e.g. 'voucher', 'license'
+ * @param {string} [options.contextId]
+ * @param {boolean} [options.force] - Send even if the org turned email notifications off (OTPs)
+ * @returns {Promise<Object>} { success, skipped?, messageId?, error? }
+ */
+async function sendTemplate(template, data, { to, orgId = null, contextType = null, contextId = null, force = false }) {
+    try {
+        const org = await getOrgContext(orgId);
+        if (!org.enabled && !force) {
+            return { success: false, skipped: true, error: 'Email notifications are turned off for the organization' };
+        }
+
+        const content = emailTemplates.render(template, { currency: org.currency, ...data }, org.branding);
+        const result = await sendEmail({ to, ...content, fromName: org.branding.org_name });
+
+        await logEmail({ orgId, to, template, subject: content.subject, result, contextType, contextId });
+
+        return result;
+    } catch (error) {
+        logger.error('Email template send error', { template, error: error.message });
+        return { success: false, error: error.message };
+    }
+}
+
+module.exports = {
+    registerTransport,
+    isConfigured,
+    sendEmail,
+    sendTemplate
+};
@@ -0,0 +1,222 @@
+/**
+ * FoodStream Ltd. - Email Templates
+ *
+ * Branded transactional emails. Every template returns { subject, text, html };
+ * the HTML uses the organization's colours and logo (see brandingService) with
+ * inline styles and a table layout, which is what mail clients render reliably.
+ *
+ * @module services/emailTemplates
+ */
+
+const { DEFAULT_BRANDING } = require('./brandingService');
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function formatAmount(amount, currency) {
+    const value = parseFloat(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    return currency ? `${currency} ${value}` : value;
+}
+
+function greeting(name) {
+    return name ? `Hello ${name},` : 'Hello,';
+}
+
+function formatDate(value) {
+    return value ? new Date(value).toISOString().slice(0, 10) : '';
+}
+
+/**
+ * Absolute URL for a path in the app, or null without APP_URL
+ */
+function appUrl(path) {
+    if (!path) return null;
+    if (/^https?:\/\//i.test(path)) return path;
+    const base = process.env.APP_URL;
+    return base ? `${base.replace(/\/$/, '')}${path.startsWith('/') ? '' : '/'}${path}` : null;
+}
+
+/**
+ * Key / value rows shown in a summary table
+ */
+function detailRows(rows) {
+    return rows
+        .filter(([, value]) => value !== null && value !== undefined && value !== '')
+        .map(([label, value]) => `
+            <tr>
+              <td style="padding:6px 0;color:#6b7280;width:40%">${escapeHtml(label)}</td>
+              <td style="padding:6px 0;color:#111827;font-weight:600">${escapeHtml(value)}</td>
+            </tr>`)
+        .join('');
+}
+
+function detailText(rows) {
+    return rows
+        .filter(([, value]) => value !== null && value !== undefined && value !== '')
+        .map(([label, value]) => `${label}: ${value}`)
+        .join('\n');
+}
+
+/**
+ * Shared HTML frame: logo header in the primary colour, content, footer
+ */
+function layout(branding, { heading, intro, rows = [], action = null, outro = null }) {
+    const brand = { ...DEFAULT_BRANDING, ...branding };
+    const logo = appUrl(brand.logo_url);
+    const actionUrl = action ? appUrl(action.url) : null;
+
+    return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${escapeHtml(heading)}</title></head>
+<body style="margin:0;padding:0;background:#f3f4f6;font-family:Arial,Helvetica,sans-serif">
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f3f4f6;padding:24px 0">
+    <tr><td align="center">
+      <table role="presentation" width="600" cellpadding="0" cellspacing="0" style="max-width:600px;width:100%;background:#ffffff;border-radius:8px;overflow:hidden">
+        <tr>
+          <td style="background:${brand.primary_color};padding:20px 24px">
+            ${logo ? `<img src="${escapeHtml(logo)}" alt="${escapeHtml(brand.org_name)}" height="40" style="height:40px;vertical-align:middle;margin-right:12px">` : ''}
+            <span style="color:#ffffff;font-size:18px;font-weight:bold;vertical-align:middle">${escapeHtml(brand.org_name)}</span>
+          </td>
+        </tr>
+        <tr>
+          <td style="padding:24px">
+            <h1 style="margin:0 0 12px;font-size:20px;color:${brand.primary_color}">${escapeHtml(heading)}</h1>
+            <p style="margin:0 0 16px;font-size:14px;line-height:1.5;color:#374151">${escapeHtml(intro)}</p>
+            ${rows.length ? `<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="font-size:14px;border-top:1px solid #e5e7eb;border-bottom:1px solid #e5e7eb;margin-bottom:16px">${detailRows(rows)}</table>` : ''}
+            ${actionUrl ? `<p style="margin:0 0 16px"><a href="${escapeHtml(actionUrl)}" style="display:inline-block;background:${brand.accent_color};color:#ffffff;text-decoration:none;padding:10px 18px;border-radius:6px;font-size:14px;font-weight:bold">${escapeHtml(action.label)}</a></p>` : ''}
+            ${outro ? `<p style="margin:0;font-size:13px;line-height:1.5;color:#6b7280">${escapeHtml(outro)}</p>` : ''}
+          </td>
+        </tr>
+        <tr>
+          <td style="background:#f9fafb;padding:16px 24px;font-size:12px;color:#9ca3af">
+            This is an automated message from ${escapeHtml(brand.org_name)}. Please do not reply.
+          </td>
+        </tr>
+      </table>
+    </td></tr>
+  </table>
+</body>
+</html>`;
+}
+
+/**
+ * Plain-text counterpart of layout()
+ */
+function textLayout(branding, { heading, intro, rows = [], action = null, outro = null }) {
+    const brand = { ...DEFAULT_BRANDING, ...branding };
+    const actionUrl = action ? appUrl(action.url) : null;
+
+    return [
+        heading,
+        '',
+        intro,
+        rows.length ? `\n${detailText(rows)}` : null,
+        actionUrl ? `\n${action.label}: ${actionUrl}` : null,
+        outro ? `\n${outro}` : null,
+        '',
+        `— ${brand.org_name}`
+    ].filter(line => line !== null).join('\n');
+}
+
+function voucherRows(voucher, currency) {
+    return [
+        ['Voucher', voucher.voucher_number],
+        ['Amount', formatAmount(voucher.amount, currency)],
+        ['Payee', voucher.payee_name],
+        ['Head of account', voucher.head_of_account_name],
+        ['Description', voucher.description]
+    ];
+}
+
+/**
+ * Template definitions: data -> content blocks
+ */
+const TEMPLATES = {
+    // data: { recipientName, voucher, stage, currency }
+    approval_request: ({ recipientName, voucher, stage, currency }) => ({
+        subject: `Approval needed: voucher ${voucher.voucher_number}`,
+        heading: 'Voucher pending your approval',
+        intro: `${greeting(recipientName)} voucher ${voucher.voucher_number} is waiting for your approval${stage ? ` (${stage})` : ''}.`,
+        rows: [...voucherRows(voucher, currency), ['Warning', (voucher.risk_flags || []).map(flag => flag.message).join('; ')]],
+        action: { label: 'Review voucher', url: `/vouchers/${voucher.id}` }
+    }),
+
+    // data: { recipientName, voucher, title, message, reason, currency }
+    voucher_decision: ({ recipientName, voucher, title, message, reason, currency }) => ({
+        subject: `${title}: ${voucher.voucher_number}`,
+        heading: title,
+        intro: `${greeting(recipientName)} ${message}.`,
+        rows: [...voucherRows(voucher, currency), ['Reason', reason], ['Reference', voucher.transaction_reference]],
+        action: { label: 'Open voucher', url: `/vouchers/${voucher.id}` }
+    }),
+
+    // data: { payeeName, voucher, companyName, currency }
+    remittance_advice: ({ payeeName, voucher, companyName, currency }) => ({
+        subject: `Payment advice: ${formatAmount(voucher.amount, currency)} from ${companyName}`,
+        heading: 'Remittance advice',
+        intro: `Dear ${payeeName || 'Sir/Madam'}, ${companyName} has made the following payment to you.`,
+        rows: [
+            ['Amount', formatAmount(voucher.amount, currency)],
+            ['Payment date', formatDate(voucher.paid_at || voucher.completed_at)],
+            ['Payment mode', (voucher.payment_mode || '').replace(/_/g, ' ')],
+            ['Transaction reference', voucher.transaction_reference],
+            ['Cheque number', voucher.cheque_number],
+            ['Voucher', voucher.voucher_number],
+            ['Description', voucher.description]
+        ],
+        outro: 'Please allow for bank processing time before the amount reflects in your account.'
+    }),
+
+    // data: { licenseeName, licenseType, licenseKey, expiryDate, daysText }
+    license_expiry_reminder: ({ licenseeName, licenseType, licenseKey, expiryDate, daysText }) => ({
+        subject: `Your FoodStream license expires in ${daysText}`,
+        heading: 'Your license is expiring soon',
+        intro: `Dear ${licenseeName}, your ${licenseType} license expires in ${daysText}. Renew before then to keep creating and approving vouchers without interruption.`,
+        rows: [
+            ['License', licenseKey],
+            ['Plan', licenseType],
+            ['Expires on', formatDate(expiryDate)]
+        ],
+        action: { label: 'Renew license', url: '/settings/license' }
+    }),
+
+    // data: { code, validityMinutes, purpose }
+    otp: ({ code, validityMinutes, purpose }) => ({
+        subject: `Your verification code: ${code}`,
+        heading: 'Verification code',
+        intro: `Use this code to ${purpose || 'verify your request'}. It is valid for ${validityMinutes} minutes. Do not share it with anyone.`,
+        rows: [['Code', code]],
+        outro: 'If you did not request this code, you can ignore this email.'
+    })
+};
+
+/**
+ * Render a template
+ *
+ * @param {string} name - Key of TEMPLATES
+ * @param {Object} data - Template data
+ * @param {Object} [branding] - Org branding (brandingService.toBranding)
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+function render(name, data, branding = DEFAULT_BRANDING) {
+    const template = TEMPLATES[name];
+    if (!template) throw new Error(`Unknown email template: ${name}`);
+
+    const content = template(data);
+    return {
+        subject: content.subject,
+        text: textLayout(branding, content),
+        html: layout(branding, content)
+    };
+}
+
+module.exports = {
+    TEMPLATE_NAMES: Object.keys(TEMPLATES),
+    render
+};
@@ -0,0 +1,377 @@
+/**
+ * FoodStream Ltd. - Data Export Service
+ *
+ * Streams vouchers, payees, the voucher audit log and the budget vs actual
+ * report as CSV or XLSX. Table rows are read from Supabase page by page and
+ * written straight to the output stream, so large exports never sit in
+ * memory. Each run is kept
+ * in the `reports` table and its file under UPLOAD_DIR/exports for
+ * re-download.
+ *
+ * @module services/exportService
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PassThrough } = require('stream');
+const ExcelJS = require('exceljs');
+const { getSupabaseClient } = require('../config/database');
+const budgetReportService = require('./budgetReportService');
+const logger = require('../utils/logger');
+const { spreadsheetCell } = require('../utils/csv');
+
+const PAGE_SIZE = 1000;
+
+/**
+ * Output formats; export_format is the value stored on the reports row
+ */
+const FORMATS = {
+    csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8', export_format: 'csv' },
+    xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', export_format: 'excel' }
+};
+
+const dateOnly = value => (value ? String(value).slice(0, 10) : '');
+const amount = value => (value === null || value === undefined ? '' : parseFloat(value));
+
+/**
+ * Exportable datasets
+ * filters: query keys accepted (same names as the list endpoints)
+ * scope / applyFilters: build the Supabase query
+ * rows: instead of scope / applyFilters, computes all rows (reports)
+ * validate: optional filters check returning an error message
+ * columns: { header, width, value(row) }
+ */
+const DATASETS = {
+    vouchers: {
+        label: 'Vouchers',
+        table: 'vouchers',
+        filters: ['status', 'company_id', 'from_date', 'to_date', 'search'],
+        select: `
+            voucher_number, financial_year, created_at, status, amount, payment_mode,
+            payee_name, payee_mobile, head_of_account_name, description, transaction_reference,
+            approved_at, completed_at, paid_at, rejection_reason,
+            company:companies(name),
+            created_by_user:users!vouchers_created_by_fkey(full_name),
+            approved_by_user:users!vouchers_approved_by_fkey(full_name)
+        `,
+        scope: (query, orgId) => query.eq('org_id', orgId),
+        applyFilters: (query, { status, company_id, from_date, to_date, search }) => {
+            if (status) query = query.eq('status', status);
+            if (company_id) query = query.eq('company_id', company_id);
+            if (from_date) query = query.gte('created_at', from_date);
+            if (to_date) query = query.lte('created_at', to_date);
+            if (search) query = query.or(`voucher_number.ilike.%${search}%,description.ilike.%${search}%`);
+            return query;
+        },
+        columns: [
+            { header: 'Voucher Number', width: 22, value: r => r.voucher_number },
+            { header: 'Date', width: 12, value: r => dateOnly(r.created_at) },
+            { header: 'Financial Year', width: 10, value: r => r.financial_year },
+            { header: 'Company', width: 25, value: r => r.company?.name },
+            { header: 'Payee', width: 25, value: r => r.payee_name },
+            { header: 'Payee Mobile', width: 15, value: r => r.payee_mobile },
+            { header: 'Head of Account', width: 22, value: r => r.head_of_account_name },
+            { header: 'Amount', width: 14, value: r => amount(r.amount) },
+            { header: 'Payment Mode', width: 16, value: r => r.payment_mode },
+            { header: 'Status', width: 16, value: r => r.status },
+            { header: 'Description', width: 40, value: r => r.description },
+            { header: 'Created By', width: 20, value: r => r.created_by_user?.full_name },
+            { header: 'Approved By', width: 20, value: r => r.approved_by_user?.full_name },
+            { header: 'Approved At', width: 12, value: r => dateOnly(r.approved_at) },
+            { header: 'Completed At', width: 12, value: r => dateOnly(r.completed_at) },
+            { header: 'Paid At', width: 12, value: r => dateOnly(r.paid_at) },
+            { header: 'Transaction Reference', width: 22, value: r => r.transaction_reference },
+            { header: 'Rejection Reason', width: 30, value: r => r.rejection_reason }
+        ]
+    },
+    payees: {
+        label: 'Payees',
+        table: 'payees',
+        filters: ['company_id', 'status', 'search'],
+        select: '*, companies!company_id(name)',
+        scope: (query, orgId) => query.eq('org_id', orgId),
+        applyFilters: (query, { company_id, status, search }) => {
+            if (company_id) query = query.eq('company_id', company_id);
+            if (status) query = query.eq('status', status);
+            if (search) query = query.or(`name.ilike.%${search}%,mobile.ilike.%${search}%,email.ilike.%${search}%`);
+            return query;
+        },
+        columns: [
+            { header: 'Name', width: 25, value: r => r.name },
+            { header: 'Company', width: 25, value: r => r.companies?.name },
+            { header: 'Mobile', width: 15, value: r => r.mobile },
+            { header: 'Email', width: 25, value: r => r.email },
+            { header: 'Type', width: 12, value: r => r.payee_type },
+            { header: 'Bank', width: 20, value: r => r.bank_name },
+            { header: 'Account Holder', width: 25, value: r => r.account_holder_name },
+            { header: 'Account Number', width: 20, value: r => r.account_number },
+            { header: 'IFSC', width: 12, value: r => r.ifsc_code },
+            { header: 'UPI ID', width: 22, value: r => r.upi_id },
+            { header: 'PAN', width: 12, value: r => r.pan_number },
+            { header: 'GST', width: 16, value: r => r.gst_number },
+            { header: 'City', width: 15, value: r => r.city },
+            { header: 'State', width: 15, value: r => r.state },
+            { header: 'Status', width: 10, value: r => r.status },
+            { header: 'Created', width: 12, value: r => dateOnly(r.created_at) }
+        ]
+    },
+    audit_log: {
+        label: 'Voucher audit log',
+        table: 'voucher_audit_log',
+        roles: ['super_admin', 'org_admin', 'company_admin', 'accounts'],
+        filters: ['status', 'company_id', 'from_date', 'to_date', 'search', 'action'],
+        select: 'created_at, action, performed_by_name, performed_by_role, notes, ip_address, voucher:vouchers!inner(voucher_number, amount, status, org_id, company_id)',
+        scope: (query, orgId) => query.eq('voucher.org_id', orgId),
+        applyFilters: (query, { status, company_id, from_date, to_date, search, action }) => {
+            if (status) query = query.eq('voucher.status', status);
+            if (company_id) query = query.eq('voucher.company_id', company_id);
+            if (from_date) query = query.gte('created_at', from_date);
+            if (to_date) query = query.lte('created_at', to_date);
+            if (search) query = query.ilike('voucher.voucher_number', `%${search}%`);
+            if (action) query = query.eq('action', action);
+            return query;
+        },
+        columns: [
+            { header: 'Timestamp', width: 20, value: r => (r.created_at ? String(r.created_at).replace('T', ' ').slice(0, 19) : '') },
+            { header: 'Voucher Number', width: 22, value: r => r.voucher?.voucher_number },
+            { header: 'Amount', width: 14, value: r => amount(r.voucher?.amount) },
+            { header: 'Action', width: 16, value: r => r.action },
+            { header: 'Performed By', width: 20, value: r => r.performed_by_name },
+            { header: 'Role', width: 14, value: r => r.performed_by_role },
+            { header: 'Notes', width: 40, value: r => r.notes },
+            { header: 'IP Address', width: 16, value: r => r.ip_address }
+        ]
+    },
+    budget_vs_actual: {
+        label: 'Budget vs actual',
+        filters: ['company_id', 'period_type', 'from_date', 'to_date'],
+        validate: filters => budgetReportService.validateFilters(filters),
+        rows: (orgId, filters) => budgetReportService.exportRows(orgId, filters),
+        columns: [
+            { header: 'Company', width: 25, value: r => r.company_name },
+            { header: 'Period', width: 12, value: r => r.period_label },
+            { header: 'Period Start', width: 12, value: r => r.period_start },
+            { header: 'Code', width: 10, value: r => r.code },
+            { header: 'Head of Account', width: 30, value: r => (r.level ? `${'  '.repeat(r.level)}${r.name}` : r.name) },
+            { header: 'Parent Code', width: 10, value: r => r.parent_code },
+            { header: 'Budget', width: 14, value: r => amount(r.budget) },
+            { header: 'Committed', width: 14, value: r => amount(r.committed) },
+            { header: 'Spent', width: 14, value: r => amount(r.spent) },
+            { header: 'Actual', width: 14, value: r => amount(r.actual) },
+            { header: 'Variance', width: 14, value: r => amount(r.variance) },
+            { header: 'Variance %', width: 10, value: r => amount(r.variance_percent) }
+        ]
+    }
+};
+
+/**
+ * Pick the filters a dataset accepts from a request query
+ */
+function pickFilters(datasetName, query) {
+    const dataset = DATASETS[datasetName];
+    return Object.fromEntries(
+        dataset.filters
+            .filter(key => query[key] !== undefined && query[key] !== '')
+            .map(key => [key, String(query[key])])
+    );
+}
+
+/**
+ * Row writer for a format
+ * writeRow returns false once the output is buffering, like stream.write.
+ *
+ * @returns {{ writeRow: Function, finish: Function }}
+ */
+function createWriter(format, output, dataset) {
+    if (format === 'csv') {
+        // BOM so Excel opens UTF-8 (payee names, ₹) correctly
+        output.write(`\uFEFF${dataset.columns.map(col => spreadsheetCell(col.header)).join(',')}\r\n`);
+        return {
+            writeRow: values => output.write(`${values.map(spreadsheetCell).join(',')}\r\n`),
+            finish: async () => output.end()
+        };
+    }
+
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true });
+    const sheet = workbook.addWorksheet(dataset.label, { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = dataset.columns.map((col, i) => ({ header: col.header, key: `c${i}`, width: col.width }));
+    sheet.getRow(1).font = { bold: true };
+
+    return {
+        writeRow: values => {
+            sheet.addRow(values).commit();
+            return !output.writableNeedDrain;
+        },
+        finish: async () => {
+            sheet.commit();
+            await workbook.commit();
+        }
+    };
+}
+
+/**
+ * Wait until a buffering output has drained
+ */
+function drained(output) {
+    return new Promise((resolve, reject) => {
+        const onDrain = () => {
+            output.off('close', onClose);
+            resolve();
+        };
+        const onClose = () => {
+            output.off('drain', onDrain);
+            reject(new Error('Export stream closed'));
+        };
+        output.once('drain', onDrain);
+        output.once('close', onClose);
+    });
+}
+
+/**
+ * Write a dataset to a stream page by page
+ *
+ * @returns {Promise<number>} Rows written
+ */
+async function writeDataset({ orgId, datasetName, format, filters, output }) {
+    const supabase = getSupabaseClient();
+    const dataset = DATASETS[datasetName];
+    const writer = createWriter(format, output, dataset);
+    let rowCount = 0;
+
+    if (dataset.rows) {
+        for (const row of await dataset.rows(orgId, filters)) {
+            if (!writer.writeRow(dataset.columns.map(col => col.value(row) ?? ''))) await drained(output);
+            rowCount++;
+        }
+        await writer.finish();
+        return rowCount;
+    }
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+        let query = dataset.scope(supabase.from(dataset.table).select(dataset.select), orgId);
+        query = dataset.applyFilters(query, filters)
+            .order('created_at', { ascending: false })
+            .order('id', { ascending: true })
+            .range(offset, offset + PAGE_SIZE - 1);
+
+        const { data, error } = await query;
+        if (error) throw error;
+
+        for (const row of data || []) {
+            if (!writer.writeRow(dataset.columns.map(col => col.value(row) ?? ''))) await drained(output);
+            rowCount++;
+        }
+
+        if (!data || data.length < PAGE_SIZE) break;
+    }
+
+    await writer.finish();
+    return rowCount;
+}
+
+/**
+ * Directory holding an org's export files
+ */
+function exportDir(orgId) {
+    return path.resolve(process.env.UPLOAD_DIR || './uploads', 'exports', orgId);
+}
+
+/**
+ * Stored file of an export
+ */
+function exportFilePath(report) {
+    const format = Object.keys(FORMATS).find(key => FORMATS[key].export_format === report.export_format) || 'csv';
+    return path.join(exportDir(report.org_id), `${report.id}.${FORMATS[format].extension}`);
+}
+
+/**
+ * Download file name of an export
+ */
+function exportFileName(report) {
+    const format = Object.keys(FORMATS).find(key => FORMATS[key].export_format === report.export_format) || 'csv';
+    const stamp = String(report.created_at).slice(0, 10);
+    return `${report.report_type}-${stamp}.${FORMATS[format].extension}`;
+}
+
+/**
+ * Run an export: record it in `reports`, stream it to `res` and keep a copy
+ *
+ * @param {Object} params
+ * @param {Object} params.user - req.user
+ * @param {string} params.datasetName - Key of DATASETS
+ * @param {string} params.format - 'csv' or 'xlsx'
+ * @param {Object} params.filters - From pickFilters()
+ * @param {Object} res - Express response (headers are set here)
+ * @returns {Promise<Object>} The reports row
+ */
+async function runExport({ user, datasetName, format, filters }, res) {
+    const supabase = getSupabaseClient();
+    const dataset = DATASETS[datasetName];
+
+    const { data: report, error } = await supabase
+        .from('reports')
+        .insert({
+            org_id: user.org_id,
+            report_name: `${dataset.label} export`,
+            report_type: `${datasetName}_export`,
+            date_from: filters.from_date ? dateOnly(filters.from_date) : null,
+            date_to: filters.to_date ? dateOnly(filters.to_date) : null,
+            company_id: filters.company_id || null,
+            filters,
+            summary: { status: 'running' },
+            generated_by: user.id,
+            export_format: FORMATS[format].export_format
+        })
+        .select()
+        .single();
+
+    if (error) throw error;
+
+    const filePath = exportFilePath(report);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    res.setHeader('Content-Type', FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(report)}"`);
+    res.setHeader('X-Report-Id', report.id);
+
+    // Tee the export to the client and to disk
+    const output = new PassThrough();
+    const file = fs.createWriteStream(filePath);
+    output.pipe(res);
+    output.pipe(file);
+    const fileDone = new Promise((resolve, reject) => file.on('finish', resolve).on('error', reject));
+
+    try {
+        const rowCount = await writeDataset({ orgId: user.org_id, datasetName, format, filters, output });
+        await fileDone;
+        const { size } = await fs.promises.stat(filePath);
+
+        const summary = { status: 'completed', row_count: rowCount, file_size: size };
+        await supabase
+            .from('reports')
+            .update({ summary, export_url: `/api/reports/exports/${report.id}/download` })
+            .eq('id', report.id);
+
+        return { ...report, summary };
+    } catch (exportError) {
+        logger.error('Export failed', { reportId: report.id, error: exportError.message });
+        output.destroy();
+        res.destroy(exportError);
+        await fs.promises.unlink(filePath).catch(() => {});
+        await supabase
+            .from('reports')
+            .update({ summary: { status: 'failed', error: exportError.message } })
+            .eq('id', report.id);
+        throw exportError;
+    }
+}
+
+module.exports = {
+    FORMATS,
+    DATASETS,
+    pickFilters,
+    writeDataset,
+    runExport,
+    exportFilePath,
+    exportFileName
+};
@@ -0,0 +1,585 @@
+/**
+ * FoodStream Ltd. - Head of Account Service
+ *
+ * Chart of accounts management. Heads belong to one company, or to the
+ * whole organization when company_id is NULL, and form a tree through
+ * parent_id. A company-specific head may sit under an organization-wide
+ * parent, never the other way round.
+ *
+ * Heads are never deleted once vouchers may reference them. They are
+ * deactivated (only when no voucher against them is still open) or merged
+ * into another head, which moves their vouchers, children, budgets,
+ * approval chains and ledger mappings across.
+ *
+ * @module services/headOfAccountService
+ */
+
+const { getSupabaseClient } = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Roles that may manage heads of account
+ * company_admin only for heads of their own company
+ */
+const ADMIN_ROLES = ['super_admin', 'org_admin', 'company_admin'];
+
+const CATEGORIES = ['expense', 'income', 'asset', 'liability'];
+
+/**
+ * Voucher statuses that still need the head (not yet completed or closed)
+ */
+const OPEN_VOUCHER_STATUSES = ['draft', 'pending_approval', 'approved', 'failed'];
+
+const CODE_PATTERN = /^[A-Z0-9][A-Z0-9_.-]{0,49}$/;
+
+/**
+ * Standard chart of accounts seeded for every new company
+ * Top-level groups with their heads; codes are unique per company.
+ */
+const STANDARD_CHART = [
+    {
+        code: 'OPEX', name: 'Operating Expenses', category: 'expense', children: [
+            { code: 'SAL', name: 'Salaries', description: 'Employee Salaries' },
+            { code: 'RENT', name: 'Rent', description: 'Office Rent' },
+            { code: 'UTIL', name: 'Utilities', description: 'Electricity, Water, Internet' },
+            { code: 'TRAV', name: 'Travel', description: 'Travel & Conveyance' },
+            { code: 'SUPP', name: 'Supplies', description: 'Office Supplies' },
+            { code: 'MAIN', name: 'Maintenance', description: 'Repairs & Maintenance' },
+            { code: 'ADV', name: 'Advertising', description: 'Marketing & Advertising' },
+            { code: 'PROF', name: 'Professional Fees', description: 'Consultant & Professional Services' },
+            { code: 'INS', name: 'Insurance', description: 'Insurance Premiums' },
+            { code: 'MISC', name: 'Miscellaneous', description: 'Other Expenses' }
+        ]
+    },
+    {
+        code: 'COGS', name: 'Cost of Goods', category: 'expense', children: [
+            { code: 'RAW', name: 'Raw Materials', description: 'Ingredients & Raw Materials' },
+            { code: 'PKG', name: 'Packaging', description: 'Packaging Materials' },
+            { code: 'FRT', name: 'Freight', description: 'Freight & Transport Inward' }
+        ]
+    },
+    {
+        code: 'CAPEX', name: 'Capital Expenditure', category: 'asset', children: [
+            { code: 'EQP', name: 'Equipment', description: 'Plant, Machinery & Equipment' },
+            { code: 'DEP', name: 'Deposits & Advances', description: 'Security Deposits & Advances' }
+        ]
+    },
+    {
+        code: 'LIAB', name: 'Liabilities', category: 'liability', children: [
+            { code: 'TAX', name: 'Statutory Dues', description: 'GST, TDS & Other Taxes' },
+            { code: 'LOAN', name: 'Loan Repayments', description: 'Loan & Interest Repayments' }
+        ]
+    }
+];
+
+/**
+ * Nest flat head rows under their parents
+ * Heads whose parent is not in the list are returned as roots.
+ */
+function buildTree(heads) {
+    const nodes = new Map(heads.map(head => [head.id, { ...head, children: [] }]));
+    const roots = [];
+
+    for (const node of nodes.values()) {
+        const parent = node.parent_id && nodes.get(node.parent_id);
+        if (parent) parent.children.push(node);
+        else roots.push(node);
+    }
+
+    const sort = list => {
+        list.sort((a, b) => a.code.localeCompare(b.code));
+        list.forEach(node => sort(node.children));
+        return list;
+    };
+
+    return sort(roots);
+}
+
+/**
+ * IDs of a head and every head below it
+ *
+ * @param {Array<Object>} heads - Rows with id and parent_id
+ * @param {string} rootId
+ * @returns {Array<string>}
+ */
+function descendantIds(heads, rootId) {
+    const ids = [rootId];
+    for (let i = 0; i < ids.length; i++) {
+        heads.filter(head => head.parent_id === ids[i]).forEach(head => ids.push(head.id));
+    }
+    return ids;
+}
+
+/**
+ * Heads visible to a company: its own plus the organization-wide ones
+ *
+ * @param {string} orgId
+ * @param {string} [companyId] - Omit for every head of the org
+ * @param {Object} [options]
+ * @param {boolean} [options.includeInactive]
+ */
+async function listHeads(orgId, companyId, { includeInactive = false } = {}) {
+    let query = getSupabaseClient()
+        .from('heads_of_account')
+        .select('id, company_id, code, name, description, category, parent_id, merged_into_id, status, created_at, updated_at')
+        .eq('org_id', orgId)
+        .order('code');
+
+    if (companyId) query = query.or(`company_id.eq.${companyId},company_id.is.null`);
+    if (!includeInactive) query = query.eq('status', 'active');
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+}
+
+async function getHead(orgId, id) {
+    const { data } = await getSupabaseClient()
+        .from('heads_of_account')
+        .select('*')
+        .eq('id', id)
+        .eq('org_id', orgId)
+        .maybeSingle();
+    return data;
+}
+
+/**
+ * A company_admin may only manage their own company's heads
+ */
+function canManage(user, head) {
+    return !user.company_id || head.company_id === user.company_id;
+}
+
+/**
+ * Check a parent can hold a head of the given company scope
+ *
+ * @returns {Promise<Object>} { parent } or { error }
+ */
+async function resolveParent(orgId, parentId, companyId) {
+    if (!parentId) return { parent: null };
+
+    const parent = await getHead(orgId, parentId);
+    if (!parent) return { error: 'Parent head of account not found' };
+    if (parent.status !== 'active') return { error: 'Parent head of account is inactive' };
+    if (parent.company_id && parent.company_id !== companyId) {
+        return { error: 'Parent head of account belongs to another company' };
+    }
+    return { parent };
+}
+
+/**
+ * Validate create / update fields
+ *
+ * @returns {Object} { fields } or { error }
+ */
+function validateFields(input, { partial = false } = {}) {
+    const fields = {};
+
+    if (input.code !== undefined || !partial) {
+        const code = String(input.code || '').trim().toUpperCase();
+        if (!CODE_PATTERN.test(code)) return { error: 'code must be 1-50 letters, digits, _ . or -' };
+        fields.code = code;
+    }
+    if (input.name !== undefined || !partial) {
+        const name = String(input.name || '').trim();
+        if (!name) return { error: 'name is required' };
+        fields.name = name.substring(0, 255);
+    }
+    if (input.category !== undefined && input.category !== null) {
+        if (!CATEGORIES.includes(input.category)) return { error: `category must be one of: ${CATEGORIES.join(', ')}` };
+        fields.category = input.category;
+    }
+    if (input.description !== undefined) fields.description = input.description || null;
+
+    return { fields };
+}
+
+/**
+ * Create a head of account
+ *
+ * @param {string} orgId
+ * @param {Object} input - { company_id?, code, name, description?, category?, parent_id? }
+ * @param {Object} user - Acting user
+ * @returns {Promise<Object>} Outcome with status
+ */
+async function createHead(orgId, input, user) {
+    const { fields, error: invalid } = validateFields(input);
+    if (invalid) return { success: false, status: 400, error: invalid };
+
+    const companyId = input.company_id || null;
+    if (user.company_id && companyId !== user.company_id) {
+        return { success: false, status: 403, error: 'You can only manage heads of account of your own company' };
+    }
+
+    const supabase = getSupabaseClient();
+    if (companyId) {
+        const { data: company } = await supabase.from('companies').select('id').eq('id', companyId).eq('org_id', orgId).maybeSingle();
+        if (!company) return { success: false, status: 400, error: 'Invalid company' };
+    }
+
+    const { parent, error: parentError } = await resolveParent(orgId, input.parent_id, companyId);
+    if (parentError) return { success: false, status: 400, error: parentError };
+
+    const { data, error } = await supabase
+        .from('heads_of_account')
+        .insert({
+            org_id: orgId,
+            company_id: companyId,
+            ...fields,
+            category: fields.category || parent?.category || 'expense',
+            parent_id: parent?.id || null,
+            status: 'active',
+            created_by: user.id
+        })
+        .select()
+        .single();
+
+    if (error) {
+        if (error.code === '23505') {
+            return { success: false, status: 409, error: `Head of account code ${fields.code} already exists`, code: 'HEAD_CODE_EXISTS' };
+        }
+        throw error;
+    }
+
+    logger.audit('head_of_account_created', user.id, { headId: data.id, code: data.code, companyId });
+    return { success: true, status: 201, data };
+}
+
+/**
+ * Update code, name, description or category
+ * Use moveHead to change the parent and deactivateHead / activateHead for status.
+ */
+async function updateHead(orgId, id, input, user) {
+    const head = await getHead(orgId, id);
+    if (!head) return { success: false, status: 404, error: 'Head of account not found' };
+    if (!canManage(user, head)) return { success: false, status: 403, error: 'You can only manage heads of account of your own company' };
+
+    const { fields, error: invalid } = validateFields(input, { partial: true });
+    if (invalid) return { success: false, status: 400, error: invalid };
+    if (Object.keys(fields).length === 0) return { success: true, status: 200, data: head };
+
+    const { data, error } = await getSupabaseClient()
+        .from('heads_of_account')
+        .update({ ...fields, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select()
+        .single();
+
+    if (error) {
+        if (error.code === '23505') {
+            return { success: false, status: 409, error: `Head of account code ${fields.code} already exists`, code: 'HEAD_CODE_EXISTS' };
+        }
+        throw error;
+    }
+
+    logger.audit('head_of_account_updated', user.id, { headId: id, fields: Object.keys(fields) });
+    return { success: true, status: 200, data };
+}
+
+/**
+ * Move a head (with everything below it) under another parent, or to the top level
+ */
+async function moveHead(orgId, id, parentId, user) {
+    const head = await getHead(orgId, id);
+    if (!head) return { success: false, status: 404, error: 'Head of account not found' };
+    if (!canManage(user, head)) return { success: false, status: 403, error: 'You can only manage heads of account of your own company' };
+
+    const { parent, error: parentError } = await resolveParent(orgId, parentId || null, head.company_id);
+    if (parentError) return { success: false, status: 400, error: parentError };
+
+    if (parent) {
+        const heads = await listHeads(orgId, null, { includeInactive: true });
+        if (descendantIds(heads, id).includes(parent.id)) {
+            return { success: false, status: 400, error: 'A head of account cannot be moved under itself or one of its children' };
+        }
+    }
+
+    const { data, error } = await getSupabaseClient()
+        .from('heads_of_account')
+        .update({ parent_id: parent?.id || null, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select()
+        .single();
+
+    if (error) throw error;
+
+    logger.audit('head_of_account_moved', user.id, { headId: id, from: head.parent_id, to: parent?.id || null });
+    return { success: true, status: 200, data };
+}
+
+/**
+ * Vouchers against a head that are not yet completed, paid, rejected or cancelled
+ */
+async function countOpenVouchers(orgId, headIds) {
+    const { count, error } = await getSupabaseClient()
+        .from('vouchers')
+        .select('id', { count: 'exact', head: true })
+        .eq('org_id', orgId)
+        .in('head_of_account_id', headIds)
+        .in('status', OPEN_VOUCHER_STATUSES);
+
+    if (error) throw error;
+    return count || 0;
+}
+
+/**
+ * Deactivate a head so no new vouchers can use it
+ * Refused while it has active children or open vouchers.
+ */
+async function deactivateHead(orgId, id, user) {
+    const head = await getHead(orgId, id);
+    if (!head) return { success: false, status: 404, error: 'Head of account not found' };
+    if (!canManage(user, head)) return { success: false, status: 403, error: 'You can only manage heads of account of your own company' };
+    if (head.status === 'inactive') return { success: true, status: 200, data: head };
+
+    const supabase = getSupabaseClient();
+    const { count: children } = await supabase
+        .from('heads_of_account')
+        .select('id', { count: 'exact', head: true })
+        .eq('parent_id', id)
+        .eq('status', 'active');
+
+    if (children > 0) {
+        return {
+            success: false,
+            status: 409,
+            error: `Head of account has ${children} active sub-head(s). Move or deactivate them first`,
+            code: 'HEAD_IN_USE'
+        };
+    }
+
+    const open = await countOpenVouchers(orgId, [id]);
+    if (open > 0) {
+        return {
+            success: false,
+            status: 409,
+            error: `Head of account has ${open} open voucher(s). Complete, cancel or reassign them first`,
+            code: 'HEAD_IN_USE',
+            open_vouchers: open
+        };
+    }
+
+    const { data, error } = await supabase
+        .from('heads_of_account')
+        .update({ status: 'inactive', updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select()
+        .single();
+
+    if (error) throw error;
+
+    logger.audit('head_of_account_deactivated', user.id, { headId: id, code: head.code });
+    return { success: true, status: 200, data };
+}
+
+async function activateHead(orgId, id, user) {
+    const head = await getHead(orgId, id);
+    if (!head) return { success: false, status: 404, error: 'Head of account not found' };
+    if (!canManage(user, head)) return { success: false, status: 403, error: 'You can only manage heads of account of your own company' };
+    if (head.merged_into_id) {
+        return { success: false, status: 409, error: 'Head of account was merged into another head and cannot be reactivated' };
+    }
+
+    const { data, error } = await getSupabaseClient()
+        .from('heads_of_account')
+        .update({ status: 'active', updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select()
+        .single();
+
+    if (error) throw error;
+
+    logger.audit('head_of_account_activated', user.id, { headId: id, code: head.code });
+    return { success: true, status: 200, data };
+}
+
+/**
+ * Merge a head into another and deactivate it
+ * Vouchers keep their head_of_account_name (it is part of the signed data);
+ * only head_of_account_id moves to the target.
+ *
+ * @returns {Promise<Object>} Outcome; data.moved counts what was reassigned
+ */
+async function mergeHead(orgId, sourceId, targetId, user) {
+    if (!targetId) return { success: false, status: 400, error: 'target_id is required' };
+    if (sourceId === targetId) return { success: false, status: 400, error: 'A head of account cannot be merged into itself' };
+
+    const [source, target] = await Promise.all([getHead(orgId, sourceId), getHead(orgId, targetId)]);
+    if (!source) return { success: false, status: 404, error: 'Head of account not found' };
+    if (!target) return { success: false, status: 400, error: 'Target head of account not found' };
+    if (!canManage(user, source) || !canManage(user, target)) {
+        return { success: false, status: 403, error: 'You can only manage heads of account of your own company' };
+    }
+    if (target.status !== 'active') return { success: false, status: 400, error: 'Target head of account is inactive' };
+    if (target.company_id && target.company_id !== source.company_id) {
+        return { success: false, status: 400, error: 'Target head of account belongs to another company' };
+    }
+
+    const heads = await listHeads(orgId, null, { includeInactive: true });
+    if (descendantIds(heads, sourceId).includes(targetId)) {
+        return { success: false, status: 400, error: 'A head of account cannot be merged into one of its own sub-heads' };
+    }
+
+    const supabase = getSupabaseClient();
+    const moved = {};
+    const now = new Date().toISOString();
+
+    const { data: vouchers, error: voucherError } = await supabase
+        .from('vouchers')
+        .update({ head_of_account_id: targetId })
+        .eq('org_id', orgId)
+        .eq('head_of_account_id', sourceId)
+        .select('id');
+    if (voucherError) throw voucherError;
+    moved.vouchers = (vouchers || []).length;
+
+    const { data: children, error: childError } = await supabase
+        .from('heads_of_account')
+        .update({ parent_id: targetId, updated_at: now })
+        .eq('parent_id', sourceId)
+        .select('id');
+    if (childError) throw childError;
+    moved.children = (children || []).length;
+
+    const { data: chains, error: chainError } = await supabase
+        .from('approval_chains')
+        .update({ head_of_account_id: targetId })
+        .eq('org_id', orgId)
+        .eq('head_of_account_id', sourceId)
+        .select('id');
+    if (chainError) throw chainError;
+    moved.approval_chains = (chains || []).length;
+
+    // Ledger mappings are unique per company and head: keep the target's where both exist
+    const { data: mappings } = await supabase
+        .from('ledger_mappings')
+        .select('id, company_id, head_of_account_id')
+        .eq('org_id', orgId)
+        .in('head_of_account_id', [sourceId, targetId]);
+
+    const targetCompanies = new Set((mappings || []).filter(m => m.head_of_account_id === targetId).map(m => m.company_id));
+    moved.ledger_mappings = 0;
+    for (const mapping of (mappings || []).filter(m => m.head_of_account_id === sourceId)) {
+        if (targetCompanies.has(mapping.company_id)) {
+            await supabase.from('ledger_mappings').delete().eq('id', mapping.id);
+        } else {
+            await supabase.from('ledger_mappings').update({ head_of_account_id: targetId }).eq('id', mapping.id);
+            moved.ledger_mappings++;
+        }
+    }
+
+    // Budgets for the same period are added together
+    const { data: budgets } = await supabase
+        .from('head_of_account_budgets')
+        .select('*')
+        .eq('org_id', orgId)
+        .in('head_of_account_id', [sourceId, targetId]);
+
+    const periodKey = budget => `${budget.company_id}|${budget.period_type}|${budget.period_start}`;
+    const targetBudgets = new Map((budgets || []).filter(b => b.head_of_account_id === targetId).map(b => [periodKey(b), b]));
+    moved.budgets = 0;
+    for (const budget of (budgets || []).filter(b => b.head_of_account_id === sourceId)) {
+        const existing = targetBudgets.get(periodKey(budget));
+        if (existing) {
+            await supabase
+                .from('head_of_account_budgets')
+                .update({ amount: parseFloat(existing.amount) + parseFloat(budget.amount) })
+                .eq('id', existing.id);
+            await supabase.from('head_of_account_budgets').delete().eq('id', budget.id);
+        } else {
+            await supabase.from('head_of_account_budgets').update({ head_of_account_id: targetId }).eq('id', budget.id);
+        }
+        moved.budgets++;
+    }
+
+    const { data, error } = await supabase
+        .from('heads_of_account')
+        .update({ status: 'inactive', merged_into_id: targetId, updated_at: now })
+        .eq('id', sourceId)
+        .select()
+        .single();
+
+    if (error) throw error;
+
+    logger.audit('head_of_account_merged', user.id, { headId: sourceId, targetId, moved });
+    return {
+        success: true,
+        status: 200,
+        message: `${source.code} merged into ${target.code}`,
+        data: { head: data, target, moved }
+    };
+}
+
+/**
+ * Seed the standard chart of accounts for a company
+ * Codes the company already has are skipped, so it is safe to run again.
+ *
+ * @param {string} orgId
+ * @param {string} companyId
+ * @param {string} [userId]
+ * @returns {Promise<Object>} { created, skipped }
+ */
+async function seedStandardChart(orgId, companyId, userId = null) {
+    const supabase = getSupabaseClient();
+    const { data: existing } = await supabase
+        .from('heads_of_account')
+        .select('id, code')
+        .eq('company_id', companyId);
+
+    const byCode = new Map((existing || []).map(head => [head.code, head.id]));
+    let created = 0;
+
+    const insert = async (node, parentId, category) => {
+        if (byCode.has(node.code)) return byCode.get(node.code);
+
+        const { data, error } = await supabase
+            .from('heads_of_account')
+            .insert({
+                org_id: orgId,
+                company_id: companyId,
+                code: node.code,
+                name: node.name,
+                description: node.description || null,
+                category,
+                parent_id: parentId,
+                status: 'active',
+                created_by: userId
+            })
+            .select('id')
+            .single();
+
+        if (error) throw error;
+        created++;
+        byCode.set(node.code, data.id);
+        return data.id;
+    };
+
+    for (const group of STANDARD_CHART) {
+        const groupId = await insert(group, null, group.category);
+        for (const head of group.children) {
+            await insert(head, groupId, group.category);
+        }
+    }
+
+    const total = STANDARD_CHART.reduce((sum, group) => sum + 1 + group.children.length, 0);
+    logger.info('Seeded standard chart of accounts', { org_id: orgId, company_id: companyId, created });
+
+    return { created, skipped: total - created };
+}
+
+module.exports = {
+    ADMIN_ROLES,
+    CATEGORIES,
+    STANDARD_CHART,
+    buildTree,
+    descendantIds,
+    listHeads,
+    getHead,
+    createHead,
+    updateHead,
+    moveHead,
+    deactivateHead,
+    activateHead,
+    mergeHead,
+    seedStandardChart
+};
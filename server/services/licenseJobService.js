@@ -0,0 +1,316 @@
+/**
+ * FoodStream Ltd. - License Lifecycle Jobs
+ *
+ * Nightly jobs that keep license state correct without waiting for traffic:
+ *   - expire:    mark active licenses past their expiry date as expired
+ *   - reminders: 30 / 7 / 1 day renewal reminders by email and SMS
+ *   - usage:     open the month's license_usage row and recompute
+ *                companies_count / users_count from real data
+ *
+ * Run in-process (ENABLE_LICENSE_JOBS=true, daily at LICENSE_JOBS_HOUR UTC)
+ * or from cron with `npm run jobs:license`. Every job is idempotent, so
+ * running it twice or from several instances is harmless.
+ *
+ * @module services/licenseJobService
+ */
+
+const { getSupabaseClient } = require('../config/database');
+const SMSService = require('./smsService');
+const emailService = require('./emailService');
+const notificationService = require('./notificationService');
+const logger = require('../utils/logger');
+
+/**
+ * Days before expiry at which reminders go out
+ */
+const REMINDER_DAYS = [30, 7, 1];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let timer = null;
+
+/**
+ * Notify the org admins of the org holding a license
+ */
+async function notifyOrgAdmins(licenseId, notification) {
+    const supabase = getSupabaseClient();
+
+    const { data: org } = await supabase
+        .from('licensed_orgs')
+        .select('id')
+        .eq('license_id', licenseId)
+        .maybeSingle();
+
+    if (!org) return 0;
+
+    const { data: admins } = await supabase
+        .from('users')
+        .select('id')
+        .eq('org_id', org.id)
+        .eq('role', 'org_admin')
+        .eq('status', 'active');
+
+    return notificationService.notifyUsers((admins || []).map(u => u.id), {
+        org_id: org.id,
+        notification_type: 'license_expiry',
+        context_type: 'license',
+        context_id: licenseId,
+        ...notification
+    });
+}
+
+/**
+ * Mark active licenses past their expiry date as expired
+ *
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { expired }
+ */
+async function expireLicenses(now = new Date()) {
+    const { data, error } = await getSupabaseClient()
+        .from('licenses')
+        .update({ status: 'expired' })
+        .eq('status', 'active')
+        .lt('expiry_date', now.toISOString())
+        .select('id, license_type, expiry_date');
+
+    if (error) throw error;
+
+    for (const license of data || []) {
+        logger.license('expired', license.id, { source: 'scheduler', expiry_date: license.expiry_date });
+        await notifyOrgAdmins(license.id, {
+            title: 'License Expired',
+            message: 'Your license has expired. Renew it to continue creating and approving vouchers.',
+            priority: 'urgent'
+        });
+    }
+
+    return { expired: (data || []).length };
+}
+
+/**
+ * Reminder threshold a license is in, e.g. 5 days left -> 7
+ *
+ * @returns {number|null}
+ */
+function reminderThreshold(daysLeft) {
+    const due = REMINDER_DAYS.filter(days => daysLeft <= days);
+    return due.length ? Math.min(...due) : null;
+}
+
+/**
+ * Send renewal reminders for licenses expiring within 30 days
+ * Only the most urgent threshold is sent, so a missed run catches up
+ * with one reminder rather than several.
+ *
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { sent, failed }
+ */
+async function sendRenewalReminders(now = new Date()) {
+    const supabase = getSupabaseClient();
+    const horizon = new Date(now.getTime() + Math.max(...REMINDER_DAYS) * DAY_MS);
+
+    const { data: licenses, error } = await supabase
+        .from('licenses')
+        .select('id, license_key, license_type, licensee_name, licensee_email, licensee_mobile, expiry_date')
+        .eq('status', 'active')
+        .gte('expiry_date', now.toISOString())
+        .lte('expiry_date', horizon.toISOString());
+
+    if (error) throw error;
+
+    const sms = SMSService.createDefault();
+    let sent = 0;
+    let failed = 0;
+
+    for (const license of licenses || []) {
+        const daysLeft = Math.ceil((new Date(license.expiry_date) - now) / DAY_MS);
+        const threshold = reminderThreshold(daysLeft);
+        if (!threshold) continue;
+
+        // Claim the reminder first; the unique key stops duplicates across runs
+        const { data: reminder, error: claimError } = await supabase
+            .from('license_reminders')
+            .insert({ license_id: license.id, expiry_date: license.expiry_date, days_before: threshold })
+            .select('id')
+            .single();
+
+        if (claimError || !reminder) continue;
+
+        const expiryText = new Date(license.expiry_date).toISOString().slice(0, 10);
+        const dayText = `${daysLeft} day${daysLeft === 1 ? '' : 's'}`;
+
+        // Sent by FoodStream, so the platform branding is used rather than the org's
+        const email = await emailService.sendTemplate('license_expiry_reminder', {
+            licenseeName: license.licensee_name,
+            licenseType: license.license_type,
+            licenseKey: license.license_key,
+            expiryDate: license.expiry_date,
+            daysText: dayText
+        }, { to: license.licensee_email, contextType: 'license', contextId: license.id });
+
+        const smsResult = license.licensee_mobile
+            ? await sms.sendMessage(license.licensee_mobile, 'license_expiry_reminder', [license.licensee_name, dayText, expiryText], license.id)
+            : { success: false, skipped: true, error: 'No mobile number' };
+
+        const statusOf = result => (result.success ? 'sent' : result.skipped ? 'skipped' : 'failed');
+        const errors = [email, smsResult].filter(r => !r.success && r.error).map(r => r.error);
+
+        // Nothing reached the licensee: release the claim so the next run retries
+        if (!email.success && !smsResult.success && [email, smsResult].some(r => statusOf(r) === 'failed')) {
+            await supabase.from('license_reminders').delete().eq('id', reminder.id);
+            failed++;
+            logger.license('renewal_reminder_failed', license.id, { days_before: threshold, error: errors.join('; ') });
+            continue;
+        }
+
+        await supabase
+            .from('license_reminders')
+            .update({
+                email_status: statusOf(email),
+                sms_status: statusOf(smsResult),
+                error_message: errors.length ? errors.join('; ') : null
+            })
+            .eq('id', reminder.id);
+
+        await notifyOrgAdmins(license.id, {
+            title: 'License Expiring Soon',
+            message: `Your license expires in ${dayText} (${expiryText}). Renew to avoid interruption.`,
+            priority: threshold === 1 ? 'urgent' : 'high'
+        });
+
+        if (email.success || smsResult.success) sent++;
+        else failed++;
+
+        logger.license('renewal_reminder', license.id, { days_before: threshold, email: statusOf(email), sms: statusOf(smsResult) });
+    }
+
+    return { sent, failed };
+}
+
+/**
+ * Open the month's license_usage rows and recompute companies / users
+ * Voucher and SMS counters of an existing row are left untouched.
+ *
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { month, updated }
+ */
+async function rollUpUsage(now = new Date()) {
+    const supabase = getSupabaseClient();
+    const month = now.toISOString().slice(0, 7);
+
+    const { data: orgs, error } = await supabase
+        .from('licensed_orgs')
+        .select('id, license_id, licenses!inner(status)')
+        .eq('licenses.status', 'active');
+
+    if (error) throw error;
+
+    let updated = 0;
+    for (const org of orgs || []) {
+        const [companies, users] = await Promise.all([
+            supabase.from('companies').select('*', { count: 'exact', head: true }).eq('org_id', org.id),
+            supabase.from('users').select('*', { count: 'exact', head: true }).eq('org_id', org.id)
+        ]);
+
+        const { error: upsertError } = await supabase
+            .from('license_usage')
+            .upsert({
+                license_id: org.license_id,
+                month,
+                companies_count: companies.count || 0,
+                users_count: users.count || 0,
+                updated_at: new Date().toISOString()
+            }, { onConflict: 'license_id,month' });
+
+        if (upsertError) {
+            logger.error('License usage rollup failed', { licenseId: org.license_id, error: upsertError.message });
+            continue;
+        }
+        updated++;
+    }
+
+    return { month, updated };
+}
+
+const JOBS = {
+    expire: expireLicenses,
+    reminders: sendRenewalReminders,
+    usage: rollUpUsage
+};
+
+/**
+ * Run license jobs in order; one failing job does not stop the others
+ *
+ * @param {Object} [options]
+ * @param {Array<string>} [options.jobs] - Subset of 'expire', 'reminders', 'usage'
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} Result (or { error }) per job
+ */
+async function runLicenseJobs({ jobs = Object.keys(JOBS), now = new Date() } = {}) {
+    const results = {};
+
+    for (const name of jobs) {
+        if (!JOBS[name]) {
+            results[name] = { error: 'Unknown job' };
+            continue;
+        }
+        try {
+            results[name] = await JOBS[name](now);
+        } catch (error) {
+            logger.error('License job failed', { job: name, error: error.message });
+            results[name] = { error: error.message };
+        }
+    }
+
+    logger.info('License jobs completed', results);
+    return results;
+}
+
+/**
+ * Milliseconds until the next run at the given UTC hour
+ */
+function msUntilHour(hour, now = new Date()) {
+    const next = new Date(now);
+    next.setUTCHours(hour, 0, 0, 0);
+    if (next <= now) next.setUTCDate(next.getUTCDate() + 1);
+    return next - now;
+}
+
+/**
+ * Start the in-process daily scheduler
+ *
+ * @param {number} [hour] - UTC hour to run at (LICENSE_JOBS_HOUR, default 1)
+ */
+function startScheduler(hour = parseInt(process.env.LICENSE_JOBS_HOUR || '1', 10)) {
+    if (timer) return;
+
+    const scheduleNext = () => {
+        timer = setTimeout(async () => {
+            await runLicenseJobs();
+            scheduleNext();
+        }, msUntilHour(hour));
+        timer.unref();
+    };
+
+    scheduleNext();
+    logger.info('License job scheduler started', { hourUtc: hour });
+}
+
+/**
+ * Stop the in-process scheduler
+ */
+function stopScheduler() {
+    clearTimeout(timer);
+    timer = null;
+}
+
+module.exports = {
+    REMINDER_DAYS,
+    JOB_NAMES: Object.keys(JOBS),
+    expireLicenses,
+    sendRenewalReminders,
+    rollUpUsage,
+    runLicenseJobs,
+    startScheduler,
+    stopScheduler
+};
@@ -0,0 +1,262 @@
+/**
+ * FoodStream Ltd. - In-App Notification Service
+ *
+ * Writes rows to the notifications table and fans voucher lifecycle
+ * events out to the users who need to act on them. The same events are
+ * emailed (see emailService) unless the organization turned
+ * settings.email_notifications off.
+ *
+ * @module services/notificationService
+ */
+
+const { getSupabaseClient } = require('../config/database');
+const approvalChainService = require('./approvalChainService');
+const emailService = require('./emailService');
+const logger = require('../utils/logger');
+
+/**
+ * Create one notification per recipient
+ * Failures are logged and swallowed so they never break the calling request.
+ *
+ * @param {Array<string>} userIds - Recipient user UUIDs
+ * @param {Object} notification
+ * @param {string} notification.org_id - Organization UUID
+ * @param {string} notification.title - Short title
+ * @param {string} notification.message - Body text
+ * @param {string} notification.notification_type - 'voucher_approval', 'voucher_completed', 'system', 'license_expiry', ...
+ * @param {string} [notification.context_type] - e.g. 'voucher'
+ * @param {string} [notification.context_id] - Context UUID
+ * @param {string} [notification.action_url] - Client URL to open
+ * @param {string} [notification.priority] - 'low', 'normal', 'high', 'urgent'
+ * @returns {Promise<number>} Number of notifications written
+ */
+async function notifyUsers(userIds, notification) {
+    const recipients = [...new Set((userIds || []).filter(Boolean))];
+    if (recipients.length === 0) return 0;
+
+    try {
+        const supabase = getSupabaseClient();
+        const rows = recipients.map(userId => ({
+            org_id: notification.org_id,
+            user_id: userId,
+            title: notification.title,
+            message: notification.message,
+            notification_type: notification.notification_type,
+            context_type: notification.context_type || null,
+            context_id: notification.context_id || null,
+            action_url: notification.action_url || null,
+            priority: notification.priority || 'normal'
+        }));
+
+        const { error } = await supabase.from('notifications').insert(rows);
+        if (error) throw error;
+
+        return rows.length;
+    } catch (error) {
+        logger.error('Failed to create notifications', {
+            error: error.message,
+            type: notification.notification_type,
+            recipients: recipients.length
+        });
+        return 0;
+    }
+}
+
+/**
+ * Common context fields for a voucher notification
+ */
+function voucherContext(voucher) {
+    return {
+        org_id: voucher.org_id,
+        context_type: 'voucher',
+        context_id: voucher.id,
+        action_url: `/vouchers/${voucher.id}`
+    };
+}
+
+/**
+ * Format an amount for notification text
+ */
+function formatAmount(amount) {
+    return parseFloat(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+/**
+ * Notify the users eligible to sign off the voucher's next approval level
+ *
+ * @param {Object} voucher - Voucher row (with approval_levels / current_approval_level)
+ * @param {string} [actorId] - User who triggered the event (not notified)
+ * @returns {Promise<number>} Number of notifications written
+ */
+async function notifyApprovers(voucher, actorId = null) {
+    try {
+        const supabase = getSupabaseClient();
+        const levels = approvalChainService.getVoucherLevels(voucher);
+        const level = levels[voucher.current_approval_level || 0];
+        if (!level) return 0;
+
+        const { data: users, error } = await supabase
+            .from('users')
+            .select('id, company_id, full_name, email')
+            .eq('org_id', voucher.org_id)
+            .eq('status', 'active')
+            .in('role', level.roles);
+
+        if (error) throw error;
+
+        const approvers = (users || [])
+            .filter(u => !u.company_id || u.company_id === voucher.company_id)
+            .filter(u => u.id !== actorId && u.id !== voucher.created_by);
+
+        const flagged = (voucher.risk_flags || []).map(flag => flag.message).join('; ');
+        const stageLabel = levels.length > 1 ? `level ${level.level} of ${levels.length}` : null;
+        const stage = stageLabel ? ` (${stageLabel})` : '';
+
+        for (const approver of approvers.filter(u => u.email)) {
+            await emailService.sendTemplate('approval_request', {
+                recipientName: approver.full_name,
+                voucher,
+                stage: stageLabel
+            }, { to: approver.email, orgId: voucher.org_id, contextType: 'voucher', contextId: voucher.id });
+        }
+
+        return await notifyUsers(approvers.map(u => u.id), {
+            ...voucherContext(voucher),
+            title: 'Voucher Pending Approval',
+            message: `Voucher ${voucher.voucher_number} for ${formatAmount(voucher.amount)} to ${voucher.payee_name || 'payee'} requires your approval${stage}${flagged ? `. ${flagged}` : ''}`,
+            notification_type: 'voucher_approval',
+            priority: flagged || levels.length > 1 ? 'high' : 'normal'
+        });
+    } catch (error) {
+        logger.error('Failed to notify approvers', { error: error.message, voucher_id: voucher.id });
+        return 0;
+    }
+}
+
+/**
+ * Templates for notices sent to the voucher creator
+ */
+const CREATOR_NOTICES = {
+    approved: {
+        title: 'Voucher Approved',
+        notification_type: 'voucher_approved',
+        priority: 'normal',
+        message: (v) => `Voucher ${v.voucher_number} for ${formatAmount(v.amount)} has been approved and is ready for payee OTP verification`
+    },
+    rejected: {
+        title: 'Voucher Rejected',
+        notification_type: 'voucher_rejected',
+        priority: 'high',
+        message: (v, reason) => `Voucher ${v.voucher_number} was rejected${reason ? `: ${reason}` : ''}`
+    },
+    completed: {
+        title: 'Payment Completed',
+        notification_type: 'voucher_completed',
+        priority: 'normal',
+        message: (v) => `Voucher ${v.voucher_number} for ${formatAmount(v.amount)} was verified by the payee and completed`
+    },
+    cancelled: {
+        title: 'Voucher Cancelled',
+        notification_type: 'voucher_cancelled',
+        priority: 'normal',
+        message: (v, reason) => `Voucher ${v.voucher_number} was cancelled${reason ? `: ${reason}` : ''}`
+    },
+    paid: {
+        title: 'Voucher Paid',
+        notification_type: 'voucher_paid',
+        priority: 'normal',
+        message: (v) => `Voucher ${v.voucher_number} for ${formatAmount(v.amount)} was paid (ref ${v.transaction_reference})`
+    },
+    payment_failed: {
+        title: 'Payment Failed',
+        notification_type: 'voucher_payment_failed',
+        priority: 'high',
+        message: (v, reason) => `Payment of voucher ${v.voucher_number} failed${reason ? `: ${reason}` : ''}`
+    }
+};
+
+/**
+ * Email a creator notice to the voucher creator
+ */
+async function emailCreator(voucher, notice, reason) {
+    try {
+        const { data: creator } = await getSupabaseClient()
+            .from('users')
+            .select('full_name, email')
+            .eq('id', voucher.created_by)
+            .maybeSingle();
+
+        if (!creator?.email) return;
+
+        await emailService.sendTemplate('voucher_decision', {
+            recipientName: creator.full_name,
+            voucher,
+            title: notice.title,
+            message: notice.message(voucher, null),
+            reason
+        }, { to: creator.email, orgId: voucher.org_id, contextType: 'voucher', contextId: voucher.id });
+    } catch (error) {
+        logger.error('Failed to email voucher creator', { error: error.message, voucher_id: voucher.id });
+    }
+}
+
+/**
+ * Notify the voucher creator that their voucher was decided
+ *
+ * @param {Object} voucher - Voucher row
+ * @param {string} event - Key of CREATOR_NOTICES, e.g. 'approved' or 'paid'
+ * @param {Object} [options]
+ * @param {string} [options.actorId] - User who made the decision (not notified)
+ * @param {string} [options.reason] - Rejection / cancellation / payment failure reason
+ * @returns {Promise<number>} Number of notifications written
+ */
+async function notifyCreator(voucher, event, { actorId = null, reason = null } = {}) {
+    const notice = CREATOR_NOTICES[event];
+    if (!notice || !voucher.created_by || voucher.created_by === actorId) return 0;
+
+    await emailCreator(voucher, notice, reason);
+
+    return notifyUsers([voucher.created_by], {
+        ...voucherContext(voucher),
+        title: notice.title,
+        message: notice.message(voucher, reason),
+        notification_type: notice.notification_type,
+        priority: notice.priority
+    });
+}
+
+/**
+ * Email the payee a remittance advice for a paid voucher
+ *
+ * @param {Object} voucher - Paid voucher row
+ * @returns {Promise<Object>} emailService result
+ */
+async function sendRemittanceAdvice(voucher) {
+    try {
+        const supabase = getSupabaseClient();
+        const [{ data: payee }, { data: company }] = await Promise.all([
+            supabase.from('payees').select('name, email').eq('id', voucher.payee_id).maybeSingle(),
+            supabase.from('companies').select('name').eq('id', voucher.company_id).maybeSingle()
+        ]);
+
+        if (!payee?.email) {
+            return { success: false, skipped: true, error: 'Payee has no email address' };
+        }
+
+        return await emailService.sendTemplate('remittance_advice', {
+            payeeName: payee.name,
+            voucher,
+            companyName: company?.name || 'We'
+        }, { to: payee.email, orgId: voucher.org_id, contextType: 'voucher', contextId: voucher.id });
+    } catch (error) {
+        logger.error('Failed to send remittance advice', { error: error.message, voucher_id: voucher.id });
+        return { success: false, error: error.message };
+    }
+}
+
+module.exports = {
+    notifyUsers,
+    notifyApprovers,
+    notifyCreator,
+    sendRemittanceAdvice
+};
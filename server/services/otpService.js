@@ -0,0 +1,283 @@
+/**
+ * FoodStream Ltd. - OTP Service
+ *
+ * Provider-agnostic one-time passwords backed by the otp_verifications
+ * table. Codes are generated here, stored only as HMAC-SHA256 hashes and
+ * delivered through whichever SMS provider the organization uses, or by
+ * email, so expiry, attempt counting and lockout are enforced in one place.
+ * Email codes are still scoped to the mobile they were issued for.
+ *
+ * @module services/otpService
+ */
+
+const crypto = require('crypto');
+const { getSupabaseClient } = require('../config/database');
+const SMSService = require('./smsService');
+const emailService = require('./emailService');
+const logger = require('../utils/logger');
+
+const OTP_LENGTH = 6;
+const DEFAULT_TTL_MINUTES = 10;
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+/**
+ * OTP purposes and the SMS template used to deliver each
+ */
+const OTP_TYPES = {
+    registration: 'otp_registration',
+    login: 'otp_login',
+    password_reset: 'otp_password_reset',
+    payee_approval: 'otp_payment_verification',
+    payee_bank_change: 'otp_bank_change'
+};
+
+/**
+ * Purposes that may be requested through the public /api/auth/otp endpoints
+ * Reset codes are bound to the account and go through /api/auth/password.
+ */
+const PUBLIC_OTP_TYPES = ['registration', 'login'];
+
+/**
+ * Delivery channels
+ */
+const OTP_CHANNELS = ['sms', 'email'];
+
+/**
+ * What the code is for, as shown in the OTP email
+ */
+const OTP_PURPOSES = {
+    registration: 'complete your registration',
+    login: 'sign in',
+    password_reset: 'reset your password',
+    payee_approval: 'confirm receipt of the payment',
+    payee_bank_change: 'confirm the change to your bank details'
+};
+
+/**
+ * Hash a code for storage
+ * Keyed by OTP_SECRET (falls back to JWT_SECRET) and salted with the
+ * recipient, so a leaked table cannot be brute-forced offline.
+ */
+function hashCode(code, mobile) {
+    const secret = process.env.OTP_SECRET || process.env.JWT_SECRET || 'foodstream-otp';
+    return crypto.createHmac('sha256', secret).update(`${mobile}:${code}`).digest('hex');
+}
+
+/**
+ * Generate a numeric code with a CSPRNG
+ */
+function generateCode(length = OTP_LENGTH) {
+    return crypto.randomInt(0, 10 ** length).toString().padStart(length, '0');
+}
+
+/**
+ * Scope a query on otp_verifications to one recipient / purpose / context
+ * Without a contextId only unbound OTPs match, so a public request cannot
+ * supersede or use a code bound to a voucher or user (e.g. a 2FA SMS code).
+ */
+function scopeQuery(query, { mobile, otpType, contextId }) {
+    let scoped = query.eq('mobile', mobile);
+    scoped = Array.isArray(otpType) ? scoped.in('otp_type', otpType) : scoped.eq('otp_type', otpType);
+    return contextId ? scoped.eq('context_id', contextId) : scoped.is('context_id', null);
+}
+
+/**
+ * Create a new OTP, superseding any pending one for the same scope
+ *
+ * @param {Object} params
+ * @param {string} params.mobile - Recipient mobile
+ * @param {string} params.otpType - Key of OTP_TYPES
+ * @param {string} [params.contextId] - voucher_id or user_id the OTP is bound to
+ * @param {string} [params.orgId] - Organization UUID
+ * @param {string} [params.email] - Recipient email
+ * @param {number} [params.ttlMinutes=10] - Validity window
+ * @param {number} [params.maxAttempts=3] - Wrong guesses allowed before lockout
+ * @returns {Promise<Object>} { id, code, expires_at }
+ */
+async function issueOTP({ mobile, otpType, contextId = null, orgId = null, email = null, ttlMinutes = DEFAULT_TTL_MINUTES, maxAttempts = DEFAULT_MAX_ATTEMPTS }) {
+    if (!OTP_TYPES[otpType]) {
+        throw new Error(`Unsupported OTP type: ${otpType}`);
+    }
+
+    const supabase = getSupabaseClient();
+    const now = new Date();
+
+    // Only the most recent code for a scope is usable
+    await scopeQuery(
+        supabase.from('otp_verifications').update({ expires_at: now.toISOString() }),
+        { mobile, otpType, contextId }
+    )
+        .eq('verified', false)
+        .gt('expires_at', now.toISOString());
+
+    const code = generateCode();
+    const expiresAt = new Date(now.getTime() + ttlMinutes * 60 * 1000);
+
+    const { data, error } = await supabase
+        .from('otp_verifications')
+        .insert({
+            mobile,
+            email,
+            otp_code: hashCode(code, mobile),
+            otp_type: otpType,
+            context_id: contextId,
+            org_id: orgId,
+            max_attempts: maxAttempts,
+            expires_at: expiresAt.toISOString()
+        })
+        .select('id, expires_at')
+        .single();
+
+    if (error) throw error;
+
+    return { id: data.id, code, expires_at: data.expires_at };
+}
+
+/**
+ * Deliver a code over one channel
+ */
+async function deliver(otp, { mobile, email, otpType, contextId, orgId, ttlMinutes, channel }) {
+    if (channel === 'email') {
+        const result = await emailService.sendTemplate('otp', {
+            code: otp.code,
+            validityMinutes: ttlMinutes,
+            purpose: OTP_PURPOSES[otpType]
+        }, { to: email, orgId, contextType: 'otp', contextId: otp.id, force: true });
+
+        return { ...result, provider: 'email' };
+    }
+
+    const smsService = orgId ? await SMSService.forOrganization(orgId) : SMSService.createDefault();
+    const result = await smsService.sendOTP(mobile, OTP_TYPES[otpType], [otp.code, `${ttlMinutes} min`], contextId);
+
+    return { ...result, provider: result.provider || smsService.provider };
+}
+
+/**
+ * Issue an OTP and deliver it by SMS through the organization's provider,
+ * or by email
+ *
+ * @param {Object} params - Same as issueOTP, plus:
+ * @param {string} [params.channel='sms'] - 'sms' or 'email' (requires params.email)
+ * @returns {Promise<Object>} { success, otp_id?, expires_at?, channel?, error? }
+ */
+async function sendOTP(params) {
+    const { otpType, contextId = null, orgId = null, email = null, ttlMinutes = DEFAULT_TTL_MINUTES, channel = 'sms' } = params;
+
+    if (!OTP_CHANNELS.includes(channel)) {
+        return { success: false, error: `channel must be one of: ${OTP_CHANNELS.join(', ')}` };
+    }
+    if (channel === 'email' && !email) {
+        return { success: false, error: 'An email address is required to send the OTP by email' };
+    }
+
+    const otp = await issueOTP(params);
+    const result = await deliver(otp, { ...params, contextId, orgId, ttlMinutes, channel });
+
+    if (!result.success) {
+        // Undeliverable codes must not stay valid
+        await getSupabaseClient()
+            .from('otp_verifications')
+            .update({ expires_at: new Date().toISOString() })
+            .eq('id', otp.id);
+
+        logger.error('OTP delivery failed', { otpType, orgId, channel, error: result.error });
+        return { success: false, error: result.error || 'Failed to send OTP' };
+    }
+
+    logger.info('OTP sent', { otpType, orgId, contextId, channel, provider: result.provider });
+
+    return { success: true, otp_id: otp.id, expires_at: otp.expires_at, channel };
+}
+
+/**
+ * Verify a code against the latest OTP for a scope
+ * Wrong guesses count against max_attempts; once reached the OTP is
+ * locked and a new one has to be requested.
+ *
+ * @param {Object} params
+ * @param {string} params.mobile - Recipient mobile
+ * @param {string|Array<string>} params.otpType - OTP type(s) to match
+ * @param {string} [params.contextId] - Bound context
+ * @param {string} params.code - Code entered by the user
+ * @returns {Promise<Object>} { success, otp?, error?, code?, attempts_remaining? }
+ */
+async function verifyOTP({ mobile, otpType, contextId = null, code }) {
+    const supabase = getSupabaseClient();
+
+    const { data: otp, error } = await scopeQuery(
+        supabase.from('otp_verifications').select('*'),
+        { mobile, otpType, contextId }
+    )
+        .eq('verified', false)
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+    if (error) throw error;
+
+    if (!otp) {
+        return { success: false, error: 'No OTP pending. Please request a new OTP.', code: 'OTP_NOT_FOUND' };
+    }
+
+    if (new Date(otp.expires_at) <= new Date()) {
+        return { success: false, error: 'OTP expired. Please request a new OTP.', code: 'OTP_EXPIRED' };
+    }
+
+    const maxAttempts = otp.max_attempts || DEFAULT_MAX_ATTEMPTS;
+    if (otp.attempts >= maxAttempts) {
+        return { success: false, error: 'Too many incorrect attempts. Please request a new OTP.', code: 'OTP_LOCKED' };
+    }
+
+    const expected = Buffer.from(otp.otp_code, 'hex');
+    const actual = Buffer.from(hashCode(String(code || '').trim(), mobile), 'hex');
+    const matches = expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+
+    if (!matches) {
+        const attempts = otp.attempts + 1;
+
+        // Guard on the previous count so concurrent guesses cannot share an attempt
+        const { data: counted } = await supabase
+            .from('otp_verifications')
+            .update({ attempts })
+            .eq('id', otp.id)
+            .eq('attempts', otp.attempts)
+            .select('id')
+            .maybeSingle();
+
+        if (!counted) {
+            return { success: false, error: 'Invalid OTP', code: 'OTP_INVALID' };
+        }
+
+        const remaining = Math.max(maxAttempts - attempts, 0);
+        logger.security('otp_failed', remaining === 0 ? 'high' : 'low', { otpType: otp.otp_type, contextId: otp.context_id, attempts, locked: remaining === 0 });
+
+        return remaining === 0
+            ? { success: false, error: 'Too many incorrect attempts. Please request a new OTP.', code: 'OTP_LOCKED', attempts_remaining: 0 }
+            : { success: false, error: 'Invalid OTP', code: 'OTP_INVALID', attempts_remaining: remaining };
+    }
+
+    // Single use: only one request can flip verified
+    const { data: verified } = await supabase
+        .from('otp_verifications')
+        .update({ verified: true, verified_at: new Date().toISOString() })
+        .eq('id', otp.id)
+        .eq('verified', false)
+        .select()
+        .maybeSingle();
+
+    if (!verified) {
+        return { success: false, error: 'OTP already used. Please request a new OTP.', code: 'OTP_NOT_FOUND' };
+    }
+
+    return { success: true, otp: verified };
+}
+
+module.exports = {
+    OTP_TYPES,
+    PUBLIC_OTP_TYPES,
+    OTP_CHANNELS,
+    issueOTP,
+    sendOTP,
+    verifyOTP
+};
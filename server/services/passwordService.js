@@ -0,0 +1,515 @@
+/**
+ * FoodStream Ltd. - Password Service
+ *
+ * Password policy, account lockout and the password lifecycle (change,
+ * forgot/reset by OTP, admin-forced reset). Every event is written to
+ * user_security_events.
+ *
+ * The policy defaults live in DEFAULT_POLICY. Organizations override them
+ * in licensed_orgs.settings.password_policy, e.g.
+ *   { "min_length": 12, "require_symbol": true, "max_age_days": 90 }
+ *
+ * Lockout is progressive: every lockout_threshold consecutive failures lock
+ * the account, for lockout_minutes the first time and twice as long each
+ * time after that, up to max_lockout_minutes.
+ *
+ * @module services/passwordService
+ */
+
+const { getSupabaseClient } = require('../config/database');
+const encryptionUtil = require('../utils/encryption');
+const sessionService = require('./sessionService');
+const logger = require('../utils/logger');
+
+/**
+ * Policy defaults
+ */
+const DEFAULT_POLICY = {
+    min_length: 8,
+    require_uppercase: true,
+    require_lowercase: true,
+    require_number: true,
+    require_symbol: false,
+    // Previous passwords that cannot be reused (0 allows reuse)
+    history_count: 3,
+    // Days before a password must be changed (0 never expires)
+    max_age_days: 0,
+    lockout_threshold: 5,
+    lockout_minutes: 15,
+    max_lockout_minutes: 1440
+};
+
+const NUMERIC_LIMITS = {
+    min_length: [6, 128],
+    history_count: [0, 24],
+    max_age_days: [0, 3650],
+    lockout_threshold: [3, 20],
+    lockout_minutes: [1, 1440],
+    max_lockout_minutes: [1, 10080]
+};
+
+const BOOLEAN_KEYS = ['require_uppercase', 'require_lowercase', 'require_number', 'require_symbol'];
+
+const MAX_PASSWORD_LENGTH = 128;
+
+/**
+ * Attempts at counting a failed sign-in when other failures race it
+ */
+const MAX_COUNT_RETRIES = 3;
+
+/**
+ * lock_reason of the lockout set by failed sign-ins
+ */
+const FAILED_SIGN_INS = 'failed_sign_ins';
+
+/**
+ * Effective policy: defaults with the organization's overrides applied
+ */
+function resolvePolicy(overrides = {}) {
+    return { ...DEFAULT_POLICY, ...(overrides || {}) };
+}
+
+/**
+ * Validate policy overrides from the settings API
+ *
+ * @returns {Object} { error } or { policy } with only known keys
+ */
+function validatePolicy(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'policy must be an object' };
+    }
+
+    const policy = {};
+    for (const [key, value] of Object.entries(input)) {
+        if (BOOLEAN_KEYS.includes(key)) {
+            if (typeof value !== 'boolean') return { error: `${key} must be true or false` };
+            policy[key] = value;
+        } else if (NUMERIC_LIMITS[key]) {
+            const [min, max] = NUMERIC_LIMITS[key];
+            const number = Number(value);
+            if (!Number.isInteger(number) || number < min || number > max) {
+                return { error: `${key} must be a whole number between ${min} and ${max}` };
+            }
+            policy[key] = number;
+        } else {
+            return { error: `Unknown policy setting ${key}. Settings: ${Object.keys(DEFAULT_POLICY).join(', ')}` };
+        }
+    }
+
+    return { policy };
+}
+
+/**
+ * Password policy of an organization (defaults when orgId is empty)
+ */
+async function getPolicy(orgId) {
+    if (!orgId) return resolvePolicy();
+
+    const { data: org } = await getSupabaseClient()
+        .from('licensed_orgs')
+        .select('settings')
+        .eq('id', orgId)
+        .maybeSingle();
+
+    return resolvePolicy(org?.settings?.password_policy);
+}
+
+/**
+ * Save policy overrides into licensed_orgs.settings.password_policy
+ *
+ * @returns {Promise<Object>} Outcome with status; data is the effective policy
+ */
+async function updatePolicy(orgId, input, actor) {
+    const { error: validationError, policy } = validatePolicy(input);
+    if (validationError) return { success: false, status: 400, error: validationError };
+
+    const supabase = getSupabaseClient();
+    const { data: org } = await supabase
+        .from('licensed_orgs')
+        .select('settings')
+        .eq('id', orgId)
+        .single();
+
+    const merged = { ...(org?.settings?.password_policy || {}), ...policy };
+    const effective = resolvePolicy(merged);
+    if (effective.lockout_minutes > effective.max_lockout_minutes) {
+        return { success: false, status: 400, error: 'lockout_minutes cannot be more than max_lockout_minutes' };
+    }
+
+    const { error } = await supabase
+        .from('licensed_orgs')
+        .update({ settings: { ...(org?.settings || {}), password_policy: merged } })
+        .eq('id', orgId);
+
+    if (error) throw error;
+
+    await recordEvent({ id: actor.user.id, org_id: orgId }, 'password_policy_updated', { ...actor, details: { policy } });
+    logger.audit('password_policy_updated', actor.user.id, { orgId, policy });
+
+    return { success: true, status: 200, message: 'Password policy updated', data: effective };
+}
+
+/**
+ * Problems with a new password under a policy
+ *
+ * @param {string} password
+ * @param {Object} policy - Effective policy
+ * @param {Object} [user] - { username } to keep out of the password
+ * @returns {Array<string>} Empty when the password is acceptable
+ */
+function checkPassword(password, policy, user = {}) {
+    if (typeof password !== 'string' || password.length === 0) return ['Password is required'];
+
+    const errors = [];
+    if (password.length < policy.min_length) errors.push(`Password must be at least ${policy.min_length} characters`);
+    if (password.length > MAX_PASSWORD_LENGTH) errors.push(`Password must be at most ${MAX_PASSWORD_LENGTH} characters`);
+    if (policy.require_uppercase && !/[A-Z]/.test(password)) errors.push('Password must contain an uppercase letter');
+    if (policy.require_lowercase && !/[a-z]/.test(password)) errors.push('Password must contain a lowercase letter');
+    if (policy.require_number && !/[0-9]/.test(password)) errors.push('Password must contain a number');
+    if (policy.require_symbol && !/[^A-Za-z0-9]/.test(password)) errors.push('Password must contain a symbol');
+    if (user.username && user.username.length >= 3 && password.toLowerCase().includes(user.username.toLowerCase())) {
+        errors.push('Password must not contain the username');
+    }
+    return errors;
+}
+
+/**
+ * Whether a password has expired under the policy
+ */
+function isExpired(user, policy) {
+    if (!policy.max_age_days) return false;
+    if (!user.password_changed_at) return true;
+    const ageMs = Date.now() - new Date(user.password_changed_at).getTime();
+    return ageMs > policy.max_age_days * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Record an event in user_security_events
+ *
+ * @param {Object} user - { id, org_id }
+ * @param {string} event
+ * @param {Object} [context] - { user (acting user), ip, userAgent, details }
+ */
+async function recordEvent(user, event, { user: performedBy, ip, userAgent, details } = {}) {
+    const { error } = await getSupabaseClient()
+        .from('user_security_events')
+        .insert({
+            org_id: user.org_id || null,
+            user_id: user.id,
+            event,
+            performed_by: performedBy && performedBy.id !== user.id ? performedBy.id : null,
+            details: details || {},
+            ip_address: ip || null,
+            user_agent: userAgent || null
+        });
+
+    if (error) logger.error('Failed to record security event', { event, userId: user.id, error: error.message });
+}
+
+/**
+ * Whether an account is locked right now
+ */
+function isLocked(user) {
+    return Boolean(user.locked_until && new Date(user.locked_until) > new Date());
+}
+
+/**
+ * Whether a lock also stops sessions that are already signed in
+ * The failed sign-in lockout does not, or wrong passwords would sign the owner out.
+ */
+function locksSessions(user) {
+    return isLocked(user) && user.lock_reason !== FAILED_SIGN_INS;
+}
+
+/**
+ * Count a failed sign-in and lock the account when the threshold is reached
+ *
+ * @param {Object} user - users row
+ * @param {Object} client - { ip, userAgent }
+ * @returns {Promise<{ locked: boolean, lockedUntil?: string }>}
+ */
+async function registerFailedLogin(user, client = {}) {
+    const supabase = getSupabaseClient();
+    const policy = await getPolicy(user.org_id);
+    let current = user.failed_login_attempts || 0;
+
+    // Guard on the previous count so concurrent failures are each counted;
+    // a lost race re-reads the count and tries again
+    for (let tries = 0; tries < MAX_COUNT_RETRIES; tries++) {
+        const attempts = current + 1;
+        const updates = { failed_login_attempts: attempts };
+
+        let lockedUntil = null;
+        if (attempts % policy.lockout_threshold === 0) {
+            const lockouts = attempts / policy.lockout_threshold;
+            const minutes = Math.min(policy.lockout_minutes * 2 ** (lockouts - 1), policy.max_lockout_minutes);
+            lockedUntil = new Date(Date.now() + minutes * 60 * 1000).toISOString();
+            updates.locked_until = lockedUntil;
+            updates.lock_reason = FAILED_SIGN_INS;
+        }
+
+        const { data: counted } = await supabase
+            .from('users')
+            .update(updates)
+            .eq('id', user.id)
+            .eq('failed_login_attempts', current)
+            .select('id');
+
+        if (counted && counted.length > 0) {
+            await recordEvent(user, 'login_failed', { ...client, details: { attempts } });
+
+            if (lockedUntil) {
+                await recordEvent(user, 'account_locked', { ...client, details: { attempts, locked_until: lockedUntil } });
+                logger.security('account_locked', 'high', { userId: user.id, attempts, lockedUntil, ip: client.ip });
+                return { locked: true, lockedUntil };
+            }
+            return { locked: false };
+        }
+
+        const { data: latest } = await supabase
+            .from('users')
+            .select('failed_login_attempts, locked_until')
+            .eq('id', user.id)
+            .maybeSingle();
+
+        if (!latest) return { locked: false };
+        if (isLocked(latest)) return { locked: true, lockedUntil: latest.locked_until };
+        current = latest.failed_login_attempts || 0;
+    }
+
+    logger.warn('Failed login not counted after retries', { userId: user.id });
+    return { locked: false };
+}
+
+/**
+ * Clear failed attempts after a successful sign-in
+ * Marks the password for change when it has expired.
+ *
+ * @returns {Promise<boolean>} Whether the user must change their password
+ */
+async function registerSuccessfulLogin(user) {
+    const policy = await getPolicy(user.org_id);
+    const expired = !user.must_change_password && isExpired(user, policy);
+    const updates = {};
+
+    if (user.failed_login_attempts || user.locked_until) {
+        updates.failed_login_attempts = 0;
+        updates.locked_until = null;
+        updates.lock_reason = null;
+    }
+    if (expired) updates.must_change_password = true;
+
+    if (Object.keys(updates).length > 0) {
+        await getSupabaseClient().from('users').update(updates).eq('id', user.id);
+    }
+    return Boolean(user.must_change_password || expired);
+}
+
+/**
+ * Check a new password against the policy and the password history
+ * Callers that consume something first (a reset OTP) check before that.
+ *
+ * @param {Object} user - users row (with password_hash and password_history)
+ * @param {string} password - New password
+ * @param {Object} [policy] - Effective policy (looked up when omitted)
+ * @returns {Promise<Object|null>} Failure outcome, or null when acceptable
+ */
+async function checkNewPassword(user, password, policy) {
+    const effective = policy || await getPolicy(user.org_id);
+    const errors = checkPassword(password, effective, user);
+    if (errors.length > 0) {
+        return { success: false, status: 400, error: errors[0], code: 'PASSWORD_POLICY', errors };
+    }
+
+    for (const hash of previousHashes(user, effective)) {
+        if (await encryptionUtil.verifyPassword(password, hash)) {
+            return {
+                success: false,
+                status: 400,
+                error: effective.history_count > 1
+                    ? `Password must not be one of your last ${effective.history_count} passwords`
+                    : 'New password must be different from the current one',
+                code: 'PASSWORD_REUSED'
+            };
+        }
+    }
+    return null;
+}
+
+/**
+ * Current and remembered hashes, newest first
+ * The current password can never be reused, even with history_count 0.
+ */
+function previousHashes(user, policy) {
+    const history = Array.isArray(user.password_history) ? user.password_history : [];
+    return [user.password_hash, ...history].filter(Boolean).slice(0, Math.max(policy.history_count, 1));
+}
+
+/**
+ * Set a new password after checking the policy and password history
+ * Also clears must_change_password and any lockout.
+ *
+ * @param {Object} user - users row (with password_hash and password_history)
+ * @param {string} password - New password
+ * @returns {Promise<Object>} Outcome with status
+ */
+async function setPassword(user, password) {
+    const policy = await getPolicy(user.org_id);
+    const rejected = await checkNewPassword(user, password, policy);
+    if (rejected) return rejected;
+
+    const previous = previousHashes(user, policy);
+    const { error } = await getSupabaseClient()
+        .from('users')
+        .update({
+            password_hash: await encryptionUtil.hashPassword(password),
+            password_history: policy.history_count > 0 ? previous.slice(0, policy.history_count) : [],
+            password_changed_at: new Date().toISOString(),
+            must_change_password: false,
+            failed_login_attempts: 0,
+            locked_until: null,
+            lock_reason: null,
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', user.id);
+
+    if (error) throw error;
+    return { success: true, status: 200 };
+}
+
+/**
+ * Change the signed-in user's password
+ * Other sessions are signed out; the current one stays.
+ *
+ * @param {Object} user - users row
+ * @param {Object} input - { currentPassword, newPassword }
+ * @param {Object} actor - { user, ip, userAgent, sessionId }
+ * @returns {Promise<Object>} Outcome with status
+ */
+async function changePassword(user, { currentPassword, newPassword }, actor) {
+    if (!currentPassword || !newPassword) {
+        return { success: false, status: 400, error: 'currentPassword and newPassword are required' };
+    }
+    if (!(await encryptionUtil.verifyPassword(currentPassword, user.password_hash))) {
+        await recordEvent(user, 'password_change_failed', { ...actor, details: { reason: 'wrong_current_password' } });
+        return { success: false, status: 400, error: 'Current password is incorrect', code: 'PASSWORD_INCORRECT' };
+    }
+
+    const outcome = await setPassword(user, newPassword);
+    if (!outcome.success) return outcome;
+
+    const revoked = await sessionService.revokeAllSessions(user.id, 'password_changed', { exceptSessionId: actor.sessionId });
+    await recordEvent(user, 'password_changed', { ...actor, details: { sessions_revoked: revoked } });
+    logger.audit('password_changed', user.id, { sessions_revoked: revoked });
+
+    return { success: true, status: 200, message: 'Password changed' };
+}
+
+/**
+ * Reset a password with a verified reset OTP
+ * Clears any lockout and signs out every session.
+ *
+ * @returns {Promise<Object>} Outcome with status
+ */
+async function resetPassword(user, newPassword, client = {}) {
+    const outcome = await setPassword(user, newPassword);
+    if (!outcome.success) return outcome;
+
+    const revoked = await sessionService.revokeAllSessions(user.id, 'password_reset');
+    await recordEvent(user, 'password_reset', { ...client, details: { sessions_revoked: revoked } });
+    logger.audit('password_reset', user.id, { sessions_revoked: revoked });
+
+    return { success: true, status: 200, message: 'Password reset. Please sign in with your new password.' };
+}
+
+/**
+ * Force a user to choose a new password
+ * Signs them out everywhere; at the next sign-in they can only change
+ * their password (or use forgot password).
+ *
+ * @returns {Promise<Object>} Outcome with status
+ */
+async function forceReset(orgId, userId, actor) {
+    const supabase = getSupabaseClient();
+    const { data: user } = await supabase
+        .from('users')
+        .select('id, org_id, username')
+        .eq('id', userId)
+        .eq('org_id', orgId)
+        .maybeSingle();
+
+    if (!user) return { success: false, status: 404, error: 'User not found' };
+
+    const { error } = await supabase
+        .from('users')
+        .update({ must_change_password: true, updated_at: new Date().toISOString() })
+        .eq('id', user.id);
+
+    if (error) throw error;
+
+    const revoked = await sessionService.revokeAllSessions(user.id, 'password_reset_forced', { performedBy: actor.user.id });
+    await recordEvent(user, 'password_reset_forced', { ...actor, details: { sessions_revoked: revoked } });
+    logger.audit('password_reset_forced', actor.user.id, { targetUserId: user.id });
+
+    return { success: true, status: 200, message: `${user.username} must set a new password at next sign-in` };
+}
+
+/**
+ * Lift a lockout early
+ *
+ * @returns {Promise<Object>} Outcome with status
+ */
+async function unlock(orgId, userId, actor) {
+    const { data: user } = await getSupabaseClient()
+        .from('users')
+        .update({ failed_login_attempts: 0, locked_until: null, lock_reason: null })
+        .eq('id', userId)
+        .eq('org_id', orgId)
+        .select('id, org_id, username')
+        .maybeSingle();
+
+    if (!user) return { success: false, status: 404, error: 'User not found' };
+
+    await recordEvent(user, 'account_unlocked', actor);
+    logger.audit('account_unlocked', actor.user.id, { targetUserId: user.id });
+
+    return { success: true, status: 200, message: `${user.username} unlocked` };
+}
+
+/**
+ * Security events of a user, newest first
+ */
+async function listEvents(orgId, userId, limit = 50) {
+    const { data, error } = await getSupabaseClient()
+        .from('user_security_events')
+        .select('id, event, performed_by, details, ip_address, user_agent, created_at')
+        .eq('org_id', orgId)
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .limit(Math.min(parseInt(limit, 10) || 50, 200));
+
+    if (error) throw error;
+    return data || [];
+}
+
+module.exports = {
+    DEFAULT_POLICY,
+    resolvePolicy,
+    validatePolicy,
+    getPolicy,
+    updatePolicy,
+    checkPassword,
+    isExpired,
+    isLocked,
+    locksSessions,
+    recordEvent,
+    registerFailedLogin,
+    registerSuccessfulLogin,
+    checkNewPassword,
+    setPassword,
+    changePassword,
+    resetPassword,
+    forceReset,
+    unlock,
+    listEvents
+};
@@ -0,0 +1,636 @@
+/**
+ * FoodStream Ltd. - Payee Bank Details Service
+ *
+ * Bank and UPI details (and the registered mobile that confirms them) are
+ * never changed in place. A change request is recorded in
+ * payee_bank_changes, confirmed by an OTP sent to the payee's registered
+ * mobile, and applied only once a second user approves it:
+ *
+ *   pending_otp -> pending_approval -> approved | rejected
+ *   (cancelled by the requester at any point before a decision)
+ *
+ * payee_bank_changes doubles as the payee's bank detail history. Vouchers
+ * raised within the cooling-off window after a change are flagged.
+ *
+ * IFSC codes are checked for format and against the bundled bank list
+ * (server/data/ifscBanks.json). Setting IFSC_BRANCH_FILE to a branch CSV
+ * with an IFSC column (e.g. the RBI / Razorpay IFSC dataset) also checks
+ * the branch.
+ *
+ * @module services/payeeBankService
+ */
+
+const fs = require('fs');
+const { getSupabaseClient } = require('../config/database');
+const otpService = require('./otpService');
+const notificationService = require('./notificationService');
+const usageMeter = require('./usageMeter');
+const IFSC_BANKS = require('../data/ifscBanks.json');
+const logger = require('../utils/logger');
+
+/**
+ * Payee columns that go through a change request
+ */
+const CONTROLLED_FIELDS = ['bank_name', 'account_number', 'ifsc_code', 'account_holder_name', 'upi_id', 'mobile'];
+
+/**
+ * Roles that may approve a change (never the requester)
+ */
+const APPROVER_ROLES = ['super_admin', 'org_admin', 'company_admin', 'approver'];
+
+const OPEN_STATUSES = ['pending_otp', 'pending_approval'];
+
+const DEFAULT_COOLING_OFF_HOURS = 72;
+
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const ACCOUNT_NUMBER_PATTERN = /^\d{9,18}$/;
+const UPI_PATTERN = /^[a-zA-Z0-9._-]{2,256}@[a-zA-Z][a-zA-Z0-9]{1,64}$/;
+
+let branches;
+
+/**
+ * Branch list from IFSC_BRANCH_FILE, loaded once; null when not configured
+ */
+function loadBranches() {
+    if (branches !== undefined) return branches;
+    branches = null;
+
+    const file = process.env.IFSC_BRANCH_FILE;
+    if (!file) return branches;
+
+    try {
+        const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/).filter(Boolean);
+        const columns = splitCsvLine(lines[0]).map(c => c.trim().toUpperCase());
+        const at = name => columns.indexOf(name);
+
+        if (at('IFSC') < 0) throw new Error('IFSC column not found');
+
+        branches = new Map();
+        for (const line of lines.slice(1)) {
+            const cells = splitCsvLine(line);
+            const ifsc = (cells[at('IFSC')] || '').trim().toUpperCase();
+            if (!ifsc) continue;
+            branches.set(ifsc, {
+                bank: cells[at('BANK')] || null,
+                branch: cells[at('BRANCH')] || null,
+                city: cells[at('CITY')] || cells[at('CENTRE')] || null,
+                state: cells[at('STATE')] || null
+            });
+        }
+
+        logger.info('IFSC branch list loaded', { file, branches: branches.size });
+    } catch (error) {
+        logger.error('Failed to load IFSC branch list', { file, error: error.message });
+        branches = null;
+    }
+
+    return branches;
+}
+
+/**
+ * Split one CSV line, honouring double-quoted fields
+ */
+function splitCsvLine(line) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+            else if (char === '"') quoted = false;
+            else cell += char;
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(cell);
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    cells.push(cell);
+    return cells;
+}
+
+/**
+ * Validate an IFSC code
+ * Format: 4-letter bank code, a reserved '0', then a 6-character branch code.
+ *
+ * @param {string} code
+ * @returns {Object} { valid, ifsc, error?, bank_code?, bank?, branch?, city?, state? }
+ */
+function validateIfsc(code) {
+    const ifsc = String(code || '').trim().toUpperCase();
+
+    if (ifsc.length !== 11) {
+        return { valid: false, ifsc, error: 'IFSC must be 11 characters' };
+    }
+    if (ifsc[4] !== '0') {
+        return { valid: false, ifsc, error: 'The fifth character of an IFSC must be 0' };
+    }
+    if (!IFSC_PATTERN.test(ifsc)) {
+        return { valid: false, ifsc, error: 'IFSC must be 4 letters, 0, then 6 letters or digits' };
+    }
+
+    const bankCode = ifsc.slice(0, 4);
+    const bank = IFSC_BANKS[bankCode];
+    const branchList = loadBranches();
+    const branch = branchList ? branchList.get(ifsc) : null;
+
+    if (branchList && !branch) {
+        return { valid: false, ifsc, error: `IFSC ${ifsc} was not found in the branch list` };
+    }
+    if (!bank && !branch) {
+        return { valid: false, ifsc, error: `Unknown bank code ${bankCode}` };
+    }
+
+    return { valid: true, ifsc, bank_code: bankCode, ...(branch || {}), bank: bank || branch?.bank || null };
+}
+
+/**
+ * Normalize and validate controlled fields
+ *
+ * @param {Object} details - Subset of CONTROLLED_FIELDS
+ * @returns {Object} { error } or { details } with normalized values
+ */
+function validateDetails(details) {
+    const normalized = { ...details };
+
+    if (normalized.ifsc_code) {
+        const ifsc = validateIfsc(normalized.ifsc_code);
+        if (!ifsc.valid) return { error: ifsc.error };
+        normalized.ifsc_code = ifsc.ifsc;
+        if (!normalized.bank_name && ifsc.bank) normalized.bank_name = ifsc.bank;
+    }
+
+    if (normalized.account_number) {
+        normalized.account_number = String(normalized.account_number).replace(/\s/g, '');
+        if (!ACCOUNT_NUMBER_PATTERN.test(normalized.account_number)) {
+            return { error: 'account_number must be 9 to 18 digits' };
+        }
+    }
+
+    if (normalized.upi_id) {
+        normalized.upi_id = String(normalized.upi_id).trim();
+        if (!UPI_PATTERN.test(normalized.upi_id)) {
+            return { error: 'upi_id must look like name@bank' };
+        }
+    }
+
+    if (normalized.mobile !== undefined) {
+        normalized.mobile = String(normalized.mobile || '').replace(/[\s\-()]/g, '').substring(0, 20);
+        if (!normalized.mobile) return { error: 'mobile cannot be empty' };
+    }
+
+    return { details: normalized };
+}
+
+/**
+ * Controlled fields in an update that differ from the payee's current values
+ */
+function changedFields(payee, updates) {
+    const changes = {};
+    for (const field of CONTROLLED_FIELDS) {
+        if (updates[field] === undefined) continue;
+        const next = comparable(field, updates[field]);
+        if (comparable(field, payee[field]) !== next) changes[field] = next;
+    }
+    return changes;
+}
+
+/**
+ * A controlled value as stored, so formatting differences are not changes
+ */
+function comparable(field, value) {
+    if (value === undefined || value === null || value === '') return null;
+    const text = String(value).trim();
+    if (field === 'mobile') return text.replace(/[\s\-()]/g, '').substring(0, 20);
+    if (field === 'ifsc_code') return text.toUpperCase();
+    if (field === 'account_number') return text.replace(/\s/g, '');
+    return text;
+}
+
+/**
+ * Snapshot of a payee's controlled fields
+ */
+function snapshot(payee) {
+    return Object.fromEntries(CONTROLLED_FIELDS.map(field => [field, payee[field] ?? null]));
+}
+
+/**
+ * Cooling-off window in hours for an organization
+ */
+function coolingOffHours(settings) {
+    const hours = settings?.payee_bank_cooling_off_hours ?? process.env.PAYEE_BANK_COOLING_OFF_HOURS;
+    const parsed = parseFloat(hours);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : DEFAULT_COOLING_OFF_HOURS;
+}
+
+/**
+ * Risk flag for a voucher to a payee whose bank details changed recently
+ *
+ * @param {Object} payee - Payee row with bank_details_changed_at
+ * @param {Object} [settings] - licensed_orgs.settings
+ * @param {Date} [now]
+ * @returns {Object|null} Flag, or null outside the cooling-off window
+ */
+function coolingOffFlag(payee, settings, now = new Date()) {
+    if (!payee?.bank_details_changed_at) return null;
+
+    const hours = coolingOffHours(settings);
+    const changedAt = new Date(payee.bank_details_changed_at);
+    const until = new Date(changedAt.getTime() + hours * 60 * 60 * 1000);
+    if (now >= until) return null;
+
+    return {
+        code: 'PAYEE_BANK_CHANGED',
+        severity: 'high',
+        message: `Payee bank details were changed on ${changedAt.toISOString().slice(0, 16).replace('T', ' ')} UTC, within the ${hours}-hour cooling-off period`,
+        changed_at: changedAt.toISOString(),
+        cooling_off_until: until.toISOString()
+    };
+}
+
+/**
+ * Load a change request of the organization
+ */
+async function findChange(orgId, changeId) {
+    const { data } = await getSupabaseClient()
+        .from('payee_bank_changes')
+        .select('*, payee:payees(id, name, mobile, company_id)')
+        .eq('id', changeId)
+        .eq('org_id', orgId)
+        .maybeSingle();
+
+    return data || null;
+}
+
+/**
+ * Move a change on from one of the given statuses
+ * Returns null when another request moved it first.
+ */
+async function updateChange(changeId, fromStatuses, fields) {
+    const { data, error } = await getSupabaseClient()
+        .from('payee_bank_changes')
+        .update(fields)
+        .eq('id', changeId)
+        .in('status', fromStatuses)
+        .select()
+        .maybeSingle();
+
+    if (error) throw error;
+    return data || null;
+}
+
+const changeMoved = () => ({ success: false, status: 409, error: 'The change was updated by another request. Reload and try again.', code: 'BANK_CHANGE_CONFLICT' });
+
+/**
+ * Send the confirmation OTP to the mobile registered before the change
+ * Counts against the organization's SMS credits like other billed SMS.
+ */
+async function sendChangeOtp(change) {
+    const exceeded = await usageMeter.checkOrgQuota(change.org_id, 'sms');
+    if (exceeded) return exceeded;
+
+    return otpService.sendOTP({
+        mobile: change.old_details.mobile,
+        otpType: 'payee_bank_change',
+        contextId: change.id,
+        orgId: change.org_id
+    });
+}
+
+/**
+ * Tell the users who can approve that a change is waiting
+ */
+async function notifyApprovers(change, payee) {
+    try {
+        const { data: users } = await getSupabaseClient()
+            .from('users')
+            .select('id, company_id')
+            .eq('org_id', change.org_id)
+            .eq('status', 'active')
+            .in('role', APPROVER_ROLES.filter(role => role !== 'super_admin'));
+
+        const recipients = (users || [])
+            .filter(u => !u.company_id || u.company_id === payee.company_id)
+            .map(u => u.id)
+            .filter(id => id !== change.requested_by);
+
+        await notificationService.notifyUsers(recipients, {
+            org_id: change.org_id,
+            title: 'Payee Bank Change Pending',
+            message: `Bank details of ${payee.name} were changed (${Object.keys(change.new_details).join(', ')}) and need your approval`,
+            notification_type: 'payee_bank_change',
+            context_type: 'payee',
+            context_id: payee.id,
+            action_url: `/payees/${payee.id}`,
+            priority: 'high'
+        });
+    } catch (error) {
+        logger.error('Failed to notify bank change approvers', { error: error.message, change_id: change.id });
+    }
+}
+
+/**
+ * Whether the organization confirms changes with the payee by OTP
+ */
+async function otpRequired(orgId) {
+    const { data: org } = await getSupabaseClient()
+        .from('licensed_orgs')
+        .select('settings')
+        .eq('id', orgId)
+        .maybeSingle();
+
+    return org?.settings?.require_payee_verification !== false;
+}
+
+/**
+ * Record the details a payee was created with as the start of its history
+ */
+async function recordInitialDetails(payee, userId) {
+    const details = snapshot(payee);
+    if (!CONTROLLED_FIELDS.some(field => field !== 'mobile' && details[field])) return;
+
+    const { error } = await getSupabaseClient()
+        .from('payee_bank_changes')
+        .insert({
+            org_id: payee.org_id,
+            payee_id: payee.id,
+            old_details: {},
+            new_details: details,
+            status: 'initial',
+            requested_by: userId,
+            approved_by: userId,
+            decided_at: new Date().toISOString()
+        });
+
+    if (error) logger.error('Failed to record initial payee bank details', { error: error.message, payee_id: payee.id });
+}
+
+/**
+ * Open a change request for a payee's controlled fields
+ *
+ * @param {Object} payee - Current payee row
+ * @param {Object} changes - Controlled fields to change (see changedFields)
+ * @param {Object} user - Requesting user
+ * @param {string} [reason] - Why the details changed
+ * @returns {Promise<Object>} Outcome with status
+ */
+async function requestChange(payee, changes, user, reason = null) {
+    if (Object.keys(changes).length === 0) {
+        return { success: false, status: 400, error: 'No bank details changed' };
+    }
+
+    const validation = validateDetails(changes);
+    if (validation.error) {
+        return { success: false, status: 400, error: validation.error, code: 'INVALID_BANK_DETAILS' };
+    }
+
+    const supabase = getSupabaseClient();
+
+    const { data: open } = await supabase
+        .from('payee_bank_changes')
+        .select('id, status')
+        .eq('payee_id', payee.id)
+        .in('status', OPEN_STATUSES)
+        .limit(1)
+        .maybeSingle();
+
+    if (open) {
+        return {
+            success: false,
+            status: 409,
+            error: 'A bank detail change is already pending for this payee',
+            code: 'BANK_CHANGE_PENDING',
+            data: open
+        };
+    }
+
+    const needsOtp = await otpRequired(payee.org_id);
+
+    const { data: change, error } = await supabase
+        .from('payee_bank_changes')
+        .insert({
+            org_id: payee.org_id,
+            payee_id: payee.id,
+            old_details: snapshot(payee),
+            new_details: validation.details,
+            status: needsOtp ? 'pending_otp' : 'pending_approval',
+            reason,
+            requested_by: user.id
+        })
+        .select()
+        .single();
+
+    if (error) {
+        if (error.code === '23505') {
+            return { success: false, status: 409, error: 'A bank detail change is already pending for this payee', code: 'BANK_CHANGE_PENDING' };
+        }
+        throw error;
+    }
+
+    logger.audit('payee_bank_change_requested', user.id, { payeeId: payee.id, changeId: change.id, fields: Object.keys(validation.details) });
+
+    if (!needsOtp) {
+        await notifyApprovers(change, payee);
+        return { success: true, status: 202, message: 'Bank detail change is waiting for approval', data: change };
+    }
+
+    const otp = await sendChangeOtp(change);
+
+    return {
+        success: true,
+        status: 202,
+        message: otp.success
+            ? 'OTP sent to the payee\'s registered mobile. The change needs OTP confirmation and a second user\'s approval.'
+            : `Change recorded, but the OTP could not be sent: ${otp.error}. Resend it to continue.`,
+        data: { ...change, otp_sent: otp.success, otp_expires_at: otp.expires_at || null }
+    };
+}
+
+/**
+ * Resend the confirmation OTP
+ */
+async function resendOtp(orgId, changeId) {
+    const change = await findChange(orgId, changeId);
+    if (!change) return { success: false, status: 404, error: 'Bank detail change not found' };
+    if (change.status !== 'pending_otp') {
+        return { success: false, status: 400, error: `Change is ${change.status}, not waiting for an OTP` };
+    }
+
+    const otp = await sendChangeOtp(change);
+    if (!otp.success) return { success: false, status: otp.status || 502, error: otp.error, ...(otp.code && { code: otp.code }) };
+
+    return { success: true, status: 200, message: 'OTP sent to the payee\'s registered mobile', data: { expires_at: otp.expires_at } };
+}
+
+/**
+ * Confirm a change with the OTP the payee received
+ */
+async function verifyOtp(orgId, changeId, code, user) {
+    const change = await findChange(orgId, changeId);
+    if (!change) return { success: false, status: 404, error: 'Bank detail change not found' };
+    if (change.status !== 'pending_otp') {
+        return { success: false, status: 400, error: `Change is ${change.status}, not waiting for an OTP` };
+    }
+
+    const result = await otpService.verifyOTP({
+        mobile: change.old_details.mobile,
+        otpType: 'payee_bank_change',
+        contextId: change.id,
+        code
+    });
+
+    if (!result.success) {
+        return {
+            success: false,
+            status: result.code === 'OTP_LOCKED' ? 429 : 400,
+            error: result.error,
+            code: result.code,
+            attempts_remaining: result.attempts_remaining
+        };
+    }
+
+    const updated = await updateChange(change.id, ['pending_otp'], { status: 'pending_approval', otp_verified_at: new Date().toISOString() });
+    if (!updated) return changeMoved();
+
+    logger.audit('payee_bank_change_otp_verified', user.id, { payeeId: change.payee_id, changeId: change.id });
+    await notifyApprovers(updated, change.payee);
+
+    return { success: true, status: 200, message: 'OTP verified. The change is waiting for approval.', data: updated };
+}
+
+/**
+ * Approve a change and apply it to the payee
+ */
+async function approve(orgId, changeId, user) {
+    const change = await findChange(orgId, changeId);
+    if (!change) return { success: false, status: 404, error: 'Bank detail change not found' };
+
+    if (change.status !== 'pending_approval') {
+        return { success: false, status: 400, error: `Change is ${change.status}, not waiting for approval` };
+    }
+    if (change.requested_by === user.id) {
+        logger.security('payee_bank_change_self_approval', 'high', { userId: user.id, changeId: change.id });
+        return { success: false, status: 403, error: 'A bank detail change must be approved by a different user', code: 'SELF_APPROVAL_NOT_ALLOWED' };
+    }
+    if (user.company_id && change.payee?.company_id && user.company_id !== change.payee.company_id) {
+        return { success: false, status: 403, error: 'Insufficient permissions', code: 'INSUFFICIENT_PERMISSIONS' };
+    }
+
+    const supabase = getSupabaseClient();
+
+    // The change was requested against a snapshot; refuse if the payee moved on since
+    const { data: payee } = await supabase
+        .from('payees')
+        .select('*')
+        .eq('id', change.payee_id)
+        .single();
+
+    const current = snapshot(payee || {});
+    const stale = CONTROLLED_FIELDS.some(field => (current[field] ?? null) !== (change.old_details[field] ?? null));
+    if (stale) {
+        return { success: false, status: 409, error: 'Payee details changed since this request was made. Reject it and request the change again.', code: 'BANK_CHANGE_STALE' };
+    }
+
+    // Claim the change before touching the payee so a concurrent reject, cancel or approval loses
+    const now = new Date().toISOString();
+    const updated = await updateChange(change.id, ['pending_approval'], { status: 'approved', approved_by: user.id, decided_at: now });
+    if (!updated) return changeMoved();
+
+    const { data: updatedPayee, error } = await supabase
+        .from('payees')
+        .update({ ...change.new_details, bank_details_changed_at: now, updated_at: now })
+        .eq('id', change.payee_id)
+        .select()
+        .single();
+
+    if (error) {
+        await updateChange(change.id, ['approved'], { status: 'pending_approval', approved_by: null, decided_at: null });
+        throw error;
+    }
+
+    logger.audit('payee_bank_change_approved', user.id, {
+        payeeId: change.payee_id,
+        changeId: change.id,
+        requestedBy: change.requested_by,
+        fields: Object.keys(change.new_details)
+    });
+
+    return { success: true, status: 200, message: 'Bank details updated', data: { change: updated, payee: updatedPayee } };
+}
+
+/**
+ * Reject a change; the payee keeps its current details
+ */
+async function reject(orgId, changeId, reason, user) {
+    const change = await findChange(orgId, changeId);
+    if (!change) return { success: false, status: 404, error: 'Bank detail change not found' };
+    if (!OPEN_STATUSES.includes(change.status)) {
+        return { success: false, status: 400, error: `Change is already ${change.status}` };
+    }
+    if (!reason) return { success: false, status: 400, error: 'reason is required' };
+
+    const updated = await updateChange(change.id, OPEN_STATUSES, {
+        status: 'rejected',
+        approved_by: user.id,
+        rejection_reason: reason,
+        decided_at: new Date().toISOString()
+    });
+    if (!updated) return changeMoved();
+
+    logger.audit('payee_bank_change_rejected', user.id, { payeeId: change.payee_id, changeId: change.id, reason });
+
+    if (change.requested_by !== user.id) {
+        await notificationService.notifyUsers([change.requested_by], {
+            org_id: change.org_id,
+            title: 'Payee Bank Change Rejected',
+            message: `The bank detail change for ${change.payee?.name || 'a payee'} was rejected: ${reason}`,
+            notification_type: 'payee_bank_change',
+            context_type: 'payee',
+            context_id: change.payee_id,
+            action_url: `/payees/${change.payee_id}`
+        });
+    }
+
+    return { success: true, status: 200, message: 'Bank detail change rejected', data: updated };
+}
+
+/**
+ * Withdraw a change; only the requester may cancel
+ */
+async function cancel(orgId, changeId, user) {
+    const change = await findChange(orgId, changeId);
+    if (!change) return { success: false, status: 404, error: 'Bank detail change not found' };
+    if (!OPEN_STATUSES.includes(change.status)) {
+        return { success: false, status: 400, error: `Change is already ${change.status}` };
+    }
+    if (change.requested_by !== user.id) {
+        return { success: false, status: 403, error: 'Only the user who requested the change can cancel it' };
+    }
+
+    const updated = await updateChange(change.id, OPEN_STATUSES, { status: 'cancelled', decided_at: new Date().toISOString() });
+    if (!updated) return changeMoved();
+    logger.audit('payee_bank_change_cancelled', user.id, { payeeId: change.payee_id, changeId: change.id });
+
+    return { success: true, status: 200, message: 'Bank detail change cancelled', data: updated };
+}
+
+module.exports = {
+    CONTROLLED_FIELDS,
+    APPROVER_ROLES,
+    validateIfsc,
+    validateDetails,
+    changedFields,
+    coolingOffFlag,
+    recordInitialDetails,
+    requestChange,
+    resendOtp,
+    verifyOtp,
+    approve,
+    reject,
+    cancel
+};
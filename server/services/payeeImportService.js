@@ -0,0 +1,423 @@
+/**
+ * FoodStream Ltd. - Payee Import Service
+ *
+ * Bulk-creates payees for one company from a CSV or XLSX file. File
+ * columns are mapped to payee fields (by header name, or an explicit
+ * mapping), each row is validated the same way POST /api/payees validates,
+ * and the result is a per-row report of created / updated / skipped rows.
+ * A dry run builds the same report without writing anything.
+ *
+ * Rows whose mobile already exists for the company (UNIQUE(company_id,
+ * mobile)) are skipped, or with on_conflict 'update' have their
+ * non-banking fields updated. Bank, UPI and mobile changes to existing
+ * payees are never applied by an import; they still need a bank change
+ * request (see payeeBankService).
+ *
+ * @module services/payeeImportService
+ */
+
+const ExcelJS = require('exceljs');
+const { getSupabaseClient } = require('../config/database');
+const payeeBankService = require('./payeeBankService');
+const logger = require('../utils/logger');
+
+const MAX_ROWS = 5000;
+
+const FORMATS = ['csv', 'xlsx'];
+const CONFLICT_MODES = ['skip', 'update'];
+const PAYEE_TYPES = ['vendor', 'employee', 'contractor', 'supplier', 'other'];
+
+/**
+ * Importable payee fields and the header names matched to them
+ * Headers are compared lower-cased with spaces and punctuation as '_'.
+ */
+const FIELDS = {
+    name: ['name', 'payee_name', 'payee'],
+    mobile: ['mobile', 'mobile_number', 'phone', 'phone_number', 'contact_number'],
+    email: ['email', 'email_address'],
+    address: ['address', 'address_line'],
+    city: ['city'],
+    state: ['state'],
+    pincode: ['pincode', 'pin_code', 'postal_code', 'zip'],
+    pan_number: ['pan_number', 'pan', 'pan_no'],
+    gst_number: ['gst_number', 'gst', 'gstin', 'gst_no'],
+    bank_name: ['bank_name', 'bank'],
+    account_number: ['account_number', 'account_no', 'bank_account', 'bank_account_number'],
+    ifsc_code: ['ifsc_code', 'ifsc'],
+    account_holder_name: ['account_holder_name', 'account_holder', 'beneficiary_name'],
+    upi_id: ['upi_id', 'upi', 'vpa'],
+    payee_type: ['payee_type', 'type', 'category'],
+    notes: ['notes', 'remarks']
+};
+
+/**
+ * Fields an import may change on an existing payee
+ */
+const UPDATABLE_FIELDS = Object.keys(FIELDS).filter(field => !payeeBankService.CONTROLLED_FIELDS.includes(field));
+
+const PAN_PATTERN = /^[A-Z]{5}\d{4}[A-Z]$/;
+const GST_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PINCODE_PATTERN = /^\d{6}$/;
+
+const headerKey = value => String(value || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+/**
+ * Parse CSV text into rows of cells (quoted cells may contain commas and newlines)
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    const source = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') { cell += '"'; i++; }
+            else if (char === '"') quoted = false;
+            else cell += char;
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+/**
+ * Display text of an ExcelJS cell value (rich text, hyperlinks, formulas, dates)
+ */
+function cellText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    if (typeof value === 'object') {
+        if (value.richText) return value.richText.map(part => part.text).join('');
+        if (value.text !== undefined) return cellText(value.text);
+        if (value.result !== undefined) return cellText(value.result);
+        return '';
+    }
+    return String(value);
+}
+
+/**
+ * First worksheet of an XLSX file as rows of cells
+ */
+async function parseXlsx(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+
+    const rows = [];
+    sheet.eachRow({ includeEmpty: true }, (row, number) => {
+        const cells = [];
+        for (let col = 1; col <= sheet.columnCount; col++) cells.push(cellText(row.getCell(col).value));
+        rows[number - 1] = cells;
+    });
+
+    return Array.from(rows, row => row || []);
+}
+
+/**
+ * Resolve which file column feeds each payee field
+ *
+ * @param {Array<string>} headers - Header row of the file
+ * @param {Object} [mapping] - { field: 'Header in file' } overrides
+ * @returns {Object} { columns: { field: index } } or { error }
+ */
+function resolveColumns(headers, mapping = {}) {
+    const keys = headers.map(headerKey);
+    const columns = {};
+
+    for (const [field, header] of Object.entries(mapping || {})) {
+        if (!FIELDS[field]) {
+            return { error: `Unknown field ${field} in mapping. Fields: ${Object.keys(FIELDS).join(', ')}` };
+        }
+        const index = keys.indexOf(headerKey(header));
+        if (index < 0) return { error: `Column "${header}" mapped to ${field} was not found in the file` };
+        columns[field] = index;
+    }
+
+    for (const [field, aliases] of Object.entries(FIELDS)) {
+        if (columns[field] !== undefined) continue;
+        const index = keys.findIndex((key, i) => aliases.includes(key) && !Object.values(columns).includes(i));
+        if (index >= 0) columns[field] = index;
+    }
+
+    const missing = ['name', 'mobile'].filter(field => columns[field] === undefined);
+    if (missing.length > 0) {
+        return { error: `No column found for ${missing.join(' and ')}. Map them with the mapping option` };
+    }
+
+    return { columns };
+}
+
+/**
+ * Validate and normalize one row
+ *
+ * @returns {Object} { payee } or { error }
+ */
+function validateRow(values) {
+    const payee = {};
+    for (const [field, value] of Object.entries(values)) {
+        const text = String(value ?? '').trim();
+        if (text) payee[field] = text;
+    }
+
+    if (!payee.name) return { error: 'name is required' };
+    if (!payee.mobile) return { error: 'mobile is required' };
+
+    if (payee.pan_number) {
+        payee.pan_number = payee.pan_number.toUpperCase();
+        if (!PAN_PATTERN.test(payee.pan_number)) return { error: 'pan_number must look like ABCDE1234F' };
+    }
+
+    if (payee.gst_number) {
+        payee.gst_number = payee.gst_number.toUpperCase();
+        if (!GST_PATTERN.test(payee.gst_number)) return { error: 'gst_number must be a 15 character GSTIN' };
+        if (payee.pan_number && payee.gst_number.slice(2, 12) !== payee.pan_number) {
+            return { error: 'gst_number does not contain pan_number' };
+        }
+    }
+
+    if (payee.email && !EMAIL_PATTERN.test(payee.email)) return { error: 'email is not a valid address' };
+    if (payee.pincode && !PINCODE_PATTERN.test(payee.pincode)) return { error: 'pincode must be 6 digits' };
+
+    if (payee.payee_type) {
+        payee.payee_type = payee.payee_type.toLowerCase();
+        if (!PAYEE_TYPES.includes(payee.payee_type)) {
+            return { error: `payee_type must be one of: ${PAYEE_TYPES.join(', ')}` };
+        }
+    }
+
+    // Mobile, IFSC, account number and UPI ID are checked as on POST /api/payees
+    const bank = payeeBankService.validateDetails(payee);
+    if (bank.error) return { error: bank.error };
+
+    return { payee: bank.details };
+}
+
+/**
+ * Existing payees of the company keyed by mobile
+ */
+async function existingPayees(companyId, mobiles) {
+    const supabase = getSupabaseClient();
+    const byMobile = new Map();
+
+    for (let i = 0; i < mobiles.length; i += 200) {
+        const { data, error } = await supabase
+            .from('payees')
+            .select('*')
+            .eq('company_id', companyId)
+            .in('mobile', mobiles.slice(i, i + 200));
+
+        if (error) throw error;
+        (data || []).forEach(payee => byMobile.set(payee.mobile, payee));
+    }
+
+    return byMobile;
+}
+
+/**
+ * Import payees from a file
+ *
+ * @param {Object} options
+ * @param {string} options.orgId - Organization UUID
+ * @param {string} options.companyId - Company the payees belong to
+ * @param {Buffer} options.file - File contents
+ * @param {string} options.format - 'csv' or 'xlsx'
+ * @param {Object} [options.mapping] - { field: 'Header in file' }
+ * @param {string} [options.onConflict] - 'skip' (default) or 'update'
+ * @param {boolean} [options.dryRun] - Build the report without writing
+ * @param {Object} user - Importing user
+ * @returns {Promise<Object>} Outcome with status; data is { dry_run, summary, columns, rows }
+ */
+async function importPayees({ orgId, companyId, file, format, mapping, onConflict = 'skip', dryRun = false }, user) {
+    if (!FORMATS.includes(format)) {
+        return { success: false, status: 400, error: `format must be one of: ${FORMATS.join(', ')}` };
+    }
+    if (!CONFLICT_MODES.includes(onConflict)) {
+        return { success: false, status: 400, error: `on_conflict must be one of: ${CONFLICT_MODES.join(', ')}` };
+    }
+    if (mapping && (typeof mapping !== 'object' || Array.isArray(mapping))) {
+        return { success: false, status: 400, error: 'mapping must be an object of { field: "Column header" }' };
+    }
+
+    const supabase = getSupabaseClient();
+    const { data: company } = await supabase
+        .from('companies')
+        .select('id')
+        .eq('id', companyId)
+        .eq('org_id', orgId)
+        .single();
+
+    if (!company) return { success: false, status: 400, error: 'Invalid company' };
+
+    let table;
+    try {
+        table = format === 'xlsx' ? await parseXlsx(file) : parseCsv(file.toString('utf8'));
+    } catch (error) {
+        return { success: false, status: 400, error: `Could not read the ${format.toUpperCase()} file: ${error.message}` };
+    }
+
+    const [headers = [], ...body] = table;
+    const lines = body
+        .map((cells, index) => ({ row: index + 2, cells }))
+        .filter(({ cells }) => cells.some(cell => String(cell || '').trim()));
+
+    if (lines.length === 0) return { success: false, status: 400, error: 'The file has no payee rows' };
+    if (lines.length > MAX_ROWS) {
+        return { success: false, status: 400, error: `Import at most ${MAX_ROWS} rows per file (found ${lines.length})` };
+    }
+
+    const { error: mappingError, columns } = resolveColumns(headers, mapping);
+    if (mappingError) return { success: false, status: 400, error: mappingError };
+
+    const parsed = lines.map(({ row, cells }) => {
+        const values = Object.fromEntries(Object.entries(columns).map(([field, index]) => [field, cells[index]]));
+        return {
+            row,
+            ...validateRow(values),
+            name: String(values.name || '').trim() || null,
+            mobile: String(values.mobile || '').trim() || null
+        };
+    });
+
+    const existing = await existingPayees(companyId, [...new Set(parsed.filter(p => p.payee).map(p => p.payee.mobile))]);
+    const seen = new Map();
+    const rows = [];
+
+    for (const { row, payee, error, name, mobile } of parsed) {
+        if (error) {
+            rows.push({ row, status: 'skipped', name, mobile, reason: error });
+            continue;
+        }
+
+        const result = { row, name: payee.name, mobile: payee.mobile };
+
+        if (seen.has(payee.mobile)) {
+            rows.push({ ...result, status: 'skipped', reason: `Duplicate mobile, same as row ${seen.get(payee.mobile)}` });
+            continue;
+        }
+        seen.set(payee.mobile, row);
+
+        const current = existing.get(payee.mobile);
+
+        if (current && onConflict === 'skip') {
+            rows.push({ ...result, status: 'skipped', payee_id: current.id, reason: 'A payee with this mobile already exists for this company' });
+            continue;
+        }
+
+        if (current) {
+            const updates = Object.fromEntries(UPDATABLE_FIELDS
+                .filter(field => payee[field] !== undefined && payee[field] !== current[field])
+                .map(field => [field, payee[field]]));
+            const bankChanges = Object.keys(payeeBankService.changedFields(current, payee)).filter(field => field !== 'mobile');
+            const warning = bankChanges.length > 0
+                ? `Bank details differ (${bankChanges.join(', ')}) and were not changed; request a bank detail change`
+                : undefined;
+
+            if (Object.keys(updates).length === 0) {
+                rows.push({ ...result, status: 'skipped', payee_id: current.id, reason: 'No changes', warning });
+                continue;
+            }
+
+            if (!dryRun) {
+                const { error: updateError } = await supabase
+                    .from('payees')
+                    .update({ ...updates, updated_at: new Date().toISOString() })
+                    .eq('id', current.id);
+
+                if (updateError) {
+                    rows.push({ ...result, status: 'skipped', payee_id: current.id, reason: updateError.message });
+                    continue;
+                }
+            }
+
+            rows.push({ ...result, status: 'updated', payee_id: current.id, fields: Object.keys(updates), warning });
+            continue;
+        }
+
+        if (dryRun) {
+            rows.push({ ...result, status: 'created' });
+            continue;
+        }
+
+        const { data: created, error: insertError } = await supabase
+            .from('payees')
+            .insert({
+                org_id: orgId,
+                company_id: companyId,
+                ...payee,
+                payee_type: payee.payee_type || 'vendor',
+                status: 'active',
+                created_by: user.id
+            })
+            .select()
+            .single();
+
+        if (insertError) {
+            rows.push({
+                ...result,
+                status: 'skipped',
+                reason: insertError.code === '23505' ? 'A payee with this mobile already exists for this company' : insertError.message
+            });
+            continue;
+        }
+
+        await payeeBankService.recordInitialDetails(created, user.id);
+        rows.push({ ...result, status: 'created', payee_id: created.id });
+    }
+
+    const summary = {
+        total: rows.length,
+        created: rows.filter(r => r.status === 'created').length,
+        updated: rows.filter(r => r.status === 'updated').length,
+        skipped: rows.filter(r => r.status === 'skipped').length
+    };
+
+    if (!dryRun) {
+        logger.audit('payees_imported', user.id, { orgId, companyId, format, onConflict, ...summary });
+    }
+
+    return {
+        success: true,
+        status: 200,
+        message: dryRun
+            ? `Dry run: ${summary.created} to create, ${summary.updated} to update, ${summary.skipped} to skip`
+            : `Imported payees: ${summary.created} created, ${summary.updated} updated, ${summary.skipped} skipped`,
+        data: {
+            dry_run: dryRun,
+            summary,
+            columns: Object.fromEntries(Object.entries(columns).map(([field, index]) => [field, headers[index]])),
+            rows
+        }
+    };
+}
+
+module.exports = {
+    FIELDS,
+    MAX_ROWS,
+    parseCsv,
+    resolveColumns,
+    validateRow,
+    importPayees
+};
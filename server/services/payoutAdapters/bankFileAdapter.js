@@ -0,0 +1,150 @@
+/**
+ * FoodStream Ltd. - Bank Upload File Adapter
+ *
+ * Builds NEFT/RTGS bulk payment files for upload to the company's
+ * corporate banking portal. Layouts are data-driven: add an entry to
+ * FORMATS to support another bank's CSV or fixed-width specification.
+ *
+ * @module services/payoutAdapters/bankFileAdapter
+ */
+
+const { csvCell } = require('../../utils/csv');
+
+/**
+ * RBI minimum for RTGS; smaller amounts go by NEFT
+ */
+const RTGS_MIN_AMOUNT = 200000;
+
+/**
+ * Field accessors shared by the layouts
+ * Each receives { voucher, payee, company, valueDate }.
+ */
+const FIELDS = {
+    transaction_type: ({ voucher }) => (parseFloat(voucher.amount) >= RTGS_MIN_AMOUNT ? 'RTGS' : 'NEFT'),
+    debit_account: ({ company }) => company.bank_account_number || '',
+    beneficiary_name: ({ payee }) => payee.account_holder_name || payee.name || '',
+    beneficiary_account: ({ payee }) => payee.account_number || '',
+    ifsc: ({ payee }) => (payee.ifsc_code || '').toUpperCase(),
+    amount: ({ voucher }) => parseFloat(voucher.amount).toFixed(2),
+    amount_paise: ({ voucher }) => String(Math.round(parseFloat(voucher.amount) * 100)),
+    value_date: ({ valueDate }) => valueDate,
+    value_date_compact: ({ valueDate }) => valueDate.replace(/-/g, ''),
+    reference: ({ voucher }) => voucher.voucher_number,
+    mobile: ({ payee }) => payee.mobile || '',
+    email: ({ payee }) => payee.email || '',
+    remarks: ({ voucher }) => (voucher.description || '').replace(/[\r\n]+/g, ' ').substring(0, 30)
+};
+
+/**
+ * Supported file layouts
+ * csv: columns are { header, field }; fixed: columns are { field, width, align, pad }.
+ */
+const FORMATS = {
+    generic_csv: {
+        label: 'Generic NEFT/RTGS (CSV)',
+        type: 'csv',
+        extension: 'csv',
+        columns: [
+            { header: 'Transaction Type', field: 'transaction_type' },
+            { header: 'Debit Account Number', field: 'debit_account' },
+            { header: 'Beneficiary Name', field: 'beneficiary_name' },
+            { header: 'Beneficiary Account Number', field: 'beneficiary_account' },
+            { header: 'IFSC Code', field: 'ifsc' },
+            { header: 'Amount', field: 'amount' },
+            { header: 'Value Date', field: 'value_date' },
+            { header: 'Payment Reference', field: 'reference' },
+            { header: 'Beneficiary Mobile', field: 'mobile' },
+            { header: 'Beneficiary Email', field: 'email' },
+            { header: 'Remarks', field: 'remarks' }
+        ]
+    },
+    generic_fixed: {
+        label: 'Generic NEFT/RTGS (fixed width)',
+        type: 'fixed',
+        extension: 'txt',
+        columns: [
+            { field: 'transaction_type', width: 4 },
+            { field: 'debit_account', width: 20 },
+            { field: 'beneficiary_account', width: 20 },
+            { field: 'ifsc', width: 11 },
+            { field: 'beneficiary_name', width: 35 },
+            { field: 'amount_paise', width: 15, align: 'right', pad: '0' },
+            { field: 'value_date_compact', width: 8 },
+            { field: 'reference', width: 20 },
+            { field: 'remarks', width: 30 }
+        ]
+    }
+};
+
+/**
+ * Pad / truncate a fixed-width cell
+ */
+function fixedCell(value, { width, align = 'left', pad = ' ' }) {
+    const str = String(value ?? '').replace(/[\r\n]/g, ' ').substring(0, width);
+    return align === 'right' ? str.padStart(width, pad) : str.padEnd(width, pad);
+}
+
+/**
+ * Check a voucher can be paid by bank transfer
+ *
+ * @returns {string|null} Error message, or null when payable
+ */
+function validate({ payee, company }) {
+    if (!company?.bank_account_number) return 'Company has no debit bank account configured';
+    if (!payee?.account_number) return 'Payee has no bank account number';
+    if (!/^[A-Z]{4}0[A-Z0-9]{6}$/i.test(payee.ifsc_code || '')) return 'Payee has no valid IFSC code';
+    return null;
+}
+
+/**
+ * Build a bank upload file
+ *
+ * @param {string} formatCode - Key of FORMATS
+ * @param {Object} params
+ * @param {Object} params.company - companies row (debit account)
+ * @param {Array<Object>} params.items - [{ voucher, payee }]
+ * @param {string} params.batchNumber - Used in the file name
+ * @param {string} [params.valueDate] - YYYY-MM-DD, defaults to today
+ * @returns {{ fileName: string, contentType: string, content: string }}
+ */
+function buildFile(formatCode, { company, items, batchNumber, valueDate }) {
+    const format = FORMATS[formatCode];
+    if (!format) throw new Error(`Unknown bank file format: ${formatCode}`);
+
+    const date = valueDate || new Date().toISOString().slice(0, 10);
+    const rows = items.map(({ voucher, payee }) => {
+        const ctx = { voucher, payee, company, valueDate: date };
+        return format.columns.map(col => {
+            const value = FIELDS[col.field](ctx);
+            return format.type === 'csv' ? csvCell(value) : fixedCell(value, col);
+        });
+    });
+
+    const lines = format.type === 'csv'
+        ? [format.columns.map(col => csvCell(col.header)).join(','), ...rows.map(cells => cells.join(','))]
+        : rows.map(cells => cells.join(''));
+
+    return {
+        fileName: `${batchNumber}.${format.extension}`,
+        contentType: format.type === 'csv' ? 'text/csv' : 'text/plain',
+        content: `${lines.join('\r\n')}\r\n`
+    };
+}
+
+/**
+ * Formats available for selection
+ */
+function listFormats() {
+    return Object.entries(FORMATS).map(([code, format]) => ({ code, label: format.label, type: format.type }));
+}
+
+module.exports = {
+    name: 'bank_file',
+    label: 'Bank upload file (NEFT/RTGS)',
+    mode: 'batch',
+    paymentModes: ['account_transfer'],
+    RTGS_MIN_AMOUNT,
+    validate,
+    buildFile,
+    listFormats
+};
@@ -0,0 +1,50 @@
+/**
+ * FoodStream Ltd. - Cheque Register Adapter
+ *
+ * Issues cheques against a company's cheque book. Numbers run on from the
+ * last cheque written for the company unless one is given explicitly.
+ *
+ * @module services/payoutAdapters/chequeRegisterAdapter
+ */
+
+const CHEQUE_NUMBER_PATTERN = /^\d{6}$/;
+
+/**
+ * Validate a cheque number (six digits, as printed on Indian cheque leaves)
+ */
+function isValidChequeNumber(value) {
+    return typeof value === 'string' && CHEQUE_NUMBER_PATTERN.test(value);
+}
+
+/**
+ * Next leaf after the last issued cheque, keeping leading zeros
+ *
+ * @param {string|null} lastNumber
+ * @returns {string|null} Next number, or null when there is no previous cheque
+ */
+function nextChequeNumber(lastNumber) {
+    if (!isValidChequeNumber(lastNumber)) return null;
+    const next = String(parseInt(lastNumber, 10) + 1);
+    return next.length > lastNumber.length ? null : next.padStart(lastNumber.length, '0');
+}
+
+/**
+ * Check a voucher can be paid by cheque
+ *
+ * @returns {string|null} Error message, or null when payable
+ */
+function validate({ chequeNumber, chequeDate }) {
+    if (!isValidChequeNumber(chequeNumber)) return 'cheque_number must be 6 digits';
+    if (chequeDate && Number.isNaN(Date.parse(chequeDate))) return 'cheque_date must be a valid date';
+    return null;
+}
+
+module.exports = {
+    name: 'cheque_register',
+    label: 'Cheque register',
+    mode: 'instant',
+    paymentModes: ['cheque'],
+    isValidChequeNumber,
+    nextChequeNumber,
+    validate
+};
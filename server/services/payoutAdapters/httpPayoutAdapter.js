@@ -0,0 +1,162 @@
+/**
+ * FoodStream Ltd. - HTTP Payout API Adapter
+ *
+ * Sends individual payouts to a payout provider's REST API. The payout id
+ * is sent as the idempotency key, so re-sending an attempt whose outcome
+ * is unknown (timeouts, 5xx) can never pay twice.
+ *
+ * Expected API contract (see server/scripts/mockPayoutServer.js):
+ *   POST {PAYOUT_API_URL}/payouts      -> { id, reference, status, utr?, error? }
+ *   GET  {PAYOUT_API_URL}/payouts/:ref -> same shape, :ref is our reference or the provider id
+ * status is one of 'paid', 'processing', 'failed'.
+ *
+ * @module services/payoutAdapters/httpPayoutAdapter
+ */
+
+const axios = require('axios');
+
+/**
+ * Provider configuration from the environment
+ */
+function getConfig() {
+    return {
+        url: (process.env.PAYOUT_API_URL || '').replace(/\/$/, ''),
+        apiKey: process.env.PAYOUT_API_KEY || '',
+        timeout: parseInt(process.env.PAYOUT_API_TIMEOUT_MS || '15000', 10)
+    };
+}
+
+/**
+ * Whether the adapter has an endpoint to talk to
+ */
+function isConfigured() {
+    return Boolean(getConfig().url);
+}
+
+/**
+ * Transfer rail for a voucher
+ */
+function transferMode(voucher) {
+    if (voucher.payment_mode === 'upi') return 'UPI';
+    return parseFloat(voucher.amount) >= 200000 ? 'RTGS' : 'IMPS';
+}
+
+/**
+ * Check a voucher can be paid through the API
+ *
+ * @returns {string|null} Error message, or null when payable
+ */
+function validate({ voucher, payee }) {
+    if (!isConfigured()) return 'Payout API is not configured (PAYOUT_API_URL)';
+    if (voucher.payment_mode === 'upi') {
+        return (voucher.upi_id || payee?.upi_id) ? null : 'Payee has no UPI ID';
+    }
+    if (!payee?.account_number || !payee?.ifsc_code) return 'Payee has no bank account number / IFSC';
+    return null;
+}
+
+/**
+ * Normalise a provider response
+ */
+function toResult(body) {
+    const status = ['paid', 'processing', 'failed'].includes(body?.status) ? body.status : 'processing';
+    return {
+        status,
+        transaction_reference: body?.utr || null,
+        provider_reference: body?.id || null,
+        error: status === 'failed' ? (body?.error || 'Payout rejected by provider') : null,
+        response: body || {}
+    };
+}
+
+/**
+ * Map a transport error: 4xx is a definite rejection, anything else is unknown
+ */
+function fromError(error) {
+    const status = error.response?.status;
+    if (status && status >= 400 && status < 500) {
+        return toResult({ ...(error.response.data || {}), status: 'failed', error: error.response.data?.error || `Provider returned ${status}` });
+    }
+    return {
+        status: 'processing',
+        transaction_reference: null,
+        provider_reference: null,
+        error: `Outcome unknown: ${error.message}`,
+        response: {}
+    };
+}
+
+/**
+ * Send a payout
+ *
+ * @param {Object} params
+ * @param {Object} params.payout - payouts row (id is the idempotency key)
+ * @param {Object} params.voucher - Voucher row
+ * @param {Object} params.payee - Payee row
+ * @returns {Promise<Object>} { status, transaction_reference, provider_reference, error, response }
+ */
+async function pay({ payout, voucher, payee }) {
+    const config = getConfig();
+
+    try {
+        const response = await axios.post(`${config.url}/payouts`, {
+            reference: payout.id,
+            amount: parseFloat(voucher.amount).toFixed(2),
+            currency: 'INR',
+            mode: transferMode(voucher),
+            narration: voucher.voucher_number,
+            beneficiary: {
+                name: payee.account_holder_name || payee.name,
+                account_number: payee.account_number || null,
+                ifsc: payee.ifsc_code || null,
+                upi_id: voucher.upi_id || payee.upi_id || null,
+                mobile: payee.mobile
+            }
+        }, {
+            timeout: config.timeout,
+            headers: {
+                Authorization: `Bearer ${config.apiKey}`,
+                'Idempotency-Key': payout.id
+            }
+        });
+
+        return toResult(response.data);
+    } catch (error) {
+        return fromError(error);
+    }
+}
+
+/**
+ * Fetch the current state of a payout
+ *
+ * @param {Object} payout - payouts row
+ * @returns {Promise<Object>} Same shape as pay()
+ */
+async function getStatus(payout) {
+    const config = getConfig();
+
+    try {
+        const response = await axios.get(`${config.url}/payouts/${encodeURIComponent(payout.provider_reference || payout.id)}`, {
+            timeout: config.timeout,
+            headers: { Authorization: `Bearer ${config.apiKey}` }
+        });
+        return toResult(response.data);
+    } catch (error) {
+        // A provider that never received the request has nothing to report
+        if (error.response?.status === 404) {
+            return toResult({ status: 'failed', error: 'Payout not found at provider' });
+        }
+        return fromError(error);
+    }
+}
+
+module.exports = {
+    name: 'http_api',
+    label: 'Payout API',
+    mode: 'instant',
+    paymentModes: ['account_transfer', 'upi'],
+    isConfigured,
+    validate,
+    pay,
+    getStatus
+};
@@ -0,0 +1,46 @@
+/**
+ * Payout adapter registry
+ *
+ * Every adapter exports { name, label, mode, paymentModes, validate }.
+ * 'batch' adapters produce a file that is reconciled later; 'instant'
+ * adapters settle (or fail) each voucher as it is paid.
+ */
+
+const bankFileAdapter = require('./bankFileAdapter');
+const chequeRegisterAdapter = require('./chequeRegisterAdapter');
+const httpPayoutAdapter = require('./httpPayoutAdapter');
+
+const ADAPTERS = {
+    [bankFileAdapter.name]: bankFileAdapter,
+    [chequeRegisterAdapter.name]: chequeRegisterAdapter,
+    [httpPayoutAdapter.name]: httpPayoutAdapter
+};
+
+/**
+ * Look up an adapter by name
+ */
+function getAdapter(name) {
+    return ADAPTERS[name] || null;
+}
+
+/**
+ * Describe the adapters for the client
+ */
+function listAdapters() {
+    return Object.values(ADAPTERS).map(adapter => ({
+        name: adapter.name,
+        label: adapter.label,
+        mode: adapter.mode,
+        payment_modes: adapter.paymentModes,
+        available: adapter.isConfigured ? adapter.isConfigured() : true,
+        ...(adapter.listFormats && { formats: adapter.listFormats() })
+    }));
+}
+
+module.exports = {
+    bankFileAdapter,
+    chequeRegisterAdapter,
+    httpPayoutAdapter,
+    getAdapter,
+    listAdapters
+};
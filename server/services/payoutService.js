@@ -0,0 +1,686 @@
+/**
+ * FoodStream Ltd. - Payout Service
+ *
+ * Pays completed vouchers through the payout adapters (bank upload file,
+ * cheque register, payout API), records every attempt in the payouts
+ * table and moves the voucher to 'paid' or 'failed'. Failed vouchers are
+ * payable again, which is the retry path.
+ *
+ * Results follow the { success, status, data?, error?, code? } shape used
+ * by the voucher approval helpers so routes can send them as-is.
+ *
+ * @module services/payoutService
+ */
+
+const { getSupabaseClient } = require('../config/database');
+const adapters = require('./payoutAdapters');
+const payeeBankService = require('./payeeBankService');
+const notificationService = require('./notificationService');
+const logger = require('../utils/logger');
+
+/**
+ * Voucher states that can be (re)paid
+ */
+const PAYABLE_STATUSES = ['completed', 'failed'];
+
+/**
+ * Roles allowed to run payouts
+ */
+const PAYOUT_ROLES = ['super_admin', 'org_admin', 'company_admin', 'accounts'];
+
+/**
+ * Payment modes paid to the payee's bank account or UPI ID as stored now
+ */
+const BANK_PAYMENT_MODES = ['account_transfer', 'upi'];
+
+const IN_PROGRESS = 'A payout for this voucher is already in progress';
+const SETTLED_UNPAYABLE = 'Payout settled but the voucher is no longer payable; flagged for reconciliation';
+
+const VOUCHER_SELECT = `
+    *,
+    payee:payees(id, name, mobile, email, account_number, ifsc_code, account_holder_name, upi_id, bank_details_changed_at),
+    company:companies(id, name, bank_account_number, bank_ifsc)
+`;
+
+/**
+ * Write a voucher audit entry for a payout event
+ *
+ * @param {Object} actor - { user, ip, userAgent }
+ */
+async function audit(voucherId, action, actor, oldValues, newValues, notes) {
+    await getSupabaseClient()
+        .from('voucher_audit_log')
+        .insert({
+            voucher_id: voucherId,
+            action,
+            performed_by: actor.user.id,
+            performed_by_name: actor.user.full_name,
+            performed_by_role: actor.user.role,
+            old_values: oldValues,
+            new_values: newValues,
+            notes,
+            ip_address: actor.ip,
+            user_agent: actor.userAgent
+        });
+}
+
+/**
+ * Load vouchers of an org with payee / company details
+ */
+async function loadVouchers(orgId, voucherIds) {
+    const { data, error } = await getSupabaseClient()
+        .from('vouchers')
+        .select(VOUCHER_SELECT)
+        .eq('org_id', orgId)
+        .in('id', voucherIds);
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Organization settings (cooling-off period)
+ */
+async function loadSettings(orgId) {
+    const { data } = await getSupabaseClient()
+        .from('licensed_orgs')
+        .select('settings')
+        .eq('id', orgId)
+        .maybeSingle();
+
+    return data?.settings || {};
+}
+
+/**
+ * Payouts of a voucher still waiting for an outcome
+ */
+async function hasOpenPayout(voucherId) {
+    const { count } = await getSupabaseClient()
+        .from('payouts')
+        .select('id', { count: 'exact', head: true })
+        .eq('voucher_id', voucherId)
+        .eq('status', 'processing');
+
+    return (count || 0) > 0;
+}
+
+/**
+ * Check a voucher may be paid now with the given adapter
+ * Bank and UPI payouts read the payee's current details, so they are held
+ * while a bank detail change is inside its cooling-off period, even when the
+ * change was approved after the voucher.
+ *
+ * @param {Object} settings - licensed_orgs.settings
+ * @returns {Promise<string|null>} Error message, or null when payable
+ */
+async function checkPayable(voucher, adapter, settings) {
+    if (!PAYABLE_STATUSES.includes(voucher.status)) {
+        return `Voucher is ${voucher.status}; only completed or failed vouchers can be paid`;
+    }
+    if (!adapter.paymentModes.includes(voucher.payment_mode)) {
+        return `${adapter.label} cannot pay ${voucher.payment_mode} vouchers`;
+    }
+    if (BANK_PAYMENT_MODES.includes(voucher.payment_mode)) {
+        const cooling = payeeBankService.coolingOffFlag(voucher.payee, settings);
+        if (cooling) {
+            return `${cooling.message}; payouts to this payee are held until ${cooling.cooling_off_until}`;
+        }
+    }
+    if (await hasOpenPayout(voucher.id)) {
+        return IN_PROGRESS;
+    }
+    return null;
+}
+
+/**
+ * Insert a payout attempt
+ * The attempt is the claim on the voucher: idx_payouts_processing allows one
+ * processing payout per voucher, so of two concurrent requests only one gets a row.
+ *
+ * @returns {Promise<Object|null>} Payout, or null when another payout is already in progress
+ */
+async function createAttempt(voucher, adapterName, fields, actor) {
+    const supabase = getSupabaseClient();
+
+    const { count } = await supabase
+        .from('payouts')
+        .select('id', { count: 'exact', head: true })
+        .eq('voucher_id', voucher.id);
+
+    const { data, error } = await supabase
+        .from('payouts')
+        .insert({
+            org_id: voucher.org_id,
+            company_id: voucher.company_id,
+            voucher_id: voucher.id,
+            adapter: adapterName,
+            attempt_number: (count || 0) + 1,
+            amount: voucher.amount,
+            status: 'processing',
+            created_by: actor.user.id,
+            ...fields
+        })
+        .select()
+        .single();
+
+    if (error) {
+        if (error.code === '23505' && String(error.message).includes('idx_payouts_processing')) return null;
+        throw error;
+    }
+    return data;
+}
+
+/**
+ * Settle a payout: payout -> paid, voucher -> paid with the transaction reference
+ * Returns null when the voucher is no longer payable (the payout still records the payment).
+ */
+async function markPaid(payout, voucher, { transaction_reference, provider_reference, response, cheque_number, cheque_date }, actor) {
+    const supabase = getSupabaseClient();
+    const now = new Date().toISOString();
+
+    await supabase
+        .from('payouts')
+        .update({
+            status: 'paid',
+            transaction_reference,
+            ...(provider_reference && { provider_reference }),
+            ...(response && { response }),
+            error_message: null,
+            completed_at: now
+        })
+        .eq('id', payout.id);
+
+    const { data: updatedVoucher, error } = await supabase
+        .from('vouchers')
+        .update({
+            status: 'paid',
+            transaction_reference,
+            payout_method: payout.adapter,
+            paid_by: actor.user.id,
+            paid_at: now,
+            ...(cheque_number && { cheque_number, cheque_date })
+        })
+        .eq('id', voucher.id)
+        .in('status', PAYABLE_STATUSES)
+        .select()
+        .maybeSingle();
+
+    if (error) throw error;
+
+    // The voucher left the payable states while the payout was in flight (e.g. cancelled):
+    // the money has moved, so keep the payout row and flag it for reconciliation
+    if (!updatedVoucher) {
+        logger.security('payout_settled_on_unpayable_voucher', 'high', {
+            voucher_id: voucher.id,
+            payout_id: payout.id,
+            adapter: payout.adapter,
+            transaction_reference,
+            userId: actor.user.id
+        });
+        return null;
+    }
+
+    await audit(voucher.id, 'paid', actor,
+        { status: voucher.status },
+        { status: 'paid', transaction_reference, payout_id: payout.id, adapter: payout.adapter },
+        `Paid via ${payout.adapter}: ${transaction_reference}`);
+
+    logger.audit('voucher_paid', actor.user.id, { voucher_id: voucher.id, payout_id: payout.id, adapter: payout.adapter });
+
+    await notificationService.notifyCreator(updatedVoucher, 'paid', { actorId: actor.user.id });
+    await notificationService.sendRemittanceAdvice(updatedVoucher);
+
+    return updatedVoucher;
+}
+
+/**
+ * Fail a payout: payout -> failed, voucher -> failed (payable again)
+ */
+async function markFailed(payout, voucher, errorMessage, actor, response = null) {
+    const supabase = getSupabaseClient();
+
+    await supabase
+        .from('payouts')
+        .update({
+            status: 'failed',
+            error_message: errorMessage,
+            ...(response && { response }),
+            completed_at: new Date().toISOString()
+        })
+        .eq('id', payout.id);
+
+    const { data: updatedVoucher } = await supabase
+        .from('vouchers')
+        .update({ status: 'failed' })
+        .eq('id', voucher.id)
+        .in('status', PAYABLE_STATUSES)
+        .select()
+        .maybeSingle();
+
+    await audit(voucher.id, 'payment_failed', actor,
+        { status: voucher.status },
+        { status: 'failed', payout_id: payout.id, adapter: payout.adapter },
+        errorMessage);
+
+    logger.audit('voucher_payment_failed', actor.user.id, { voucher_id: voucher.id, payout_id: payout.id, adapter: payout.adapter, error: errorMessage });
+
+    if (updatedVoucher) {
+        await notificationService.notifyCreator(updatedVoucher, 'payment_failed', { actorId: actor.user.id, reason: errorMessage });
+    }
+
+    return updatedVoucher || { ...voucher, status: 'failed' };
+}
+
+/**
+ * Apply an instant adapter result to a payout
+ */
+async function applyResult(payout, voucher, result, actor) {
+    if (result.status === 'paid') {
+        const paid = await markPaid(payout, voucher, result, actor);
+        if (!paid) return { success: false, status: 409, error: SETTLED_UNPAYABLE, code: 'PAYOUT_CONFLICT' };
+        return { success: true, status: 200, message: 'Voucher paid', data: { payout: { ...payout, status: 'paid', transaction_reference: result.transaction_reference }, voucher: paid } };
+    }
+
+    if (result.status === 'failed') {
+        const failed = await markFailed(payout, voucher, result.error, actor, result.response);
+        return { success: false, status: 502, error: result.error, code: 'PAYOUT_FAILED', data: { payout: { ...payout, status: 'failed' }, voucher: failed } };
+    }
+
+    // Still processing - keep the provider reference for status checks
+    await getSupabaseClient()
+        .from('payouts')
+        .update({
+            provider_reference: result.provider_reference || payout.provider_reference,
+            error_message: result.error,
+            response: result.response
+        })
+        .eq('id', payout.id);
+
+    return { success: true, status: 202, message: 'Payout submitted, awaiting confirmation', data: { payout: { ...payout, provider_reference: result.provider_reference } } };
+}
+
+/**
+ * Generate a NEFT/RTGS bank upload file for a set of vouchers of one company
+ * Vouchers that cannot be paid are skipped and reported.
+ *
+ * @param {Object} params
+ * @param {string} params.orgId
+ * @param {Array<string>} params.voucherIds
+ * @param {string} [params.format='generic_csv']
+ * @param {string} [params.valueDate] - YYYY-MM-DD
+ * @param {Object} actor - { user, ip, userAgent }
+ */
+async function createBankFile({ orgId, voucherIds, format = 'generic_csv', valueDate }, actor) {
+    const supabase = getSupabaseClient();
+    const adapter = adapters.bankFileAdapter;
+    const vouchers = await loadVouchers(orgId, voucherIds);
+
+    if (vouchers.length === 0) {
+        return { success: false, status: 404, error: 'No vouchers found' };
+    }
+
+    const companyIds = [...new Set(vouchers.map(v => v.company_id))];
+    if (companyIds.length > 1) {
+        return { success: false, status: 400, error: 'A bank file can only contain vouchers of one company' };
+    }
+
+    const skipped = voucherIds
+        .filter(id => !vouchers.some(v => v.id === id))
+        .map(id => ({ voucher_id: id, error: 'Voucher not found' }));
+    const items = [];
+    const settings = await loadSettings(orgId);
+
+    for (const voucher of vouchers) {
+        const problem = (await checkPayable(voucher, adapter, settings)) || adapter.validate({ payee: voucher.payee, company: voucher.company });
+        if (problem) {
+            skipped.push({ voucher_id: voucher.id, voucher_number: voucher.voucher_number, error: problem });
+        } else {
+            items.push({ voucher, payee: voucher.payee });
+        }
+    }
+
+    // Claim every voucher before it goes into the file, so a concurrent payout cannot pay it twice
+    const claimed = [];
+    for (const item of items) {
+        const payout = await createAttempt(item.voucher, adapter.name, {}, actor);
+        if (payout) {
+            claimed.push({ ...item, payout });
+        } else {
+            skipped.push({ voucher_id: item.voucher.id, voucher_number: item.voucher.voucher_number, error: IN_PROGRESS });
+        }
+    }
+
+    if (claimed.length === 0) {
+        return { success: false, status: 400, error: 'None of the vouchers can be paid by bank transfer', data: { skipped } };
+    }
+
+    const today = new Date().toISOString().slice(0, 10);
+    const { count } = await supabase
+        .from('payout_batches')
+        .select('id', { count: 'exact', head: true })
+        .eq('org_id', orgId)
+        .gte('created_at', today);
+    const batchNumber = `PB-${today.replace(/-/g, '')}-${String((count || 0) + 1).padStart(3, '0')}`;
+
+    const file = adapter.buildFile(format, { company: vouchers[0].company, items: claimed, batchNumber, valueDate });
+    const totalAmount = claimed.reduce((sum, item) => sum + parseFloat(item.voucher.amount), 0);
+
+    const { data: batch, error } = await supabase
+        .from('payout_batches')
+        .insert({
+            org_id: orgId,
+            company_id: companyIds[0],
+            batch_number: batchNumber,
+            file_format: format,
+            file_name: file.fileName,
+            file_content: file.content,
+            voucher_count: claimed.length,
+            total_amount: totalAmount,
+            created_by: actor.user.id
+        })
+        .select('id, batch_number, file_format, file_name, voucher_count, total_amount, status, created_at')
+        .single();
+
+    if (error) {
+        await supabase.from('payouts').delete().in('id', claimed.map(item => item.payout.id));
+        throw error;
+    }
+
+    await supabase
+        .from('payouts')
+        .update({ batch_id: batch.id })
+        .in('id', claimed.map(item => item.payout.id));
+
+    for (const { voucher, payout } of claimed) {
+        await audit(voucher.id, 'payout_initiated', actor,
+            { status: voucher.status },
+            { payout_id: payout.id, adapter: adapter.name, batch_number: batchNumber },
+            `Added to bank file ${batchNumber}`);
+    }
+
+    logger.audit('payout_batch_created', actor.user.id, { orgId, batch_id: batch.id, vouchers: claimed.length, total_amount: totalAmount });
+
+    return { success: true, status: 201, message: `Bank file ${batchNumber} generated`, data: { batch, skipped } };
+}
+
+/**
+ * Record the bank's outcome for a bank file
+ *
+ * @param {string} orgId
+ * @param {string} batchId
+ * @param {Array<Object>} results - [{ voucher_number | voucher_id, status: 'paid'|'failed', transaction_reference?, error? }]
+ * @param {Object} actor
+ */
+async function reconcileBatch(orgId, batchId, results, actor) {
+    const supabase = getSupabaseClient();
+
+    const { data: batch } = await supabase
+        .from('payout_batches')
+        .select('id, batch_number')
+        .eq('id', batchId)
+        .eq('org_id', orgId)
+        .maybeSingle();
+
+    if (!batch) return { success: false, status: 404, error: 'Payout batch not found' };
+
+    const { data: payouts, error } = await supabase
+        .from('payouts')
+        .select('*, voucher:vouchers(*)')
+        .eq('batch_id', batchId);
+
+    if (error) throw error;
+
+    const outcomes = [];
+    for (const entry of results) {
+        const payout = (payouts || []).find(p =>
+            (entry.voucher_id && p.voucher_id === entry.voucher_id) ||
+            (entry.voucher_number && p.voucher?.voucher_number === entry.voucher_number));
+
+        if (!payout) {
+            outcomes.push({ ...entry, success: false, error: 'Voucher is not part of this batch' });
+            continue;
+        }
+        if (payout.status !== 'processing') {
+            outcomes.push({ voucher_number: payout.voucher.voucher_number, success: false, error: `Payout already ${payout.status}` });
+            continue;
+        }
+
+        if (entry.status === 'paid') {
+            if (!entry.transaction_reference) {
+                outcomes.push({ voucher_number: payout.voucher.voucher_number, success: false, error: 'transaction_reference (UTR) is required' });
+                continue;
+            }
+            const paid = await markPaid(payout, payout.voucher, { transaction_reference: entry.transaction_reference }, actor);
+            outcomes.push(paid
+                ? { voucher_number: payout.voucher.voucher_number, success: true, status: 'paid' }
+                : { voucher_number: payout.voucher.voucher_number, success: false, error: SETTLED_UNPAYABLE });
+        } else if (entry.status === 'failed') {
+            await markFailed(payout, payout.voucher, entry.error || 'Rejected by bank', actor);
+            outcomes.push({ voucher_number: payout.voucher.voucher_number, success: true, status: 'failed' });
+        } else {
+            outcomes.push({ voucher_number: payout.voucher.voucher_number, success: false, error: "status must be 'paid' or 'failed'" });
+        }
+    }
+
+    // The batch is reconciled once no payout in it is still open
+    const { count: open } = await supabase
+        .from('payouts')
+        .select('id', { count: 'exact', head: true })
+        .eq('batch_id', batchId)
+        .eq('status', 'processing');
+
+    if (!open) {
+        await supabase
+            .from('payout_batches')
+            .update({ status: 'reconciled', reconciled_at: new Date().toISOString() })
+            .eq('id', batchId);
+    }
+
+    return { success: true, status: 200, data: { batch_number: batch.batch_number, open_payouts: open || 0, results: outcomes } };
+}
+
+/**
+ * Pay a cheque voucher from the cheque register
+ *
+ * @param {string} orgId
+ * @param {string} voucherId
+ * @param {Object} params - { cheque_number?, cheque_date? }
+ * @param {Object} actor
+ */
+async function issueCheque(orgId, voucherId, { cheque_number, cheque_date }, actor) {
+    const supabase = getSupabaseClient();
+    const adapter = adapters.chequeRegisterAdapter;
+    const [voucher] = await loadVouchers(orgId, [voucherId]);
+
+    if (!voucher) return { success: false, status: 404, error: 'Voucher not found' };
+
+    const problem = await checkPayable(voucher, adapter, await loadSettings(orgId));
+    if (problem) return { success: false, status: 400, error: problem };
+
+    let chequeNumber = cheque_number ? String(cheque_number) : null;
+    if (!chequeNumber) {
+        const { data: last } = await supabase
+            .from('payouts')
+            .select('cheque_number')
+            .eq('company_id', voucher.company_id)
+            .eq('adapter', adapter.name)
+            .neq('status', 'failed')
+            .order('created_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+        chequeNumber = adapter.nextChequeNumber(last?.cheque_number);
+        if (!chequeNumber) {
+            return { success: false, status: 400, error: 'cheque_number is required for the first cheque of a company' };
+        }
+    }
+
+    const chequeDate = cheque_date || new Date().toISOString().slice(0, 10);
+    const invalid = adapter.validate({ chequeNumber, chequeDate });
+    if (invalid) return { success: false, status: 400, error: invalid };
+
+    const { data: used } = await supabase
+        .from('payouts')
+        .select('id')
+        .eq('company_id', voucher.company_id)
+        .eq('cheque_number', chequeNumber)
+        .neq('status', 'failed')
+        .maybeSingle();
+    if (used) return { success: false, status: 409, error: `Cheque ${chequeNumber} has already been issued` };
+
+    const payout = await createAttempt(voucher, adapter.name, { cheque_number: chequeNumber, cheque_date: chequeDate }, actor);
+    if (!payout) return { success: false, status: 409, error: IN_PROGRESS };
+    const paid = await markPaid(payout, voucher, {
+        transaction_reference: chequeNumber,
+        cheque_number: chequeNumber,
+        cheque_date: chequeDate
+    }, actor);
+    if (!paid) return { success: false, status: 409, error: SETTLED_UNPAYABLE, code: 'PAYOUT_CONFLICT' };
+
+    return { success: true, status: 200, message: `Cheque ${chequeNumber} issued`, data: { payout: { ...payout, status: 'paid', transaction_reference: chequeNumber }, voucher: paid } };
+}
+
+/**
+ * Pay a voucher through the payout API
+ *
+ * @param {string} orgId
+ * @param {string} voucherId
+ * @param {Object} actor
+ */
+async function payViaApi(orgId, voucherId, actor) {
+    const adapter = adapters.httpPayoutAdapter;
+    const [voucher] = await loadVouchers(orgId, [voucherId]);
+
+    if (!voucher) return { success: false, status: 404, error: 'Voucher not found' };
+
+    const problem = (await checkPayable(voucher, adapter, await loadSettings(orgId))) || adapter.validate({ voucher, payee: voucher.payee });
+    if (problem) return { success: false, status: 400, error: problem };
+
+    // Only the request whose attempt was inserted calls the payout API
+    const payout = await createAttempt(voucher, adapter.name, {}, actor);
+    if (!payout) return { success: false, status: 409, error: IN_PROGRESS };
+
+    await audit(voucher.id, 'payout_initiated', actor,
+        { status: voucher.status },
+        { payout_id: payout.id, adapter: adapter.name },
+        'Sent to payout API');
+
+    const result = await adapter.pay({ payout, voucher, payee: voucher.payee });
+    return applyResult(payout, voucher, result, actor);
+}
+
+/**
+ * Ask the payout API for the outcome of a processing payout
+ *
+ * @param {string} orgId
+ * @param {string} payoutId
+ * @param {Object} actor
+ */
+async function refreshPayout(orgId, payoutId, actor) {
+    const { data: payout } = await getSupabaseClient()
+        .from('payouts')
+        .select('*, voucher:vouchers(*)')
+        .eq('id', payoutId)
+        .eq('org_id', orgId)
+        .maybeSingle();
+
+    if (!payout) return { success: false, status: 404, error: 'Payout not found' };
+    if (payout.status !== 'processing') {
+        return { success: true, status: 200, message: `Payout already ${payout.status}`, data: { payout } };
+    }
+    if (payout.adapter !== adapters.httpPayoutAdapter.name) {
+        return { success: false, status: 400, error: 'Only payout API transfers can be refreshed; reconcile bank files instead' };
+    }
+
+    const { voucher, ...row } = payout;
+    const result = await adapters.httpPayoutAdapter.getStatus(row);
+    return applyResult(row, voucher, result, actor);
+}
+
+/**
+ * Record a payment made outside the adapters (cash, manual bank transfer)
+ *
+ * @param {string} orgId
+ * @param {string} voucherId
+ * @param {Object} params - { transaction_reference, notes? }
+ * @param {Object} actor
+ */
+async function markPaidManually(orgId, voucherId, { transaction_reference }, actor) {
+    const [voucher] = await loadVouchers(orgId, [voucherId]);
+
+    if (!voucher) return { success: false, status: 404, error: 'Voucher not found' };
+    if (!PAYABLE_STATUSES.includes(voucher.status)) {
+        return { success: false, status: 400, error: `Voucher is ${voucher.status}; only completed or failed vouchers can be paid` };
+    }
+    if (await hasOpenPayout(voucher.id)) {
+        return { success: false, status: 400, error: IN_PROGRESS };
+    }
+    if (!transaction_reference && voucher.payment_mode !== 'cash') {
+        return { success: false, status: 400, error: 'transaction_reference is required' };
+    }
+
+    const reference = transaction_reference || `CASH-${voucher.voucher_number}`;
+    const payout = await createAttempt(voucher, 'manual', {}, actor);
+    if (!payout) return { success: false, status: 409, error: IN_PROGRESS };
+    const paid = await markPaid(payout, voucher, { transaction_reference: reference }, actor);
+    if (!paid) return { success: false, status: 409, error: SETTLED_UNPAYABLE, code: 'PAYOUT_CONFLICT' };
+
+    return { success: true, status: 200, message: 'Voucher marked as paid', data: { payout: { ...payout, status: 'paid', transaction_reference: reference }, voucher: paid } };
+}
+
+/**
+ * Retry a failed voucher with the adapter of its last attempt
+ * Bank file payouts are retried by adding the voucher to a new file.
+ *
+ * @param {string} orgId
+ * @param {string} voucherId
+ * @param {Object} params - { cheque_number?, cheque_date? } for cheque retries
+ * @param {Object} actor
+ */
+async function retryPayout(orgId, voucherId, params, actor) {
+    const supabase = getSupabaseClient();
+
+    const { data: voucher } = await supabase
+        .from('vouchers')
+        .select('id, status')
+        .eq('id', voucherId)
+        .eq('org_id', orgId)
+        .maybeSingle();
+
+    if (!voucher) return { success: false, status: 404, error: 'Voucher not found' };
+    if (voucher.status !== 'failed') {
+        return { success: false, status: 400, error: 'Only vouchers whose payment failed can be retried' };
+    }
+
+    const { data: last } = await supabase
+        .from('payouts')
+        .select('adapter')
+        .eq('voucher_id', voucherId)
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+    const adapterName = params.adapter || last?.adapter;
+
+    switch (adapterName) {
+        case adapters.httpPayoutAdapter.name:
+            return payViaApi(orgId, voucherId, actor);
+        case adapters.chequeRegisterAdapter.name:
+            return issueCheque(orgId, voucherId, params, actor);
+        case adapters.bankFileAdapter.name:
+            return { success: false, status: 400, error: 'Add the voucher to a new bank file to retry a bank transfer' };
+        default:
+            return { success: false, status: 400, error: 'adapter is required to retry this voucher' };
+    }
+}
+
+module.exports = {
+    PAYABLE_STATUSES,
+    PAYOUT_ROLES,
+    createBankFile,
+    reconcileBatch,
+    issueCheque,
+    payViaApi,
+    refreshPayout,
+    markPaidManually,
+    retryPayout
+};
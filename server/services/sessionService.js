@@ -0,0 +1,302 @@
+/**
+ * FoodStream Ltd. - Session Service
+ *
+ * Server-side sessions backed by the user_sessions table. A login creates a
+ * session and returns a short-lived access token (JWT with the session's id
+ * in the sid claim) and a refresh token. authenticate() rejects access
+ * tokens whose session has been revoked, so logout takes effect at once.
+ *
+ * Refresh tokens are stored only as SHA-256 hashes and rotate on every use.
+ * Presenting a refresh token that has already been rotated means it was
+ * copied, so the whole session is revoked.
+ *
+ * @module services/sessionService
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getSupabaseClient } = require('../config/database');
+const logger = require('../utils/logger');
+
+const DEFAULT_ACCESS_TTL_MINUTES = 15;
+const DEFAULT_REFRESH_TTL_DAYS = 7;
+
+/**
+ * Refreshes within this many seconds of each other do not move last_activity
+ */
+const ACTIVITY_INTERVAL_SECONDS = 60;
+
+/**
+ * Why a session ended
+ */
+const REVOKE_REASONS = [
+    'logout', 'logout_all', 'revoked_by_user', 'revoked_by_admin', 'user_suspended', 'refresh_token_reuse',
+    'password_changed', 'password_reset', 'password_reset_forced', 'two_factor_reset'
+];
+
+const SESSION_FIELDS = 'id, device_id, device_name, ip_address, user_agent, created_at, last_activity, refresh_expires_at';
+
+function accessTtlMinutes() {
+    return parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES, 10) || DEFAULT_ACCESS_TTL_MINUTES;
+}
+
+function refreshTtlDays() {
+    return parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || DEFAULT_REFRESH_TTL_DAYS;
+}
+
+const hashToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+const randomToken = () => crypto.randomBytes(32).toString('hex');
+const minutesFromNow = minutes => new Date(Date.now() + minutes * 60 * 1000).toISOString();
+
+/**
+ * Readable device name from a user agent, e.g. "Chrome on Windows"
+ */
+function describeDevice(userAgent) {
+    const ua = userAgent || '';
+    const browser = [
+        ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//],
+        ['Firefox', /Firefox\//], ['Safari', /Safari\//]
+    ].find(([, pattern]) => pattern.test(ua));
+    const os = [
+        ['Android', /Android/], ['iOS', /iPhone|iPad/], ['Windows', /Windows/],
+        ['macOS', /Mac OS X/], ['Linux', /Linux/]
+    ].find(([, pattern]) => pattern.test(ua));
+
+    if (!browser && !os) return ua ? ua.slice(0, 100) : 'Unknown device';
+    return `${browser ? browser[0] : 'Browser'} on ${os ? os[0] : 'unknown OS'}`;
+}
+
+/**
+ * Access and refresh tokens for a session
+ */
+function issueTokens(user, sessionToken, refreshToken) {
+    const ttl = accessTtlMinutes();
+    return {
+        token: jwt.sign(
+            { userId: user.id, orgId: user.org_id, role: user.role, sid: sessionToken },
+            process.env.JWT_SECRET,
+            { expiresIn: `${ttl}m` }
+        ),
+        refreshToken,
+        expiresIn: ttl * 60
+    };
+}
+
+/**
+ * Start a session for a user who has just signed in
+ *
+ * @param {Object} user - users row
+ * @param {Object} client - { ip, userAgent, deviceId?, deviceName? }
+ * @returns {Promise<{ token: string, refreshToken: string, expiresIn: number, sessionId: string }>}
+ */
+async function createSession(user, { ip, userAgent, deviceId, deviceName } = {}) {
+    const sessionToken = randomToken();
+    const refreshToken = randomToken();
+
+    const { data: session, error } = await getSupabaseClient()
+        .from('user_sessions')
+        .insert({
+            user_id: user.id,
+            session_token: sessionToken,
+            refresh_token: hashToken(refreshToken),
+            device_id: deviceId ? String(deviceId).slice(0, 255) : null,
+            device_name: deviceName ? String(deviceName).slice(0, 255) : describeDevice(userAgent),
+            ip_address: ip || null,
+            user_agent: userAgent || null,
+            expires_at: minutesFromNow(accessTtlMinutes()),
+            refresh_expires_at: minutesFromNow(refreshTtlDays() * 24 * 60)
+        })
+        .select('id')
+        .single();
+
+    if (error) throw error;
+
+    logger.audit('session_created', user.id, { session_id: session.id, ip });
+    return { ...issueTokens(user, sessionToken, refreshToken), sessionId: session.id };
+}
+
+/**
+ * Exchange a refresh token for new access and refresh tokens
+ *
+ * @param {string} refreshToken
+ * @param {Object} client - { ip, userAgent }
+ * @returns {Promise<Object>} Outcome with status; on success { token, refreshToken, expiresIn }
+ */
+async function refreshSession(refreshToken, { ip, userAgent } = {}) {
+    const invalid = { success: false, status: 401, error: 'Session expired, please sign in again', code: 'REFRESH_TOKEN_INVALID' };
+    if (!refreshToken) return invalid;
+
+    const supabase = getSupabaseClient();
+    const tokenHash = hashToken(refreshToken);
+
+    const { data: session } = await supabase
+        .from('user_sessions')
+        .select('*')
+        .eq('refresh_token', tokenHash)
+        .maybeSingle();
+
+    if (!session) {
+        // A rotated token coming back means it was copied; end that session
+        const { data: reused } = await supabase
+            .from('user_sessions')
+            .select('id, user_id, is_active')
+            .eq('previous_refresh_token', tokenHash)
+            .maybeSingle();
+
+        if (reused && reused.is_active) {
+            await revoke(supabase.from('user_sessions').update(revocation('refresh_token_reuse')).eq('id', reused.id));
+            logger.security('refresh_token_reuse', 'high', { userId: reused.user_id, session_id: reused.id, ip, userAgent });
+        }
+        return invalid;
+    }
+
+    if (!session.is_active) {
+        return { success: false, status: 401, error: 'Session has been signed out', code: 'SESSION_REVOKED' };
+    }
+    if (session.refresh_expires_at && new Date(session.refresh_expires_at) <= new Date()) {
+        return invalid;
+    }
+
+    const { data: user } = await supabase
+        .from('users')
+        .select('id, org_id, role, status')
+        .eq('id', session.user_id)
+        .maybeSingle();
+
+    if (!user || user.status !== 'active') {
+        await revoke(supabase.from('user_sessions').update(revocation('user_suspended')).eq('id', session.id));
+        return { success: false, status: 401, error: 'User not found or inactive', code: 'USER_NOT_FOUND' };
+    }
+
+    const nextRefreshToken = randomToken();
+    const { data: rotated } = await supabase
+        .from('user_sessions')
+        .update({
+            refresh_token: hashToken(nextRefreshToken),
+            previous_refresh_token: tokenHash,
+            expires_at: minutesFromNow(accessTtlMinutes()),
+            refresh_expires_at: minutesFromNow(refreshTtlDays() * 24 * 60),
+            ip_address: ip || session.ip_address,
+            last_activity: new Date().toISOString()
+        })
+        .eq('id', session.id)
+        .eq('refresh_token', tokenHash)
+        .eq('is_active', true)
+        .select('id');
+
+    // Another request rotated the token first
+    if (!rotated || rotated.length === 0) return invalid;
+
+    return { success: true, status: 200, ...issueTokens(user, session.session_token, nextRefreshToken) };
+}
+
+/**
+ * Active session an access token belongs to
+ * Moves last_activity forward at most once a minute.
+ *
+ * @param {string} sessionToken - sid claim of the access token
+ * @param {string} userId - userId claim of the access token
+ * @returns {Promise<Object|null>} Session row, or null when revoked or unknown
+ */
+async function getActiveSession(sessionToken, userId) {
+    if (!sessionToken) return null;
+
+    const supabase = getSupabaseClient();
+    const { data: session } = await supabase
+        .from('user_sessions')
+        .select('id, user_id, is_active, refresh_expires_at, last_activity')
+        .eq('session_token', sessionToken)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (!session || !session.is_active) return null;
+    if (session.refresh_expires_at && new Date(session.refresh_expires_at) <= new Date()) return null;
+
+    if (!session.last_activity || Date.now() - new Date(session.last_activity).getTime() > ACTIVITY_INTERVAL_SECONDS * 1000) {
+        await supabase
+            .from('user_sessions')
+            .update({ last_activity: new Date().toISOString() })
+            .eq('id', session.id);
+    }
+
+    return session;
+}
+
+/**
+ * A user's signed-in devices, most recently used first
+ *
+ * @param {string} userId
+ * @param {string} [currentSessionId] - Marked with current: true
+ * @returns {Promise<Array<Object>>}
+ */
+async function listSessions(userId, currentSessionId) {
+    const { data, error } = await getSupabaseClient()
+        .from('user_sessions')
+        .select(SESSION_FIELDS)
+        .eq('user_id', userId)
+        .eq('is_active', true)
+        .gt('refresh_expires_at', new Date().toISOString())
+        .order('last_activity', { ascending: false });
+
+    if (error) throw error;
+    return (data || []).map(session => ({ ...session, current: session.id === currentSessionId }));
+}
+
+function revocation(reason) {
+    return { is_active: false, revoked_at: new Date().toISOString(), revoked_reason: reason };
+}
+
+async function revoke(query) {
+    const { data, error } = await query.select('id');
+    if (error) throw error;
+    return (data || []).length;
+}
+
+/**
+ * Sign out one session of a user
+ *
+ * @returns {Promise<boolean>} false when the user has no such active session
+ */
+async function revokeSession(userId, sessionId, reason = 'logout') {
+    const count = await revoke(getSupabaseClient()
+        .from('user_sessions')
+        .update(revocation(reason))
+        .eq('id', sessionId)
+        .eq('user_id', userId)
+        .eq('is_active', true));
+
+    if (count > 0) logger.audit('session_revoked', userId, { session_id: sessionId, reason });
+    return count > 0;
+}
+
+/**
+ * Sign out every session of a user
+ *
+ * @param {string} userId
+ * @param {string} reason - One of REVOKE_REASONS
+ * @param {Object} [options] - { exceptSessionId, performedBy }
+ * @returns {Promise<number>} Sessions revoked
+ */
+async function revokeAllSessions(userId, reason, { exceptSessionId, performedBy } = {}) {
+    let query = getSupabaseClient()
+        .from('user_sessions')
+        .update(revocation(reason))
+        .eq('user_id', userId)
+        .eq('is_active', true);
+    if (exceptSessionId) query = query.neq('id', exceptSessionId);
+
+    const count = await revoke(query);
+    logger.audit('sessions_revoked', performedBy || userId, { targetUserId: userId, reason, count });
+    return count;
+}
+
+module.exports = {
+    REVOKE_REASONS,
+    describeDevice,
+    createSession,
+    refreshSession,
+    getActiveSession,
+    listSessions,
+    revokeSession,
+    revokeAllSessions
+};
@@ -183,9 +183,11 @@ async function logVerification(voucherId, result, userId) {
 
 /**
  * Create canonical string from voucher data
- * Fields are joined with pipe separator in consistent order
+ * Fields are joined with pipe separator in consistent order. When the
+ * voucher has attachments, their SHA-256 hashes (sorted) are appended, so
+ * vouchers without attachments keep their existing signatures.
  * 
- * @param {Object} voucherData - Voucher data
+ * @param {Object} voucherData - Voucher data (attachments: [{ sha256 }])
  * @returns {string} Canonical string representation
  */
 function createCanonicalString(voucherData) {
@@ -201,6 +203,14 @@ function createCanonicalString(voucherData) {
     voucherData.created_by || ''
   ];
   
+  const attachmentHashes = (voucherData.attachments || [])
+    .map(attachment => attachment.sha256)
+    .filter(Boolean)
+    .sort();
+  if (attachmentHashes.length > 0) {
+    fields.push(attachmentHashes.join(','));
+  }
+  
   return fields.join('|');
 }
 
@@ -267,7 +277,7 @@ async function rotateOrgSigningSecret(orgId) {
     // Fetch all vouchers for this org
     const { data: vouchers, error: fetchError } = await supabase
       .from('vouchers')
-      .select('id, voucher_number, company_id, org_id, payee_id, amount, payment_mode, head_of_account, created_at, created_by')
+      .select('id, voucher_number, company_id, org_id, payee_id, amount, payment_mode, head_of_account, created_at, created_by, attachments')
       .eq('org_id', orgId);
     
     if (fetchError) throw fetchError;
@@ -0,0 +1,116 @@
+/**
+ * FoodStream Ltd. - SMS Provider Circuit Breaker
+ *
+ * Tracks consecutive failures per SMS provider and credential source. After
+ * SMS_BREAKER_THRESHOLD failures in a row the provider is skipped for
+ * SMS_BREAKER_COOLDOWN_MS; the first send after that is a trial, and its
+ * outcome closes the circuit again or re-opens it.
+ *
+ * The source is 'platform' for the shared env credentials, or 'org:<id>'
+ * when an organization brings its own, so one tenant's bad key does not
+ * take the provider away from everyone else.
+ *
+ * State is kept in memory, per server process.
+ *
+ * @module services/smsCircuitBreaker
+ */
+
+const logger = require('../utils/logger');
+
+// 'provider|source' -> circuit
+const circuits = new Map();
+
+const PLATFORM = 'platform';
+
+function threshold() {
+    return parseInt(process.env.SMS_BREAKER_THRESHOLD, 10) || 3;
+}
+
+function cooldownMs() {
+    return parseInt(process.env.SMS_BREAKER_COOLDOWN_MS, 10) || 60 * 1000;
+}
+
+function getCircuit(provider, source = PLATFORM) {
+    const key = `${provider}|${source}`;
+    if (!circuits.has(key)) {
+        circuits.set(key, { provider, source, state: 'closed', failures: 0, openedAt: null, lastError: null });
+    }
+    return circuits.get(key);
+}
+
+/**
+ * Whether a provider may be tried now with the given credentials
+ * An open circuit whose cooldown has passed moves to half_open.
+ */
+function isAvailable(provider, source = PLATFORM, now = Date.now()) {
+    const circuit = getCircuit(provider, source);
+
+    if (circuit.state === 'open' && now - circuit.openedAt >= cooldownMs()) {
+        circuit.state = 'half_open';
+    }
+
+    return circuit.state !== 'open';
+}
+
+function recordSuccess(provider, source = PLATFORM) {
+    const circuit = getCircuit(provider, source);
+
+    if (circuit.state !== 'closed') {
+        logger.info('SMS provider circuit closed', { provider, source });
+    }
+
+    circuit.state = 'closed';
+    circuit.failures = 0;
+    circuit.openedAt = null;
+    circuit.lastError = null;
+}
+
+function recordFailure(provider, source = PLATFORM, error, now = Date.now()) {
+    const circuit = getCircuit(provider, source);
+    circuit.failures += 1;
+    circuit.lastError = error || null;
+
+    if (circuit.state === 'half_open' || (circuit.state === 'closed' && circuit.failures >= threshold())) {
+        circuit.state = 'open';
+        circuit.openedAt = now;
+        logger.warn('SMS provider circuit opened', { provider, source, failures: circuit.failures, error });
+    }
+}
+
+/**
+ * Circuit state of every provider seen so far
+ *
+ * @param {Array<string>} [sources] - Only circuits of these credential sources
+ */
+function getStatus(sources = null, now = Date.now()) {
+    return [...circuits.values()].filter(circuit => !sources || sources.includes(circuit.source)).map(circuit => {
+        const cooledDown = circuit.state === 'open' && now - circuit.openedAt >= cooldownMs();
+        return {
+            provider: circuit.provider,
+            source: circuit.source,
+            state: cooledDown ? 'half_open' : circuit.state,
+            failures: circuit.failures,
+            last_error: circuit.lastError,
+            retry_at: circuit.state === 'open' ? new Date(circuit.openedAt + cooldownMs()).toISOString() : null
+        };
+    });
+}
+
+/**
+ * Close one provider's circuits (every credential source), or all of them
+ */
+function reset(provider) {
+    if (!provider) return circuits.clear();
+    for (const [key, circuit] of circuits.entries()) {
+        if (circuit.provider === provider) circuits.delete(key);
+    }
+}
+
+module.exports = {
+    PLATFORM,
+    isAvailable,
+    recordSuccess,
+    recordFailure,
+    getStatus,
+    reset
+};
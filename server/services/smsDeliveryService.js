@@ -0,0 +1,292 @@
+/**
+ * FoodStream Ltd. - SMS Delivery Report Service
+ *
+ * Parses delivery reports (DLRs) posted by the SMS providers and applies
+ * them to sms_logs. The send response only says the provider accepted the
+ * message; the DLR says whether the handset received it.
+ *
+ * Authenticity:
+ *   - twilio: X-Twilio-Signature (HMAC-SHA1 of URL + sorted params, keyed
+ *     by the account's auth token)
+ *   - msg91, kaleyra, textlocal, 2factor: these do not sign callbacks, so
+ *     the configured DLR URL carries a shared token (SMS_WEBHOOK_TOKEN)
+ *
+ * @module services/smsDeliveryService
+ */
+
+const crypto = require('crypto');
+const { getSupabaseClient } = require('../config/database');
+const encryptionUtil = require('../utils/encryption');
+const logger = require('../utils/logger');
+
+/**
+ * Statuses after which a message will not change again
+ */
+const FINAL_STATUSES = ['delivered', 'undelivered', 'expired', 'failed'];
+
+/**
+ * Provider status words mapped to ours; anything else is an interim state
+ */
+const STATUS_MAP = {
+    delivered: 'delivered', delivrd: 'delivered', d: 'delivered', success: 'delivered',
+    undelivered: 'undelivered', undeliv: 'undelivered', u: 'undelivered', failed: 'undelivered',
+    rejected: 'undelivered', rejectd: 'undelivered', i: 'undelivered', ndnc: 'undelivered',
+    blocked: 'undelivered', dnd: 'undelivered', invalid: 'undelivered',
+    expired: 'expired', e: 'expired'
+};
+
+/**
+ * MSG91 numeric report codes
+ */
+const MSG91_CODES = { 1: 'delivered', 2: 'undelivered', 9: 'undelivered', 16: 'undelivered', 17: 'undelivered', 25: 'undelivered', 26: 'undelivered', 5: 'expired' };
+
+function normalizeStatus(raw) {
+    return STATUS_MAP[String(raw || '').trim().toLowerCase()] || null;
+}
+
+function timingSafeEqual(a, b) {
+    const left = Buffer.from(String(a || ''));
+    const right = Buffer.from(String(b || ''));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Twilio request signature
+ * https://www.twilio.com/docs/usage/security#validating-requests
+ */
+function twilioSignature(authToken, url, params) {
+    const data = Object.keys(params || {}).sort().reduce((acc, key) => acc + key + params[key], url);
+    return crypto.createHmac('sha1', authToken).update(Buffer.from(data, 'utf-8')).digest('base64');
+}
+
+/**
+ * Reports in a request, as [{ messageId, status, providerStatus, errorCode, reportedAt }]
+ * status is null for interim states (queued, sent, accepted...)
+ */
+const PARSERS = {
+    twilio(body) {
+        return [{
+            messageId: body.MessageSid || body.SmsSid,
+            providerStatus: body.MessageStatus || body.SmsStatus,
+            status: normalizeStatus(body.MessageStatus || body.SmsStatus),
+            errorCode: body.ErrorCode || null
+        }];
+    },
+
+    // JSON array of requests, each with per-number reports; older accounts post it form-encoded as `data`
+    msg91(body) {
+        let payload = body.data !== undefined ? body.data : body;
+        if (typeof payload === 'string') {
+            try { payload = JSON.parse(payload); } catch { payload = []; }
+        }
+
+        return (Array.isArray(payload) ? payload : [payload]).flatMap(request => {
+            const reports = request.report || request.numbers || [request];
+            return reports.map(report => ({
+                messageId: request.requestId || request.request_id,
+                providerStatus: String(report.status ?? report.desc ?? ''),
+                status: MSG91_CODES[report.status] || normalizeStatus(report.desc || report.status),
+                errorCode: MSG91_CODES[report.status] === 'delivered' ? null : report.status || null,
+                reportedAt: report.date || null
+            }));
+        });
+    },
+
+    kaleyra(body) {
+        return [{
+            messageId: body.id || body.sid || body.message_id,
+            providerStatus: body.status,
+            status: normalizeStatus(body.status),
+            errorCode: body.error_code || null,
+            reportedAt: body.delivered || body.delivered_at || null
+        }];
+    },
+
+    // Receipts carry back the `custom` reference we sent the message with
+    textlocal(body) {
+        return [{
+            messageId: body.customID || body.custom,
+            providerStatus: body.status,
+            status: normalizeStatus(body.status),
+            errorCode: null,
+            reportedAt: body.datetime || null
+        }];
+    },
+
+    '2factor'(body) {
+        return [{
+            messageId: body.SessionId || body.session_id || body.Details,
+            providerStatus: body.Status || body.status,
+            status: normalizeStatus(body.Status || body.status),
+            errorCode: null,
+            reportedAt: body.DeliveredAt || null
+        }];
+    }
+};
+
+const PROVIDERS = Object.keys(PARSERS);
+
+/**
+ * Auth token for a Twilio callback: the sending org's credentials, else the env token
+ */
+async function twilioAuthToken(messageSid) {
+    const supabase = getSupabaseClient();
+    const { data: log } = await supabase
+        .from('sms_logs')
+        .select('org_id')
+        .eq('provider', 'twilio')
+        .eq('provider_message_id', messageSid)
+        .maybeSingle();
+
+    if (log?.org_id) {
+        const { data: org } = await supabase
+            .from('licensed_orgs')
+            .select('sms_config')
+            .eq('id', log.org_id)
+            .maybeSingle();
+        try {
+            const config = org?.sms_config ? encryptionUtil.decrypt(org.sms_config) : null;
+            const twilio = config?.twilio || config;
+            if (twilio?.authToken) return twilio.authToken;
+        } catch (error) {
+            logger.error('Failed to read Twilio credentials', { orgId: log.org_id, error: error.message });
+        }
+    }
+
+    return process.env.TWILIO_AUTH_TOKEN || null;
+}
+
+/**
+ * Check that a callback came from the provider
+ *
+ * @param {string} provider
+ * @param {Object} req - Express request
+ * @returns {Promise<boolean>}
+ */
+async function verifyRequest(provider, req) {
+    if (provider === 'twilio') {
+        const authToken = await twilioAuthToken(req.body.MessageSid || req.body.SmsSid);
+        if (!authToken) return false;
+
+        // Behind a proxy the public URL is not what Express sees
+        const url = process.env.SMS_WEBHOOK_BASE_URL
+            ? `${process.env.SMS_WEBHOOK_BASE_URL.replace(/\/$/, '')}${req.originalUrl}`
+            : `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+
+        return timingSafeEqual(req.get('X-Twilio-Signature'), twilioSignature(authToken, url, req.body));
+    }
+
+    const token = process.env.SMS_WEBHOOK_TOKEN;
+    if (!token) return false;
+    return timingSafeEqual(req.query.token || req.get('X-Webhook-Token'), token);
+}
+
+/**
+ * Apply a provider's delivery reports to sms_logs
+ *
+ * @param {string} provider - Key of PARSERS
+ * @param {Object} payload - Request body merged with query
+ * @returns {Promise<{ received: number, updated: number, unmatched: number }>}
+ */
+async function applyDeliveryReports(provider, payload) {
+    const supabase = getSupabaseClient();
+    const reports = PARSERS[provider](payload).filter(report => report.messageId);
+    const summary = { received: reports.length, updated: 0, unmatched: 0 };
+
+    for (const report of reports) {
+        const { data: log } = await supabase
+            .from('sms_logs')
+            .select('id, status')
+            .eq('provider', provider)
+            .eq('provider_message_id', String(report.messageId))
+            .order('sent_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        if (!log) {
+            summary.unmatched += 1;
+            continue;
+        }
+
+        // Late interim callbacks must not overwrite a final outcome
+        if (FINAL_STATUSES.includes(log.status) && !report.status) continue;
+
+        const now = new Date().toISOString();
+        const reportedAt = report.reportedAt && !isNaN(Date.parse(report.reportedAt))
+            ? new Date(report.reportedAt).toISOString()
+            : now;
+
+        const updates = {
+            delivery_status: report.providerStatus ? String(report.providerStatus).slice(0, 50) : null,
+            delivery_updated_at: now
+        };
+        if (report.status) {
+            updates.status = report.status;
+            if (report.status === 'delivered') {
+                updates.delivered_at = reportedAt;
+            } else {
+                updates.failed_at = reportedAt;
+                if (report.errorCode) updates.error_code = String(report.errorCode).slice(0, 50);
+            }
+        }
+
+        const { error } = await supabase.from('sms_logs').update(updates).eq('id', log.id);
+        if (error) {
+            logger.error('Failed to apply SMS delivery report', { provider, logId: log.id, error: error.message });
+            continue;
+        }
+        summary.updated += 1;
+    }
+
+    if (summary.unmatched > 0) {
+        logger.warn('SMS delivery reports without a matching log', { provider, unmatched: summary.unmatched });
+    }
+
+    return summary;
+}
+
+/**
+ * Delivery state of the SMS sent for a voucher, newest first
+ * `resend_recommended` is true when the latest message did not reach the
+ * payee, or has had no report for longer than SMS_DLR_STALE_MINUTES.
+ *
+ * @param {string} voucherId
+ * @returns {Promise<Object>}
+ */
+async function getVoucherDelivery(voucherId) {
+    const { data, error } = await getSupabaseClient()
+        .from('sms_logs')
+        .select('id, mobile, provider, context_type, status, delivery_status, error_code, error_message, sent_at, delivered_at, failed_at, delivery_updated_at')
+        .eq('context_id', voucherId)
+        .order('sent_at', { ascending: false })
+        .limit(20);
+
+    if (error) throw error;
+
+    const messages = (data || []).map(log => ({ ...log, mobile: log.mobile ? `****${String(log.mobile).slice(-4)}` : null }));
+    const latest = messages[0] || null;
+    const staleMinutes = parseInt(process.env.SMS_DLR_STALE_MINUTES, 10) || 5;
+
+    let resendRecommended = false;
+    if (latest) {
+        const pending = !FINAL_STATUSES.includes(latest.status);
+        const age = (Date.now() - new Date(latest.sent_at).getTime()) / 60000;
+        resendRecommended = ['undelivered', 'expired', 'failed'].includes(latest.status) || (pending && age > staleMinutes);
+    }
+
+    return {
+        latest_status: latest?.status || null,
+        resend_recommended: resendRecommended,
+        messages
+    };
+}
+
+module.exports = {
+    PROVIDERS,
+    FINAL_STATUSES,
+    normalizeStatus,
+    twilioSignature,
+    verifyRequest,
+    applyDeliveryReports,
+    getVoucherDelivery
+};
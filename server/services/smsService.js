@@ -2,10 +2,44 @@ const { getSupabaseClient } = require('../config/database');
 const encryptionUtil = require('../utils/encryption');
 const logger = require('../utils/logger');
 const axios = require('axios');
+const crypto = require('crypto');
+const circuitBreaker = require('./smsCircuitBreaker');
+const usageMeter = require('./usageMeter');
+
+const PROVIDERS = ['2factor', 'twilio', 'msg91', 'kaleyra', 'textlocal'];
+
+/**
+ * Provider API base URLs; override to point at local mock servers
+ */
+const API_URLS = {
+    '2factor': () => process.env.TWOFACTOR_API_URL || 'https://2factor.in',
+    msg91: () => process.env.MSG91_API_URL || 'https://api.msg91.com',
+    kaleyra: () => process.env.KALEYRA_API_URL || 'https://api.kaleyra.io',
+    textlocal: () => process.env.TEXTLOCAL_API_URL || 'https://api.textlocal.in'
+};
+
+/**
+ * Platform credentials, used when the org has none for a provider
+ */
+const ENV_CREDENTIALS = {
+    twilio: () => ({
+        accountSid: process.env.TWILIO_ACCOUNT_SID,
+        authToken: process.env.TWILIO_AUTH_TOKEN,
+        fromNumber: process.env.TWILIO_PHONE_NUMBER,
+        messagingServiceSid: process.env.TWILIO_MESSAGING_SERVICE_SID
+    }),
+    msg91: () => ({ authKey: process.env.MSG91_AUTH_KEY }),
+    kaleyra: () => ({ apiKey: process.env.KALEYRA_API_KEY }),
+    textlocal: () => ({ apiKey: process.env.TEXTLOCAL_API_KEY })
+};
 
 /**
  * SMS Service - Multi-Provider Support
  * Supports: 2Factor.in (default), Twilio, MSG91, Kaleyra, TextLocal
+ * Messages go through an ordered provider chain (licensed_orgs.sms_provider_chain,
+ * else SMS_PROVIDER_CHAIN, else the single provider); a provider that errors or
+ * times out hands over to the next, and one that keeps failing is skipped by
+ * the circuit breaker until its cooldown passes.
  */
 class SMSService {
     constructor(orgConfig) {
@@ -17,6 +51,12 @@ class SMSService {
         this.orgId = orgConfig?.id;
         this.enabled = orgConfig?.sms_enabled !== false;
         
+        // Flat sms_config holds the credentials of sms_provider; keyed by provider otherwise
+        this.configProvider = orgConfig?.sms_provider || this.provider;
+        this.providerChain = SMSService.resolveChain(orgConfig, this.provider);
+        this.provider = this.providerChain[0];
+        this.timeoutMs = parseInt(process.env.SMS_PROVIDER_TIMEOUT_MS, 10) || 10000;
+        
         // 2Factor.in configuration from environment
         this.twoFactorApiKey = process.env.TWOFACTOR_API_KEY;
         this.twoFactorTemplateName = process.env.TWOFACTOR_TEMPLATE_NAME;
@@ -39,62 +79,161 @@ class SMSService {
                 return { success: false, error: 'SMS service disabled' };
             }
             
-            // For 2Factor, we can send OTP directly without DLT template lookup
-            if (this.provider === '2factor') {
-                const otp = variables[0] || this.generateOTP();
-                const result = await this.send2Factor(mobile, otp);
-                
-                // Log SMS
-                await this.logSMS(mobile, `OTP: ${otp}`, null, result, contextId, templateType);
-                
-                return { ...result, otp };
-            }
+            const otp = variables[0] || this.generateOTP();
+            const result = await this.deliver(mobile, {
+                templateType,
+                variables: [otp, ...variables.slice(1)],
+                contextId,
+                otp: true
+            });
             
-            // Get DLT template for other providers
-            const template = await this.getDLTTemplate(templateType);
+            return { ...result, otp };
             
-            if (!template) {
-                logger.error('DLT template not found', { templateType, orgId: this.orgId });
-                return { success: false, error: 'SMS template not configured' };
+        } catch (error) {
+            logger.error('SMS send error', { error: error.message, provider: this.provider });
+            return { success: false, error: error.message };
+        }
+    }
+    
+    /**
+     * Send a non-OTP transactional SMS (reminders, notices) from a DLT template
+     */
+    async sendMessage(mobile, templateType, variables = [], contextId = null) {
+        try {
+            if (!this.enabled) {
+                logger.warn('SMS service disabled for organization', { orgId: this.orgId });
+                return { success: false, error: 'SMS service disabled' };
             }
             
-            // Format message with variables
-            const message = this.formatTemplate(template.template_content, variables);
+            return await this.deliver(mobile, { templateType, variables, contextId });
             
-            // Send via provider
-            let result;
-            switch(this.provider) {
-                case 'twilio':
-                    result = await this.sendTwilio(mobile, message, template.dlt_template_id);
-                    break;
-                
-                case 'msg91':
-                    result = await this.sendMsg91(mobile, template.dlt_template_id, variables);
-                    break;
-                
-                case 'kaleyra':
-                    result = await this.sendKaleyra(mobile, message, template.dlt_template_id);
-                    break;
-                
-                case 'textlocal':
-                    result = await this.sendTextLocal(mobile, message, template.dlt_template_id);
-                    break;
+        } catch (error) {
+            logger.error('SMS send error', { error: error.message, provider: this.provider });
+            return { success: false, error: error.message };
+        }
+    }
+    
+    /**
+     * Send an SMS from a given sms_templates row (also used for test sends)
+     */
+    async sendWithTemplate(mobile, template, variables, contextId) {
+        return this.deliver(mobile, { template, templateType: template.template_type, variables, contextId });
+    }
+    
+    /**
+     * Send through the provider chain, stopping at the first provider that accepts
+     * Every attempt is written to sms_logs with its provider and attempt number.
+     *
+     * @param {string} mobile
+     * @param {Object} options
+     * @param {string} options.templateType - sms_templates.template_type
+     * @param {Object} [options.template] - Template row; looked up by type when omitted
+     * @param {Array} options.variables - Values for the {#var#} placeholders
+     * @param {string} [options.contextId]
+     * @param {boolean} [options.otp] - variables[0] is a code: 2Factor sends it natively and it is masked in logs
+     * @returns {Promise<Object>} Provider result plus { provider, attempts }
+     */
+    async deliver(mobile, { templateType, template = null, variables = [], contextId = null, otp = false }) {
+        const available = this.providerChain.filter(provider => circuitBreaker.isAvailable(provider, this.credentialSource(provider)));
+        // With every circuit open, still try rather than drop the message
+        const providers = available.length > 0 ? available : this.providerChain;
+        
+        let templateLoaded = Boolean(template);
+        const attempts = [];
+        let result = { success: false, error: 'No SMS provider configured' };
+        
+        for (const provider of providers) {
+            let message;
+            
+            if (otp && provider === '2factor') {
+                // 2Factor sends OTPs from its own template; no DLT template lookup needed
+                result = await this.send2Factor(mobile, variables[0]);
+                message = 'OTP sent via 2Factor';
+            } else {
+                if (!templateLoaded) {
+                    template = await this.getDLTTemplate(templateType);
+                    templateLoaded = true;
+                }
+                if (!template) {
+                    logger.error('DLT template not found', { templateType, orgId: this.orgId });
+                    result = { success: false, error: 'SMS template not configured' };
+                    attempts.push({ provider, success: false, error: result.error });
+                    continue;
+                }
                 
-                default:
-                    throw new Error(`Unsupported SMS provider: ${this.provider}`);
+                result = await this.sendVia(provider, mobile, template, variables);
+                // The code itself is never written to sms_logs
+                message = this.formatTemplate(template.template_content, otp ? ['******', ...variables.slice(1)] : variables);
             }
             
-            // Log SMS
-            await this.logSMS(mobile, message, template.id, result, contextId, templateType);
+            if (result.success) {
+                circuitBreaker.recordSuccess(provider, this.credentialSource(provider));
+            } else {
+                circuitBreaker.recordFailure(provider, this.credentialSource(provider), result.error);
+            }
             
-            return result;
+            attempts.push({ provider, success: result.success, error: result.error });
+            await this.logSMS(mobile, message, template?.id || null, result, contextId, templateType, provider, attempts.length);
             
-        } catch (error) {
-            logger.error('SMS send error', { error: error.message, provider: this.provider });
-            return { success: false, error: error.message };
+            if (result.success) {
+                if (attempts.length > 1) {
+                    logger.warn('SMS delivered after failover', { orgId: this.orgId, provider, attempts: attempts.length });
+                }
+                return { ...result, provider, attempts };
+            }
+            
+            logger.warn('SMS provider failed', { orgId: this.orgId, provider, error: result.error });
+        }
+        
+        return { ...result, attempts };
+    }
+    
+    /**
+     * Send a formatted template through one provider
+     */
+    async sendVia(provider, mobile, template, variables) {
+        const message = this.formatTemplate(template.template_content, variables);
+        
+        switch(provider) {
+            case '2factor':
+                return this.send2FactorTransactional(mobile, template.template_name, variables);
+            
+            case 'twilio':
+                return this.sendTwilio(mobile, message, template.dlt_template_id);
+            
+            case 'msg91':
+                return this.sendMsg91(mobile, template.dlt_template_id, variables);
+            
+            case 'kaleyra':
+                return this.sendKaleyra(mobile, message, template.dlt_template_id);
+            
+            case 'textlocal':
+                return this.sendTextLocal(mobile, message, template.dlt_template_id);
+            
+            default:
+                return { success: false, error: `Unsupported SMS provider: ${provider}` };
         }
     }
     
+    /**
+     * Credentials for a provider: the org's sms_config, else the platform env
+     */
+    credentials(provider) {
+        if (this.config?.[provider]) return this.config[provider];
+        if (this.config && provider === this.configProvider) return this.config;
+        return ENV_CREDENTIALS[provider] ? ENV_CREDENTIALS[provider]() : {};
+    }
+    
+    /**
+     * Whose credentials a provider is used with, for the circuit breaker
+     * 2Factor always sends with the platform key.
+     */
+    credentialSource(provider) {
+        const ownKey = provider !== '2factor' && this.orgId &&
+            (this.config?.[provider] || (this.config && provider === this.configProvider));
+        return ownKey ? `org:${this.orgId}` : circuitBreaker.PLATFORM;
+    }
+    
     /**
      * 2Factor.in - Send OTP with custom OTP value
      */
@@ -108,9 +247,9 @@ class SMSService {
             }
             
             // Send OTP via 2Factor.in
-            const url = `https://2factor.in/API/V1/${this.twoFactorApiKey}/SMS/${cleanMobile}/${otp}/${this.twoFactorTemplateName}`;
+            const url = `${API_URLS['2factor']()}/API/V1/${this.twoFactorApiKey}/SMS/${cleanMobile}/${otp}/${this.twoFactorTemplateName}`;
             
-            const response = await axios.get(url);
+            const response = await axios.get(url, { timeout: this.timeoutMs });
             
             if (response.data.Status === 'Success') {
                 logger.info('2Factor OTP sent successfully', { 
@@ -141,6 +280,41 @@ class SMSService {
         }
     }
     
+    /**
+     * 2Factor.in - Send a transactional SMS from a template registered with 2Factor
+     */
+    async send2FactorTransactional(mobile, templateName, variables = []) {
+        try {
+            const cleanMobile = mobile.replace(/^\+91/, '').replace(/^91/, '').replace(/\D/g, '');
+            
+            if (cleanMobile.length !== 10) {
+                return { success: false, error: 'Invalid mobile number format' };
+            }
+            
+            const params = new URLSearchParams({
+                From: process.env.TWOFACTOR_SENDER_ID || '',
+                To: cleanMobile,
+                TemplateName: templateName
+            });
+            variables.forEach((value, i) => params.append(`VAR${i + 1}`, String(value)));
+            
+            const response = await axios.post(
+                `${API_URLS['2factor']()}/API/V1/${this.twoFactorApiKey}/ADDON_SERVICES/SEND/TSMS`,
+                params.toString(),
+                { headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, timeout: this.timeoutMs }
+            );
+            
+            if (response.data.Status === 'Success') {
+                return { success: true, messageId: response.data.Details, status: 'sent' };
+            }
+            
+            return { success: false, error: response.data.Details || 'Failed to send SMS' };
+        } catch (error) {
+            logger.error('2Factor API error', { error: error.message });
+            return { success: false, error: error.message };
+        }
+    }
+    
     /**
      * 2Factor.in - Send OTP with auto-generated OTP
      */
@@ -154,9 +328,9 @@ class SMSService {
             }
             
             // Auto-generate and send OTP via 2Factor.in
-            const url = `https://2factor.in/API/V1/${this.twoFactorApiKey}/SMS/${cleanMobile}/AUTOGEN/${this.twoFactorTemplateName}`;
+            const url = `${API_URLS['2factor']()}/API/V1/${this.twoFactorApiKey}/SMS/${cleanMobile}/AUTOGEN/${this.twoFactorTemplateName}`;
             
-            const response = await axios.get(url);
+            const response = await axios.get(url, { timeout: this.timeoutMs });
             
             if (response.data.Status === 'Success') {
                 logger.info('2Factor auto OTP sent', { 
@@ -186,9 +360,9 @@ class SMSService {
      */
     async verify2FactorOTP(sessionId, otp) {
         try {
-            const url = `https://2factor.in/API/V1/${this.twoFactorApiKey}/SMS/VERIFY/${sessionId}/${otp}`;
+            const url = `${API_URLS['2factor']()}/API/V1/${this.twoFactorApiKey}/SMS/VERIFY/${sessionId}/${otp}`;
             
-            const response = await axios.get(url);
+            const response = await axios.get(url, { timeout: this.timeoutMs });
             
             if (response.data.Status === 'Success' && response.data.Details === 'OTP Matched') {
                 logger.info('2Factor OTP verified', { sessionId });
@@ -212,13 +386,15 @@ class SMSService {
     async sendTwilio(mobile, message, dltTemplateId) {
         try {
             const twilio = require('twilio');
-            const client = twilio(this.config.accountSid, this.config.authToken);
+            const config = this.credentials('twilio');
+            const client = twilio(config.accountSid, config.authToken, { timeout: this.timeoutMs });
             
             const result = await client.messages.create({
                 body: message,
-                from: this.config.fromNumber,
+                from: config.fromNumber,
                 to: mobile,
-                messagingServiceSid: this.config.messagingServiceSid,
+                messagingServiceSid: config.messagingServiceSid,
+                ...(this.webhookUrl('twilio') && { statusCallback: this.webhookUrl('twilio') }),
                 // DLT parameters for Indian numbers
                 ...(mobile.startsWith('+91') && {
                     contentSid: dltTemplateId
@@ -243,17 +419,17 @@ class SMSService {
         try {
             const axios = require('axios');
             
-            const response = await axios.post('https://api.msg91.com/api/v5/otp', {
+            const response = await axios.post(`${API_URLS.msg91()}/api/v5/otp`, {
                 template_id: dltTemplateId,
                 mobile: mobile,
-                authkey: this.config.authKey,
+                authkey: this.credentials('msg91').authKey,
                 otp_length: 6,
                 otp_expiry: 10, // minutes
                 invisible: 0,
                 DLT_TE_ID: dltTemplateId,
                 DLT_PE_ID: this.dltEntityId,
                 sender: this.dltSenderId
-            });
+            }, { timeout: this.timeoutMs });
             
             return { 
                 success: true, 
@@ -273,15 +449,17 @@ class SMSService {
         try {
             const axios = require('axios');
             
-            const response = await axios.get('https://api.kaleyra.io/v1/HXAP1734713361IN/messages', {
+            const response = await axios.get(`${API_URLS.kaleyra()}/v1/HXAP1734713361IN/messages`, {
+                timeout: this.timeoutMs,
                 params: {
-                    'api_key': this.config.apiKey,
+                    'api_key': this.credentials('kaleyra').apiKey,
                     'method': 'sms',
                     'message': message,
                     'to': mobile,
                     'sender': this.dltSenderId,
                     'template_id': dltTemplateId,
-                    'pe_id': this.dltEntityId
+                    'pe_id': this.dltEntityId,
+                    ...(this.webhookUrl('kaleyra') && { 'callback': this.webhookUrl('kaleyra') })
                 }
             });
             
@@ -302,20 +480,25 @@ class SMSService {
     async sendTextLocal(mobile, message, dltTemplateId) {
         try {
             const axios = require('axios');
+            // TextLocal receipts only echo back this reference
+            const reference = crypto.randomUUID();
             
-            const response = await axios.post('https://api.textlocal.in/send/', null, {
+            const response = await axios.post(`${API_URLS.textlocal()}/send/`, null, {
+                timeout: this.timeoutMs,
                 params: {
-                    apikey: this.config.apiKey,
+                    apikey: this.credentials('textlocal').apiKey,
                     message: message,
                     sender: this.dltSenderId,
                     numbers: mobile,
-                    template_id: dltTemplateId
+                    template_id: dltTemplateId,
+                    custom: reference,
+                    ...(this.webhookUrl('textlocal') && { receipt_url: this.webhookUrl('textlocal') })
                 }
             });
             
             return { 
                 success: response.data.status === 'success', 
-                messageId: response.data.message_id,
+                messageId: reference,
                 status: 'queued'
             };
         } catch (error) {
@@ -324,19 +507,34 @@ class SMSService {
         }
     }
     
+    /**
+     * Delivery report URL for a provider, or null when SMS_WEBHOOK_BASE_URL is not set
+     */
+    webhookUrl(provider) {
+        const base = process.env.SMS_WEBHOOK_BASE_URL;
+        if (!base) return null;
+        
+        const url = `${base.replace(/\/$/, '')}/api/sms/webhooks/${provider}`;
+        // Twilio signs its callbacks; the others authenticate with the shared token
+        return provider === 'twilio' ? url : `${url}?token=${encodeURIComponent(process.env.SMS_WEBHOOK_TOKEN || '')}`;
+    }
+    
     /**
      * Get DLT template from database
      */
     async getDLTTemplate(templateType) {
         const supabase = getSupabaseClient();
         
-        const { data, error } = await supabase
+        let query = supabase
             .from('sms_templates')
             .select('*')
-            .eq('org_id', this.orgId)
             .eq('template_type', templateType)
-            .eq('status', 'active')
-            .single();
+            .eq('status', 'active');
+        
+        // Platform messages (no org) use templates with org_id NULL
+        query = this.orgId ? query.eq('org_id', this.orgId) : query.is('org_id', null);
+        
+        const { data, error } = await query.single();
         
         if (error) {
             logger.error('Failed to fetch DLT template', { error: error.message });
@@ -362,9 +560,11 @@ class SMSService {
     /**
      * Log SMS to database
      */
-    async logSMS(mobile, message, templateId, result, contextId, contextType) {
+    async logSMS(mobile, message, templateId, result, contextId, contextType, provider = this.provider, attemptNumber = 1) {
         try {
             const supabase = getSupabaseClient();
+            // Long and Unicode messages are billed per part
+            const credits = result.success ? usageMeter.smsSegments(message) : 0;
             
             await supabase
                 .from('sms_logs')
@@ -373,18 +573,19 @@ class SMSService {
                     mobile: mobile,
                     message: message,
                     template_id: templateId,
-                    provider: this.provider,
+                    provider: provider,
+                    attempt_number: attemptNumber,
                     provider_message_id: result.messageId || result.sessionId,
                     status: result.success ? 'sent' : 'failed',
                     error_message: result.error,
                     context_type: contextType,
                     context_id: contextId,
-                    credits_used: result.success ? 1.0 : 0
+                    credits_used: credits
                 });
             
-            // Update license SMS usage
-            if (result.success) {
-                await this.updateSMSUsage();
+            // Update license SMS usage (platform messages are not billed to a tenant)
+            if (result.success && this.orgId) {
+                await usageMeter.recordSms(this.orgId, credits);
             }
             
         } catch (error) {
@@ -393,36 +594,16 @@ class SMSService {
     }
     
     /**
-     * Update SMS usage counter
+     * Static: Ordered providers to try
+     * sms_provider_chain on the org, else SMS_PROVIDER_CHAIN (comma separated), else the single provider
      */
-    async updateSMSUsage() {
-        try {
-            const supabase = getSupabaseClient();
-            const currentMonth = new Date().toISOString().slice(0, 7);
-            
-            // Get org's license
-            const { data: org } = await supabase
-                .from('licensed_orgs')
-                .select('license_id')
-                .eq('id', this.orgId)
-                .single();
-            
-            if (org && org.license_id) {
-                // Upsert usage
-                await supabase
-                    .from('license_usage')
-                    .upsert({
-                        license_id: org.license_id,
-                        month: currentMonth,
-                        sms_sent: 1
-                    }, {
-                        onConflict: 'license_id,month',
-                        count: 'exact'
-                    });
-            }
-        } catch (error) {
-            logger.error('Failed to update SMS usage', { error: error.message });
-        }
+    static resolveChain(orgConfig, fallbackProvider) {
+        const configured = Array.isArray(orgConfig?.sms_provider_chain) && orgConfig.sms_provider_chain.length > 0
+            ? orgConfig.sms_provider_chain
+            : (process.env.SMS_PROVIDER_CHAIN || '').split(',').map(p => p.trim()).filter(Boolean);
+        
+        const chain = [...new Set(configured)].filter(provider => PROVIDERS.includes(provider));
+        return chain.length > 0 ? chain : [fallbackProvider];
     }
     
     /**
@@ -454,4 +635,6 @@ class SMSService {
     }
 }
 
+SMSService.PROVIDERS = PROVIDERS;
+
 module.exports = SMSService;
@@ -0,0 +1,111 @@
+/**
+ * FoodStream Ltd. - SMS Template Rules
+ *
+ * Template types the server sends and the variables it passes for each,
+ * in order. A DLT template registered with the operator must have exactly
+ * that many {#var#} placeholders, otherwise the operator rejects the SMS.
+ *
+ * @module services/smsTemplateService
+ */
+
+const PLACEHOLDER = '{#var#}';
+
+/**
+ * Known template types
+ * variables: names in the order SMSService fills them
+ * sample: values used for previews and test sends
+ */
+const TEMPLATE_TYPES = {
+    otp_registration: {
+        label: 'Registration OTP',
+        variables: ['otp', 'validity'],
+        sample: ['482913', '10 min']
+    },
+    otp_login: {
+        label: 'Login OTP',
+        variables: ['otp', 'validity'],
+        sample: ['482913', '10 min']
+    },
+    otp_password_reset: {
+        label: 'Password reset OTP',
+        variables: ['otp', 'validity'],
+        sample: ['482913', '10 min']
+    },
+    otp_payment_verification: {
+        label: 'Payee payment verification OTP',
+        variables: ['otp', 'validity'],
+        sample: ['482913', '10 min']
+    },
+    otp_bank_change: {
+        label: 'Payee bank detail change OTP',
+        variables: ['otp', 'validity'],
+        sample: ['482913', '10 min']
+    },
+    license_expiry_reminder: {
+        label: 'License expiry reminder',
+        variables: ['licensee_name', 'days_left', 'expiry_date'],
+        sample: ['Asha Menon', '7 days', '2025-03-31']
+    }
+};
+
+/**
+ * Number of {#var#} placeholders in a template body
+ */
+function countPlaceholders(content) {
+    return String(content || '').split(PLACEHOLDER).length - 1;
+}
+
+/**
+ * Validate a template payload
+ *
+ * @param {Object} template - { template_type, template_content, dlt_template_id, variables? }
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateTemplate({ template_type, template_content, dlt_template_id, variables }) {
+    const type = TEMPLATE_TYPES[template_type];
+    if (!type) return `template_type must be one of: ${Object.keys(TEMPLATE_TYPES).join(', ')}`;
+    if (!template_content || !String(template_content).trim()) return 'template_content is required';
+    if (!dlt_template_id || !/^\d{10,25}$/.test(String(dlt_template_id))) {
+        return 'dlt_template_id must be the numeric template ID issued by the DLT portal';
+    }
+
+    const placeholders = countPlaceholders(template_content);
+    if (placeholders !== type.variables.length) {
+        return `A ${template_type} template needs ${type.variables.length} ${PLACEHOLDER} placeholder(s) ` +
+            `(${type.variables.join(', ')}), found ${placeholders}`;
+    }
+
+    if (variables !== undefined && (!Array.isArray(variables) || variables.length !== placeholders)) {
+        return `variables must list ${placeholders} name(s), one per ${PLACEHOLDER}`;
+    }
+
+    return null;
+}
+
+/**
+ * Sample values for a template type
+ */
+function sampleVariables(templateType) {
+    return TEMPLATE_TYPES[templateType]?.sample || [];
+}
+
+/**
+ * Types as a list for the client
+ */
+function listTemplateTypes() {
+    return Object.entries(TEMPLATE_TYPES).map(([code, type]) => ({
+        code,
+        label: type.label,
+        variables: type.variables,
+        placeholder_count: type.variables.length
+    }));
+}
+
+module.exports = {
+    PLACEHOLDER,
+    TEMPLATE_TYPES,
+    countPlaceholders,
+    validateTemplate,
+    sampleVariables,
+    listTemplateTypes
+};
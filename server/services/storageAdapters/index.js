@@ -0,0 +1,43 @@
+/**
+ * Attachment storage adapter registry
+ *
+ * Every adapter exports { name, label, isConfigured, put, get, remove }.
+ * ATTACHMENT_STORAGE picks the adapter new files are written to ('local'
+ * by default). Each stored file records its adapter, so files written
+ * before a switch stay readable.
+ */
+
+const localStorageAdapter = require('./localStorageAdapter');
+const s3StorageAdapter = require('./s3StorageAdapter');
+
+const ADAPTERS = {
+    [localStorageAdapter.name]: localStorageAdapter,
+    [s3StorageAdapter.name]: s3StorageAdapter
+};
+
+/**
+ * Look up an adapter by name
+ */
+function getAdapter(name) {
+    return ADAPTERS[name] || null;
+}
+
+/**
+ * Adapter for new uploads
+ *
+ * @throws {Error} When ATTACHMENT_STORAGE is unknown or not configured
+ */
+function getDefaultAdapter() {
+    const name = process.env.ATTACHMENT_STORAGE || localStorageAdapter.name;
+    const adapter = getAdapter(name);
+    if (!adapter) throw new Error(`Unknown ATTACHMENT_STORAGE: ${name}`);
+    if (!adapter.isConfigured()) throw new Error(`Attachment storage '${name}' is not configured`);
+    return adapter;
+}
+
+module.exports = {
+    localStorageAdapter,
+    s3StorageAdapter,
+    getAdapter,
+    getDefaultAdapter
+};
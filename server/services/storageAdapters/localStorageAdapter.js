@@ -0,0 +1,70 @@
+/**
+ * FoodStream Ltd. - Local Disk Storage Adapter
+ *
+ * Keeps attachment files under UPLOAD_DIR/attachments. Keys are relative
+ * paths ({org_id}/{voucher_id}/{attachment_id}.{ext}) and may not escape
+ * that directory.
+ *
+ * @module services/storageAdapters/localStorageAdapter
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const name = 'local';
+const label = 'Local disk';
+
+function rootDir() {
+    return path.resolve(process.env.UPLOAD_DIR || './uploads', 'attachments');
+}
+
+function filePath(key) {
+    const root = rootDir();
+    const full = path.resolve(root, key);
+    if (!full.startsWith(root + path.sep)) {
+        throw new Error('Invalid storage key');
+    }
+    return full;
+}
+
+function isConfigured() {
+    return true;
+}
+
+/**
+ * Write a file; an existing key is never overwritten
+ */
+async function put(key, buffer) {
+    const full = filePath(key);
+    await fs.promises.mkdir(path.dirname(full), { recursive: true });
+    await fs.promises.writeFile(full, buffer, { flag: 'wx' });
+}
+
+/**
+ * Readable stream of a file, or null when it does not exist
+ */
+async function get(key) {
+    const full = filePath(key);
+    try {
+        await fs.promises.access(full, fs.constants.R_OK);
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+    return fs.createReadStream(full);
+}
+
+async function remove(key) {
+    await fs.promises.unlink(filePath(key)).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+    });
+}
+
+module.exports = {
+    name,
+    label,
+    isConfigured,
+    put,
+    get,
+    remove
+};
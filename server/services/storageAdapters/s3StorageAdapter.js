@@ -0,0 +1,146 @@
+/**
+ * FoodStream Ltd. - S3-Compatible Storage Adapter
+ *
+ * Stores attachment files in an S3 bucket (AWS S3, MinIO, Cloudflare R2,
+ * Wasabi, ...). Requests are signed with AWS Signature Version 4.
+ *
+ * Configuration:
+ *   S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY (required)
+ *   S3_REGION (us-east-1), S3_ENDPOINT (AWS by default),
+ *   S3_FORCE_PATH_STYLE=true for MinIO and most self-hosted servers
+ *
+ * @module services/storageAdapters/s3StorageAdapter
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+const name = 's3';
+const label = 'S3-compatible bucket';
+
+const EMPTY_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+/**
+ * Bucket configuration from the environment
+ */
+function getConfig() {
+    const region = process.env.S3_REGION || 'us-east-1';
+    return {
+        bucket: process.env.S3_BUCKET || '',
+        region,
+        endpoint: (process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`).replace(/\/$/, ''),
+        accessKeyId: process.env.S3_ACCESS_KEY_ID || '',
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || '',
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        timeout: parseInt(process.env.S3_TIMEOUT_MS || '30000', 10)
+    };
+}
+
+function isConfigured() {
+    const config = getConfig();
+    return Boolean(config.bucket && config.accessKeyId && config.secretAccessKey);
+}
+
+/**
+ * URL of an object, path-style or virtual-hosted
+ */
+function objectUrl(config, key) {
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    if (config.forcePathStyle) return `${config.endpoint}/${config.bucket}/${encodedKey}`;
+
+    const url = new URL(config.endpoint);
+    url.host = `${config.bucket}.${url.host}`;
+    return `${url.origin}/${encodedKey}`;
+}
+
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Signature Version 4 headers for a request without a query string
+ *
+ * @returns {Object} Headers to send (host is set by the HTTP client)
+ */
+function signRequest(config, method, url, payloadHash, extraHeaders = {}) {
+    const { host, pathname } = new URL(url);
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const scope = `${dateStamp}/${config.region}/s3/aws4_request`;
+
+    const headers = {
+        host,
+        'x-amz-content-sha256': payloadHash,
+        'x-amz-date': amzDate,
+        ...Object.fromEntries(Object.entries(extraHeaders).map(([key, value]) => [key.toLowerCase(), String(value)]))
+    };
+    const names = Object.keys(headers).sort();
+    const signedHeaders = names.join(';');
+
+    const canonicalRequest = [
+        method,
+        pathname,
+        '',
+        names.map(key => `${key}:${headers[key].trim()}\n`).join(''),
+        signedHeaders,
+        payloadHash
+    ].join('\n');
+
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    const signingKey = [dateStamp, config.region, 's3', 'aws4_request'].reduce(hmac, `AWS4${config.secretAccessKey}`);
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    delete headers.host;
+    return {
+        ...headers,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+    };
+}
+
+async function put(key, buffer, contentType) {
+    const config = getConfig();
+    const url = objectUrl(config, key);
+    await axios.put(url, buffer, {
+        headers: signRequest(config, 'PUT', url, sha256(buffer), { 'content-type': contentType }),
+        timeout: config.timeout,
+        maxBodyLength: Infinity
+    });
+}
+
+/**
+ * Readable stream of an object, or null when it does not exist
+ */
+async function get(key) {
+    const config = getConfig();
+    const url = objectUrl(config, key);
+    const response = await axios.get(url, {
+        headers: signRequest(config, 'GET', url, EMPTY_HASH),
+        timeout: config.timeout,
+        responseType: 'stream',
+        validateStatus: status => status === 200 || status === 404
+    });
+
+    if (response.status === 404) {
+        response.data.resume();
+        return null;
+    }
+    return response.data;
+}
+
+async function remove(key) {
+    const config = getConfig();
+    const url = objectUrl(config, key);
+    await axios.delete(url, {
+        headers: signRequest(config, 'DELETE', url, EMPTY_HASH),
+        timeout: config.timeout,
+        validateStatus: status => status === 204 || status === 200 || status === 404
+    });
+}
+
+module.exports = {
+    name,
+    label,
+    isConfigured,
+    put,
+    get,
+    remove
+};
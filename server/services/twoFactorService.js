@@ -0,0 +1,691 @@
+/**
+ * FoodStream Ltd. - Two-Factor Authentication Service
+ *
+ * TOTP (RFC 6238, as used by Google Authenticator, Microsoft Authenticator,
+ * Authy and others) with one-time recovery codes, and an SMS code through
+ * the organization's SMS provider as a fallback.
+ *
+ * Which roles must use two-factor sign-in, and the voucher amount above
+ * which approvers have to re-authenticate (step-up), are set per
+ * organization in licensed_orgs.settings.two_factor, e.g.
+ *   { "roles": { "org_admin": "required", "approver": "required" },
+ *     "step_up_amount": 500000, "step_up_minutes": 5 }
+ *
+ * @module services/twoFactorService
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { getSupabaseClient } = require('../config/database');
+const encryptionUtil = require('../utils/encryption');
+const otpService = require('./otpService');
+const passwordService = require('./passwordService');
+const sessionService = require('./sessionService');
+const usageMeter = require('./usageMeter');
+const logger = require('../utils/logger');
+
+const ISSUER = 'FoodStream Approvals';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+// Steps either side of now that are accepted, for clock drift
+const TOTP_WINDOW = 1;
+const SECRET_BYTES = 20;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL_SECONDS = 300;
+// Attempts at removing a recovery code when another sign-in changes the list first
+const MAX_CLAIM_RETRIES = 3;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const ROLES = ['super_admin', 'org_admin', 'company_admin', 'approver', 'accounts', 'viewer'];
+const REQUIREMENTS = ['optional', 'required'];
+const METHODS = ['totp', 'recovery', 'sms'];
+
+/**
+ * Policy defaults
+ */
+const DEFAULT_POLICY = {
+    roles: Object.fromEntries(ROLES.map(role => [role, 'optional'])),
+    // Let users receive a code by SMS instead of using their authenticator app
+    sms_fallback: true,
+    // Approving a voucher of at least this amount needs a recent re-authentication (0 turns it off)
+    step_up_amount: 0,
+    // How long a re-authentication covers approvals
+    step_up_minutes: 5
+};
+
+// =====================================================
+// TOTP
+// =====================================================
+
+function base32Encode(buffer) {
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+}
+
+function base32Decode(text) {
+    let bits = '';
+    for (const char of text.replace(/=+$/, '').toUpperCase()) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) throw new Error('Invalid base32 secret');
+        bits += value.toString(2).padStart(5, '0');
+    }
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    return Buffer.from(bytes);
+}
+
+/**
+ * TOTP code for a time step (HMAC-SHA1, dynamic truncation)
+ */
+function totpCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+const currentStep = () => Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+
+/**
+ * Time step a code matches, ignoring steps at or before lastStep
+ *
+ * @returns {number|null}
+ */
+function matchTotp(secret, code, lastStep = 0) {
+    const entered = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(entered)) return null;
+
+    const now = currentStep();
+    for (let step = now - TOTP_WINDOW; step <= now + TOTP_WINDOW; step++) {
+        if (step <= (lastStep || 0)) continue;
+        const expected = Buffer.from(totpCode(secret, step));
+        if (crypto.timingSafeEqual(expected, Buffer.from(entered))) return step;
+    }
+    return null;
+}
+
+const hashRecoveryCode = code => crypto.createHash('sha256').update(String(code).trim().toLowerCase().replace(/[\s-]/g, '')).digest('hex');
+
+function generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+}
+
+// =====================================================
+// Policy
+// =====================================================
+
+/**
+ * Effective policy: defaults with the organization's overrides applied
+ */
+function resolvePolicy(overrides = {}) {
+    return {
+        ...DEFAULT_POLICY,
+        ...(overrides || {}),
+        roles: { ...DEFAULT_POLICY.roles, ...(overrides?.roles || {}) }
+    };
+}
+
+/**
+ * Validate policy overrides from the settings API
+ *
+ * @returns {Object} { error } or { policy } with only known keys
+ */
+function validatePolicy(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'policy must be an object' };
+    }
+
+    const policy = {};
+    for (const [key, value] of Object.entries(input)) {
+        if (key === 'roles') {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) return { error: 'roles must be an object' };
+            policy.roles = {};
+            for (const [role, requirement] of Object.entries(value)) {
+                if (!ROLES.includes(role)) return { error: `Unknown role ${role}. Roles: ${ROLES.join(', ')}` };
+                if (!REQUIREMENTS.includes(requirement)) {
+                    return { error: `roles.${role} must be one of: ${REQUIREMENTS.join(', ')}` };
+                }
+                policy.roles[role] = requirement;
+            }
+        } else if (key === 'sms_fallback') {
+            if (typeof value !== 'boolean') return { error: 'sms_fallback must be true or false' };
+            policy.sms_fallback = value;
+        } else if (key === 'step_up_amount') {
+            const amount = Number(value);
+            if (!Number.isFinite(amount) || amount < 0) return { error: 'step_up_amount must be zero or a positive amount' };
+            policy.step_up_amount = amount;
+        } else if (key === 'step_up_minutes') {
+            const minutes = Number(value);
+            if (!Number.isInteger(minutes) || minutes < 1 || minutes > 60) {
+                return { error: 'step_up_minutes must be a whole number between 1 and 60' };
+            }
+            policy.step_up_minutes = minutes;
+        } else {
+            return { error: `Unknown policy setting ${key}. Settings: ${Object.keys(DEFAULT_POLICY).join(', ')}` };
+        }
+    }
+
+    return { policy };
+}
+
+/**
+ * Two-factor policy of an organization (defaults when orgId is empty)
+ */
+async function getPolicy(orgId) {
+    if (!orgId) return resolvePolicy();
+
+    const { data: org } = await getSupabaseClient()
+        .from('licensed_orgs')
+        .select('settings')
+        .eq('id', orgId)
+        .maybeSingle();
+
+    return resolvePolicy(org?.settings?.two_factor);
+}
+
+/**
+ * Save policy overrides into licensed_orgs.settings.two_factor
+ *
+ * @returns {Promise<Object>} Outcome with status; data is the effective policy
+ */
+async function updatePolicy(orgId, input, actor) {
+    const { error: validationError, policy } = validatePolicy(input);
+    if (validationError) return { success: false, status: 400, error: validationError };
+
+    const supabase = getSupabaseClient();
+    const { data: org } = await supabase
+        .from('licensed_orgs')
+        .select('settings')
+        .eq('id', orgId)
+        .single();
+
+    const current = org?.settings?.two_factor || {};
+    const merged = { ...current, ...policy, roles: { ...(current.roles || {}), ...(policy.roles || {}) } };
+
+    const { error } = await supabase
+        .from('licensed_orgs')
+        .update({ settings: { ...(org?.settings || {}), two_factor: merged } })
+        .eq('id', orgId);
+
+    if (error) throw error;
+
+    await passwordService.recordEvent({ id: actor.user.id, org_id: orgId }, 'two_factor_policy_updated', { ...actor, details: { policy } });
+    logger.audit('two_factor_policy_updated', actor.user.id, { orgId, policy });
+
+    return { success: true, status: 200, message: 'Two-factor policy updated', data: resolvePolicy(merged) };
+}
+
+/**
+ * Whether the user's role must use two-factor sign-in
+ */
+function isRequired(user, policy) {
+    return policy.roles[user.role] === 'required';
+}
+
+/**
+ * Ways the user can complete a two-factor check
+ */
+function methodsFor(user, policy) {
+    const methods = ['totp', 'recovery'];
+    if (policy.sms_fallback && user.mobile) methods.push('sms');
+    return methods;
+}
+
+/**
+ * Two-factor state of a user, for the settings screen
+ */
+async function getStatus(user) {
+    const policy = await getPolicy(user.org_id);
+    return {
+        enabled: Boolean(user.two_factor_enabled),
+        required: isRequired(user, policy),
+        enabledAt: user.two_factor_enabled_at || null,
+        recoveryCodesRemaining: (user.two_factor_recovery_codes || []).length,
+        methods: user.two_factor_enabled ? methodsFor(user, policy) : [],
+        stepUpAmount: policy.step_up_amount || null
+    };
+}
+
+// =====================================================
+// Sign-in challenge
+// =====================================================
+
+/**
+ * Short-lived token proving the password was right, exchanged for a
+ * session once the second factor is checked. It has no session id, so
+ * authenticate() does not accept it as an access token.
+ */
+function createChallenge(user) {
+    return jwt.sign({ userId: user.id, purpose: 'two_factor' }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_TTL_SECONDS });
+}
+
+/**
+ * User a challenge token was issued to
+ *
+ * @returns {Promise<Object|null>} Active users row, or null for a bad or expired token
+ */
+async function readChallenge(token) {
+    let decoded;
+    try {
+        decoded = jwt.verify(String(token || ''), process.env.JWT_SECRET);
+    } catch (error) {
+        return null;
+    }
+    if (decoded.purpose !== 'two_factor') return null;
+
+    const { data: user } = await getSupabaseClient()
+        .from('users')
+        .select('*')
+        .eq('id', decoded.userId)
+        .eq('status', 'active')
+        .maybeSingle();
+
+    return user || null;
+}
+
+/**
+ * Text a sign-in code to the user's mobile
+ *
+ * @returns {Promise<Object>} Outcome with status
+ */
+async function sendSmsCode(user) {
+    const policy = await getPolicy(user.org_id);
+    if (!methodsFor(user, policy).includes('sms')) {
+        return { success: false, status: 400, error: 'SMS codes are not available for this account' };
+    }
+
+    // Billed like any other tenant SMS; the authenticator app and recovery codes still work
+    const exceeded = await usageMeter.checkOrgQuota(user.org_id, 'sms');
+    if (exceeded) return exceeded;
+
+    const result = await otpService.sendOTP({
+        mobile: user.mobile,
+        otpType: 'login',
+        contextId: user.id,
+        orgId: user.org_id,
+        channel: 'sms'
+    });
+
+    if (!result.success) return { success: false, status: 502, error: result.error, code: 'SMS_SEND_FAILED' };
+
+    const masked = user.mobile.length > 4 ? `${'*'.repeat(user.mobile.length - 4)}${user.mobile.slice(-4)}` : user.mobile;
+    return { success: true, status: 200, message: `Code sent to ${masked}`, expires_at: result.expires_at };
+}
+
+/**
+ * Remove a recovery code so only one request can use it
+ * The update only matches while the stored list is still the one read
+ * (contains it and is contained by it); a lost race re-reads the list.
+ *
+ * @returns {Promise<number|null>} Codes left, or null when the code was not there to claim
+ */
+async function claimRecoveryCode(user, hash) {
+    const supabase = getSupabaseClient();
+    let codes = user.two_factor_recovery_codes || [];
+
+    for (let tries = 0; tries < MAX_CLAIM_RETRIES; tries++) {
+        if (!codes.includes(hash)) return null;
+
+        const remaining = codes.filter(c => c !== hash);
+        const { data: claimed } = await supabase
+            .from('users')
+            .update({ two_factor_recovery_codes: remaining })
+            .eq('id', user.id)
+            .contains('two_factor_recovery_codes', codes)
+            .containedBy('two_factor_recovery_codes', codes)
+            .select('id');
+
+        if (claimed && claimed.length > 0) return remaining.length;
+
+        const { data: latest } = await supabase
+            .from('users')
+            .select('two_factor_recovery_codes')
+            .eq('id', user.id)
+            .single();
+        codes = latest?.two_factor_recovery_codes || [];
+    }
+
+    return null;
+}
+
+/**
+ * Check a second-factor code
+ *
+ * @param {Object} user - users row
+ * @param {Object} input - { method: 'totp'|'recovery'|'sms', code }
+ * @param {Object} [client] - { ip, userAgent }, recorded with the event
+ * @returns {Promise<Object>} { success: true, method } or a failure outcome
+ */
+async function verifyCode(user, { method = 'totp', code } = {}, client = {}) {
+    const invalid = { success: false, status: 400, error: 'Invalid verification code', code: 'TWO_FACTOR_INVALID' };
+
+    if (!METHODS.includes(method)) {
+        return { success: false, status: 400, error: `method must be one of: ${METHODS.join(', ')}` };
+    }
+    if (!code) return { success: false, status: 400, error: 'code is required' };
+
+    const supabase = getSupabaseClient();
+    let verified = false;
+
+    if (method === 'totp') {
+        const secret = user.two_factor_secret ? encryptionUtil.decrypt(user.two_factor_secret) : null;
+        const step = secret ? matchTotp(secret, code, user.two_factor_last_step) : null;
+        if (step !== null) {
+            // Only one request can use a code
+            const { data: claimed } = await supabase
+                .from('users')
+                .update({ two_factor_last_step: step })
+                .eq('id', user.id)
+                .lt('two_factor_last_step', step)
+                .select('id');
+            verified = Boolean(claimed && claimed.length > 0);
+        }
+    } else if (method === 'recovery') {
+        const remaining = await claimRecoveryCode(user, hashRecoveryCode(code));
+        if (remaining !== null) {
+            await passwordService.recordEvent(user, 'recovery_code_used', { ...client, details: { remaining } });
+            logger.security('recovery_code_used', 'medium', { userId: user.id, remaining });
+            verified = true;
+        }
+    } else {
+        const policy = await getPolicy(user.org_id);
+        if (!methodsFor(user, policy).includes('sms')) {
+            return { success: false, status: 400, error: 'SMS codes are not available for this account' };
+        }
+        const result = await otpService.verifyOTP({ mobile: user.mobile, otpType: 'login', contextId: user.id, code });
+        if (!result.success) {
+            await passwordService.recordEvent(user, 'two_factor_failed', { ...client, details: { method } });
+            return { success: false, status: result.code === 'OTP_LOCKED' ? 429 : 400, error: result.error, code: result.code };
+        }
+        verified = true;
+    }
+
+    if (!verified) {
+        await passwordService.recordEvent(user, 'two_factor_failed', { ...client, details: { method } });
+        logger.security('two_factor_failed', 'medium', { userId: user.id, method, ip: client.ip });
+        return invalid;
+    }
+    return { success: true, method };
+}
+
+// =====================================================
+// Enrollment
+// =====================================================
+
+/**
+ * Start enrollment: a new secret for the authenticator app
+ * Replaces any secret from an unfinished setup.
+ *
+ * @returns {Promise<Object>} Outcome; data has secret, otpauthUrl and a QR code data URL
+ */
+async function setup(user) {
+    if (user.two_factor_enabled) {
+        return { success: false, status: 409, error: 'Two-factor authentication is already enabled', code: 'TWO_FACTOR_ALREADY_ENABLED' };
+    }
+
+    const secret = base32Encode(crypto.randomBytes(SECRET_BYTES));
+    const { error } = await getSupabaseClient()
+        .from('users')
+        .update({ two_factor_secret: encryptionUtil.encrypt(secret), two_factor_last_step: 0 })
+        .eq('id', user.id);
+
+    if (error) throw error;
+
+    const label = encodeURIComponent(`${ISSUER}:${user.username}`);
+    const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD_SECONDS}`;
+    const qrCode = await QRCode.toDataURL(otpauthUrl, { errorCorrectionLevel: 'M', margin: 1, width: 220 });
+
+    return { success: true, status: 200, data: { secret, otpauthUrl, qrCode } };
+}
+
+/**
+ * Finish enrollment with a code from the app
+ *
+ * @returns {Promise<Object>} Outcome; data.recoveryCodes are shown once
+ */
+async function enable(user, code, actor) {
+    if (user.two_factor_enabled) {
+        return { success: false, status: 409, error: 'Two-factor authentication is already enabled', code: 'TWO_FACTOR_ALREADY_ENABLED' };
+    }
+    if (!user.two_factor_secret) {
+        return { success: false, status: 400, error: 'Start setup first' };
+    }
+
+    const step = matchTotp(encryptionUtil.decrypt(user.two_factor_secret), code, 0);
+    if (step === null) {
+        return { success: false, status: 400, error: 'Invalid verification code', code: 'TWO_FACTOR_INVALID' };
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    const { error } = await getSupabaseClient()
+        .from('users')
+        .update({
+            two_factor_enabled: true,
+            two_factor_enabled_at: new Date().toISOString(),
+            two_factor_last_step: step,
+            two_factor_recovery_codes: recoveryCodes.map(hashRecoveryCode)
+        })
+        .eq('id', user.id);
+
+    if (error) throw error;
+
+    await passwordService.recordEvent(user, 'two_factor_enabled', actor);
+    logger.audit('two_factor_enabled', user.id, {});
+
+    return { success: true, status: 200, message: 'Two-factor authentication enabled', data: { recoveryCodes } };
+}
+
+/**
+ * Replace the recovery codes (the old ones stop working)
+ *
+ * @returns {Promise<Object>} Outcome; data.recoveryCodes are shown once
+ */
+async function regenerateRecoveryCodes(user, input, actor) {
+    if (!user.two_factor_enabled) {
+        return { success: false, status: 400, error: 'Two-factor authentication is not enabled' };
+    }
+
+    const check = await verifyCode(user, input, actor);
+    if (!check.success) return check;
+
+    const recoveryCodes = generateRecoveryCodes();
+    const { error } = await getSupabaseClient()
+        .from('users')
+        .update({ two_factor_recovery_codes: recoveryCodes.map(hashRecoveryCode) })
+        .eq('id', user.id);
+
+    if (error) throw error;
+
+    await passwordService.recordEvent(user, 'recovery_codes_regenerated', actor);
+    return { success: true, status: 200, data: { recoveryCodes } };
+}
+
+const CLEARED = {
+    two_factor_enabled: false,
+    two_factor_secret: null,
+    two_factor_last_step: 0,
+    two_factor_recovery_codes: [],
+    two_factor_enabled_at: null
+};
+
+/**
+ * Turn two-factor sign-in off for the signed-in user
+ * Needs the password and a current code; not allowed when the role requires it.
+ *
+ * @returns {Promise<Object>} Outcome with status
+ */
+async function disable(user, { password, method, code } = {}, actor) {
+    if (!user.two_factor_enabled) {
+        return { success: false, status: 400, error: 'Two-factor authentication is not enabled' };
+    }
+
+    const policy = await getPolicy(user.org_id);
+    if (isRequired(user, policy)) {
+        return { success: false, status: 403, error: 'Your organization requires two-factor authentication for your role', code: 'TWO_FACTOR_REQUIRED_BY_POLICY' };
+    }
+
+    if (!password || !(await encryptionUtil.verifyPassword(password, user.password_hash))) {
+        return { success: false, status: 400, error: 'Password is incorrect', code: 'PASSWORD_INCORRECT' };
+    }
+
+    const check = await verifyCode(user, { method, code }, actor);
+    if (!check.success) return check;
+
+    const { error } = await getSupabaseClient().from('users').update(CLEARED).eq('id', user.id);
+    if (error) throw error;
+
+    await passwordService.recordEvent(user, 'two_factor_disabled', actor);
+    logger.audit('two_factor_disabled', user.id, {});
+
+    return { success: true, status: 200, message: 'Two-factor authentication disabled' };
+}
+
+/**
+ * Admin: clear a user's two-factor setup (lost phone and recovery codes)
+ * Signs them out everywhere; a role that requires 2FA enrolls again at next sign-in.
+ *
+ * @returns {Promise<Object>} Outcome with status
+ */
+async function resetForUser(orgId, userId, actor) {
+    const { data: user } = await getSupabaseClient()
+        .from('users')
+        .update(CLEARED)
+        .eq('id', userId)
+        .eq('org_id', orgId)
+        .select('id, org_id, username')
+        .maybeSingle();
+
+    if (!user) return { success: false, status: 404, error: 'User not found' };
+
+    await sessionService.revokeAllSessions(user.id, 'two_factor_reset', { performedBy: actor.user.id });
+    await passwordService.recordEvent(user, 'two_factor_reset', actor);
+    logger.audit('two_factor_reset', actor.user.id, { targetUserId: user.id });
+
+    return { success: true, status: 200, message: `Two-factor authentication reset for ${user.username}` };
+}
+
+// =====================================================
+// Step-up re-authentication
+// =====================================================
+
+/**
+ * Re-authenticate within the current session before a high-value approval
+ * Users with 2FA confirm with a code; others with their password. Failures
+ * count towards the sign-in lockout, so a stolen session cannot keep guessing.
+ *
+ * @param {Object} user - users row
+ * @param {string} sessionId - Current session
+ * @param {Object} input - { method, code } or { password }
+ * @returns {Promise<Object>} Outcome; validUntil is when the step-up lapses
+ */
+async function stepUp(user, sessionId, input = {}, actor = {}) {
+    const locked = lockedUntil => ({
+        success: false,
+        status: 403,
+        error: 'Account temporarily locked after too many failed attempts',
+        code: 'ACCOUNT_LOCKED',
+        lockedUntil
+    });
+
+    if (passwordService.isLocked(user)) return locked(user.locked_until);
+
+    let failure = null;
+    if (user.two_factor_enabled) {
+        const check = await verifyCode(user, input, actor);
+        if (!check.success) failure = check;
+    } else if (!input.password || !(await encryptionUtil.verifyPassword(input.password, user.password_hash))) {
+        await passwordService.recordEvent(user, 'two_factor_failed', { ...actor, details: { method: 'password', step_up: true } });
+        failure = { success: false, status: 400, error: 'Password is incorrect', code: 'PASSWORD_INCORRECT' };
+    }
+
+    if (failure) {
+        if (['TWO_FACTOR_INVALID', 'PASSWORD_INCORRECT'].includes(failure.code)) {
+            const lockout = await passwordService.registerFailedLogin(user, actor);
+            if (lockout.locked) return locked(lockout.lockedUntil);
+        }
+        return failure;
+    }
+
+    const policy = await getPolicy(user.org_id);
+    const now = new Date();
+    const { error } = await getSupabaseClient()
+        .from('user_sessions')
+        .update({ step_up_at: now.toISOString() })
+        .eq('id', sessionId)
+        .eq('user_id', user.id);
+
+    if (error) throw error;
+
+    await passwordService.recordEvent(user, 'step_up', { ...actor, details: { method: user.two_factor_enabled ? input.method || 'totp' : 'password' } });
+
+    return {
+        success: true,
+        status: 200,
+        message: 'Identity confirmed',
+        validUntil: new Date(now.getTime() + policy.step_up_minutes * 60 * 1000).toISOString()
+    };
+}
+
+/**
+ * Whether approving an amount needs a step-up the session does not have
+ *
+ * @param {Object} req - Authenticated request (req.user, req.sessionId)
+ * @param {number} amount - Voucher amount
+ * @returns {Promise<Object|null>} Failure outcome, or null when the approval may go ahead
+ */
+async function checkStepUp(req, amount) {
+    const policy = await getPolicy(req.user.org_id);
+    if (!policy.step_up_amount || Number(amount) < policy.step_up_amount) return null;
+
+    const { data: session } = await getSupabaseClient()
+        .from('user_sessions')
+        .select('step_up_at')
+        .eq('id', req.sessionId)
+        .maybeSingle();
+
+    const cutoff = Date.now() - policy.step_up_minutes * 60 * 1000;
+    if (session?.step_up_at && new Date(session.step_up_at).getTime() > cutoff) return null;
+
+    return {
+        success: false,
+        status: 403,
+        error: `Confirm your identity to approve vouchers of ${policy.step_up_amount} or more`,
+        code: 'STEP_UP_REQUIRED',
+        stepUpAmount: policy.step_up_amount
+    };
+}
+
+module.exports = {
+    DEFAULT_POLICY,
+    resolvePolicy,
+    validatePolicy,
+    getPolicy,
+    updatePolicy,
+    isRequired,
+    methodsFor,
+    getStatus,
+    totpCode,
+    matchTotp,
+    createChallenge,
+    readChallenge,
+    sendSmsCode,
+    verifyCode,
+    setup,
+    enable,
+    regenerateRecoveryCodes,
+    disable,
+    resetForUser,
+    stepUp,
+    checkStepUp
+};
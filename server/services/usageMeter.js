@@ -0,0 +1,315 @@
+/**
+ * FoodStream Ltd. - License Usage Meter
+ *
+ * Monthly counters in license_usage, one row per license and month:
+ *   - vouchers_count:   vouchers submitted for approval (drafts do not count)
+ *   - sms_sent:         messages accepted by a provider
+ *   - sms_credits_used: billed SMS parts (sms_logs.credits_used)
+ *   - api_calls:        requests that passed license verification
+ *
+ * Increments go through the increment_license_usage database function so
+ * concurrent requests add up instead of overwriting each other. reconcile()
+ * rebuilds the voucher and SMS counters from vouchers and sms_logs.
+ *
+ * @module services/usageMeter
+ */
+
+const { getSupabaseClient } = require('../config/database');
+const logger = require('../utils/logger');
+
+const PAGE_SIZE = 1000;
+
+/**
+ * GSM 03.38 characters; anything else makes the message UCS-2
+ * Extension characters take two septets.
+ */
+const GSM_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+const GSM_EXTENDED = '^{}\\[~]|€\f';
+
+/**
+ * Month key used by license_usage
+ */
+function monthOf(date = new Date()) {
+    return new Date(date).toISOString().slice(0, 7);
+}
+
+/**
+ * Number of billed parts for a message
+ * GSM-7: 160 characters, or 153 per part when split.
+ * Unicode (e.g. Hindi, Tamil): 70, or 67 per part.
+ */
+function smsSegments(message) {
+    const text = String(message || '');
+    if (!text) return 1;
+
+    let septets = 0;
+    let unicode = false;
+    for (const char of text) {
+        if (GSM_BASIC.includes(char)) septets += 1;
+        else if (GSM_EXTENDED.includes(char)) septets += 2;
+        else { unicode = true; break; }
+    }
+
+    if (unicode) {
+        const units = text.length;
+        return units <= 70 ? 1 : Math.ceil(units / 67);
+    }
+    return septets <= 160 ? 1 : Math.ceil(septets / 153);
+}
+
+/**
+ * License of an organization
+ */
+async function licenseIdForOrg(orgId) {
+    if (!orgId) return null;
+
+    const { data: org } = await getSupabaseClient()
+        .from('licensed_orgs')
+        .select('license_id')
+        .eq('id', orgId)
+        .maybeSingle();
+
+    return org?.license_id || null;
+}
+
+/**
+ * Atomically add to a license's counters for a month
+ * Metering never fails the request it belongs to; errors are logged.
+ *
+ * @param {string} licenseId
+ * @param {Object} amounts - { vouchers, smsSent, smsCredits, apiCalls }
+ * @param {string} [month] - YYYY-MM, defaults to the current month
+ * @returns {Promise<Object|null>} The updated license_usage row
+ */
+async function increment(licenseId, { vouchers = 0, smsSent = 0, smsCredits = 0, apiCalls = 0 }, month = monthOf()) {
+    if (!licenseId) return null;
+
+    try {
+        const { data, error } = await getSupabaseClient().rpc('increment_license_usage', {
+            p_license_id: licenseId,
+            p_month: month,
+            p_vouchers: vouchers,
+            p_sms_sent: smsSent,
+            p_sms_credits: smsCredits,
+            p_api_calls: apiCalls
+        });
+
+        if (error) throw error;
+        return Array.isArray(data) ? data[0] : data;
+    } catch (error) {
+        logger.error('Failed to record license usage', { licenseId, month, error: error.message });
+        return null;
+    }
+}
+
+async function recordVoucher(orgId) {
+    return increment(await licenseIdForOrg(orgId), { vouchers: 1 });
+}
+
+async function recordSms(orgId, credits = 1) {
+    return increment(await licenseIdForOrg(orgId), { smsSent: 1, smsCredits: credits });
+}
+
+async function recordApiCall(licenseId) {
+    return increment(licenseId, { apiCalls: 1 });
+}
+
+/**
+ * A license's usage row for a month, or null
+ */
+async function getUsage(licenseId, month = monthOf()) {
+    const { data } = await getSupabaseClient()
+        .from('license_usage')
+        .select('*')
+        .eq('license_id', licenseId)
+        .eq('month', month)
+        .maybeSingle();
+
+    return data || null;
+}
+
+/**
+ * Check a monthly quota
+ *
+ * @param {Object} license - licenses row
+ * @param {Object|null} usage - license_usage row
+ * @param {string} metric - 'vouchers' or 'sms'
+ * @param {number} [amount] - Units about to be used
+ * @returns {Object|null} Error body with status, or null when within quota
+ */
+function checkQuota(license, usage, metric, amount = 1) {
+    if (metric === 'vouchers') {
+        const used = usage?.vouchers_count || 0;
+        if (license.max_vouchers_per_month > 0 && used + amount > license.max_vouchers_per_month) {
+            return {
+                status: 429,
+                success: false,
+                error: 'Monthly voucher limit reached',
+                code: 'LICENSE_LIMIT_VOUCHERS',
+                limit: license.max_vouchers_per_month,
+                used
+            };
+        }
+    }
+
+    if (metric === 'sms') {
+        const used = parseFloat(usage?.sms_credits_used ?? usage?.sms_sent ?? 0);
+        if (license.sms_credits > 0 && used + amount > license.sms_credits) {
+            return {
+                status: 429,
+                success: false,
+                error: 'SMS credits exhausted',
+                code: 'LICENSE_LIMIT_SMS',
+                limit: license.sms_credits,
+                used
+            };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Quota check by organization, for sends that do not run behind
+ * verifyLicense / requireQuota (pre-login codes, service-level sends)
+ *
+ * @returns {Promise<Object|null>} Error body with status, or null when within quota
+ */
+async function checkOrgQuota(orgId, metric, amount = 1) {
+    const licenseId = await licenseIdForOrg(orgId);
+    if (!licenseId) return null;
+
+    const { data: license } = await getSupabaseClient()
+        .from('licenses')
+        .select('id, max_vouchers_per_month, sms_credits')
+        .eq('id', licenseId)
+        .maybeSingle();
+
+    if (!license) return null;
+    return checkQuota(license, await getUsage(licenseId), metric, amount);
+}
+
+/**
+ * First instant of a month and of the month after it
+ */
+function monthRange(month) {
+    const start = new Date(`${month}-01T00:00:00.000Z`);
+    const end = new Date(start);
+    end.setUTCMonth(end.getUTCMonth() + 1);
+    return { start: start.toISOString(), end: end.toISOString() };
+}
+
+/**
+ * Sum billed SMS of an org for a month, paging through sms_logs
+ */
+async function smsTotals(orgId, { start, end }) {
+    const supabase = getSupabaseClient();
+    let sent = 0;
+    let credits = 0;
+
+    for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await supabase
+            .from('sms_logs')
+            .select('credits_used')
+            .eq('org_id', orgId)
+            .gt('credits_used', 0)
+            .gte('sent_at', start)
+            .lt('sent_at', end)
+            .order('id', { ascending: true })
+            .range(from, from + PAGE_SIZE - 1);
+
+        if (error) throw error;
+
+        for (const row of data || []) {
+            sent += 1;
+            credits += parseFloat(row.credits_used) || 0;
+        }
+        if (!data || data.length < PAGE_SIZE) break;
+    }
+
+    return { sent, credits: Math.round(credits * 10000) / 10000 };
+}
+
+/**
+ * Rebuild voucher and SMS counters for a month from the source tables
+ * api_calls, companies_count and users_count are left as they are.
+ * Increments made while this runs may be overwritten; run it off-peak.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.month] - YYYY-MM, defaults to the current month
+ * @param {string} [options.orgId] - Limit to one organization
+ * @param {boolean} [options.dryRun] - Report drift without writing
+ * @returns {Promise<Object>} { month, checked, corrected, drift: [...] }
+ */
+async function reconcile({ month = monthOf(), orgId = null, dryRun = false } = {}) {
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+        throw new Error(`Invalid month: ${month} (expected YYYY-MM)`);
+    }
+
+    const supabase = getSupabaseClient();
+    const range = monthRange(month);
+
+    let orgQuery = supabase.from('licensed_orgs').select('id, org_name, license_id').not('license_id', 'is', null);
+    if (orgId) orgQuery = orgQuery.eq('id', orgId);
+
+    const { data: orgs, error } = await orgQuery;
+    if (error) throw error;
+
+    const summary = { month, checked: 0, corrected: 0, drift: [] };
+
+    for (const org of orgs || []) {
+        const [{ count: vouchers, error: voucherError }, sms, current] = await Promise.all([
+            supabase
+                .from('vouchers')
+                .select('id', { count: 'exact', head: true })
+                .eq('org_id', org.id)
+                .gte('submitted_at', range.start)
+                .lt('submitted_at', range.end),
+            smsTotals(org.id, range),
+            getUsage(org.license_id, month)
+        ]);
+
+        if (voucherError) throw voucherError;
+        summary.checked += 1;
+
+        const actual = { vouchers_count: vouchers || 0, sms_sent: sms.sent, sms_credits_used: sms.credits };
+        const recorded = {
+            vouchers_count: current?.vouchers_count || 0,
+            sms_sent: current?.sms_sent || 0,
+            sms_credits_used: parseFloat(current?.sms_credits_used) || 0
+        };
+
+        const changed = Object.keys(actual).filter(key => actual[key] !== recorded[key]);
+        if (changed.length === 0) continue;
+
+        summary.drift.push({ org_id: org.id, org_name: org.org_name, license_id: org.license_id, recorded, actual });
+        if (dryRun) continue;
+
+        const { error: upsertError } = await supabase
+            .from('license_usage')
+            .upsert({ license_id: org.license_id, month, ...actual, updated_at: new Date().toISOString() }, { onConflict: 'license_id,month' });
+
+        if (upsertError) {
+            logger.error('License usage reconciliation failed', { licenseId: org.license_id, month, error: upsertError.message });
+            continue;
+        }
+
+        summary.corrected += 1;
+        logger.license('usage_reconciled', org.license_id, { month, recorded, actual });
+    }
+
+    return summary;
+}
+
+module.exports = {
+    monthOf,
+    smsSegments,
+    increment,
+    recordVoucher,
+    recordSms,
+    recordApiCall,
+    getUsage,
+    checkQuota,
+    checkOrgQuota,
+    reconcile
+};
@@ -0,0 +1,314 @@
+/**
+ * FoodStream Ltd. - Voucher PDF Service
+ *
+ * Renders a branded, printable payment voucher with the approval trail,
+ * the HMAC signature and a QR code that resolves to the public
+ * signature status endpoint. Rendering is done in-process with pdfkit
+ * and qrcode so it works without network access.
+ *
+ * @module services/voucherPdfService
+ */
+
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const amountInWords = require('../utils/amountInWords');
+const brandingService = require('./brandingService');
+const logger = require('../utils/logger');
+
+const PUBLIC_DIR = path.join(__dirname, '../../public');
+const PAGE_MARGIN = 50;
+
+/**
+ * Audit actions shown in the approval trail
+ */
+const TRAIL_ACTIONS = {
+    created: 'Created',
+    modified: 'Modified',
+    level_approved: 'Approved',
+    approved: 'Approved',
+    rejected: 'Rejected',
+    completed: 'Completed',
+    cancelled: 'Cancelled',
+    paid: 'Paid',
+    payment_failed: 'Payment failed'
+};
+
+const PAYMENT_MODES = {
+    cash: 'Cash',
+    upi: 'UPI',
+    account_transfer: 'Account Transfer',
+    cheque: 'Cheque',
+    card: 'Card'
+};
+
+/**
+ * Load a logo without touching the network
+ * Site-relative paths are read from public/, data URIs are decoded; remote
+ * URLs are skipped in favour of the default logo.
+ *
+ * @param {string|null} logoUrl
+ * @returns {Buffer|null} PNG/JPEG image data
+ */
+function loadLogo(logoUrl) {
+    const candidates = [logoUrl, brandingService.DEFAULT_BRANDING.logo_url].filter(Boolean);
+
+    for (const url of candidates) {
+        try {
+            const dataUri = url.match(/^data:image\/(png|jpe?g);base64,(.+)$/i);
+            if (dataUri) return Buffer.from(dataUri[2], 'base64');
+
+            if (url.startsWith('/') && !url.startsWith('//')) {
+                const file = path.normalize(path.join(PUBLIC_DIR, url.split('?')[0]));
+                if (file.startsWith(PUBLIC_DIR) && /\.(png|jpe?g)$/i.test(file) && fs.existsSync(file)) {
+                    return fs.readFileSync(file);
+                }
+            }
+        } catch (error) {
+            logger.warn('Failed to load voucher logo', { error: error.message });
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Format an amount with grouping for the org's currency
+ */
+function formatAmount(amount, currency) {
+    const locale = currency === 'INR' ? 'en-IN' : 'en-US';
+    const figures = parseFloat(amount || 0).toLocaleString(locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    return `${currency} ${figures}`;
+}
+
+/**
+ * Format a timestamp for print
+ */
+function formatDate(value, withTime = false) {
+    if (!value) return '-';
+    const date = new Date(value);
+    const options = withTime
+        ? { day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' }
+        : { day: '2-digit', month: 'short', year: 'numeric' };
+    return date.toLocaleString('en-GB', options);
+}
+
+/**
+ * Mask all but the last four characters of an account number
+ */
+function maskAccount(value) {
+    if (!value) return null;
+    const str = String(value);
+    return str.length <= 4 ? str : `${'X'.repeat(str.length - 4)}${str.slice(-4)}`;
+}
+
+/**
+ * Build the approval trail rows from voucher_audit_log entries
+ */
+function buildTrail(auditLog) {
+    return (auditLog || [])
+        .filter(entry => TRAIL_ACTIONS[entry.action])
+        .map(entry => {
+            const level = entry.new_values?.approval_level;
+            const label = entry.new_values?.approval_level_label;
+            let action = TRAIL_ACTIONS[entry.action];
+            if (level && ['level_approved', 'approved', 'rejected'].includes(entry.action)) {
+                action += ` (L${level}${label ? ` ${label}` : ''})`;
+            }
+
+            return {
+                action,
+                by: entry.performed_by_name || '-',
+                role: entry.performed_by_role || '-',
+                at: formatDate(entry.created_at, true),
+                notes: entry.notes || ''
+            };
+        });
+}
+
+/**
+ * Draw a label / value pair and return the next y position
+ */
+function field(doc, label, value, x, y, width) {
+    doc.font('Helvetica').fontSize(8).fillColor('#6b7280').text(label.toUpperCase(), x, y, { width });
+    doc.font('Helvetica-Bold').fontSize(10).fillColor('#111827').text(value || '-', x, y + 11, { width });
+    return doc.y + 8;
+}
+
+/**
+ * Render a voucher as a PDF
+ *
+ * @param {Object} params
+ * @param {Object} params.voucher - Voucher row with company/payee joins
+ * @param {Object} [params.org] - licensed_orgs row (branding, currency)
+ * @param {Array<Object>} [params.auditLog] - voucher_audit_log rows, oldest first
+ * @param {string} params.verifyUrl - URL encoded in the QR code
+ * @returns {Promise<Buffer>} PDF document
+ */
+async function renderVoucherPdf({ voucher, org = null, auditLog = [], verifyUrl }) {
+    const branding = brandingService.toBranding(org);
+    const currency = org?.currency || 'INR';
+    const qrPng = await QRCode.toBuffer(verifyUrl, { type: 'png', errorCorrectionLevel: 'M', margin: 1, width: 220 });
+    const logo = loadLogo(voucher.company?.logo_url || org?.logo_url);
+
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({
+            size: 'A4',
+            margin: PAGE_MARGIN,
+            info: {
+                Title: `Payment Voucher ${voucher.voucher_number}`,
+                Author: voucher.company?.name || branding.org_name,
+                Subject: 'Payment Voucher',
+                Creator: 'FoodStream Approvals Flow'
+            }
+        });
+
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const pageWidth = doc.page.width;
+        const contentWidth = pageWidth - PAGE_MARGIN * 2;
+        const half = contentWidth / 2 - 10;
+        const left = PAGE_MARGIN;
+        const right = PAGE_MARGIN + contentWidth / 2 + 10;
+
+        // Header band
+        doc.rect(0, 0, pageWidth, 90).fill(branding.primary_color);
+        if (logo) {
+            try {
+                doc.image(logo, left, 20, { fit: [50, 50] });
+            } catch (error) {
+                logger.warn('Unsupported voucher logo image', { error: error.message });
+            }
+        }
+        doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(16)
+            .text(voucher.company?.name || branding.org_name, left + 60, 24, { width: contentWidth - 220 });
+        const address = [voucher.company?.address_line1, voucher.company?.city, voucher.company?.gst_number && `GST: ${voucher.company.gst_number}`]
+            .filter(Boolean).join(', ');
+        if (address) {
+            doc.font('Helvetica').fontSize(8).text(address, left + 60, doc.y + 2, { width: contentWidth - 220 });
+        }
+        doc.font('Helvetica-Bold').fontSize(14)
+            .text('PAYMENT VOUCHER', pageWidth - PAGE_MARGIN - 160, 28, { width: 160, align: 'right' });
+        doc.font('Helvetica').fontSize(9)
+            .text(String(voucher.status || '').replace(/_/g, ' ').toUpperCase(), pageWidth - PAGE_MARGIN - 160, 50, { width: 160, align: 'right' });
+
+        // Identification
+        let y = 110;
+        const yLeft = field(doc, 'Voucher Number', voucher.voucher_number, left, y, half);
+        const yRight = field(doc, 'Date', formatDate(voucher.created_at), right, y, half / 2 - 5);
+        field(doc, 'Financial Year', voucher.financial_year, right + half / 2 + 5, y, half / 2 - 5);
+        y = Math.max(yLeft, yRight);
+
+        // Payee and payment
+        const payeeName = voucher.payee?.name || voucher.payee_name;
+        const payeeMobile = voucher.payee?.mobile || voucher.payee_mobile;
+        let yl = field(doc, 'Pay To', payeeName, left, y, half);
+        yl = field(doc, 'Payee Mobile', payeeMobile, left, yl, half);
+
+        let yr = field(doc, 'Head of Account', voucher.head_of_account?.name
+            ? `${voucher.head_of_account.code ? `${voucher.head_of_account.code} - ` : ''}${voucher.head_of_account.name}`
+            : voucher.head_of_account_name, right, y, half);
+        yr = field(doc, 'Payment Mode', PAYMENT_MODES[voucher.payment_mode] || voucher.payment_mode, right, yr, half);
+
+        const modeDetail = voucher.upi_id ? ['UPI ID', voucher.upi_id]
+            : voucher.bank_account_number ? ['Account Number', maskAccount(voucher.bank_account_number)]
+                : voucher.cheque_number ? ['Cheque', `${voucher.cheque_number} dated ${formatDate(voucher.cheque_date)}`]
+                    : null;
+        if (modeDetail) yr = field(doc, modeDetail[0], modeDetail[1], right, yr, half);
+        if (voucher.transaction_reference) yr = field(doc, 'Transaction Reference', voucher.transaction_reference, right, yr, half);
+        y = Math.max(yl, yr) + 4;
+
+        // Amount box
+        doc.font('Helvetica-Bold').fontSize(10);
+        const words = amountInWords(voucher.amount, currency);
+        const wordsHeight = doc.heightOfString(words, { width: contentWidth - 20 });
+        doc.rect(left, y, contentWidth, 42 + wordsHeight).lineWidth(1).strokeColor(branding.primary_color).stroke();
+        doc.font('Helvetica').fontSize(8).fillColor('#6b7280').text('AMOUNT', left + 10, y + 8);
+        doc.font('Helvetica-Bold').fontSize(16).fillColor('#111827')
+            .text(formatAmount(voucher.amount, currency), left + 10, y + 8, { width: contentWidth - 20, align: 'right' });
+        doc.font('Helvetica-Oblique').fontSize(10).fillColor('#111827').text(words, left + 10, y + 32, { width: contentWidth - 20 });
+        y += 52 + wordsHeight;
+
+        // Description
+        y = field(doc, 'Description', voucher.description, left, y, contentWidth);
+        if (voucher.remarks) y = field(doc, 'Remarks', voucher.remarks, left, y, contentWidth);
+
+        // Approval trail
+        y += 6;
+        doc.font('Helvetica-Bold').fontSize(11).fillColor(branding.primary_color).text('Approval Trail', left, y);
+        y = doc.y + 6;
+
+        const columns = [
+            { key: 'action', title: 'Action', width: 120 },
+            { key: 'by', title: 'By', width: 110 },
+            { key: 'role', title: 'Role', width: 75 },
+            { key: 'at', title: 'Date / Time', width: 95 },
+            { key: 'notes', title: 'Notes', width: contentWidth - 400 }
+        ];
+
+        doc.rect(left, y, contentWidth, 16).fill('#f3f4f6');
+        let x = left;
+        doc.font('Helvetica-Bold').fontSize(8).fillColor('#374151');
+        columns.forEach(col => {
+            doc.text(col.title, x + 4, y + 4, { width: col.width - 8 });
+            x += col.width;
+        });
+        y += 18;
+
+        const trail = buildTrail(auditLog);
+        if (trail.length === 0) {
+            doc.font('Helvetica').fontSize(8).fillColor('#6b7280').text('No approval activity recorded', left + 4, y);
+            y = doc.y + 4;
+        }
+
+        doc.font('Helvetica').fontSize(8).fillColor('#111827');
+        trail.forEach(row => {
+            const rowHeight = Math.max(...columns.map(col => doc.heightOfString(row[col.key], { width: col.width - 8 }))) + 6;
+            if (y + rowHeight > doc.page.height - 190) {
+                doc.addPage();
+                y = PAGE_MARGIN;
+            }
+            x = left;
+            columns.forEach(col => {
+                doc.text(row[col.key], x + 4, y + 3, { width: col.width - 8 });
+                x += col.width;
+            });
+            y += rowHeight;
+            doc.moveTo(left, y).lineTo(left + contentWidth, y).lineWidth(0.5).strokeColor('#e5e7eb').stroke();
+        });
+
+        // Signature block with QR code
+        let sigY = Math.max(y + 20, doc.page.height - 180);
+        if (sigY + 130 > doc.page.height - 30) {
+            doc.addPage();
+            sigY = PAGE_MARGIN;
+        }
+
+        doc.rect(left, sigY, contentWidth, 120).lineWidth(0.5).strokeColor('#d1d5db').stroke();
+        doc.image(qrPng, left + contentWidth - 110, sigY + 10, { fit: [100, 100] });
+
+        doc.font('Helvetica-Bold').fontSize(10).fillColor('#111827').text('Digital Signature (HMAC-SHA256)', left + 10, sigY + 10);
+        doc.font('Courier').fontSize(8).fillColor('#111827')
+            .text(voucher.digital_signature || 'Not signed', left + 10, sigY + 26, { width: contentWidth - 140 });
+        doc.font('Helvetica').fontSize(8).fillColor('#6b7280')
+            .text(`Signed at: ${formatDate(voucher.signature_timestamp, true)}`, left + 10, doc.y + 4)
+            .text('Scan the QR code to confirm this voucher has not been altered since it was signed.', left + 10, doc.y + 8, { width: contentWidth - 140 })
+            .text(verifyUrl, left + 10, doc.y + 4, { width: contentWidth - 140, link: verifyUrl });
+
+        // Footer sits inside the bottom margin; drop it so pdfkit doesn't start a new page
+        doc.page.margins.bottom = 0;
+        doc.font('Helvetica').fontSize(7).fillColor('#9ca3af')
+            .text(`Generated ${formatDate(new Date(), true)} by ${branding.org_name}`, left, doc.page.height - 40, { width: contentWidth, align: 'center', lineBreak: false });
+
+        doc.end();
+    });
+}
+
+module.exports = {
+    renderVoucherPdf,
+    buildTrail
+};
@@ -0,0 +1,363 @@
+/**
+ * FoodStream Ltd. - Voucher Risk Rules
+ *
+ * Anomaly rules evaluated when a voucher is created and again when each
+ * approval level is signed off. Every rule that fires adds a flag to
+ * vouchers.risk_flags; rules whose action is 'block' stop the voucher from
+ * being submitted at all.
+ *
+ * Rules and their defaults live in DEFAULT_RULES. Organizations override
+ * them per rule in licensed_orgs.settings.risk_rules, e.g.
+ *   { "duplicate_payment": { "days": 60, "action": "block" },
+ *     "off_hours": { "enabled": false } }
+ *
+ * @module services/voucherRiskService
+ */
+
+const { getSupabaseClient } = require('../config/database');
+const payeeBankService = require('./payeeBankService');
+const budgetService = require('./budgetService');
+const logger = require('../utils/logger');
+
+/**
+ * Statuses that do not count towards duplicates, splits or payment history
+ */
+const INACTIVE_STATUSES = ['draft', 'rejected', 'cancelled'];
+
+/**
+ * Statuses of a voucher that was actually paid out
+ */
+const PAID_STATUSES = ['approved', 'completed', 'paid'];
+
+const ACTIONS = ['flag', 'block'];
+const WEEKEND = { Sat: 'Saturday', Sun: 'Sunday' };
+
+/**
+ * Rule defaults and the numeric parameters each rule accepts
+ */
+const DEFAULT_RULES = {
+    // Same payee and amount within `days`
+    duplicate_payment: { enabled: true, action: 'flag', days: 30 },
+    // Round amounts within `margin_percent` below an approval chain threshold,
+    // or several vouchers to one payee within `days` that add up past it
+    threshold_split: { enabled: true, action: 'flag', margin_percent: 10, round_to: 1000, days: 7 },
+    // First payment to a payee of at least `amount`
+    new_payee_large_payment: { enabled: true, action: 'flag', amount: 100000 },
+    // Created on a weekend or outside start_hour..end_hour in the org's timezone
+    off_hours: { enabled: true, action: 'flag', start_hour: 8, end_hour: 20, weekends: true },
+    // Created within the payee bank change cooling-off window
+    payee_bank_changed: { enabled: true, action: 'flag' },
+    // Takes a head of account budget over its limit; budgets with action
+    // 'block' block even when this rule only flags
+    budget_exceeded: { enabled: true, action: 'flag' }
+};
+
+const NUMERIC_PARAMS = {
+    duplicate_payment: { days: [1, 365] },
+    threshold_split: { margin_percent: [1, 50], round_to: [1, 10000000], days: [1, 90] },
+    new_payee_large_payment: { amount: [1, 1e13] },
+    off_hours: { start_hour: [0, 23], end_hour: [1, 24] },
+    payee_bank_changed: {},
+    budget_exceeded: {}
+};
+
+/**
+ * Effective rules: defaults with the organization's overrides applied
+ */
+function resolveRules(overrides = {}) {
+    return Object.fromEntries(Object.entries(DEFAULT_RULES).map(([name, defaults]) => [
+        name,
+        { ...defaults, ...(overrides?.[name] || {}) }
+    ]));
+}
+
+/**
+ * Validate rule overrides from the settings API
+ *
+ * @param {Object} input - { rule_name: { enabled?, action?, ...params } }
+ * @returns {Object} { error } or { rules } with only known keys
+ */
+function validateRules(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'rules must be an object keyed by rule name' };
+    }
+
+    const rules = {};
+    for (const [name, config] of Object.entries(input)) {
+        if (!DEFAULT_RULES[name]) {
+            return { error: `Unknown rule ${name}. Rules: ${Object.keys(DEFAULT_RULES).join(', ')}` };
+        }
+        if (!config || typeof config !== 'object') return { error: `${name} must be an object` };
+
+        const rule = {};
+        if (config.enabled !== undefined) {
+            if (typeof config.enabled !== 'boolean') return { error: `${name}.enabled must be true or false` };
+            rule.enabled = config.enabled;
+        }
+        if (config.action !== undefined) {
+            if (!ACTIONS.includes(config.action)) return { error: `${name}.action must be one of: ${ACTIONS.join(', ')}` };
+            rule.action = config.action;
+        }
+        if (name === 'off_hours' && config.weekends !== undefined) {
+            if (typeof config.weekends !== 'boolean') return { error: 'off_hours.weekends must be true or false' };
+            rule.weekends = config.weekends;
+        }
+        for (const [param, [min, max]] of Object.entries(NUMERIC_PARAMS[name])) {
+            if (config[param] === undefined) continue;
+            const value = Number(config[param]);
+            if (!Number.isFinite(value) || value < min || value > max) {
+                return { error: `${name}.${param} must be between ${min} and ${max}` };
+            }
+            rule[param] = value;
+        }
+        rules[name] = rule;
+    }
+
+    return { rules };
+}
+
+function daysAgo(from, days) {
+    return new Date(new Date(from).getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function formatAmount(amount) {
+    return parseFloat(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function flag(rule, config, code, severity, message, details = {}) {
+    return { code, rule, severity, action: config.action, message, ...details };
+}
+
+/**
+ * Other active vouchers of the payee since a date
+ */
+async function payeeVouchers(voucher, since) {
+    let query = getSupabaseClient()
+        .from('vouchers')
+        .select('id, voucher_number, amount, status, created_at')
+        .eq('org_id', voucher.org_id)
+        .eq('payee_id', voucher.payee_id)
+        .not('status', 'in', `(${INACTIVE_STATUSES.join(',')})`)
+        .order('created_at', { ascending: false })
+        .limit(200);
+
+    if (since) query = query.gte('created_at', since);
+    if (voucher.id) query = query.neq('id', voucher.id);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Lower bounds of the org's approval chain bands that apply to this voucher
+ */
+async function approvalThresholds(voucher) {
+    const { data } = await getSupabaseClient()
+        .from('approval_chains')
+        .select('company_id, head_of_account_id, min_amount')
+        .eq('org_id', voucher.org_id)
+        .eq('status', 'active')
+        .gt('min_amount', 0);
+
+    return [...new Set((data || [])
+        .filter(c => !c.company_id || c.company_id === voucher.company_id)
+        .filter(c => !c.head_of_account_id || c.head_of_account_id === voucher.head_of_account_id)
+        .map(c => parseFloat(c.min_amount)))]
+        .sort((a, b) => a - b);
+}
+
+const RULES = {
+    async duplicate_payment(voucher, config) {
+        const amount = parseFloat(voucher.amount);
+        const matches = (await payeeVouchers(voucher, daysAgo(voucher.created_at, config.days)))
+            .filter(v => parseFloat(v.amount) === amount);
+
+        if (matches.length === 0) return null;
+
+        return flag('duplicate_payment', config, 'DUPLICATE_PAYMENT', 'high',
+            `Same payee and amount as ${matches.slice(0, 3).map(v => v.voucher_number).join(', ')} in the last ${config.days} days`,
+            { matches: matches.slice(0, 5).map(v => ({ id: v.id, voucher_number: v.voucher_number, status: v.status, created_at: v.created_at })) });
+    },
+
+    async threshold_split(voucher, config) {
+        const amount = parseFloat(voucher.amount);
+        const thresholds = (await approvalThresholds(voucher)).filter(t => amount < t);
+        if (thresholds.length === 0) return null;
+
+        const threshold = thresholds[0];
+        const floor = threshold * (1 - config.margin_percent / 100);
+
+        if (amount >= floor && amount % config.round_to === 0) {
+            return flag('threshold_split', config, 'THRESHOLD_SPLIT', 'medium',
+                `Round amount ${formatAmount(amount)} is just under the ${formatAmount(threshold)} approval threshold`,
+                { threshold });
+        }
+
+        const recent = (await payeeVouchers(voucher, daysAgo(voucher.created_at, config.days)))
+            .filter(v => parseFloat(v.amount) < threshold);
+        const total = recent.reduce((sum, v) => sum + parseFloat(v.amount), amount);
+
+        if (recent.length > 0 && total >= threshold) {
+            return flag('threshold_split', config, 'THRESHOLD_SPLIT', 'medium',
+                `${recent.length + 1} vouchers to this payee in ${config.days} days total ${formatAmount(total)}, above the ${formatAmount(threshold)} approval threshold`,
+                { threshold, total, vouchers: recent.slice(0, 5).map(v => v.voucher_number) });
+        }
+
+        return null;
+    },
+
+    async new_payee_large_payment(voucher, config) {
+        const amount = parseFloat(voucher.amount);
+        if (amount < config.amount) return null;
+
+        let query = getSupabaseClient()
+            .from('vouchers')
+            .select('id', { count: 'exact', head: true })
+            .eq('org_id', voucher.org_id)
+            .eq('payee_id', voucher.payee_id)
+            .in('status', PAID_STATUSES);
+        if (voucher.id) query = query.neq('id', voucher.id);
+
+        const { count } = await query;
+        if (count > 0) return null;
+
+        return flag('new_payee_large_payment', config, 'NEW_PAYEE_LARGE_PAYMENT', 'medium',
+            `First payment to this payee is ${formatAmount(amount)} (large first payment limit ${formatAmount(config.amount)})`);
+    },
+
+    async off_hours(voucher, config, context) {
+        const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+            timeZone: context.timezone,
+            weekday: 'short',
+            hour: 'numeric',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(new Date(voucher.created_at)).map(p => [p.type, p.value]));
+
+        const hour = parseInt(parts.hour, 10);
+        const weekend = Boolean(WEEKEND[parts.weekday]);
+        const outside = hour < config.start_hour || hour >= config.end_hour;
+
+        if (!(config.weekends && weekend) && !outside) return null;
+
+        return flag('off_hours', config, 'OFF_HOURS_CREATION', 'low',
+            `Created ${weekend && config.weekends ? `on a ${WEEKEND[parts.weekday]}` : `at ${String(hour).padStart(2, '0')}:${parts.minute}`} (${context.timezone}), outside business hours`,
+            { local_hour: hour, weekday: parts.weekday });
+    },
+
+    async payee_bank_changed(voucher, config, context) {
+        const cooling = payeeBankService.coolingOffFlag(context.payee, context.settings, new Date(voucher.created_at));
+        if (!cooling) return null;
+
+        const { code, severity, message, ...details } = cooling;
+        return flag('payee_bank_changed', config, code, severity, message, details);
+    },
+
+    async budget_exceeded(voucher, config) {
+        const exceeded = await budgetService.checkVoucher(voucher);
+        if (exceeded.length === 0) return null;
+
+        const blocking = config.action === 'block' || exceeded.some(budget => budget.action === 'block');
+        const message = exceeded.map(budget =>
+            `Exceeds the ${budget.period_type} budget of ${budget.head_code} for ${budget.period_label} (${formatAmount(budget.consumed)} of ${formatAmount(budget.budget)} already used)`
+        ).join('; ');
+
+        return flag('budget_exceeded', { ...config, action: blocking ? 'block' : 'flag' }, 'BUDGET_EXCEEDED', blocking ? 'high' : 'medium', message, {
+            budgets: exceeded.map(({ budget_id, head_code, period_type, period_start, budget, consumed }) => ({ budget_id, head_code, period_type, period_start, budget, consumed }))
+        });
+    }
+};
+
+/**
+ * Run the rules against a voucher
+ * A rule that errors is logged and skipped; it never fails the request.
+ *
+ * @param {Object} voucher - { id?, org_id, company_id, payee_id, head_of_account_id, amount, created_at? }
+ * @returns {Promise<Object>} { flags, blocking } - blocking: flags whose rule action is 'block'
+ */
+async function evaluate(voucher) {
+    const supabase = getSupabaseClient();
+    const subject = { ...voucher, created_at: voucher.created_at || new Date().toISOString() };
+
+    const [{ data: org }, { data: payee }] = await Promise.all([
+        supabase.from('licensed_orgs').select('settings, timezone').eq('id', voucher.org_id).maybeSingle(),
+        supabase.from('payees').select('id, bank_details_changed_at').eq('id', voucher.payee_id).eq('org_id', voucher.org_id).maybeSingle()
+    ]);
+
+    const rules = resolveRules(org?.settings?.risk_rules);
+    const context = { settings: org?.settings || {}, timezone: org?.timezone || 'Asia/Hong_Kong', payee };
+    const flags = [];
+
+    for (const [name, config] of Object.entries(rules)) {
+        if (!config.enabled) continue;
+        try {
+            const result = await RULES[name](subject, config, context);
+            if (result) flags.push(result);
+        } catch (error) {
+            logger.error('Voucher risk rule failed', { rule: name, error: error.message, voucher_id: voucher.id });
+        }
+    }
+
+    return { flags, blocking: flags.filter(f => f.action === 'block') };
+}
+
+/**
+ * Rules of an organization with their effective settings
+ */
+async function getRules(orgId) {
+    const { data: org } = await getSupabaseClient()
+        .from('licensed_orgs')
+        .select('settings')
+        .eq('id', orgId)
+        .maybeSingle();
+
+    return resolveRules(org?.settings?.risk_rules);
+}
+
+/**
+ * Save rule overrides into licensed_orgs.settings.risk_rules
+ *
+ * @returns {Promise<Object>} Outcome with status; data is the effective rule set
+ */
+async function updateRules(orgId, input, userId) {
+    const { error: validationError, rules } = validateRules(input);
+    if (validationError) return { success: false, status: 400, error: validationError };
+
+    const supabase = getSupabaseClient();
+    const { data: org } = await supabase
+        .from('licensed_orgs')
+        .select('settings')
+        .eq('id', orgId)
+        .single();
+
+    const current = org?.settings?.risk_rules || {};
+    const merged = Object.fromEntries(Object.keys(DEFAULT_RULES)
+        .filter(name => current[name] || rules[name])
+        .map(name => [name, { ...(current[name] || {}), ...(rules[name] || {}) }]));
+
+    const { off_hours: offHours } = resolveRules(merged);
+    if (offHours.start_hour >= offHours.end_hour) {
+        return { success: false, status: 400, error: 'off_hours.start_hour must be before end_hour' };
+    }
+
+    const { error } = await supabase
+        .from('licensed_orgs')
+        .update({ settings: { ...(org?.settings || {}), risk_rules: merged } })
+        .eq('id', orgId);
+
+    if (error) throw error;
+
+    logger.audit('risk_rules_updated', userId, { orgId, rules });
+
+    return { success: true, status: 200, message: 'Risk rules updated', data: resolveRules(merged) };
+}
+
+module.exports = {
+    DEFAULT_RULES,
+    resolveRules,
+    validateRules,
+    evaluate,
+    getRules,
+    updateRules
+};
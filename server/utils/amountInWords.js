@@ -0,0 +1,112 @@
+/**
+ * Amount to Words Converter
+ * Indian numbering (lakh / crore) for INR, international (million / billion) otherwise
+ */
+
+const ONES = [
+    '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine',
+    'Ten', 'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen',
+    'Seventeen', 'Eighteen', 'Nineteen'
+];
+
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+const CURRENCY_UNITS = {
+    INR: { major: 'Rupees', minor: 'Paise' },
+    HKD: { major: 'Hong Kong Dollars', minor: 'Cents' },
+    USD: { major: 'US Dollars', minor: 'Cents' },
+    SGD: { major: 'Singapore Dollars', minor: 'Cents' },
+    AED: { major: 'Dirhams', minor: 'Fils' },
+    GBP: { major: 'Pounds', minor: 'Pence' },
+    EUR: { major: 'Euros', minor: 'Cents' }
+};
+
+/**
+ * Words for 0-999
+ */
+function belowThousand(n) {
+    const parts = [];
+
+    if (n >= 100) {
+        parts.push(`${ONES[Math.floor(n / 100)]} Hundred`);
+        n %= 100;
+    }
+
+    if (n >= 20) {
+        parts.push(TENS[Math.floor(n / 10)] + (n % 10 ? `-${ONES[n % 10]}` : ''));
+    } else if (n > 0) {
+        parts.push(ONES[n]);
+    }
+
+    return parts.join(' ');
+}
+
+/**
+ * Words for a whole number using Indian grouping (thousand, lakh, crore)
+ */
+function indianWords(n) {
+    if (n === 0) return 'Zero';
+
+    const parts = [];
+    const crore = Math.floor(n / 10000000);
+    n %= 10000000;
+    const lakh = Math.floor(n / 100000);
+    n %= 100000;
+    const thousand = Math.floor(n / 1000);
+    n %= 1000;
+
+    if (crore) parts.push(`${crore >= 1000 ? indianWords(crore) : belowThousand(crore)} Crore`);
+    if (lakh) parts.push(`${belowThousand(lakh)} Lakh`);
+    if (thousand) parts.push(`${belowThousand(thousand)} Thousand`);
+    if (n) parts.push(belowThousand(n));
+
+    return parts.join(' ');
+}
+
+/**
+ * Words for a whole number using international grouping
+ */
+function internationalWords(n) {
+    if (n === 0) return 'Zero';
+
+    const scales = ['', 'Thousand', 'Million', 'Billion', 'Trillion'];
+    const parts = [];
+    let scale = 0;
+
+    while (n > 0 && scale < scales.length) {
+        const chunk = n % 1000;
+        if (chunk) {
+            parts.unshift(`${belowThousand(chunk)}${scales[scale] ? ` ${scales[scale]}` : ''}`);
+        }
+        n = Math.floor(n / 1000);
+        scale++;
+    }
+
+    return parts.join(' ');
+}
+
+/**
+ * Convert an amount to words, e.g. 125000.5 INR ->
+ * "Rupees One Lakh Twenty-Five Thousand and Fifty Paise Only"
+ *
+ * @param {number|string} amount - Amount to convert
+ * @param {string} [currency='INR'] - ISO currency code
+ * @returns {string} Amount in words
+ */
+function amountInWords(amount, currency = 'INR') {
+    // Round to the minor unit first so 99.999 becomes 100.00, not 99 and 100 paise
+    const minorUnits = Math.round(Math.abs(parseFloat(amount || 0)) * 100);
+    const whole = Math.floor(minorUnits / 100);
+    const fraction = minorUnits % 100;
+    const units = CURRENCY_UNITS[currency] || { major: currency, minor: 'Cents' };
+    const toWords = currency === 'INR' ? indianWords : internationalWords;
+
+    let words = `${units.major} ${toWords(whole)}`;
+    if (fraction > 0) {
+        words += ` and ${belowThousand(fraction)} ${units.minor}`;
+    }
+
+    return `${words} Only`;
+}
+
+module.exports = amountInWords;
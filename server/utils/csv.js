@@ -0,0 +1,23 @@
+/**
+ * CSV helpers shared by the report, accounting and bank file exports
+ */
+
+/**
+ * Quote a CSV cell; the value is kept as is for files other systems import
+ */
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const str = String(value);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Quote a CSV cell for files people open in a spreadsheet; text starting
+ * with = + - @ is prefixed so the app does not evaluate it as a formula
+ */
+function spreadsheetCell(value) {
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(value)) return csvCell(`'${value}`);
+    return csvCell(value);
+}
+
+module.exports = { csvCell, spreadsheetCell };